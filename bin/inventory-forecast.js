@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+/**
+ * inventory-forecast: batch inventory forecasts for a CSV/JSON file of SKUs.
+ * Thin wrapper around src/cli/runCli.js (run with --help for options and exit codes).
+ */
+const { runCli } = require('../src/cli/runCli');
+
+process.exitCode = runCli(process.argv.slice(2));
@@ -0,0 +1,18 @@
+#!/usr/bin/env node
+/**
+ * inventory-server: starts the inventory HTTP API (see src/server/handleRequest.js for the routes).
+ * PORT (default 3000) and HOST (default 127.0.0.1) come from the environment; unexpected errors (500s) are logged
+ * to stderr by createServer's default onError.
+ */
+const { createServer } = require('../src/server/createServer');
+
+const port = Number(process.env.PORT) || 3000;
+const host = process.env.HOST || '127.0.0.1';
+
+const server = createServer();
+server.listen(port, host, () => {
+  process.stdout.write(`inventory-server listening on http://${host}:${port}\n`);
+});
+
+// Finish in-flight requests on shutdown
+['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => server.close(() => process.exit(0))));
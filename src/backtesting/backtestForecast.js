@@ -0,0 +1,71 @@
+/**
+ * Rolling-origin backtest for one forecasting method.
+ * For each origin t (initialWindow, initialWindow + step, ...), the model is refit on days [0, t)
+ * and its forecasts for days [t, t + horizon) are compared with what actually happened.
+ * Errors from all origins are pooled into calculateAccuracyMetrics (MASE scaled by the initial window).
+ * Reuses forecastDemand, so any FORECAST_METHODS entry (and its model options) can be backtested.
+ * Each refit costs at least one pass over the training days (a full grid search for fitted smoothing models), so
+ * the default step spreads at most MAX_BACKTEST_ORIGINS origins over the history, and refitParams = false fits the
+ * smoothing parameters (alpha, beta, gamma) once at the first origin and reuses them at the later ones.
+ * @param {number[]} historicalDemand - Array of historical daily demand values.
+ * @param {Object} [options] - { method='sma', horizon=1, initialWindow, step, refitParams=true, ...model options }.
+ *   initialWindow defaults to half the history (at least 3 days); step defaults to 1, or more when the history
+ *   leaves room for more than MAX_BACKTEST_ORIGINS origins.
+ * @returns {Object} { method, origins, horizon, initialWindow, metrics } - origins = number of refits.
+ * Defensive: too-short/invalid history returns origins 0 and null metrics.
+ */
+const { forecastDemand, FORECAST_METHODS } = require('../forecasting/forecastDemand');
+const calculateAccuracyMetrics = require('./calculateAccuracyMetrics');
+
+// Upper bound on origins for the default step (the work grows with origins × history length)
+const MAX_BACKTEST_ORIGINS = 50;
+
+// Smoothing parameters fitted by grid search, reused when refitParams is false
+const FITTED_PARAMS = ['alpha', 'beta', 'gamma'];
+
+function backtestForecast(historicalDemand, options = {}) {
+  const opts = options && typeof options === 'object' ? options : {};
+  const { method = FORECAST_METHODS.SMA, horizon = 1, step, refitParams = true } = opts;
+
+  const validDemands = Array.isArray(historicalDemand)
+    ? historicalDemand.filter(d => typeof d === 'number' && d >= 0)
+    : [];
+  const n = validDemands.length;
+  const h = typeof horizon === 'number' && horizon >= 1 ? Math.floor(horizon) : 1;
+  const initialWindow = typeof opts.initialWindow === 'number' && opts.initialWindow >= 1
+    ? Math.floor(opts.initialWindow)
+    : Math.max(3, Math.floor(n / 2));
+  const stride = typeof step === 'number' && step >= 1
+    ? Math.floor(step)
+    : Math.max(1, Math.ceil((n - h - initialWindow + 1) / MAX_BACKTEST_ORIGINS));
+
+  const actuals = [];
+  const forecasts = [];
+  let origins = 0;
+  let fixed = {};
+  for (let t = initialWindow; t + h <= n; t += stride) {
+    const train = validDemands.slice(0, t);
+    const result = forecastDemand(train, { ...opts, ...fixed, method, horizon: h });
+    if (!refitParams && origins === 0) {
+      fixed = {};
+      FITTED_PARAMS.filter(name => typeof result.params[name] === 'number').forEach(name => {
+        fixed[name] = result.params[name];
+      });
+    }
+    for (let k = 0; k < h; k++) {
+      actuals.push(validDemands[t + k]);
+      forecasts.push(result.forecasts[k]);
+    }
+    origins++;
+  }
+
+  return {
+    method,
+    origins,
+    horizon: h,
+    initialWindow,
+    metrics: calculateAccuracyMetrics(actuals, forecasts, validDemands.slice(0, initialWindow))
+  };
+}
+
+module.exports = backtestForecast;
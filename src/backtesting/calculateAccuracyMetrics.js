@@ -0,0 +1,72 @@
+/**
+ * Forecast accuracy metrics for paired actual/forecast values.
+ *   - MAE: mean absolute error
+ *   - RMSE: root mean squared error (penalizes large misses)
+ *   - MAPE: mean absolute percentage error (%; days with zero actual demand are skipped)
+ *   - sMAPE: symmetric MAPE (%; 0 when actual and forecast are both 0)
+ *   - MASE: MAE scaled by the in-sample naive (yesterday = today) MAE; < 1 beats the naive forecast
+ *   - bias: mean (forecast - actual); positive = over-forecasting, negative = under-forecasting
+ * @param {number[]} actuals - Observed demand values.
+ * @param {number[]} forecasts - Forecast values (same length as actuals).
+ * @param {number[]} [insample] - Training history used to scale MASE (falls back to actuals).
+ * @returns {Object} { count, mae, rmse, mape, smape, mase, bias } - Rounded to 2 decimals.
+ *   Metrics that cannot be computed (e.g., MAPE with all-zero actuals, MASE with a flat history) are null.
+ * Defensive: invalid/mismatched inputs return count 0 and null metrics.
+ */
+function calculateAccuracyMetrics(actuals, forecasts, insample) {
+  const empty = { count: 0, mae: null, rmse: null, mape: null, smape: null, mase: null, bias: null };
+  if (!Array.isArray(actuals) || !Array.isArray(forecasts) || actuals.length !== forecasts.length) {
+    return empty;
+  }
+
+  // Keep only numeric pairs (defensive, like calculateAverageDemand's filtering)
+  const pairs = actuals
+    .map((a, i) => [a, forecasts[i]])
+    .filter(([a, f]) => typeof a === 'number' && typeof f === 'number' && !Number.isNaN(a) && !Number.isNaN(f));
+  const n = pairs.length;
+  if (n === 0) {
+    return empty;
+  }
+
+  let absSum = 0;
+  let sqSum = 0;
+  let errSum = 0;
+  let pctSum = 0;
+  let pctCount = 0;
+  let sPctSum = 0;
+  pairs.forEach(([a, f]) => {
+    const e = f - a;
+    absSum += Math.abs(e);
+    sqSum += e * e;
+    errSum += e;
+    if (a !== 0) {
+      pctSum += Math.abs(e) / Math.abs(a);
+      pctCount++;
+    }
+    const denom = Math.abs(a) + Math.abs(f);
+    sPctSum += denom === 0 ? 0 : (2 * Math.abs(e)) / denom;
+  });
+
+  const mae = absSum / n;
+
+  // MASE scale: mean absolute lag-1 difference of the training series
+  const scaleSeries = Array.isArray(insample) && insample.length > 1 ? insample : pairs.map(([a]) => a);
+  let naiveSum = 0;
+  for (let i = 1; i < scaleSeries.length; i++) {
+    naiveSum += Math.abs(scaleSeries[i] - scaleSeries[i - 1]);
+  }
+  const naiveMae = scaleSeries.length > 1 ? naiveSum / (scaleSeries.length - 1) : 0;
+
+  const round = v => (v === null ? null : Number(v.toFixed(2)));
+  return {
+    count: n,
+    mae: round(mae),
+    rmse: round(Math.sqrt(sqSum / n)),
+    mape: round(pctCount > 0 ? (pctSum / pctCount) * 100 : null),
+    smape: round((sPctSum / n) * 100),
+    mase: round(naiveMae > 0 ? mae / naiveMae : null),
+    bias: round(errSum / n)
+  };
+}
+
+module.exports = calculateAccuracyMetrics;
@@ -0,0 +1,78 @@
+/**
+ * Automatic model selection ("auto" method): backtests every candidate with a rolling origin
+ * and fits the method with the lowest error metric on the full history.
+ * The returned model result carries a `selection` record explaining why it won
+ * (metric, per-method scores, runner-up), so planners can audit the choice per SKU.
+ * Ties keep the earlier candidate (candidates default to FORECAST_METHODS order: simplest first).
+ * To keep the cost roughly linear in the history length, each candidate is backtested over at most
+ * MAX_BACKTEST_ORIGINS origins with its smoothing parameters fitted once, at the first origin (no look-ahead),
+ * instead of a grid search at every origin (pass refitParams: true or a step to change this).
+ * @param {number[]} historicalDemand - Array of historical daily demand values.
+ * @param {Object} [options] - { candidates, metric='rmse', horizon, initialWindow, step, refitParams=false, ...model options }.
+ *   metric is one of 'mae', 'rmse', 'mape', 'smape', 'mase', or 'bias' (absolute bias).
+ *   `horizon` is the forecast horizon of the returned model; `backtestHorizon` (default 1) is used for scoring.
+ * @returns {Object} Winning model result (see forecastDemand) plus
+ *   selection: { metric, winner, runnerUp, reason, scores: [{ method, origins, metrics }] }.
+ * Falls back to 'sma' when no candidate can be backtested (e.g., too little history).
+ */
+const { forecastDemand, FORECAST_METHODS } = require('../forecasting/forecastDemand');
+const backtestForecast = require('./backtestForecast');
+
+// Special method name understood by calculateInventoryForecast
+const AUTO_METHOD = 'auto';
+
+const METRICS = ['mae', 'rmse', 'mape', 'smape', 'mase', 'bias'];
+
+function selectForecastModel(historicalDemand, options = {}) {
+  const opts = options && typeof options === 'object' ? options : {};
+  const {
+    candidates = Object.values(FORECAST_METHODS),
+    metric = 'rmse',
+    backtestHorizon = 1
+  } = opts;
+  const chosenMetric = METRICS.includes(metric) ? metric : 'rmse';
+  const methods = (Array.isArray(candidates) ? candidates : [])
+    .filter(m => Object.values(FORECAST_METHODS).includes(m));
+
+  // Score each candidate (bias compared by magnitude)
+  const scores = methods.map(method => {
+    const { origins, metrics } = backtestForecast(historicalDemand, { refitParams: false, ...opts, method, horizon: backtestHorizon });
+    return { method, origins, metrics };
+  });
+  const scoreOf = s => {
+    const value = s.metrics[chosenMetric];
+    if (value === null) return Infinity;
+    return chosenMetric === 'bias' ? Math.abs(value) : value;
+  };
+  const ranked = scores
+    .filter(s => s.origins > 0 && scoreOf(s) !== Infinity)
+    .sort((a, b) => scoreOf(a) - scoreOf(b));  // Stable sort keeps candidate order on ties
+
+  const winner = ranked.length > 0 ? ranked[0] : null;
+  const runnerUp = ranked.length > 1 ? ranked[1] : null;
+  const method = winner ? winner.method : FORECAST_METHODS.SMA;
+
+  let reason;
+  if (!winner) {
+    reason = 'Insufficient history to backtest candidates; defaulted to sma.';
+  } else {
+    reason = `${method} had the lowest ${chosenMetric.toUpperCase()} (${scoreOf(winner)}) over ${winner.origins} rolling origins`;
+    reason += runnerUp
+      ? `; runner-up ${runnerUp.method} (${scoreOf(runnerUp)}).`
+      : '.';
+  }
+
+  const model = forecastDemand(historicalDemand, { ...opts, method });
+  return {
+    ...model,
+    selection: {
+      metric: chosenMetric,
+      winner: method,
+      runnerUp: runnerUp ? runnerUp.method : null,
+      reason,
+      scores
+    }
+  };
+}
+
+module.exports = { selectForecastModel, AUTO_METHOD };
@@ -1,9 +1,15 @@
 /**
  * Calculates the average daily demand using a simple moving average approach.
+ * Invalid entries (non-numbers, NaN, negatives) are skipped; options.strict throws InvalidDemandError instead,
+ * and options.diagnostics (an array) collects what was dropped and any default used (see validation/).
  * @param {number[]} historicalDemand - Array of historical daily demand values.
+ * @param {Object} [options] - { strict (throw typed errors), diagnostics (array to append diagnostics to) }.
  * @returns {number} The average daily demand. Returns 0 if array is empty or invalid.
  */
-function calculateAverageDemand(historicalDemand) {
+const { createValidator, checkDemandHistory } = require('./validation/validateInputs');
+
+function calculateAverageDemand(historicalDemand, options) {
+  checkDemandHistory(historicalDemand, createValidator(options), { outcome: 'average demand defaults to 0' });
   if (!Array.isArray(historicalDemand) || historicalDemand.length === 0) {
     return 0;
   }
@@ -1,15 +1,30 @@
 /**
  * Estimates how many days of inventory remain before stock runs out,
  * assuming demand continues at the average daily rate.
+ * options.strict throws InvalidStockError / InvalidDemandError for non-numeric or NaN inputs (and a negative
+ * demand rate) instead of returning a default; options.diagnostics (an array) records each default used.
  * @param {number} currentStock - Current stock level.
  * @param {number} avgDailyDemand - Average daily demand.
- * @returns {number} Estimated days remaining. Returns 0 for invalid inputs (<=0 stock, non-numbers) or Infinity if demand is 0.
+ * @param {Object} [options] - { strict (throw typed errors), diagnostics (array to append diagnostics to) }.
+ * @returns {number} Estimated days remaining. Returns 0 for invalid inputs (<=0 stock, non-numbers, NaN) or Infinity if demand is 0.
  * This defensive approach ensures consistency with calculateAverageDemand for robust utility usage.
  */
-function calculateDaysRemaining(currentStock, avgDailyDemand) {
+const { createValidator, checkNumber } = require('./validation/validateInputs');
+const { InvalidStockError, InvalidDemandError } = require('./validation/errors');
+
+function calculateDaysRemaining(currentStock, avgDailyDemand, options) {
+  const validator = createValidator(options);
+  checkNumber(currentStock, validator, { field: 'currentStock', ErrorClass: InvalidStockError, fallback: 0, outcome: 'days remaining defaults to 0' });
+  if (typeof avgDailyDemand === 'number' && avgDailyDemand < 0) {
+    checkNumber(avgDailyDemand, validator, { field: 'avgDailyDemand', ErrorClass: InvalidDemandError, min: 0, fallback: Infinity, outcome: 'treated as no demand (Infinity days)' });
+  } else {
+    checkNumber(avgDailyDemand, validator, { field: 'avgDailyDemand', ErrorClass: InvalidDemandError, fallback: 0, outcome: 'days remaining defaults to 0' });
+  }
+
   // Defensive validation for consistency: return 0 for any invalid/non-numeric inputs
   // (matches calculateAverageDemand's style for real-world data handling)
-  if (typeof currentStock !== 'number' || typeof avgDailyDemand !== 'number') {
+  if (typeof currentStock !== 'number' || typeof avgDailyDemand !== 'number' ||
+      Number.isNaN(currentStock) || Number.isNaN(avgDailyDemand)) {
     return 0;
   }
   if (currentStock <= 0) {
@@ -10,24 +10,40 @@
  * @param {number} [orderCost=100] - Cost per order (S; default placeholder).
  * @param {number} [holdingCost=10] - Holding cost per unit/year (H; default placeholder).
  * @param {number} [daysPerYear=250] - Days to annualize demand (250 business/working days typical; excludes weekends/holidays for better model accuracy).
+ * @param {number} [avgDemand] - Optional forecast daily demand rate (e.g., from forecastDemand); computed via calculateAverageDemand if omitted/invalid.
+ * @param {Object} [options] - { strict (throw InvalidDemandError / InvalidCostError instead of returning zeros),
+ *   diagnostics (array to append dropped values and defaults to) }.
  * @returns {Object} { annualDemand: number, eoq: number } - Rounded; 0 for invalid/edge cases.
  * Defensive for consistency; EOQ minimizes total inventory costs.
  */
 // Hoist require for reuse (clean/efficient like calculateReorderPoint; no cycles)
 const calculateAverageDemand = require('./calculateAverageDemand');
+const { createValidator, checkDemandHistory, checkNumber } = require('./validation/validateInputs');
+const { InvalidCostError } = require('./validation/errors');
+
+function calculateEOQ(historicalDemand, orderCost = 100, holdingCost = 10, daysPerYear = 250, avgDemand, options) {
+  const validator = createValidator(options);
+  const outcome = 'EOQ defaults to 0';
+  checkDemandHistory(historicalDemand, validator, { outcome });
+  const costs = { orderCost, holdingCost, daysPerYear };
+  Object.keys(costs).forEach(field => {
+    checkNumber(costs[field], validator, { field, ErrorClass: InvalidCostError, min: 0, exclusive: true, fallback: 0, outcome });
+  });
 
-function calculateEOQ(historicalDemand, orderCost = 100, holdingCost = 10, daysPerYear = 250) {
   // Defensive validation for consistency with other utilities (return safe defaults)
   // (EOQ invalid if costs <=0 or bad demand data)
   if (!Array.isArray(historicalDemand) || historicalDemand.length === 0 ||
-      typeof orderCost !== 'number' || orderCost <= 0 ||
-      typeof holdingCost !== 'number' || holdingCost <= 0 ||
-      typeof daysPerYear !== 'number' || daysPerYear <= 0) {
+      typeof orderCost !== 'number' || !(orderCost > 0) ||
+      typeof holdingCost !== 'number' || !(holdingCost > 0) ||
+      typeof daysPerYear !== 'number' || !(daysPerYear > 0)) {  // !(x > 0) also rejects NaN
     return { annualDemand: 0, eoq: 0 };
   }
 
   // Reuse avg daily demand util (aligns with forecast/safety/reorder; avoids dup calc)
-  const avgDailyDemand = calculateAverageDemand(historicalDemand);
+  // or the pre-computed forecast rate when provided (pluggable forecasting models)
+  const avgDailyDemand = typeof avgDemand === 'number' && avgDemand >= 0
+    ? avgDemand
+    : calculateAverageDemand(historicalDemand);
 
   // If avg=0, EOQ=0 (no demand)
   if (avgDailyDemand === 0) {
@@ -5,40 +5,69 @@
  * Requires hoisted to top for best practice (avoid re-require on each call).
  * This builds on demand forecast/safety stock without breaking APIs.
  * @param {number[]} historicalDemand - Array of historical daily demand values.
- * @param {number} leadTime - Supplier lead time in days.
+ * @param {number|number[]|Object} leadTime - Supplier lead time in days: fixed number, observed lead times, or
+ *   { mean, stdDev }. Variable lead times use the mean for lead-time demand and the combined variance formula
+ *   for safety stock (see calculateSafetyStock).
  * @param {number} [zScore=1.65] - Optional Z-score for safety stock (e.g., 1.28 for 90%, 2.33 for 99%).
+ * @param {number} [avgDemand] - Optional forecast daily demand rate (e.g., from forecastDemand) used for
+ *   lead-time demand instead of the historical mean; safety stock still uses the historical mean for std dev.
+ * @param {Object} [options] - { strict (throw typed errors instead of returning zeros), diagnostics (array to
+ *   append dropped values and defaults to) }; see calculateSafetyStock.
  * @returns {Object} { avgDailyDemand: number, safetyStock: number, reorderPoint: number } - Rounded; 0 for invalid/edge cases.
+ *   Variable lead time adds leadTimeMean, leadTimeStdDev and the safety stock breakdown by source.
  * Note: In real systems, reorder point triggers orders to cover demand during lead time + buffer.
  */
 // Hoist requires for reuse (clean, efficient; no cycles)
 const calculateAverageDemand = require('./calculateAverageDemand');
 const calculateSafetyStock = require('./calculateSafetyStock');
+const normalizeLeadTime = require('./normalizeLeadTime');
+const { createValidator, checkDemandHistory, checkLeadTime, checkNumber } = require('./validation/validateInputs');
+const { InvalidParameterError } = require('./validation/errors');
+
+function calculateReorderPoint(historicalDemand, leadTime, zScore = 1.65, avgDemand, options) {
+  // Inputs are checked once here (the helpers below run without options, so nothing is reported twice)
+  const validator = createValidator(options);
+  const outcome = 'reorder point defaults to 0';
+  checkDemandHistory(historicalDemand, validator, { outcome });
+  checkLeadTime(leadTime, validator, { fallback: 0, outcome });
+  checkNumber(zScore, validator, { field: 'zScore', ErrorClass: InvalidParameterError, min: 0, fallback: 0, outcome });
 
-function calculateReorderPoint(historicalDemand, leadTime, zScore = 1.65) {
   // Defensive validation for consistency with other utilities (return safe defaults)
   // Reuses downstream funcs' defensiveness too
+  const leadTimeModel = normalizeLeadTime(leadTime);
   if (!Array.isArray(historicalDemand) || historicalDemand.length === 0 ||
-      typeof leadTime !== 'number' || leadTime < 0 ||
-      typeof zScore !== 'number' || zScore < 0) {
+      leadTimeModel === null ||
+      typeof zScore !== 'number' || !(zScore >= 0)) {  // !(z >= 0) also rejects NaN
     return { avgDailyDemand: 0, safetyStock: 0, reorderPoint: 0 };
   }
 
   // Reuse existing logic to avoid duplication:
   // - Avg demand from dedicated util
-  const avgDailyDemand = calculateAverageDemand(historicalDemand);
-  // - Safety stock (pass avgDailyDemand for its internal optimization/reuse)
-  const { safetyStock } = calculateSafetyStock(historicalDemand, leadTime, zScore, avgDailyDemand);
+  const historicalMean = calculateAverageDemand(historicalDemand);
+  // - Safety stock (pass historical mean for its internal optimization/reuse)
+  // (original leadTime passed through so variable lead times get the combined formula)
+  const buffer = calculateSafetyStock(historicalDemand, leadTime, zScore, historicalMean);
+  const { safetyStock } = buffer;
+  // - Lead-time demand rate: forecast rate when provided (pluggable models), else historical mean
+  const avgDailyDemand = typeof avgDemand === 'number' && avgDemand >= 0 ? avgDemand : historicalMean;
 
   // Core formula: expected demand during lead time + safety buffer
   // (ensures reorder arrives just as stock hits safety level)
-  const reorderPoint = avgDailyDemand * leadTime + safetyStock;
+  // (variable lead time: expected demand over the average lead time)
+  const reorderPoint = avgDailyDemand * leadTimeModel.mean + safetyStock;
 
   // Round for consistency/readability with other outputs (e.g., safetyStock)
-  return {
+  const result = {
     avgDailyDemand: Number(avgDailyDemand.toFixed(2)),
     safetyStock,
     reorderPoint: Number(reorderPoint.toFixed(2))
   };
+  if (leadTimeModel.variable) {
+    result.leadTimeMean = buffer.leadTimeMean;
+    result.leadTimeStdDev = buffer.leadTimeStdDev;
+    result.breakdown = buffer.breakdown;
+  }
+  return result;
 }
 
 module.exports = calculateReorderPoint;
@@ -4,18 +4,37 @@
  * Safety stock = Z * DemandStdDev * sqrt(LeadTime), where Z is service level factor (default 1.65 for ~95% service).
  * Optimized to reuse pre-computed avg demand (from calculateAverageDemand) when provided, avoiding redundant mean calc.
  * This extends short-term estimation without breaking existing APIs/standalone use.
+ * Variable lead times (observed history or { mean, stdDev }; see normalizeLeadTime) use the combined formula
+ * Safety stock = Z * sqrt(LeadTimeMean * DemandStdDev² + AvgDemand² * LeadTimeStdDev²), and the result
+ * adds a breakdown of how much buffer each source of uncertainty contributes (allocated by variance share).
  * @param {number[]} historicalDemand - Array of historical daily demand values.
- * @param {number} leadTime - Supplier lead time in days.
+ * @param {number|number[]|Object} leadTime - Supplier lead time in days (fixed number, observed lead times, or { mean, stdDev }).
  * @param {number} [zScore=1.65] - Optional Z-score for service level (e.g., 1.28 for 90%, 2.33 for 99%).
  * @param {number} [avgDemand] - Optional pre-computed avg daily demand (for reuse/optimization; computed internally if omitted/invalid).
+ * @param {Object} [options] - { strict (throw InvalidDemandError / InvalidLeadTimeError / InvalidParameterError
+ *   instead of returning zeros), diagnostics (array to append dropped values and defaults to) }.
  * @returns {Object} { demandStdDev: number, safetyStock: number } - Rounded for readability; 0 for invalid/edge cases.
+ *   Variable lead time adds: leadTimeMean, leadTimeStdDev, breakdown { demandVariance, leadTimeVariance,
+ *   demandShare, leadTimeShare, demandSafetyStock, leadTimeSafetyStock }.
  */
-function calculateSafetyStock(historicalDemand, leadTime, zScore = 1.65, avgDemand) {
+// Hoist require for reuse (lead-time input normalization shared with calculateReorderPoint)
+const normalizeLeadTime = require('./normalizeLeadTime');
+const { createValidator, checkDemandHistory, checkLeadTime, checkNumber } = require('./validation/validateInputs');
+const { InvalidParameterError } = require('./validation/errors');
+
+function calculateSafetyStock(historicalDemand, leadTime, zScore = 1.65, avgDemand, options) {
+  const validator = createValidator(options);
+  const outcome = 'safety stock defaults to 0';
+  checkDemandHistory(historicalDemand, validator, { outcome });
+  checkLeadTime(leadTime, validator, { fallback: 0, outcome });
+  checkNumber(zScore, validator, { field: 'zScore', ErrorClass: InvalidParameterError, min: 0, fallback: 0, outcome });
+
   // Defensive validation for consistency with other utilities (return safe defaults)
+  const leadTimeModel = normalizeLeadTime(leadTime);
   if (!Array.isArray(historicalDemand) || historicalDemand.length === 0 ||
-      typeof leadTime !== 'number' || leadTime < 0 ||
+      leadTimeModel === null ||
       // Note: zScore (renamed from serviceLevelZ) checked below; avgDemand optional so no strict check
-      typeof zScore !== 'number' || zScore < 0) {
+      typeof zScore !== 'number' || !(zScore >= 0)) {  // !(z >= 0) also rejects NaN
     return { demandStdDev: 0, safetyStock: 0 };
   }
 
@@ -49,7 +68,10 @@ function calculateSafetyStock(historicalDemand, leadTime, zScore = 1.65, avgDema
   // Step 3: Safety stock formula
   // sqrt(leadTime) accounts for variability over lead time period
   // (uses renamed zScore param for standard statistical naming)
-  const safetyStock = zScore * demandStdDev * Math.sqrt(leadTime);
+  if (leadTimeModel.variable) {
+    return combinedSafetyStock(demandStdDev, mean, leadTimeModel, zScore);
+  }
+  const safetyStock = zScore * demandStdDev * Math.sqrt(leadTimeModel.mean);
 
   // Round for consistency/readability with other outputs (e.g., avgDailyDemand)
   return {
@@ -58,4 +80,32 @@ function calculateSafetyStock(historicalDemand, leadTime, zScore = 1.65, avgDema
   };
 }
 
+// Combined demand + lead-time uncertainty: variances add over the (random) lead time
+// - demand side: L̄ * σd² (daily noise accumulated over the average lead time)
+// - lead-time side: d̄² * σL² (each extra day of delay consumes a full day of average demand)
+function combinedSafetyStock(demandStdDev, avgDemand, leadTimeModel, zScore) {
+  const demandVariance = leadTimeModel.mean * demandStdDev * demandStdDev;
+  const leadTimeVariance = avgDemand * avgDemand * leadTimeModel.stdDev * leadTimeModel.stdDev;
+  const totalVariance = demandVariance + leadTimeVariance;
+  const safetyStock = zScore * Math.sqrt(totalVariance);
+  const demandShare = totalVariance > 0 ? demandVariance / totalVariance : 0;
+  const leadTimeShare = totalVariance > 0 ? leadTimeVariance / totalVariance : 0;
+
+  return {
+    demandStdDev: Number(demandStdDev.toFixed(2)),
+    safetyStock: Number(safetyStock.toFixed(2)),
+    leadTimeMean: Number(leadTimeModel.mean.toFixed(2)),
+    leadTimeStdDev: Number(leadTimeModel.stdDev.toFixed(2)),
+    breakdown: {
+      demandVariance: Number(demandVariance.toFixed(2)),
+      leadTimeVariance: Number(leadTimeVariance.toFixed(2)),
+      demandShare: Number(demandShare.toFixed(4)),
+      leadTimeShare: Number(leadTimeShare.toFixed(4)),
+      // Buffer allocated to each source by variance share (sums to safetyStock)
+      demandSafetyStock: Number((safetyStock * demandShare).toFixed(2)),
+      leadTimeSafetyStock: Number((safetyStock * leadTimeShare).toFixed(2))
+    }
+  };
+}
+
 module.exports = calculateSafetyStock;
@@ -0,0 +1,100 @@
+/**
+ * Business calendar helpers: which days the business operates (weekends/holidays excluded).
+ * A calendar is a plain config object so it can live in JSON config:
+ *   { weekendDays: [0, 6], holidays: ['2024-12-25', ...] }  (0 = Sunday ... 6 = Saturday)
+ * Used to annualize demand (business days per year instead of a hardcoded 250) and to
+ * convert supplier lead times from calendar days to selling days.
+ */
+const { toDayKey, addDays, dayOfWeek } = require('../timeseries/dayKeys');
+
+// Default: Monday-Friday, no holidays
+const DEFAULT_CALENDAR = { weekendDays: [0, 6], holidays: [] };
+
+/**
+ * Normalizes a calendar config (invalid parts fall back to the defaults).
+ * @param {Object} [calendar] - { weekendDays, holidays }.
+ * @returns {Object} { weekendDays: number[], holidays: Set<string> } - Holidays as day keys.
+ */
+function normalizeCalendar(calendar) {
+  const { weekendDays, holidays } = calendar && typeof calendar === 'object' ? calendar : {};
+  return {
+    weekendDays: Array.isArray(weekendDays)
+      ? weekendDays.filter(d => Number.isInteger(d) && d >= 0 && d <= 6)
+      : DEFAULT_CALENDAR.weekendDays,
+    holidays: new Set((Array.isArray(holidays) ? holidays : []).map(toDayKey).filter(Boolean))
+  };
+}
+
+/**
+ * Checks whether a day is a business day under the calendar.
+ * @param {string|Date} date - Day to check.
+ * @param {Object} [calendar] - { weekendDays, holidays }.
+ * @returns {boolean} False for weekends, holidays and invalid dates.
+ */
+function isBusinessDay(date, calendar) {
+  const key = toDayKey(date);
+  if (key === null) {
+    return false;
+  }
+  const { weekendDays, holidays } = normalizeCalendar(calendar);
+  return !weekendDays.includes(dayOfWeek(key)) && !holidays.has(key);
+}
+
+/**
+ * Counts business days in [start, start + days) calendar days.
+ * @param {string|Date} start - First day of the window.
+ * @param {number} days - Window length in calendar days.
+ * @param {Object} [calendar] - { weekendDays, holidays }.
+ * @returns {number} Business days in the window (0 for invalid inputs).
+ */
+function countBusinessDays(start, days, calendar) {
+  const key = toDayKey(start);
+  if (key === null || typeof days !== 'number' || days <= 0) {
+    return 0;
+  }
+  const normalized = normalizeCalendar(calendar);
+  let count = 0;
+  for (let i = 0; i < Math.floor(days); i++) {
+    const day = addDays(key, i);
+    if (!normalized.weekendDays.includes(dayOfWeek(day)) && !normalized.holidays.has(day)) {
+      count++;
+    }
+  }
+  return count;
+}
+
+/**
+ * Business days in the year starting at `start` (365 calendar days), used to annualize demand.
+ * @param {Object} [calendar] - { weekendDays, holidays }.
+ * @param {string|Date} [start] - First day of the year window (default today).
+ * @returns {number} Business days per year (e.g., 261 for Mon-Fri without holidays).
+ */
+function businessDaysPerYear(calendar, start = new Date()) {
+  return countBusinessDays(start, 365, calendar);
+}
+
+/**
+ * Adds business days to a date (skips weekends/holidays), e.g. for lead times quoted in business days.
+ * @param {string|Date} start - Starting day (not counted).
+ * @param {number} days - Business days to add (>= 0).
+ * @param {Object} [calendar] - { weekendDays, holidays }.
+ * @returns {string|null} Resulting day key, or null for invalid inputs / calendars with no business days.
+ */
+function addBusinessDays(start, days, calendar) {
+  const key = toDayKey(start);
+  const normalized = normalizeCalendar(calendar);
+  if (key === null || typeof days !== 'number' || days < 0 || normalized.weekendDays.length >= 7) {
+    return null;
+  }
+  let current = key;
+  let remaining = Math.ceil(days);
+  while (remaining > 0) {
+    current = addDays(current, 1);
+    if (!normalized.weekendDays.includes(dayOfWeek(current)) && !normalized.holidays.has(current)) {
+      remaining--;
+    }
+  }
+  return current;
+}
+
+module.exports = { DEFAULT_CALENDAR, normalizeCalendar, isBusinessDay, countBusinessDays, businessDaysPerYear, addBusinessDays };
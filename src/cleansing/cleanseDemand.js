@@ -0,0 +1,79 @@
+/**
+ * Cleanses a demand history before forecasting:
+ *   1. Censored days: where on-hand stock was 0, recorded sales understate true demand, so these days
+ *      are excluded from outlier detection and later imputed (max of the recorded sales and the
+ *      mean of the uncensored, cleansed days) instead of counting as genuine zero sales.
+ *   2. Outliers (detectOutliers) among uncensored days are capped at the crossed bound ('cap', default)
+ *      or dropped ('remove'). For intermittent or lumpy demand (classifyDemandPattern) only the non-zero demand
+ *      sizes are tested: with mostly zero days the quartiles / medians are 0 and every sale would look unusual.
+ * Invalid entries (non-numbers, negatives) are dropped, like calculateAverageDemand.
+ * @param {number[]} historicalDemand - Array of historical daily demand values.
+ * @param {Object} [options] - { method, threshold, window (see detectOutliers), strategy: 'cap' | 'remove',
+ *   onHand: number[] (end-of-day stock aligned with historicalDemand; <= 0 marks a stockout day) }.
+ *   Pass method: 'none' to only correct censored demand.
+ * @returns {Object} { demand: number[], outliers: [{ index, value, replacement }], censored: [{ index, value, imputed }] }
+ *   - index refers to the position in historicalDemand; replacement is null for removed points.
+ */
+const { detectOutliers } = require('./detectOutliers');
+const { classifyDemandPattern, DEMAND_PATTERNS } = require('../intermittent/classifyDemandPattern');
+
+const STRATEGIES = ['cap', 'remove'];
+
+function cleanseDemand(historicalDemand, options = {}) {
+  const opts = options && typeof options === 'object' ? options : {};
+  const { method, strategy = 'cap', onHand } = opts;
+  if (!Array.isArray(historicalDemand)) {
+    return { demand: [], outliers: [], censored: [] };
+  }
+  const mode = STRATEGIES.includes(strategy) ? strategy : 'cap';
+
+  // Keep original positions so reports point at the caller's data
+  const points = [];
+  historicalDemand.forEach((value, index) => {
+    if (typeof value === 'number' && value >= 0) {
+      const stock = Array.isArray(onHand) ? onHand[index] : undefined;
+      points.push({ index, value, censored: typeof stock === 'number' && stock <= 0 });
+    }
+  });
+
+  // Outliers are judged on uncensored days only (stockout zeros would look like low outliers),
+  // and on the demand sizes alone when most days have no demand (zero days are never outliers there)
+  const uncensored = points.filter(p => !p.censored);
+  const { pattern } = classifyDemandPattern(uncensored.map(p => p.value));
+  const sparse = pattern === DEMAND_PATTERNS.INTERMITTENT || pattern === DEMAND_PATTERNS.LUMPY;
+  const candidates = sparse ? uncensored.filter(p => p.value > 0) : uncensored;
+  const flagged = method === 'none'
+    ? []
+    : detectOutliers(candidates.map(p => p.value), opts);
+
+  const outliers = [];
+  const removed = new Set();
+  flagged.forEach(({ index, value, lower, upper }) => {
+    const point = candidates[index];
+    if (mode === 'remove') {
+      removed.add(point.index);
+      outliers.push({ index: point.index, value, replacement: null });
+    } else {
+      point.value = value > upper ? upper : lower;
+      outliers.push({ index: point.index, value, replacement: point.value });
+    }
+  });
+
+  // Impute censored days from the cleansed uncensored mean
+  const kept = uncensored.filter(p => !removed.has(p.index));
+  const baseline = kept.length > 0 ? kept.reduce((acc, p) => acc + p.value, 0) / kept.length : 0;
+  const censored = [];
+  points.filter(p => p.censored).forEach(point => {
+    const imputed = Number(Math.max(point.value, baseline).toFixed(2));
+    censored.push({ index: point.index, value: point.value, imputed });
+    point.value = imputed;
+  });
+
+  return {
+    demand: points.filter(p => !removed.has(p.index)).map(p => p.value),
+    outliers,
+    censored
+  };
+}
+
+module.exports = cleanseDemand;
@@ -0,0 +1,88 @@
+/**
+ * Detects demand outliers (e.g., a one-off bulk order) with one of three methods:
+ *   - 'iqr' (default): outside [Q1 - k * IQR, Q3 + k * IQR], k = threshold (default 1.5)
+ *   - 'hampel': outside rolling median ± t * 1.4826 * MAD over a centered window, t = threshold (default 3)
+ *     (robust to trends/level shifts because bounds are local; a window with no spread, MAD = 0, flags nothing,
+ *     since a flat stretch gives no scale to judge a real sale against)
+ *   - 'zscore': |x - mean| / stdDev > threshold (default 3)
+ * Each outlier comes with the bound it crossed, so callers can cap it there.
+ * @param {number[]} values - Demand values (already validated, non-negative numbers).
+ * @param {Object} [options] - { method: 'iqr' | 'hampel' | 'zscore', threshold, window (Hampel half-width, default 3) }.
+ * @returns {Object[]} [{ index, value, lower, upper }] - Positions within `values`; empty when none/invalid.
+ */
+
+// Enum-like const for outlier methods
+const OUTLIER_METHODS = {
+  IQR: 'iqr',
+  HAMPEL: 'hampel',
+  ZSCORE: 'zscore'
+};
+
+const DEFAULT_THRESHOLDS = { iqr: 1.5, hampel: 3, zscore: 3 };
+
+// Linear-interpolated quantile of a sorted array (same as spreadsheet PERCENTILE.INC)
+function quantile(sorted, q) {
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+function median(values) {
+  return quantile([...values].sort((a, b) => a - b), 0.5);
+}
+
+// Fixed bounds for the whole series (IQR / z-score)
+function globalBounds(values, method, threshold) {
+  if (method === OUTLIER_METHODS.ZSCORE) {
+    const n = values.length;
+    const mean = values.reduce((acc, v) => acc + v, 0) / n;
+    const sd = n > 1 ? Math.sqrt(values.reduce((acc, v) => acc + Math.pow(v - mean, 2), 0) / (n - 1)) : 0;
+    return { lower: mean - threshold * sd, upper: mean + threshold * sd };
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const q1 = quantile(sorted, 0.25);
+  const q3 = quantile(sorted, 0.75);
+  const iqr = q3 - q1;
+  return { lower: q1 - threshold * iqr, upper: q3 + threshold * iqr };
+}
+
+function detectOutliers(values, options = {}) {
+  const { method = OUTLIER_METHODS.IQR, threshold, window = 3 } = options || {};
+  if (!Array.isArray(values) || values.length < 3) {
+    return [];  // Too few points to call anything unusual
+  }
+  const mode = Object.values(OUTLIER_METHODS).includes(method) ? method : OUTLIER_METHODS.IQR;
+  const t = typeof threshold === 'number' && threshold > 0 ? threshold : DEFAULT_THRESHOLDS[mode];
+
+  // Bounds per point: rolling for Hampel, shared otherwise
+  let boundsAt;
+  if (mode === OUTLIER_METHODS.HAMPEL) {
+    const half = Number.isInteger(window) && window >= 1 ? window : 3;
+    boundsAt = i => {
+      const slice = values.slice(Math.max(0, i - half), i + half + 1);
+      const med = median(slice);
+      const mad = 1.4826 * median(slice.map(v => Math.abs(v - med)));
+      return mad > 0 ? { lower: med - t * mad, upper: med + t * mad } : { lower: -Infinity, upper: Infinity };
+    };
+  } else {
+    const bounds = globalBounds(values, mode, t);
+    boundsAt = () => bounds;
+  }
+
+  const outliers = [];
+  values.forEach((value, index) => {
+    const { lower, upper } = boundsAt(index);
+    if (value < lower || value > upper) {
+      outliers.push({
+        index,
+        value,
+        lower: Number(Math.max(0, lower).toFixed(2)),  // Demand cannot be negative
+        upper: Number(upper.toFixed(2))
+      });
+    }
+  });
+  return outliers;
+}
+
+module.exports = { detectOutliers, OUTLIER_METHODS };
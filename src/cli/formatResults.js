@@ -0,0 +1,64 @@
+/**
+ * Output formatting for the inventory-forecast CLI.
+ *   - 'table': aligned terminal table of the key decision fields (numbers right-aligned) plus a one-line total
+ *   - 'csv': the same columns with machine-friendly headers (RFC 4180 quoting)
+ *   - 'json': the full calculateInventoryForecast output per SKU ({ sku, ...forecast })
+ * @param {Object[]} results - [{ sku, currentStock, forecast }] (forecast = calculateInventoryForecast output).
+ * @param {string} format - OUTPUT_FORMATS value ('table' default).
+ * @returns {string} Formatted text ending with a newline.
+ */
+const { OUTPUT_FORMATS } = require('./parseCliArgs');
+
+// Columns shared by the table and CSV outputs (header = table title, key = CSV header)
+const RESULT_COLUMNS = [
+  { key: 'sku', header: 'SKU', value: r => r.sku },
+  { key: 'currentStock', header: 'Stock', value: r => r.currentStock },
+  { key: 'avgDailyDemand', header: 'Avg/day', value: r => r.forecast.avgDailyDemand },
+  { key: 'daysRemaining', header: 'Days left', value: r => r.forecast.daysRemaining },
+  { key: 'riskLevel', header: 'Risk', value: r => r.forecast.riskLevel },
+  { key: 'stockoutProbability', header: 'P(stockout)', value: r => r.forecast.stockoutRisk.probability },
+  { key: 'safetyStock', header: 'Safety stock', value: r => r.forecast.safetyStock },
+  { key: 'reorderPoint', header: 'Reorder point', value: r => r.forecast.reorderPoint },
+  { key: 'eoq', header: 'EOQ', value: r => r.forecast.eoq },
+  { key: 'recommendation', header: 'Recommendation', value: r => r.forecast.recommendation }
+];
+
+const display = value => (value === undefined || value === null ? '' : String(value));
+
+function formatTable(results) {
+  const rows = results.map(r => RESULT_COLUMNS.map(column => column.value(r)));
+  const widths = RESULT_COLUMNS.map((column, i) =>
+    Math.max(column.header.length, ...rows.map(row => display(row[i]).length)));
+  const line = cells => cells
+    .map((cell, i) => (typeof cell === 'number' ? display(cell).padStart(widths[i]) : display(cell).padEnd(widths[i])))
+    .join('  ')
+    .trimEnd();
+  const separator = widths.map(w => '-'.repeat(w)).join('  ');
+  const total = `${results.length} SKU${results.length === 1 ? '' : 's'}`;
+  return [line(RESULT_COLUMNS.map(c => c.header)), separator, ...rows.map(line), '', total].join('\n') + '\n';
+}
+
+// Quotes fields containing commas, quotes or line breaks
+const csvField = value => {
+  const text = display(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+function formatCsv(results) {
+  const lines = [RESULT_COLUMNS.map(c => c.key).join(',')];
+  results.forEach(r => lines.push(RESULT_COLUMNS.map(c => csvField(c.value(r))).join(',')));
+  return lines.join('\n') + '\n';
+}
+
+function formatResults(results, format) {
+  const list = Array.isArray(results) ? results : [];
+  if (format === OUTPUT_FORMATS.JSON) {
+    return JSON.stringify(list.map(r => ({ sku: r.sku, ...r.forecast })), null, 2) + '\n';
+  }
+  if (format === OUTPUT_FORMATS.CSV) {
+    return formatCsv(list);
+  }
+  return formatTable(list);
+}
+
+module.exports = { formatResults, RESULT_COLUMNS };
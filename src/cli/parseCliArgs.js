@@ -0,0 +1,152 @@
+/**
+ * Command-line argument parser for the inventory-forecast CLI (no dependencies).
+ * Accepts `--flag value`, `--flag=value` and the short aliases in CLI_FLAGS; the first non-flag argument is the
+ * input file ('-' reads stdin). Numeric and enumerated flags (e.g., --method) are validated here so a typo fails the
+ * run instead of silently falling back to library defaults.
+ * Forecast flags (--z-score, --service-level, --order-cost, ...) override the values in the input file for every SKU.
+ * @param {string[]} argv - Arguments after the executable and script (process.argv.slice(2)).
+ * @returns {Object} { file, format, inputFormat, profilesFile, risk (levels to show), reorderOnly, failOn, overrides
+ *   ({ zScore, orderCost, holdingCost, options: { serviceLevel, fillRate, method, riskModel, profile } }), help, errors } -
+ *   errors lists usage problems (empty when the arguments are valid).
+ */
+const { RISK_LEVELS } = require('../detectStockoutRisk');
+const { FORECAST_METHODS } = require('../forecasting/forecastDemand');
+const { AUTO_METHOD } = require('../backtesting/selectForecastModel');
+
+// Enum-like const for output formats
+const OUTPUT_FORMATS = {
+  TABLE: 'table',
+  JSON: 'json',
+  CSV: 'csv'
+};
+
+// Enum-like const for input formats (detected from the file extension when not given)
+const INPUT_FORMATS = {
+  CSV: 'csv',
+  JSON: 'json'
+};
+
+// Flag → { key, type, alias }; numbers go to overrides (top-level arguments or forecast options)
+const CLI_FLAGS = {
+  '--format': { key: 'format', type: 'string', alias: '-f' },
+  '--input-format': { key: 'inputFormat', type: 'string' },
+  '--risk': { key: 'risk', type: 'list', alias: '-r' },
+  '--reorder-only': { key: 'reorderOnly', type: 'boolean' },
+  '--fail-on': { key: 'failOn', type: 'string' },
+  '--z-score': { key: 'zScore', type: 'number', alias: '-z' },
+  '--service-level': { key: 'serviceLevel', type: 'probability', option: true },
+  '--fill-rate': { key: 'fillRate', type: 'probability', option: true },
+  '--order-cost': { key: 'orderCost', type: 'number' },
+  '--holding-cost': { key: 'holdingCost', type: 'number' },
+  '--method': { key: 'method', type: 'string', option: true },
+  '--risk-model': { key: 'riskModel', type: 'string', option: true },
+  '--profiles': { key: 'profilesFile', type: 'text' },
+  '--profile': { key: 'profile', type: 'text', option: true },
+  '--help': { key: 'help', type: 'boolean', alias: '-h' }
+};
+
+const ALIASES = Object.keys(CLI_FLAGS).reduce((acc, flag) => {
+  if (CLI_FLAGS[flag].alias) acc[CLI_FLAGS[flag].alias] = flag;
+  return acc;
+}, {});
+
+// Converts a raw flag value by type; returns undefined when invalid
+function convertValue(type, raw) {
+  if (type === 'number' || type === 'probability') {
+    const value = Number(raw);
+    if (raw === '' || !Number.isFinite(value) || value < 0) return undefined;
+    if (type === 'probability' && !(value > 0 && value < 1)) return undefined;
+    return value;
+  }
+  if (type === 'list') {
+    const items = String(raw).split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+    return items.length > 0 ? items : undefined;
+  }
+  if (type === 'text') {
+    return raw === '' ? undefined : String(raw);  // Case kept (file paths, profile names)
+  }
+  return raw === '' ? undefined : String(raw).toLowerCase();
+}
+
+function parseCliArgs(argv) {
+  const args = Array.isArray(argv) ? argv.map(String) : [];
+  const parsed = {
+    file: null,
+    format: OUTPUT_FORMATS.TABLE,
+    inputFormat: null,
+    profilesFile: null,
+    risk: null,
+    reorderOnly: false,
+    failOn: RISK_LEVELS.HIGH,
+    overrides: { options: {} },
+    help: false,
+    errors: []
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith('-') || arg === '-') {
+      if (parsed.file === null) {
+        parsed.file = arg;
+      } else {
+        parsed.errors.push(`Unexpected argument: ${arg}`);
+      }
+      continue;
+    }
+
+    const [name, inline] = arg.includes('=') ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)] : [arg, undefined];
+    const flag = CLI_FLAGS[name] ? name : ALIASES[name];
+    if (!flag) {
+      parsed.errors.push(`Unknown option: ${name}`);
+      continue;
+    }
+    const spec = CLI_FLAGS[flag];
+    if (spec.type === 'boolean') {
+      parsed[spec.key] = true;
+      continue;
+    }
+
+    const raw = inline !== undefined ? inline : args[++i];
+    if (raw === undefined) {
+      parsed.errors.push(`Missing value for ${flag}`);
+      continue;
+    }
+    const value = convertValue(spec.type, raw);
+    if (value === undefined) {
+      parsed.errors.push(`Invalid value for ${flag}: ${raw}`);
+    } else if (spec.option) {
+      parsed.overrides.options[spec.key] = value;
+    } else if (spec.type === 'number') {
+      parsed.overrides[spec.key] = value;
+    } else {
+      parsed[spec.key] = value;
+    }
+  }
+
+  // Enumerated values are checked once all flags are read
+  const levels = Object.values(RISK_LEVELS);
+  const methods = [...Object.values(FORECAST_METHODS), AUTO_METHOD];
+  if (!Object.values(OUTPUT_FORMATS).includes(parsed.format)) {
+    parsed.errors.push(`Invalid value for --format: ${parsed.format} (expected ${Object.values(OUTPUT_FORMATS).join(', ')})`);
+  }
+  if (parsed.inputFormat !== null && !Object.values(INPUT_FORMATS).includes(parsed.inputFormat)) {
+    parsed.errors.push(`Invalid value for --input-format: ${parsed.inputFormat} (expected ${Object.values(INPUT_FORMATS).join(', ')})`);
+  }
+  const { method } = parsed.overrides.options;
+  if (method !== undefined && !methods.includes(method)) {
+    parsed.errors.push(`Invalid value for --method: ${method} (expected ${methods.join(', ')})`);
+  }
+  (parsed.risk || []).filter(level => !levels.includes(level)).forEach(level => {
+    parsed.errors.push(`Invalid value for --risk: ${level} (expected ${levels.join(', ')})`);
+  });
+  if (!levels.includes(parsed.failOn) && parsed.failOn !== 'none') {
+    parsed.errors.push(`Invalid value for --fail-on: ${parsed.failOn} (expected ${levels.join(', ')}, none)`);
+  }
+  if (!parsed.help && parsed.file === null) {
+    parsed.errors.push('Missing input file');
+  }
+
+  return parsed;
+}
+
+module.exports = { parseCliArgs, CLI_FLAGS, OUTPUT_FORMATS, INPUT_FORMATS };
@@ -0,0 +1,187 @@
+/**
+ * Parses the CLI input file (CSV or JSON) into one calculateInventoryForecast input per SKU.
+ * JSON: an array of SKU objects (or { skus: [...] }); history may be numbers or dated records [{ date, quantity }],
+ * and an `options` object is passed through to the forecast as is.
+ * CSV: a header row plus one row per SKU; the history column holds the daily demand separated by ';', ',', '|' or
+ * spaces (e.g., "10;12;15"), and the lead time may list observed lead times the same way ("7;9;12").
+ * Column/key names are matched case-insensitively, ignoring '_', '-' and spaces (lead_time, Lead Time, leadTime),
+ * with a few aliases (demand/historicalDemand → history, stock → currentStock, id → sku).
+ * @param {string} text - File contents.
+ * @param {string} format - 'csv' | 'json' (INPUT_FORMATS).
+ * @returns {Object} { skus: [{ sku, historicalDemand, currentStock, leadTime, zScore, orderCost, holdingCost, options }],
+ *   warnings: string[], error: string | null } - error is set (and skus empty) when the file cannot be parsed;
+ *   warnings flag SKUs without usable demand history (their forecast falls back to the library's safe defaults).
+ */
+const { INPUT_FORMATS } = require('./parseCliArgs');
+
+// Normalized column name → forecast argument
+const ARGUMENT_FIELDS = {
+  sku: 'sku',
+  id: 'sku',
+  item: 'sku',
+  history: 'historicalDemand',
+  demand: 'historicalDemand',
+  historicaldemand: 'historicalDemand',
+  stock: 'currentStock',
+  currentstock: 'currentStock',
+  leadtime: 'leadTime',
+  zscore: 'zScore',
+  ordercost: 'orderCost',
+  holdingcost: 'holdingCost'
+};
+
+// Normalized column name → forecast option (numbers unless listed in STRING_OPTIONS)
+const OPTION_FIELDS = {
+  servicelevel: 'serviceLevel',
+  fillrate: 'fillRate',
+  method: 'method',
+  policy: 'policy',
+  reviewperiod: 'reviewPeriod',
+  riskmodel: 'riskModel',
+  backorders: 'backorders',
+  allocated: 'allocated',
+  daysperyear: 'daysPerYear',
+  profile: 'profile'
+};
+const STRING_OPTIONS = ['method', 'policy', 'riskModel', 'profile'];
+const NUMBER_FIELDS = ['currentStock', 'zScore', 'orderCost', 'holdingCost'];
+
+const normalizeKey = key => String(key).toLowerCase().replace(/[\s_-]/g, '');
+
+// "10;12;15" or "10,12,15" → [10, 12, 15] (arrays and numbers pass through)
+function toNumberList(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'number') return [value];
+  if (typeof value !== 'string' || value.trim() === '') return undefined;
+  return value.trim().split(/[;|,\s]+/).map(Number);
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string' || value.trim() === '') return undefined;
+  return Number(value);
+}
+
+// Single lead time → number; several → observed lead times; objects ({ mean, stdDev }) pass through
+function toLeadTime(value) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) return value;
+  const list = toNumberList(value);
+  if (list === undefined) return undefined;
+  return list.length === 1 ? list[0] : list;
+}
+
+/**
+ * Minimal RFC 4180 CSV parser: quoted fields may contain commas, newlines and doubled quotes ("").
+ * @param {string} text - CSV text (a leading byte order mark is ignored).
+ * @returns {string[][]} Rows of fields (blank lines skipped).
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = String(text).replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// Raw record (CSV row object or JSON object) → forecast inputs
+function toSkuInput(record, index) {
+  const input = { sku: `SKU-${index + 1}`, options: {} };
+  Object.keys(record).forEach(key => {
+    const value = record[key];
+    const normalized = normalizeKey(key);
+    if (normalized === 'options' && value && typeof value === 'object') {
+      input.options = { ...input.options, ...value };
+    } else if (ARGUMENT_FIELDS[normalized]) {
+      const field = ARGUMENT_FIELDS[normalized];
+      if (field === 'sku') {
+        if (value !== undefined && String(value).trim() !== '') input.sku = String(value).trim();
+      } else if (field === 'historicalDemand') {
+        input.historicalDemand = toNumberList(value);
+      } else if (field === 'leadTime') {
+        input.leadTime = toLeadTime(value);
+      } else {
+        input[field] = toNumber(value);
+      }
+    } else if (OPTION_FIELDS[normalized]) {
+      const option = OPTION_FIELDS[normalized];
+      const converted = STRING_OPTIONS.includes(option)
+        ? (typeof value === 'string' && value.trim() !== '' ? value.trim() : undefined)
+        : toNumber(value);
+      if (converted !== undefined) input.options[option] = converted;
+    }
+  });
+  // Empty CSV cells stay unset so calculateInventoryForecast applies its defaults
+  NUMBER_FIELDS.forEach(field => {
+    if (input[field] === undefined) delete input[field];
+  });
+  return input;
+}
+
+// Usable history: at least one non-negative number or dated record
+function hasHistory(history) {
+  return Array.isArray(history) && history.some(d =>
+    (typeof d === 'number' && d >= 0) || (d && typeof d === 'object' && d.date !== undefined));
+}
+
+function parseSkuFile(text, format) {
+  let records;
+  if (format === INPUT_FORMATS.JSON) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      return { skus: [], warnings: [], error: `Invalid JSON: ${err.message}` };
+    }
+    records = Array.isArray(data) ? data : data && Array.isArray(data.skus) ? data.skus : null;
+    if (records === null) {
+      return { skus: [], warnings: [], error: 'JSON input must be an array of SKUs or { "skus": [...] }' };
+    }
+    records = records.filter(r => r && typeof r === 'object');
+  } else {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) {
+      return { skus: [], warnings: [], error: 'CSV input is empty' };
+    }
+    records = rows.map(row => header.reduce((acc, column, i) => {
+      acc[column.trim()] = row[i] !== undefined ? row[i] : '';
+      return acc;
+    }, {}));
+  }
+
+  const skus = records.map(toSkuInput);
+  const warnings = skus
+    .filter(s => !hasHistory(s.historicalDemand))
+    .map(s => `${s.sku}: no demand history (forecast uses safe defaults)`);
+  return { skus, warnings, error: null };
+}
+
+module.exports = { parseSkuFile, parseCsv };
@@ -0,0 +1,192 @@
+/**
+ * inventory-forecast CLI: batch forecasting for a CSV/JSON file of SKUs (see bin/inventory-forecast.js).
+ * Each SKU runs through calculateInventoryForecast with its own history, stock, lead time and costs; flags
+ * (--z-score, --service-level, --fill-rate, --order-cost, --holding-cost, --method, --risk-model) override the file.
+ * A service-level flag replaces every service target in the file (e.g., --z-score drops a per-SKU serviceLevel).
+ * --profiles loads named configuration profiles (loadProfiles) that SKUs select with a profile column/key (or all
+ * SKUs with --profile); a profile's settings sit under the file's values and the flags.
+ * Results are filtered for display (--risk, --reorder-only) but the exit code always covers every SKU:
+ *   0 (EXIT_CODES.OK) no SKU at or above the --fail-on risk level (default 'high'; 'none' disables),
+ *   1 (EXIT_CODES.ERROR) usage or input errors (including typed errors from SKUs forecast in strict mode),
+ *   2 (EXIT_CODES.AT_RISK) at least one SKU at or above it,
+ * so cron jobs can alert on a non-zero exit.
+ * I/O is injected (defaults: fs + process streams) so the runner is testable without spawning a process.
+ * @param {string[]} argv - Arguments after the executable and script (process.argv.slice(2)).
+ * @param {Object} [io] - { readFile(path) → string, readStdin() → string, stdout(text), stderr(text) }.
+ * @returns {number} Exit code (EXIT_CODES).
+ */
+const fs = require('fs');
+const path = require('path');
+const { RISK_LEVELS } = require('../detectStockoutRisk');
+const { calculateInventoryForecast, loadProfiles } = require('../index');
+const { InventoryInputError } = require('../validation/errors');
+const { parseCliArgs, INPUT_FORMATS } = require('./parseCliArgs');
+const { parseSkuFile } = require('./parseSkuFile');
+const { formatResults } = require('./formatResults');
+
+// Enum-like const for process exit codes
+const EXIT_CODES = {
+  OK: 0,
+  ERROR: 1,
+  AT_RISK: 2
+};
+
+// Risk levels from least to most severe (for --fail-on thresholds)
+const RISK_SEVERITY = [
+  RISK_LEVELS.LOW,
+  RISK_LEVELS.MEDIUM,
+  RISK_LEVELS.HIGH,
+  RISK_LEVELS.CRITICAL,
+  RISK_LEVELS.OUT_OF_STOCK
+];
+
+const SERVICE_TARGETS = ['serviceLevel', 'fillRate'];
+const MONITOR_RECOMMENDATION = 'Monitor stock levels';
+
+const USAGE = `Usage: inventory-forecast <file.csv|file.json|-> [options]
+
+Runs the inventory forecast for every SKU in a CSV or JSON file.
+CSV columns: sku, history (e.g. "10;12;15"), stock, leadTime, orderCost, holdingCost
+  (optional: zScore, serviceLevel, fillRate, method, policy, reviewPeriod, riskModel, backorders, allocated,
+   daysPerYear, profile)
+
+Options:
+  -f, --format <table|json|csv>   Output format (default: table)
+      --input-format <csv|json>   Input format (default: from the file extension)
+  -r, --risk <levels>             Only show SKUs with these risk levels (comma-separated, e.g. high,critical)
+      --reorder-only              Only show SKUs that need an order or expediting
+      --fail-on <level|none>      Exit with code 2 when any SKU is at or above this risk (default: high)
+  -z, --z-score <z>               Z-score for safety stock (overrides the file)
+      --service-level <p>         Cycle service level, e.g. 0.98 (overrides the file)
+      --fill-rate <p>             Target fill rate, e.g. 0.99 (overrides the file)
+      --order-cost <cost>         Cost per order (overrides the file)
+      --holding-cost <cost>       Holding cost per unit per year (overrides the file)
+      --method <method>           Forecast method (sma, ses, holt, auto, ...)
+      --risk-model <days|probabilistic>  How the risk level is set
+      --profiles <file.json>      Named configuration profiles ({ "profiles": { "name": { settings } } })
+      --profile <name>            Profile for every SKU (overrides the file's profile column)
+  -h, --help                      Show this help
+
+Exit codes: 0 = OK, 1 = usage/input error, 2 = at least one SKU at or above the --fail-on risk.
+`;
+
+const defaultIo = {
+  readFile: file => fs.readFileSync(file, 'utf8'),
+  readStdin: () => fs.readFileSync(0, 'utf8'),
+  stdout: text => process.stdout.write(text),
+  stderr: text => process.stderr.write(text)
+};
+
+// Extension first; otherwise JSON when the content starts like JSON
+function detectInputFormat(file, text) {
+  const extension = path.extname(file).toLowerCase();
+  if (extension === '.json') return INPUT_FORMATS.JSON;
+  if (extension === '.csv') return INPUT_FORMATS.CSV;
+  return /^\s*[[{]/.test(text) ? INPUT_FORMATS.JSON : INPUT_FORMATS.CSV;
+}
+
+// File values with the command-line overrides applied (on top of the SKU's profile, if any)
+function forecastSku(sku, overrides, profiles) {
+  const options = { ...sku.options };
+  const flagTargets = SERVICE_TARGETS.filter(t => overrides.options[t] !== undefined);
+  if (overrides.zScore !== undefined || flagTargets.length > 0) {
+    SERVICE_TARGETS.forEach(t => delete options[t]);
+  }
+  const pick = key => (overrides[key] !== undefined ? overrides[key] : sku[key]);
+  return calculateInventoryForecast(
+    sku.historicalDemand,
+    sku.currentStock,
+    sku.leadTime,
+    pick('zScore'),
+    pick('orderCost'),
+    pick('holdingCost'),
+    { ...options, ...overrides.options, profiles }
+  );
+}
+
+function runCli(argv, io = {}) {
+  const { readFile, readStdin, stdout, stderr } = { ...defaultIo, ...io };
+  const args = parseCliArgs(argv);
+
+  if (args.help) {
+    stdout(USAGE);
+    return EXIT_CODES.OK;
+  }
+  if (args.errors.length > 0) {
+    args.errors.forEach(message => stderr(`Error: ${message}\n`));
+    stderr('Run inventory-forecast --help for usage.\n');
+    return EXIT_CODES.ERROR;
+  }
+
+  let text;
+  try {
+    text = args.file === '-' ? readStdin() : readFile(args.file);
+  } catch (err) {
+    stderr(`Error: cannot read ${args.file === '-' ? 'stdin' : args.file}: ${err.message}\n`);
+    return EXIT_CODES.ERROR;
+  }
+
+  let profiles = {};
+  if (args.profilesFile !== null) {
+    let loaded;
+    try {
+      loaded = loadProfiles(readFile(args.profilesFile));
+    } catch (err) {
+      stderr(`Error: cannot read ${args.profilesFile}: ${err.message}\n`);
+      return EXIT_CODES.ERROR;
+    }
+    if (loaded.error) {
+      stderr(`Error: ${args.profilesFile}: ${loaded.error}\n`);
+      return EXIT_CODES.ERROR;
+    }
+    loaded.warnings.forEach(message => stderr(`Warning: ${message}\n`));
+    profiles = loaded.profiles;
+  }
+
+  const { skus, warnings, error } = parseSkuFile(text, args.inputFormat || detectInputFormat(args.file, text));
+  if (error) {
+    stderr(`Error: ${error}\n`);
+    return EXIT_CODES.ERROR;
+  }
+  warnings.forEach(message => stderr(`Warning: ${message}\n`));
+  skus.forEach(sku => {
+    const profile = args.overrides.options.profile !== undefined ? args.overrides.options.profile : sku.options.profile;
+    if (typeof profile === 'string' && !Object.prototype.hasOwnProperty.call(profiles, profile)) {
+      stderr(`Warning: ${sku.sku}: unknown profile "${profile}" (no profile applied)\n`);
+    }
+  });
+
+  // Strict mode (per SKU or from a profile) throws on bad input: report every such SKU, then fail the run
+  const results = [];
+  const failed = [];
+  skus.forEach(sku => {
+    try {
+      results.push({ sku: sku.sku, currentStock: sku.currentStock, forecast: forecastSku(sku, args.overrides, profiles) });
+    } catch (err) {
+      if (!(err instanceof InventoryInputError)) throw err;
+      failed.push(sku.sku);
+      stderr(`Error: ${sku.sku}: ${err.field ? `${err.field}: ` : ''}${err.message}\n`);
+    }
+  });
+  if (failed.length > 0) {
+    return EXIT_CODES.ERROR;
+  }
+
+  const threshold = RISK_SEVERITY.indexOf(args.failOn);
+  const atRisk = threshold === -1
+    ? []
+    : results.filter(r => RISK_SEVERITY.indexOf(r.forecast.riskLevel) >= threshold);
+
+  const shown = results.filter(r =>
+    (!args.risk || args.risk.includes(r.forecast.riskLevel)) &&
+    (!args.reorderOnly || r.forecast.recommendation !== MONITOR_RECOMMENDATION));
+  stdout(formatResults(shown, args.format));
+
+  if (atRisk.length > 0) {
+    stderr(`${atRisk.length} SKU${atRisk.length === 1 ? '' : 's'} at or above ${args.failOn} risk: ${atRisk.map(r => r.sku).join(', ')}\n`);
+    return EXIT_CODES.AT_RISK;
+  }
+  return EXIT_CODES.OK;
+}
+
+module.exports = { runCli, EXIT_CODES, RISK_SEVERITY, USAGE };
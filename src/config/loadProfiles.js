@@ -0,0 +1,81 @@
+/**
+ * Loads named configuration profiles (e.g., "perishables", "A-class", "spare parts") from JSON.
+ * A profile is a flat settings object with the same keys as the options-object form of calculateInventoryForecast
+ * (minus the SKU data): zScore, orderCost, holdingCost, leadTime and any forecast option (serviceLevel, fillRate,
+ * calendar, method, daysPerYear, policy, ...). `extends: 'name'` inherits another profile, merged with the same
+ * rules as per-SKU overrides (see mergeSettings); inheritance is resolved here, so the returned profiles are flat.
+ *   {
+ *     "profiles": {
+ *       "default":     { "serviceLevel": 0.95, "orderCost": 100, "holdingCost": 10 },
+ *       "perishables": { "extends": "default", "holdingCost": 25, "method": "ses", "calendar": { "weekendDays": [0] } },
+ *       "A-class":     { "extends": "default", "serviceLevel": 0.99 }
+ *     }
+ *   }
+ * @param {string|Object} source - JSON text, or the parsed document: { profiles: { name: settings } } or { name: settings }.
+ * @returns {Object} { profiles: { name: settings }, warnings: string[], error: string | null } - error is set (and
+ *   profiles empty) when the document cannot be parsed; warnings flag skipped profiles (not an object, unknown or
+ *   circular `extends`).
+ */
+const mergeSettings = require('./mergeSettings');
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function loadProfiles(source) {
+  let data = source;
+  if (typeof source === 'string') {
+    try {
+      data = JSON.parse(source);
+    } catch (err) {
+      return { profiles: {}, warnings: [], error: `Invalid JSON: ${err.message}` };
+    }
+  }
+  if (!isPlainObject(data)) {
+    return { profiles: {}, warnings: [], error: 'Profiles must be an object of named profiles or { "profiles": { ... } }' };
+  }
+  const raw = isPlainObject(data.profiles) ? data.profiles : data;
+
+  const warnings = [];
+  const profiles = {};
+  // Resolves one profile (and its parents) once; null when it has to be skipped
+  const resolve = (name, chain) => {
+    if (Object.prototype.hasOwnProperty.call(profiles, name)) return profiles[name];
+    const settings = raw[name];
+    if (!isPlainObject(settings)) {
+      warnings.push(`Profile "${name}" is not an object (skipped)`);
+      profiles[name] = null;
+      return null;
+    }
+    const { extends: parentName, ...own } = settings;
+    let resolved = own;
+    if (parentName !== undefined) {
+      if (chain.includes(parentName)) {
+        warnings.push(`Profile "${name}" extends itself through ${[...chain, parentName].join(' → ')} (skipped)`);
+        profiles[name] = null;
+        return null;
+      }
+      if (!Object.prototype.hasOwnProperty.call(raw, parentName)) {
+        warnings.push(`Profile "${name}" extends unknown profile "${parentName}" (skipped)`);
+        profiles[name] = null;
+        return null;
+      }
+      const parent = resolve(parentName, [...chain, parentName]);
+      if (parent === null) {
+        warnings.push(`Profile "${name}" extends skipped profile "${parentName}" (skipped)`);
+        profiles[name] = null;
+        return null;
+      }
+      resolved = mergeSettings(parent, own);
+    }
+    profiles[name] = resolved;
+    return resolved;
+  };
+  Object.keys(raw).forEach(name => resolve(name, [name]));
+
+  // Skipped profiles are left out (a SKU naming one then reports an unknown profile)
+  Object.keys(profiles).forEach(name => {
+    if (profiles[name] === null) delete profiles[name];
+  });
+  return { profiles, warnings, error: null };
+}
+
+module.exports = loadProfiles;
@@ -0,0 +1,35 @@
+/**
+ * Merges forecast settings layers (profile ← parent profile, SKU overrides ← profile): override values win, nested
+ * plain objects (calendar, orderQuantity, cleansing, plan, ...) are merged key by key, and arrays and other values
+ * are replaced. Undefined override values count as "not given" and keep the base value.
+ * Service targets are one choice: when the override sets any of zScore, serviceLevel or fillRate, the base's are
+ * dropped (e.g., a SKU's zScore replaces a profile's serviceLevel instead of losing to it).
+ * @param {Object} base - Lower layer (not modified).
+ * @param {Object} override - Upper layer.
+ * @returns {Object} New merged settings.
+ */
+
+const SERVICE_TARGETS = ['zScore', 'serviceLevel', 'fillRate'];
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function mergeObjects(base, override) {
+  const merged = { ...base };
+  Object.keys(override).forEach(key => {
+    const value = override[key];
+    if (value === undefined) return;
+    merged[key] = isPlainObject(value) && isPlainObject(merged[key]) ? mergeObjects(merged[key], value) : value;
+  });
+  return merged;
+}
+
+function mergeSettings(base, override) {
+  const lower = isPlainObject(base) ? { ...base } : {};
+  const upper = isPlainObject(override) ? override : {};
+  if (SERVICE_TARGETS.some(key => upper[key] !== undefined)) {
+    SERVICE_TARGETS.forEach(key => delete lower[key]);
+  }
+  return mergeObjects(lower, upper);
+}
+
+module.exports = mergeSettings;
@@ -0,0 +1,70 @@
+/**
+ * Options-object form of calculateInventoryForecast and per-SKU profile resolution:
+ *   calculateInventoryForecast({ historicalDemand, currentStock, leadTime, zScore, orderCost, holdingCost,
+ *     profile: 'perishables', profiles, ...options (serviceLevel, calendar, method, daysPerYear, ...) })
+ * is the positional call with the remaining keys as options. Layers, lowest first: built-in defaults (applied by
+ * calculateInventoryForecast) → profile → the SKU's own settings (merged with mergeSettings).
+ * profile is a name looked up in profiles (e.g., loadProfiles(json).profiles), or an inline settings object; either
+ * may use `extends` to build on a named profile. An unknown profile name applies no profile and is reported like
+ * other inputs (diagnostics entry, or InvalidParameterError in strict mode).
+ * @param {Object} config - Options-object settings (see above).
+ * @param {Object} [options] - { strict (throw typed errors), diagnostics (array to append diagnostics to) }.
+ * @returns {Object} { historicalDemand, currentStock, leadTime, zScore, orderCost, holdingCost (undefined when not
+ *   set by the SKU or its profile), options (all other settings), profile (name of the applied profile, or null) }.
+ */
+const mergeSettings = require('./mergeSettings');
+const loadProfiles = require('./loadProfiles');
+const { createValidator, DIAGNOSTIC_TYPES } = require('../validation/validateInputs');
+const { InvalidParameterError } = require('../validation/errors');
+
+// Positional arguments of calculateInventoryForecast (everything else is an option)
+const FORECAST_ARGUMENTS = ['historicalDemand', 'currentStock', 'leadTime', 'zScore', 'orderCost', 'holdingCost'];
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// A plain object in the historicalDemand position selects the options-object form (demand history is an array)
+const isForecastConfig = value => isPlainObject(value);
+
+function resolveForecastConfig(config, options) {
+  const validator = createValidator(options);
+  const { profile, profiles, ...own } = isPlainObject(config) ? config : {};
+  const library = isPlainObject(profiles) ? profiles : {};
+
+  // Named profile, resolving `extends` when the library was not loaded through loadProfiles; null when unknown
+  const lookup = name => {
+    if (!Object.prototype.hasOwnProperty.call(library, name) || !isPlainObject(library[name])) return null;
+    if (library[name].extends === undefined) return library[name];
+    return loadProfiles(library).profiles[name] || null;
+  };
+  const unknown = name => validator.report(DIAGNOSTIC_TYPES.DEFAULT_USED, InvalidParameterError, {
+    field: 'profile', value: name, default: null, message: `profile "${name}" is not defined`, outcome: 'no profile applied'
+  });
+
+  let profileName = null;
+  let profileSettings = {};
+  if (isPlainObject(profile)) {
+    const { extends: parentName, ...inline } = profile;
+    const parent = parentName === undefined ? {} : lookup(parentName);
+    if (parent === null) unknown(parentName);
+    else if (parentName !== undefined) profileName = String(parentName);
+    profileSettings = mergeSettings(parent || {}, inline);
+  } else if (profile !== undefined && profile !== null) {
+    const named = lookup(profile);
+    if (named === null) {
+      unknown(profile);
+    } else {
+      profileName = String(profile);
+      profileSettings = named;
+    }
+  }
+
+  const merged = mergeSettings(profileSettings, own);
+  const resolved = { options: {}, profile: profileName };
+  Object.keys(merged).forEach(key => {
+    if (FORECAST_ARGUMENTS.includes(key)) resolved[key] = merged[key];
+    else resolved.options[key] = merged[key];
+  });
+  return resolved;
+}
+
+module.exports = { resolveForecastConfig, isForecastConfig, FORECAST_ARGUMENTS };
@@ -0,0 +1,130 @@
+/**
+ * Total annual cost of a reorder-point / order-quantity policy, including the cost of running out, which
+ * calculateEOQ leaves out (it balances ordering against cycle-stock holding only):
+ *   ordering     = D / Q * S
+ *   holding      = Q / 2 * H           (cycle stock)
+ *   safetyStock  = SS * H              (buffer carried all year)
+ *   shortage     = D / Q * expected shortage per cycle * penalty, with lead-time demand normal (σ_LT), z = SS / σ_LT:
+ *                    per unit short (STOCKOUT_PENALTY_TYPES.PER_UNIT):   σ_LT * G(z) units per cycle
+ *                    per stockout (PER_OCCURRENCE):                      1 - Φ(z) stockouts per cycle
+ * With a penalty the cost-minimizing buffer is reported too, for comparison with the buffer held:
+ *   per unit:     1 - Φ(z*) = Q * H / (D * penalty)
+ *   per stockout: φ(z*) = Q * H * σ_LT / (D * penalty) → z* = sqrt(2 ln(D * penalty / (sqrt(2π) * Q * H * σ_LT)))
+ * (z* floored at 0, like every buffer in the library).
+ * @param {number} annualDemand - Annual demand D in units (e.g., calculateEOQ(...).annualDemand).
+ * @param {Object} [options] - { orderQuantity (Q; default the EOQ), orderCost=100 (S), holdingCost=10 (H per unit per
+ *   year), holdingRate, unitCost (H = holdingRate * unitCost, as in calculateOrderQuantity), safetyStock=0,
+ *   leadTimeDemandStdDev (σ_LT; 0 = no shortages), stockoutPenalty (0 = shortages cost nothing), penaltyType
+ *   (STOCKOUT_PENALTY_TYPES; default per unit), strict (throw typed errors), diagnostics (array to append to) }.
+ * @returns {Object} { orderQuantity, ordersPerYear, zScore (null without σ_LT), expectedShortagePerCycle (units),
+ *   stockoutsPerYear, annualCost: { ordering, holding, safetyStock, shortage, total }, penalty: { type, amount },
+ *   optimal ({ zScore, safetyStock, cycleServiceLevel, annualCost }; null without a penalty or σ_LT) } - rounded;
+ *   zeros for invalid demand, costs or order quantity.
+ */
+const { normalCdf, normalInverse, normalLoss } = require('../statistics/normal');
+const holdingCostPerUnit = require('../orderQuantity/holdingCostPerUnit');
+const { createValidator, checkNumber } = require('../validation/validateInputs');
+const { InvalidCostError, InvalidDemandError, InvalidParameterError } = require('../validation/errors');
+
+// Enum-like const for how a stockout penalty is charged
+const STOCKOUT_PENALTY_TYPES = {
+  PER_UNIT: 'per_unit',             // Each unit short (lost margin, expediting per unit)
+  PER_OCCURRENCE: 'per_occurrence'  // Each stockout event, however many units (line stoppage, emergency run)
+};
+
+const round = value => Number(value.toFixed(2));
+const isPositive = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+const isNonNegative = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+function emptyCost(type, amount) {
+  return {
+    orderQuantity: 0,
+    ordersPerYear: 0,
+    zScore: null,
+    expectedShortagePerCycle: 0,
+    stockoutsPerYear: 0,
+    annualCost: { ordering: 0, holding: 0, safetyStock: 0, shortage: 0, total: 0 },
+    penalty: { type, amount },
+    optimal: null
+  };
+}
+
+function calculateInventoryCost(annualDemand, options = {}) {
+  const opts = options && typeof options === 'object' ? options : {};
+  const { orderCost = 100, holdingCost = 10, safetyStock = 0, leadTimeDemandStdDev = 0, stockoutPenalty = 0 } = opts;
+  const validator = createValidator(opts);
+  const outcome = 'costs default to 0';
+  checkNumber(annualDemand, validator, { field: 'annualDemand', ErrorClass: InvalidDemandError, min: 0, fallback: 0, outcome });
+  [['orderCost', orderCost], ['holdingCost', holdingCost]].forEach(([field, value]) => {
+    checkNumber(value, validator, { field, ErrorClass: InvalidCostError, min: 0, exclusive: true, fallback: 0, outcome });
+  });
+  checkNumber(stockoutPenalty, validator, { field: 'stockoutPenalty', ErrorClass: InvalidCostError, min: 0, fallback: 0, outcome: 'shortages cost nothing' });
+  checkNumber(safetyStock, validator, { field: 'safetyStock', ErrorClass: InvalidParameterError, min: 0, fallback: 0, outcome: 'no buffer carried' });
+  checkNumber(leadTimeDemandStdDev, validator, {
+    field: 'leadTimeDemandStdDev', ErrorClass: InvalidParameterError, min: 0, fallback: 0, outcome: 'no shortages expected'
+  });
+
+  const type = opts.penaltyType === STOCKOUT_PENALTY_TYPES.PER_OCCURRENCE ? STOCKOUT_PENALTY_TYPES.PER_OCCURRENCE : STOCKOUT_PENALTY_TYPES.PER_UNIT;
+  const penalty = isNonNegative(stockoutPenalty) ? stockoutPenalty : 0;
+  const h = holdingCostPerUnit(opts.unitCost, holdingCost, opts.holdingRate);
+  if (!isPositive(annualDemand) || !isPositive(orderCost) || !isPositive(h)) {
+    return emptyCost(type, penalty);
+  }
+
+  // Q: the given order quantity, else the EOQ for these costs
+  const quantity = isPositive(opts.orderQuantity) ? opts.orderQuantity : Math.sqrt((2 * annualDemand * orderCost) / h);
+  const ordersPerYear = annualDemand / quantity;
+  const buffer = isNonNegative(safetyStock) ? safetyStock : 0;
+  const sigma = isNonNegative(leadTimeDemandStdDev) ? leadTimeDemandStdDev : 0;
+
+  // Annual cost of holding buffer ss: shortages follow from z = ss / σ_LT (none when demand is certain)
+  const evaluate = ss => {
+    const z = sigma > 0 ? ss / sigma : null;
+    const unitsShort = z === null ? 0 : sigma * normalLoss(z);
+    const stockouts = z === null ? 0 : 1 - normalCdf(z);
+    const perCycle = type === STOCKOUT_PENALTY_TYPES.PER_UNIT ? unitsShort : stockouts;
+    const annualCost = {
+      ordering: ordersPerYear * orderCost,
+      holding: (quantity / 2) * h,
+      safetyStock: ss * h,
+      shortage: ordersPerYear * perCycle * penalty
+    };
+    annualCost.total = annualCost.ordering + annualCost.holding + annualCost.safetyStock + annualCost.shortage;
+    return { z, unitsShort, stockouts, annualCost };
+  };
+  const roundCosts = costs => Object.keys(costs).reduce((acc, key) => ({ ...acc, [key]: round(costs[key]) }), {});
+
+  // Cost-minimizing buffer (first-order condition of the total over z)
+  let optimal = null;
+  if (penalty > 0 && sigma > 0) {
+    let zOpt;
+    if (type === STOCKOUT_PENALTY_TYPES.PER_UNIT) {
+      const tail = (quantity * h) / (annualDemand * penalty);
+      zOpt = tail < 1 ? normalInverse(1 - tail) : 0;
+    } else {
+      const ratio = (annualDemand * penalty) / (Math.sqrt(2 * Math.PI) * quantity * h * sigma);
+      zOpt = ratio > 1 ? Math.sqrt(2 * Math.log(ratio)) : 0;
+    }
+    zOpt = Math.max(0, zOpt);
+    optimal = {
+      zScore: Number(zOpt.toFixed(4)),
+      safetyStock: round(zOpt * sigma),
+      cycleServiceLevel: Number(normalCdf(zOpt).toFixed(4)),
+      annualCost: roundCosts(evaluate(zOpt * sigma).annualCost)
+    };
+  }
+
+  const current = evaluate(buffer);
+  return {
+    orderQuantity: round(quantity),
+    ordersPerYear: round(ordersPerYear),
+    zScore: current.z === null ? null : Number(current.z.toFixed(4)),
+    expectedShortagePerCycle: round(current.unitsShort),
+    stockoutsPerYear: round(ordersPerYear * current.stockouts),
+    annualCost: roundCosts(current.annualCost),
+    penalty: { type, amount: penalty },
+    optimal
+  };
+}
+
+module.exports = { calculateInventoryCost, STOCKOUT_PENALTY_TYPES };
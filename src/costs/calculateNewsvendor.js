@@ -0,0 +1,141 @@
+/**
+ * Newsvendor (single-period) order quantity for seasonal or one-shot items: one order before the period, no
+ * replenishment during it; leftovers are salvaged and unmet demand is lost. The best quantity balances
+ *   underage cost  Cu = unitPrice - unitCost + shortagePenalty   (margin and goodwill lost per unit short)
+ *   overage cost   Co = unitCost - salvageValue                  (loss per unit left over)
+ * at the critical ratio CR = Cu / (Cu + Co): stock the CR quantile of period demand.
+ *   normal (default): Q* = μ + σ * Φ⁻¹(CR); expected units short = σ * G(z) with z = (Q - μ) / σ
+ *   empirical: Q* = smallest observed period demand (e.g., past seasons) with at least CR of the observations at or
+ *     below it; expectations are averages over the observations
+ * Q* is rounded up to whole units. underageCost / overageCost can be given instead of the prices; a salvage value at
+ * or above cost makes leftovers free (CR capped just below 1).
+ * @param {number[]|Object} demand - Period demand: { mean, stdDev }, or observed period totals (their mean and sample
+ *   std dev for the normal model).
+ * @param {Object} [options] - { unitPrice, unitCost, salvageValue=0, shortagePenalty=0, underageCost, overageCost,
+ *   distribution (NEWSVENDOR_DISTRIBUTIONS; empirical needs observations), strict (throw typed errors), diagnostics }.
+ * @returns {Object} { distribution, criticalRatio, underageCost, overageCost, quantity, mean, stdDev, expectedSales,
+ *   expectedLeftover, expectedShortage, inStockProbability (P(demand <= Q)), fillRate, expectedCost (Co * leftover +
+ *   Cu * shortage), expectedProfit (null unless unitPrice and unitCost are given) } - rounded; quantity 0 and
+ *   criticalRatio null for invalid demand or costs.
+ */
+const { normalCdf, normalInverse, normalLoss } = require('../statistics/normal');
+const { createValidator, checkNumber, checkDemandHistory } = require('../validation/validateInputs');
+const { InvalidCostError, InvalidDemandError } = require('../validation/errors');
+
+// Enum-like const for the period demand model
+const NEWSVENDOR_DISTRIBUTIONS = {
+  NORMAL: 'normal',       // Mean / std dev (given, or from the observations)
+  EMPIRICAL: 'empirical'  // The observed period demands themselves
+};
+
+// Same cap as the service level targets: CR = 1 would need unlimited stock
+const MAX_CRITICAL_RATIO = 0.999999;
+
+const round = value => Number(value.toFixed(2));
+const isAmount = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+// Period demand as observations or { mean, stdDev } (null when unusable)
+function resolveDemand(demand) {
+  if (Array.isArray(demand)) {
+    const observations = demand.filter(isAmount);
+    const n = observations.length;
+    if (n === 0) return null;
+    const mean = observations.reduce((acc, d) => acc + d, 0) / n;
+    const variance = n > 1 ? observations.reduce((acc, d) => acc + (d - mean) ** 2, 0) / (n - 1) : 0;
+    return { observations, mean, stdDev: Math.sqrt(variance) };
+  }
+  if (demand && typeof demand === 'object' && isAmount(demand.mean)) {
+    return { observations: null, mean: demand.mean, stdDev: isAmount(demand.stdDev) ? demand.stdDev : 0 };
+  }
+  return null;
+}
+
+function calculateNewsvendor(demand, options = {}) {
+  const opts = options && typeof options === 'object' ? options : {};
+  const validator = createValidator(opts);
+  const outcome = 'order quantity defaults to 0';
+  if (Array.isArray(demand)) {
+    checkDemandHistory(demand, validator, { field: 'demand', outcome });
+  } else {
+    const { mean, stdDev = 0 } = demand && typeof demand === 'object' ? demand : {};
+    checkNumber(mean, validator, { field: 'demand.mean', ErrorClass: InvalidDemandError, min: 0, fallback: 0, outcome });
+    checkNumber(stdDev, validator, { field: 'demand.stdDev', ErrorClass: InvalidDemandError, min: 0, fallback: 0, outcome: 'demand treated as certain' });
+  }
+  const cost = field => {
+    const valid = checkNumber(opts[field], validator, { field, ErrorClass: InvalidCostError, min: 0, fallback: null, outcome });
+    return valid && isAmount(opts[field]) ? opts[field] : null;
+  };
+  const optional = (field, fallback) => (opts[field] === undefined ? fallback : cost(field));
+  // Cu / Co given directly win over the prices; only the prices still needed are required
+  const price = opts.unitPrice !== undefined || opts.underageCost === undefined ? cost('unitPrice') : null;
+  const unitCost = opts.unitCost !== undefined || opts.underageCost === undefined || opts.overageCost === undefined
+    ? cost('unitCost')
+    : null;
+  const salvage = optional('salvageValue', 0);
+  const penalty = optional('shortagePenalty', 0);
+  let underage = opts.underageCost !== undefined ? cost('underageCost') : null;
+  if (opts.underageCost === undefined && price !== null && unitCost !== null && penalty !== null) {
+    underage = Math.max(0, price - unitCost + penalty);
+  }
+  let overage = opts.overageCost !== undefined ? cost('overageCost') : null;
+  if (opts.overageCost === undefined && unitCost !== null && salvage !== null) {
+    overage = Math.max(0, unitCost - salvage);
+  }
+
+  const resolved = resolveDemand(demand);
+  const empirical = opts.distribution === NEWSVENDOR_DISTRIBUTIONS.EMPIRICAL && resolved !== null && resolved.observations !== null;
+  const distribution = empirical ? NEWSVENDOR_DISTRIBUTIONS.EMPIRICAL : NEWSVENDOR_DISTRIBUTIONS.NORMAL;
+  if (resolved === null || underage === null || overage === null || underage + overage === 0) {
+    return {
+      distribution, criticalRatio: null, underageCost: underage, overageCost: overage, quantity: 0, mean: 0, stdDev: 0,
+      expectedSales: 0, expectedLeftover: 0, expectedShortage: 0, inStockProbability: 0, fillRate: 0, expectedCost: 0, expectedProfit: null
+    };
+  }
+
+  const criticalRatio = underage / (underage + overage);
+  const ratio = Math.min(criticalRatio, MAX_CRITICAL_RATIO);
+  const { mean, stdDev, observations } = resolved;
+  let quantity;
+  let expectedShortage;
+  let inStockProbability;
+  if (empirical) {
+    const sorted = [...observations].sort((a, b) => a - b);
+    quantity = ratio > 0 ? Math.ceil(sorted[Math.ceil(ratio * sorted.length) - 1]) : 0;
+    expectedShortage = observations.reduce((acc, d) => acc + Math.max(0, d - quantity), 0) / observations.length;
+    inStockProbability = observations.filter(d => d <= quantity).length / observations.length;
+  } else if (stdDev > 0) {
+    quantity = Math.max(0, Math.ceil(Number((mean + stdDev * normalInverse(ratio)).toFixed(6))));
+    const z = (quantity - mean) / stdDev;
+    expectedShortage = stdDev * normalLoss(z);
+    inStockProbability = normalCdf(z);
+  } else {
+    // Certain demand: stock exactly the demand
+    quantity = Math.ceil(Number(mean.toFixed(6)));
+    expectedShortage = 0;
+    inStockProbability = 1;
+  }
+  const expectedSales = mean - expectedShortage;
+  const expectedLeftover = quantity - expectedSales;
+  const withPrices = price !== null && unitCost !== null;
+
+  return {
+    distribution,
+    criticalRatio: Number(criticalRatio.toFixed(4)),
+    underageCost: round(underage),
+    overageCost: round(overage),
+    quantity,
+    mean: round(mean),
+    stdDev: round(stdDev),
+    expectedSales: round(expectedSales),
+    expectedLeftover: round(expectedLeftover),
+    expectedShortage: round(expectedShortage),
+    inStockProbability: Number(inStockProbability.toFixed(4)),
+    fillRate: Number((mean > 0 ? expectedSales / mean : 1).toFixed(4)),
+    expectedCost: round(overage * expectedLeftover + underage * expectedShortage),
+    expectedProfit: withPrices
+      ? round(price * expectedSales + (salvage || 0) * expectedLeftover - unitCost * quantity - (penalty || 0) * expectedShortage)
+      : null
+  };
+}
+
+module.exports = { calculateNewsvendor, NEWSVENDOR_DISTRIBUTIONS };
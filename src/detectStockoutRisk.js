@@ -3,22 +3,36 @@
  * Uses RISK_LEVELS enum for improved code structure/readability (prevents magic strings).
  * @param {number} daysRemaining - Estimated days before stock runs out.
  * @param {number} leadTime - Supplier lead time in days.
+ * @param {Object} [options] - { strict (throw InvalidStockError / InvalidLeadTimeError for invalid inputs instead of
+ *   returning LOW), diagnostics (array to append diagnostics to, e.g., a NaN days remaining defaulted to LOW) }.
  * @returns {string} Risk level from RISK_LEVELS: HIGH if daysRemaining < leadTime, MEDIUM if within 1.5*leadTime, else LOW.
  * Returns LOW (safest default) for any invalid inputs to ensure consistency with other utilities' defensive validation.
+ * Day thresholds only; for a variability-aware probability with configurable tiers (CRITICAL, OUT_OF_STOCK)
+ * see risk/assessStockoutRisk.
  */
+const { createValidator, checkNumber } = require('./validation/validateInputs');
+const { InvalidStockError, InvalidLeadTimeError } = require('./validation/errors');
 
 // Enum-like const for risk levels (JS best practice; improves structure, type safety in code)
 const RISK_LEVELS = {
   LOW: 'low',     // No/safe risk
   MEDIUM: 'medium', // Moderate risk (monitor)
-  HIGH: 'high'    // Imminent stockout risk (reorder now)
+  HIGH: 'high',   // Imminent stockout risk (reorder now)
+  CRITICAL: 'critical',        // Stockout more likely than not before replenishment (probabilistic tiers)
+  OUT_OF_STOCK: 'out_of_stock' // No stock left to serve demand (probabilistic tiers)
 };
 
-function detectStockoutRisk(daysRemaining, leadTime) {
+function detectStockoutRisk(daysRemaining, leadTime, options) {
+  const validator = createValidator(options);
+  const outcome = `risk defaults to ${RISK_LEVELS.LOW}`;
+  checkNumber(daysRemaining, validator, { field: 'daysRemaining', ErrorClass: InvalidStockError, min: 0, fallback: RISK_LEVELS.LOW, outcome });
+  checkNumber(leadTime, validator, { field: 'leadTime', ErrorClass: InvalidLeadTimeError, min: 0, fallback: RISK_LEVELS.LOW, outcome });
+
   // Defensive validation for consistency: return RISK_LEVELS.LOW (no risk/safe default) for invalid/non-numeric inputs
   // (e.g., NaN, non-numbers, negative leadTime). This prevents errors in chained calls like calculateInventoryForecast
   // and aligns with calculateAverageDemand / calculateDaysRemaining returning safe defaults for real-world data.
-  if (typeof daysRemaining !== 'number' || typeof leadTime !== 'number' || leadTime < 0 || daysRemaining < 0) {
+  if (typeof daysRemaining !== 'number' || typeof leadTime !== 'number' || leadTime < 0 || daysRemaining < 0 ||
+      Number.isNaN(daysRemaining) || Number.isNaN(leadTime)) {
     return RISK_LEVELS.LOW;
   }
   if (daysRemaining === Infinity) {
@@ -0,0 +1,63 @@
+/**
+ * Croston's method for intermittent demand, with the Syntetos-Boylan Approximation (SBA) variant.
+ * Smooths non-zero demand sizes (z) and inter-demand intervals (p) separately, updating only
+ * on days with demand:
+ *   z_t = z + alpha * (y_t - z),  p_t = p + alpha * (q_t - p)   (q = days since last demand)
+ *   Croston forecast = z / p;  SBA forecast = (1 - alpha / 2) * z / p (removes Croston's upward bias)
+ * Alpha defaults to 0.1 (standard for intermittent series; SSE fitting is unreliable on mostly-zero data).
+ * @param {number[]} historicalDemand - Array of historical daily demand values.
+ * @param {Object} [options] - Model options.
+ * @param {number} [options.alpha=0.1] - Smoothing factor in (0, 1].
+ * @param {string} [options.variant='croston'] - 'croston' or 'sba'.
+ * @param {number} [options.horizon=1] - Number of future days to forecast.
+ * @returns {Object} { method: 'croston' | 'sba', forecast, forecasts, fitted, params: { alpha, size, interval } }.
+ * Defensive: returns zero forecasts for invalid data or histories with no demand.
+ */
+const { FORECAST_METHODS } = require('./forecastMethods');
+
+function croston(historicalDemand, options = {}) {
+  const { alpha = 0.1, variant = FORECAST_METHODS.CROSTON, horizon = 1 } = options || {};
+  const steps = typeof horizon === 'number' && horizon >= 1 ? Math.floor(horizon) : 1;
+  const method = variant === FORECAST_METHODS.SBA ? FORECAST_METHODS.SBA : FORECAST_METHODS.CROSTON;
+  const a = typeof alpha === 'number' && alpha > 0 && alpha <= 1 ? alpha : 0.1;
+
+  const validDemands = Array.isArray(historicalDemand)
+    ? historicalDemand.filter(d => typeof d === 'number' && d >= 0)
+    : [];
+  const firstDemand = validDemands.findIndex(d => d > 0);
+  if (firstDemand === -1) {
+    return { method, forecast: 0, forecasts: new Array(steps).fill(0), fitted: validDemands.map(() => 0), params: {} };
+  }
+
+  // Bias correction factor for SBA
+  const factor = method === FORECAST_METHODS.SBA ? 1 - a / 2 : 1;
+
+  // Initialize from the first demand occurrence (interval counted from the start of history)
+  let size = validDemands[firstDemand];
+  let interval = firstDemand + 1;
+  let sinceLast = 0;
+  const fitted = validDemands.map((d, t) => {
+    if (t <= firstDemand) {
+      return 0;  // No estimate before the first demand is seen
+    }
+    const fit = factor * size / interval;
+    sinceLast++;
+    if (d > 0) {
+      size += a * (d - size);
+      interval += a * (sinceLast - interval);
+      sinceLast = 0;
+    }
+    return fit;
+  });
+
+  const forecast = factor * size / interval;
+  return {
+    method,
+    forecast,
+    forecasts: new Array(steps).fill(forecast),
+    fitted,
+    params: { alpha: a, size: Number(size.toFixed(4)), interval: Number(interval.toFixed(4)) }
+  };
+}
+
+module.exports = croston;
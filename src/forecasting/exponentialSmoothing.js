@@ -0,0 +1,57 @@
+/**
+ * Single (simple) exponential smoothing (SES): level_t = alpha * y_t + (1 - alpha) * level_{t-1}.
+ * Gives exponentially decaying weight to older days; flat forecast at the final level.
+ * When alpha is omitted it is fitted by grid search (minimum one-step-ahead SSE) and reported
+ * in params so planners can see which value was used.
+ * @param {number[]} historicalDemand - Array of historical daily demand values.
+ * @param {Object} [options] - Model options.
+ * @param {number} [options.alpha] - Smoothing factor in (0, 1]; fitted when omitted/invalid.
+ * @param {number} [options.horizon=1] - Number of future days to forecast.
+ * @returns {Object} { method: 'ses', forecast, forecasts, fitted, params: { alpha, level, optimized } }.
+ * Defensive: returns zero forecasts for invalid/empty data.
+ */
+const { gridSearch, unitGrid } = require('./gridSearch');
+const { FORECAST_METHODS } = require('./forecastMethods');
+
+// Runs the SES recursion; returns final level, one-step-ahead fitted values and SSE
+function runSES(values, alpha) {
+  let level = values[0];
+  const fitted = [values[0]];  // First point initializes the level (no prior forecast)
+  let sse = 0;
+  for (let t = 1; t < values.length; t++) {
+    fitted.push(level);
+    sse += Math.pow(values[t] - level, 2);
+    level = alpha * values[t] + (1 - alpha) * level;
+  }
+  return { level, fitted, sse };
+}
+
+function exponentialSmoothing(historicalDemand, options = {}) {
+  const { alpha, horizon = 1 } = options || {};
+  const steps = typeof horizon === 'number' && horizon >= 1 ? Math.floor(horizon) : 1;
+
+  const validDemands = Array.isArray(historicalDemand)
+    ? historicalDemand.filter(d => typeof d === 'number' && d >= 0)
+    : [];
+  if (validDemands.length === 0) {
+    return { method: FORECAST_METHODS.SES, forecast: 0, forecasts: new Array(steps).fill(0), fitted: [], params: {} };
+  }
+
+  // Use the given alpha if valid, otherwise fit it (0.05 grid)
+  const fixed = typeof alpha === 'number' && alpha > 0 && alpha <= 1;
+  const chosenAlpha = fixed
+    ? alpha
+    : gridSearch({ alpha: unitGrid(0.05) }, p => runSES(validDemands, p.alpha).sse).params.alpha;
+
+  const { level, fitted } = runSES(validDemands, chosenAlpha);
+
+  return {
+    method: FORECAST_METHODS.SES,
+    forecast: level,
+    forecasts: new Array(steps).fill(level),
+    fitted,
+    params: { alpha: chosenAlpha, level: Number(level.toFixed(4)), optimized: !fixed }
+  };
+}
+
+module.exports = exponentialSmoothing;
@@ -0,0 +1,79 @@
+/**
+ * Forecast model dispatcher: runs the demand model selected by `method`.
+ * Uses FORECAST_METHODS enum (no magic strings, like RISK_LEVELS) so callers such as
+ * calculateInventoryForecast can switch models without knowing each model's module.
+ * 'sma' is the original whole-history mean from calculateAverageDemand (default; unchanged behavior).
+ * All models return the same shape, so downstream calculations can consume any of them.
+ * @param {number[]} historicalDemand - Array of historical daily demand values.
+ * @param {Object} [options] - { method, horizon, ...model-specific options (alpha, beta, gamma, window, weights, seasonLength, seasonality),
+ *   strict (throw typed errors), diagnostics (array to append to) }.
+ * @returns {Object} { method, forecast, forecasts: number[], fitted: number[], params } - see individual models.
+ * Unknown methods fall back to 'sma' (params.requestedMethod keeps the name); the fallback is reported in diagnostics,
+ * or throws InvalidParameterError in strict mode.
+ */
+const calculateAverageDemand = require('../calculateAverageDemand');
+const movingAverage = require('./movingAverage');
+const weightedMovingAverage = require('./weightedMovingAverage');
+const exponentialSmoothing = require('./exponentialSmoothing');
+const holt = require('./holt');
+const holtWinters = require('./holtWinters');
+const croston = require('./croston');
+const tsb = require('./tsb');
+const { FORECAST_METHODS } = require('./forecastMethods');
+const { createValidator, DIAGNOSTIC_TYPES } = require('../validation/validateInputs');
+const { InvalidParameterError } = require('../validation/errors');
+
+// Wraps calculateAverageDemand in the common model shape (fitted = expanding mean)
+function simpleMovingAverage(historicalDemand, options = {}) {
+  const { horizon = 1 } = options || {};
+  const steps = typeof horizon === 'number' && horizon >= 1 ? Math.floor(horizon) : 1;
+  const forecast = calculateAverageDemand(historicalDemand);
+  const validDemands = Array.isArray(historicalDemand)
+    ? historicalDemand.filter(d => typeof d === 'number' && d >= 0)
+    : [];
+  let runningSum = 0;
+  const fitted = validDemands.map((d, i) => {
+    const fit = i === 0 ? d : runningSum / i;
+    runningSum += d;
+    return fit;
+  });
+  return {
+    method: FORECAST_METHODS.SMA,
+    forecast,
+    forecasts: new Array(steps).fill(forecast),
+    fitted,
+    params: validDemands.length > 0 ? { window: validDemands.length } : {}
+  };
+}
+
+const MODELS = {
+  [FORECAST_METHODS.SMA]: simpleMovingAverage,
+  [FORECAST_METHODS.MOVING_AVERAGE]: movingAverage,
+  [FORECAST_METHODS.WEIGHTED_MOVING_AVERAGE]: weightedMovingAverage,
+  [FORECAST_METHODS.SES]: exponentialSmoothing,
+  [FORECAST_METHODS.HOLT]: holt,
+  [FORECAST_METHODS.HOLT_WINTERS]: holtWinters,
+  [FORECAST_METHODS.CROSTON]: (history, options) => croston(history, { ...options, variant: FORECAST_METHODS.CROSTON }),
+  [FORECAST_METHODS.SBA]: (history, options) => croston(history, { ...options, variant: FORECAST_METHODS.SBA }),
+  [FORECAST_METHODS.TSB]: tsb
+};
+
+function forecastDemand(historicalDemand, options = {}) {
+  const opts = options && typeof options === 'object' ? options : {};
+  const { method = FORECAST_METHODS.SMA } = opts;
+  const model = MODELS[method];
+  if (!model) {
+    createValidator(opts).report(DIAGNOSTIC_TYPES.DEFAULT_USED, InvalidParameterError, {
+      field: 'method',
+      value: method,
+      default: FORECAST_METHODS.SMA,
+      message: `method must be one of ${Object.values(FORECAST_METHODS).join(', ')} (got ${JSON.stringify(method)})`,
+      outcome: `using ${FORECAST_METHODS.SMA}`
+    });
+    const result = simpleMovingAverage(historicalDemand, opts);
+    return { ...result, params: { ...result.params, requestedMethod: method } };
+  }
+  return model(historicalDemand, opts);
+}
+
+module.exports = { forecastDemand, FORECAST_METHODS };
@@ -0,0 +1,20 @@
+/**
+ * FORECAST_METHODS enum, in its own module so the model files can tag their results with it
+ * (forecastDemand requires every model, so the models cannot require forecastDemand back).
+ * Re-exported by forecastDemand, which is where callers usually import it from.
+ */
+
+// Enum-like const for supported forecasting methods
+const FORECAST_METHODS = {
+  SMA: 'sma',                                   // Whole-history mean (calculateAverageDemand)
+  MOVING_AVERAGE: 'moving_average',             // Trailing window mean
+  WEIGHTED_MOVING_AVERAGE: 'weighted_moving_average',
+  SES: 'ses',                                   // Single exponential smoothing
+  HOLT: 'holt',                                 // Double exponential smoothing (trend)
+  HOLT_WINTERS: 'holt_winters',                 // Triple exponential smoothing (trend + season)
+  CROSTON: 'croston',                           // Intermittent: separate size/interval smoothing
+  SBA: 'sba',                                   // Intermittent: bias-corrected Croston
+  TSB: 'tsb'                                    // Intermittent: probability updated every day
+};
+
+module.exports = { FORECAST_METHODS };
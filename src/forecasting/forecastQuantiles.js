@@ -0,0 +1,168 @@
+/**
+ * Demand prediction intervals: P10/P50/P90 (or any quantiles) around a point forecast, per horizon day and
+ * cumulatively, plus the matching days-remaining range (e.g., "stock lasts 4-6 days with 80% confidence").
+ * Uncertainty comes from the model's one-step-ahead residuals (history - fitted), in one of two ways:
+ *   - 'parametric' (default): normal errors with σe = RMS of the residuals
+ *       daily_h(q)      = forecast_h + z_q * σe
+ *       cumulative_h(q) = Σ forecast_1..h + z_q * σe * sqrt(h)   (independent daily errors)
+ *   - 'bootstrap': seeded sample paths, each day = forecast_h + a resampled residual; quantiles are empirical
+ * Demand quantiles are floored at 0. Days remaining at quantile q is the day cumulative demand at quantile
+ * 1 - q reaches the stock (high demand → early stockout), so daysRemaining.p10 is the pessimistic end.
+ * Reuses forecastDemand for the point forecast (same method + model options) and the simulation RNG.
+ * @param {number[]} historicalDemand - Array of historical daily demand values.
+ * @param {Object} [options] - { method + model options, horizon=7, quantiles=[0.1, 0.5, 0.9],
+ *   intervalMethod ('parametric' | 'bootstrap'), runs=1000, seed=1 (bootstrap), currentStock (enables daysRemaining) }.
+ * @returns {Object} { method, intervalMethod, quantiles, residualStdDev, daily: [{ day, mean, p10, p50, p90 }],
+ *   cumulative: [{ day, mean, p10, p50, p90 }], daysRemaining: { p10, p50, p90 } | null } - Keys follow the
+ *   requested quantiles (0.975 → 'p97.5'); rounded; days are 'Infinite' (as in calculateInventoryForecast's
+ *   daysRemaining) when stock outlasts a year;
+ *   empty lists for invalid inputs.
+ */
+const { forecastDemand } = require('./forecastDemand');
+const { normalInverse } = require('../statistics/normal');
+const { createRandom } = require('../simulation/seededRandom');
+
+// Enum-like const for interval methods
+const INTERVAL_METHODS = {
+  PARAMETRIC: 'parametric', // Normal errors from the residual RMS
+  BOOTSTRAP: 'bootstrap'    // Resampled residuals along simulated paths
+};
+
+const DEFAULT_QUANTILES = [0.1, 0.5, 0.9];
+// Days-remaining search limit; stock lasting longer is reported as 'Infinite'
+const MAX_COVERAGE_DAYS = 365;
+
+// 0.1 → 'p10', 0.975 → 'p97.5'
+function quantileKey(q) {
+  return `p${Number((q * 100).toFixed(2))}`;
+}
+
+// Empirical quantile of sorted values (linear interpolation between order statistics)
+function empiricalQuantile(sorted, q) {
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  if (sorted[upper] === Infinity) return Infinity;  // Paths that never run out
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+// Fractional day a non-decreasing cumulative demand curve reaches the stock
+function crossingDay(cumulative, stock) {
+  let previous = 0;
+  for (let h = 0; h < cumulative.length; h++) {
+    if (cumulative[h] >= stock) {
+      return h + (cumulative[h] > previous ? (stock - previous) / (cumulative[h] - previous) : 0);
+    }
+    previous = cumulative[h];
+  }
+  return Infinity;
+}
+
+// Output rounding; never running out is 'Infinite' (JSON has no Infinity: it would serialize as null)
+const round = value => (value === Infinity ? 'Infinite' : Number(value.toFixed(2)));
+
+function forecastQuantiles(historicalDemand, options = {}) {
+  const opts = options && typeof options === 'object' ? options : {};
+  const intervalMethod = Object.values(INTERVAL_METHODS).includes(opts.intervalMethod)
+    ? opts.intervalMethod
+    : INTERVAL_METHODS.PARAMETRIC;
+  const { horizon = 7, runs = 1000, seed = 1, currentStock } = opts;
+  const requested = Array.isArray(opts.quantiles) ? opts.quantiles.filter(q => typeof q === 'number' && q > 0 && q < 1) : [];
+  const quantiles = [...new Set(requested.length > 0 ? requested : DEFAULT_QUANTILES)].sort((a, b) => a - b);
+
+  // Defensive validation for consistency with other utilities (return safe defaults)
+  const validDemands = Array.isArray(historicalDemand)
+    ? historicalDemand.filter(d => typeof d === 'number' && d >= 0)
+    : [];
+  if (validDemands.length === 0) {
+    return { method: null, intervalMethod, quantiles, residualStdDev: 0, daily: [], cumulative: [], daysRemaining: null };
+  }
+
+  const steps = typeof horizon === 'number' && horizon >= 1 ? Math.floor(horizon) : 1;
+  const withStock = typeof currentStock === 'number' && Number.isFinite(currentStock);
+  const days = withStock ? Math.max(steps, MAX_COVERAGE_DAYS) : steps;
+  const model = forecastDemand(validDemands, { ...opts, horizon: days });
+  const forecasts = model.forecasts.map(f => Math.max(0, f));
+
+  // One-step-ahead residuals (the first fitted value is the first observation itself)
+  const residuals = validDemands.slice(1).map((d, i) => d - model.fitted[i + 1]).filter(r => Number.isFinite(r));
+  const residualStdDev = residuals.length > 0
+    ? Math.sqrt(residuals.reduce((acc, r) => acc + r * r, 0) / residuals.length)
+    : 0;
+
+  const pointCumulative = [];
+  forecasts.reduce((acc, f, h) => (pointCumulative[h] = acc + f), 0);
+
+  let dailyAt;        // (h, q) → daily demand quantile
+  let cumulativeAt;   // (h, q) → cumulative demand quantile
+  let daysAt = null;  // q → days remaining quantile
+  if (intervalMethod === INTERVAL_METHODS.PARAMETRIC) {
+    const z = q => normalInverse(q);
+    dailyAt = (h, q) => Math.max(0, forecasts[h] + z(q) * residualStdDev);
+    cumulativeAt = (h, q) => Math.max(0, pointCumulative[h] + z(q) * residualStdDev * Math.sqrt(h + 1));
+    if (withStock) {
+      daysAt = q => {
+        if (currentStock <= 0) return 0;
+        // Running max keeps low-demand curves non-decreasing (the sqrt(h) term can outpace small forecasts)
+        let running = 0;
+        const curve = forecasts.map((_, h) => (running = Math.max(running, cumulativeAt(h, 1 - q))));
+        return crossingDay(curve, currentStock);
+      };
+    }
+  } else {
+    // Sample paths: draws per day for the reported horizon, run-out day per path
+    const random = createRandom(seed);
+    const pool = residuals.length > 0 ? residuals : [0];
+    const pathCount = typeof runs === 'number' && runs >= 1 ? Math.floor(runs) : 1000;
+    const dailyDraws = Array.from({ length: steps }, () => []);
+    const cumulativeDraws = Array.from({ length: steps }, () => []);
+    const runOutDays = [];
+    for (let run = 0; run < pathCount; run++) {
+      let total = 0;
+      let runOut = withStock && currentStock <= 0 ? 0 : Infinity;
+      for (let h = 0; h < days; h++) {
+        const demand = Math.max(0, forecasts[h] + pool[Math.floor(random() * pool.length)]);
+        const before = total;
+        total += demand;
+        if (h < steps) {
+          dailyDraws[h].push(demand);
+          cumulativeDraws[h].push(total);
+        }
+        if (withStock && runOut === Infinity && total >= currentStock) {
+          runOut = h + (demand > 0 ? (currentStock - before) / demand : 0);
+        }
+        if (h >= steps - 1 && (!withStock || runOut !== Infinity)) break;
+      }
+      runOutDays.push(runOut);
+    }
+    dailyDraws.forEach(d => d.sort((a, b) => a - b));
+    cumulativeDraws.forEach(d => d.sort((a, b) => a - b));
+    runOutDays.sort((a, b) => a - b);
+    dailyAt = (h, q) => empiricalQuantile(dailyDraws[h], q);
+    cumulativeAt = (h, q) => empiricalQuantile(cumulativeDraws[h], q);
+    if (withStock) daysAt = q => empiricalQuantile(runOutDays, q);
+  }
+
+  const entry = (h, point, at) => {
+    const row = { day: h + 1, mean: round(point) };
+    quantiles.forEach(q => { row[quantileKey(q)] = round(at(h, q)); });
+    return row;
+  };
+  let daysRemaining = null;
+  if (daysAt) {
+    daysRemaining = {};
+    quantiles.forEach(q => { daysRemaining[quantileKey(q)] = round(daysAt(q)); });
+  }
+
+  return {
+    method: model.method,
+    intervalMethod,
+    quantiles,
+    residualStdDev: round(residualStdDev),
+    daily: forecasts.slice(0, steps).map((f, h) => entry(h, f, dailyAt)),
+    cumulative: pointCumulative.slice(0, steps).map((c, h) => entry(h, c, cumulativeAt)),
+    daysRemaining
+  };
+}
+
+module.exports = { forecastQuantiles, INTERVAL_METHODS, quantileKey };
@@ -0,0 +1,44 @@
+/**
+ * Small grid search used to fit smoothing parameters (alpha/beta/gamma) by minimizing
+ * the sum of squared one-step-ahead errors (SSE).
+ * Deterministic and dependency-free; grids are coarse on purpose (daily demand data is noisy,
+ * so finer resolution rarely changes the forecast meaningfully).
+ * @param {Object} grids - Map of parameter name → candidate values (e.g., { alpha: [0.1, 0.2] }).
+ * @param {Function} evaluate - Called with a params object; returns SSE (lower is better).
+ * @returns {Object} { params, sse } - Best combination found (first wins on ties).
+ */
+function gridSearch(grids, evaluate) {
+  const names = Object.keys(grids);
+  let best = { params: {}, sse: Infinity };
+
+  // Walk every combination recursively (at most 3 params, so this stays small)
+  const walk = (index, current) => {
+    if (index === names.length) {
+      const sse = evaluate(current);
+      if (sse < best.sse) {
+        best = { params: { ...current }, sse };
+      }
+      return;
+    }
+    const name = names[index];
+    grids[name].forEach(value => walk(index + 1, { ...current, [name]: value }));
+  };
+  walk(0, {});
+
+  return best;
+}
+
+/**
+ * Builds an evenly spaced grid between 0 and 1 (exclusive), e.g. step 0.1 → [0.1, ..., 0.9].
+ * @param {number} step - Grid spacing.
+ * @returns {number[]} Candidate values rounded to avoid float noise.
+ */
+function unitGrid(step) {
+  const values = [];
+  for (let v = step; v < 1 - 1e-9; v += step) {
+    values.push(Number(v.toFixed(4)));
+  }
+  return values;
+}
+
+module.exports = { gridSearch, unitGrid };
@@ -0,0 +1,87 @@
+/**
+ * Double exponential smoothing (Holt's linear trend method).
+ *   level_t = alpha * y_t + (1 - alpha) * (level_{t-1} + trend_{t-1})
+ *   trend_t = beta * (level_t - level_{t-1}) + (1 - beta) * trend_{t-1}
+ *   forecast_{t+h} = level_t + h * trend_t (floored at 0; demand cannot be negative)
+ * Alpha/beta are fitted by grid search when omitted; fitted values are reported in params.
+ * Needs at least 2 data points (falls back to a flat forecast for a single point).
+ * @param {number[]} historicalDemand - Array of historical daily demand values.
+ * @param {Object} [options] - Model options.
+ * @param {number} [options.alpha] - Level smoothing factor in (0, 1]; fitted when omitted.
+ * @param {number} [options.beta] - Trend smoothing factor in (0, 1]; fitted when omitted.
+ * @param {number} [options.horizon=1] - Number of future days to forecast.
+ * @returns {Object} { method: 'holt', forecast, forecasts, fitted, params: { alpha, beta, level, trend, optimized } }.
+ * Defensive: returns zero forecasts for invalid/empty data.
+ */
+const { gridSearch, unitGrid } = require('./gridSearch');
+const { FORECAST_METHODS } = require('./forecastMethods');
+
+// Runs the Holt recursion; returns final state, one-step-ahead fitted values and SSE
+function runHolt(values, alpha, beta) {
+  let level = values[0];
+  let trend = values[1] - values[0];  // Initial trend from the first difference
+  const fitted = [values[0]];
+  let sse = 0;
+  for (let t = 1; t < values.length; t++) {
+    const prediction = level + trend;
+    fitted.push(Math.max(0, prediction));
+    sse += Math.pow(values[t] - prediction, 2);
+    const prevLevel = level;
+    level = alpha * values[t] + (1 - alpha) * (level + trend);
+    trend = beta * (level - prevLevel) + (1 - beta) * trend;
+  }
+  return { level, trend, fitted, sse };
+}
+
+function isUnit(value) {
+  return typeof value === 'number' && value > 0 && value <= 1;
+}
+
+function holt(historicalDemand, options = {}) {
+  const { alpha, beta, horizon = 1 } = options || {};
+  const steps = typeof horizon === 'number' && horizon >= 1 ? Math.floor(horizon) : 1;
+
+  const validDemands = Array.isArray(historicalDemand)
+    ? historicalDemand.filter(d => typeof d === 'number' && d >= 0)
+    : [];
+  if (validDemands.length === 0) {
+    return { method: FORECAST_METHODS.HOLT, forecast: 0, forecasts: new Array(steps).fill(0), fitted: [], params: {} };
+  }
+  if (validDemands.length === 1) {
+    // No trend can be estimated from one point: flat forecast at that value
+    const value = validDemands[0];
+    return {
+      method: FORECAST_METHODS.HOLT,
+      forecast: value,
+      forecasts: new Array(steps).fill(value),
+      fitted: [value],
+      params: { alpha: null, beta: null, level: value, trend: 0, optimized: false }
+    };
+  }
+
+  // Only fit the parameters that were not supplied
+  const grids = {
+    alpha: isUnit(alpha) ? [alpha] : unitGrid(0.1),
+    beta: isUnit(beta) ? [beta] : unitGrid(0.1)
+  };
+  const { params } = gridSearch(grids, p => runHolt(validDemands, p.alpha, p.beta).sse);
+  const { level, trend, fitted } = runHolt(validDemands, params.alpha, params.beta);
+
+  const forecasts = Array.from({ length: steps }, (_, i) => Math.max(0, level + (i + 1) * trend));
+
+  return {
+    method: FORECAST_METHODS.HOLT,
+    forecast: forecasts[0],
+    forecasts,
+    fitted,
+    params: {
+      alpha: params.alpha,
+      beta: params.beta,
+      level: Number(level.toFixed(4)),
+      trend: Number(trend.toFixed(4)),
+      optimized: !(isUnit(alpha) && isUnit(beta))
+    }
+  };
+}
+
+module.exports = holt;
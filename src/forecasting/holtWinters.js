@@ -0,0 +1,124 @@
+/**
+ * Triple exponential smoothing (Holt-Winters): level + trend + seasonal components.
+ * Additive (default) or multiplicative seasonality; seasonLength defaults to 7 (day-of-week cycle).
+ *   additive:       forecast_{t+h} = level_t + h * trend_t + season_{t+h-m}
+ *   multiplicative: forecast_{t+h} = (level_t + h * trend_t) * season_{t+h-m}
+ * Initialized from the first two seasons, so at least 2 * seasonLength points are required;
+ * shorter histories fall back to Holt's linear method (reported as params.fallback = 'holt').
+ * Alpha/beta/gamma are fitted by grid search when omitted.
+ * @param {number[]} historicalDemand - Array of historical daily demand values.
+ * @param {Object} [options] - Model options.
+ * @param {number} [options.seasonLength=7] - Period of the seasonal cycle in days.
+ * @param {string} [options.seasonality='additive'] - 'additive' or 'multiplicative'.
+ * @param {number} [options.alpha] - Level smoothing factor in (0, 1]; fitted when omitted.
+ * @param {number} [options.beta] - Trend smoothing factor in (0, 1]; fitted when omitted.
+ * @param {number} [options.gamma] - Seasonal smoothing factor in (0, 1]; fitted when omitted.
+ * @param {number} [options.horizon=1] - Number of future days to forecast.
+ * @returns {Object} { method: 'holt_winters', forecast, forecasts, fitted, params: { alpha, beta, gamma,
+ *   seasonLength, seasonality, level, trend, seasonals, optimized } }.
+ *   seasonals[i] applies to days whose index (from the first history day) satisfies index % seasonLength === i.
+ * Defensive: returns zero forecasts for invalid/empty data.
+ */
+const { gridSearch, unitGrid } = require('./gridSearch');
+const holt = require('./holt');
+const { FORECAST_METHODS } = require('./forecastMethods');
+
+const SEASONALITY = ['additive', 'multiplicative'];
+
+function mean(values) {
+  return values.reduce((acc, v) => acc + v, 0) / values.length;
+}
+
+// Runs the Holt-Winters recursion from the end of the first season
+function runHoltWinters(values, m, multiplicative, alpha, beta, gamma) {
+  const firstMean = mean(values.slice(0, m));
+  const secondMean = mean(values.slice(m, 2 * m));
+  let level = firstMean;
+  let trend = (secondMean - firstMean) / m;
+  // Seasonal indices from deviations (or ratios) of the first season around its mean
+  const seasonals = values.slice(0, m).map(v => {
+    if (multiplicative) {
+      return firstMean > 0 ? v / firstMean : 1;
+    }
+    return v - firstMean;
+  });
+
+  const fitted = values.slice(0, m);  // Initialization season is its own fit
+  let sse = 0;
+  for (let t = m; t < values.length; t++) {
+    const s = seasonals[t % m];
+    const prediction = multiplicative ? (level + trend) * s : level + trend + s;
+    fitted.push(Math.max(0, prediction));
+    sse += Math.pow(values[t] - prediction, 2);
+
+    const prevLevel = level;
+    const deseasonalized = multiplicative ? (s > 0 ? values[t] / s : values[t]) : values[t] - s;
+    level = alpha * deseasonalized + (1 - alpha) * (level + trend);
+    trend = beta * (level - prevLevel) + (1 - beta) * trend;
+    const seasonalObs = multiplicative ? (level > 0 ? values[t] / level : 1) : values[t] - level;
+    seasonals[t % m] = gamma * seasonalObs + (1 - gamma) * s;
+  }
+  return { level, trend, seasonals, fitted, sse };
+}
+
+function isUnit(value) {
+  return typeof value === 'number' && value > 0 && value <= 1;
+}
+
+function holtWinters(historicalDemand, options = {}) {
+  const { seasonLength = 7, seasonality = 'additive', alpha, beta, gamma, horizon = 1 } = options || {};
+  const steps = typeof horizon === 'number' && horizon >= 1 ? Math.floor(horizon) : 1;
+
+  const validDemands = Array.isArray(historicalDemand)
+    ? historicalDemand.filter(d => typeof d === 'number' && d >= 0)
+    : [];
+  if (validDemands.length === 0 || typeof seasonLength !== 'number' || seasonLength < 2) {
+    return { method: FORECAST_METHODS.HOLT_WINTERS, forecast: 0, forecasts: new Array(steps).fill(0), fitted: [], params: {} };
+  }
+
+  const m = Math.floor(seasonLength);
+  if (validDemands.length < 2 * m) {
+    // Not enough history to initialize seasonality: degrade to Holt (trend only)
+    const fallback = holt(validDemands, { alpha, beta, horizon: steps });
+    return { ...fallback, method: FORECAST_METHODS.HOLT_WINTERS, params: { ...fallback.params, seasonLength: m, fallback: FORECAST_METHODS.HOLT } };
+  }
+
+  const mode = SEASONALITY.includes(seasonality) ? seasonality : 'additive';
+  const multiplicative = mode === 'multiplicative';
+
+  const grids = {
+    alpha: isUnit(alpha) ? [alpha] : unitGrid(0.1),
+    beta: isUnit(beta) ? [beta] : unitGrid(0.1),
+    gamma: isUnit(gamma) ? [gamma] : unitGrid(0.1)
+  };
+  const { params } = gridSearch(grids, p => runHoltWinters(validDemands, m, multiplicative, p.alpha, p.beta, p.gamma).sse);
+  const { level, trend, seasonals, fitted } = runHoltWinters(validDemands, m, multiplicative, params.alpha, params.beta, params.gamma);
+
+  // Horizon forecasts continue the seasonal cycle from the day after the last observation
+  const n = validDemands.length;
+  const forecasts = Array.from({ length: steps }, (_, i) => {
+    const h = i + 1;
+    const s = seasonals[(n - 1 + h) % m];
+    return Math.max(0, multiplicative ? (level + h * trend) * s : level + h * trend + s);
+  });
+
+  return {
+    method: FORECAST_METHODS.HOLT_WINTERS,
+    forecast: forecasts[0],
+    forecasts,
+    fitted,
+    params: {
+      alpha: params.alpha,
+      beta: params.beta,
+      gamma: params.gamma,
+      seasonLength: m,
+      seasonality: mode,
+      level: Number(level.toFixed(4)),
+      trend: Number(trend.toFixed(4)),
+      seasonals: seasonals.map(s => Number(s.toFixed(4))),
+      optimized: !(isUnit(alpha) && isUnit(beta) && isUnit(gamma))
+    }
+  };
+}
+
+module.exports = holtWinters;
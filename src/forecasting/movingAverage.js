@@ -0,0 +1,49 @@
+/**
+ * Windowed (trailing) moving average forecast: mean of the last `window` days only.
+ * Reacts faster than the whole-history mean in calculateAverageDemand when demand shifts.
+ * Flat forecast (same value for every horizon day), like the simple moving average.
+ * @param {number[]} historicalDemand - Array of historical daily demand values.
+ * @param {Object} [options] - Model options.
+ * @param {number} [options.window=7] - Number of most recent days to average (clamped to history length).
+ * @param {number} [options.horizon=1] - Number of future days to forecast.
+ * @returns {Object} { method: 'moving_average', forecast, forecasts: number[], fitted: number[], params: { window } }.
+ * Defensive: returns zero forecasts for invalid/empty data (consistent with other utilities).
+ */
+const { FORECAST_METHODS } = require('./forecastMethods');
+
+function movingAverage(historicalDemand, options = {}) {
+  const { window = 7, horizon = 1 } = options || {};
+  const steps = typeof horizon === 'number' && horizon >= 1 ? Math.floor(horizon) : 1;
+
+  // Filter valid demands (aligns with calculateAverageDemand)
+  const validDemands = Array.isArray(historicalDemand)
+    ? historicalDemand.filter(d => typeof d === 'number' && d >= 0)
+    : [];
+  if (validDemands.length === 0 || typeof window !== 'number' || window < 1) {
+    return { method: FORECAST_METHODS.MOVING_AVERAGE, forecast: 0, forecasts: new Array(steps).fill(0), fitted: [], params: {} };
+  }
+
+  // Clamp window so short histories still produce a forecast
+  const size = Math.min(Math.floor(window), validDemands.length);
+
+  // One-step-ahead fitted values: mean of the (up to) `size` days before each point
+  // (first point has no history, so it is its own fit)
+  const fitted = validDemands.map((d, i) => {
+    if (i === 0) return d;
+    const slice = validDemands.slice(Math.max(0, i - size), i);
+    return slice.reduce((acc, v) => acc + v, 0) / slice.length;
+  });
+
+  const recent = validDemands.slice(-size);
+  const forecast = recent.reduce((acc, v) => acc + v, 0) / size;
+
+  return {
+    method: FORECAST_METHODS.MOVING_AVERAGE,
+    forecast,
+    forecasts: new Array(steps).fill(forecast),
+    fitted,
+    params: { window: size }
+  };
+}
+
+module.exports = movingAverage;
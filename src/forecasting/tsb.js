@@ -0,0 +1,56 @@
+/**
+ * Teunter-Syntetos-Babai (TSB) method for intermittent demand.
+ * Unlike Croston, the demand probability is updated every day (decays on zero days), so the
+ * forecast falls when an item stops selling (useful for obsolescence):
+ *   demand day: p = p + beta * (1 - p),  z = z + alpha * (y - z)
+ *   zero day:   p = p + beta * (0 - p)
+ *   forecast = p * z
+ * @param {number[]} historicalDemand - Array of historical daily demand values.
+ * @param {Object} [options] - Model options.
+ * @param {number} [options.alpha=0.1] - Demand size smoothing factor in (0, 1].
+ * @param {number} [options.beta=0.1] - Demand probability smoothing factor in (0, 1].
+ * @param {number} [options.horizon=1] - Number of future days to forecast.
+ * @returns {Object} { method: 'tsb', forecast, forecasts, fitted, params: { alpha, beta, probability, size } }.
+ * Defensive: returns zero forecasts for invalid data or histories with no demand.
+ */
+const { FORECAST_METHODS } = require('./forecastMethods');
+
+function tsb(historicalDemand, options = {}) {
+  const { alpha = 0.1, beta = 0.1, horizon = 1 } = options || {};
+  const steps = typeof horizon === 'number' && horizon >= 1 ? Math.floor(horizon) : 1;
+  const a = typeof alpha === 'number' && alpha > 0 && alpha <= 1 ? alpha : 0.1;
+  const b = typeof beta === 'number' && beta > 0 && beta <= 1 ? beta : 0.1;
+
+  const validDemands = Array.isArray(historicalDemand)
+    ? historicalDemand.filter(d => typeof d === 'number' && d >= 0)
+    : [];
+  const nonZero = validDemands.filter(d => d > 0);
+  if (nonZero.length === 0) {
+    return { method: FORECAST_METHODS.TSB, forecast: 0, forecasts: new Array(steps).fill(0), fitted: validDemands.map(() => 0), params: {} };
+  }
+
+  // Initialize probability from the overall demand frequency and size from the first demand
+  let probability = nonZero.length / validDemands.length;
+  let size = nonZero[0];
+  const fitted = validDemands.map(d => {
+    const fit = probability * size;
+    if (d > 0) {
+      probability += b * (1 - probability);
+      size += a * (d - size);
+    } else {
+      probability += b * (0 - probability);
+    }
+    return fit;
+  });
+
+  const forecast = probability * size;
+  return {
+    method: FORECAST_METHODS.TSB,
+    forecast,
+    forecasts: new Array(steps).fill(forecast),
+    fitted,
+    params: { alpha: a, beta: b, probability: Number(probability.toFixed(4)), size: Number(size.toFixed(4)) }
+  };
+}
+
+module.exports = tsb;
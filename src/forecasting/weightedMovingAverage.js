@@ -0,0 +1,73 @@
+/**
+ * Weighted moving average forecast: recent days count more than older ones.
+ * Default weights are linear (1, 2, ..., window), so the most recent day has the largest weight.
+ * Custom weights are listed oldest → newest and are normalized internally (need not sum to 1).
+ * @param {number[]} historicalDemand - Array of historical daily demand values.
+ * @param {Object} [options] - Model options.
+ * @param {number} [options.window=7] - Number of recent days to weight (ignored when weights given).
+ * @param {number[]} [options.weights] - Optional explicit weights, oldest → newest.
+ * @param {number} [options.horizon=1] - Number of future days to forecast.
+ * @returns {Object} { method: 'weighted_moving_average', forecast, forecasts, fitted, params: { window, weights } }.
+ * Defensive: returns zero forecasts for invalid/empty data or invalid weights.
+ */
+const { FORECAST_METHODS } = require('./forecastMethods');
+
+function weightedMovingAverage(historicalDemand, options = {}) {
+  const { window = 7, weights, horizon = 1 } = options || {};
+  const steps = typeof horizon === 'number' && horizon >= 1 ? Math.floor(horizon) : 1;
+  const empty = { method: FORECAST_METHODS.WEIGHTED_MOVING_AVERAGE, forecast: 0, forecasts: new Array(steps).fill(0), fitted: [], params: {} };
+
+  const validDemands = Array.isArray(historicalDemand)
+    ? historicalDemand.filter(d => typeof d === 'number' && d >= 0)
+    : [];
+  if (validDemands.length === 0) {
+    return empty;
+  }
+
+  // Resolve weights: explicit list wins, otherwise linear 1..window
+  let baseWeights;
+  if (Array.isArray(weights) && weights.length > 0) {
+    if (weights.some(w => typeof w !== 'number' || w < 0) || weights.every(w => w === 0)) {
+      return empty;
+    }
+    baseWeights = weights;
+  } else {
+    if (typeof window !== 'number' || window < 1) {
+      return empty;
+    }
+    baseWeights = Array.from({ length: Math.floor(window) }, (_, i) => i + 1);
+  }
+
+  // Weighted mean of the values ending just before index `end` (uses the newest weights
+  // when fewer values than weights are available)
+  const weightedMean = (end) => {
+    const size = Math.min(baseWeights.length, end);
+    const slice = validDemands.slice(end - size, end);
+    const w = baseWeights.slice(-size);
+    const totalWeight = w.reduce((acc, v) => acc + v, 0);
+    if (totalWeight === 0) {
+      return slice.reduce((acc, v) => acc + v, 0) / size;
+    }
+    return slice.reduce((acc, v, i) => acc + v * w[i], 0) / totalWeight;
+  };
+
+  const fitted = validDemands.map((d, i) => (i === 0 ? d : weightedMean(i)));
+  const forecast = weightedMean(validDemands.length);
+
+  // Normalized weights actually applied to the final forecast (for planner visibility)
+  const used = baseWeights.slice(-Math.min(baseWeights.length, validDemands.length));
+  const usedTotal = used.reduce((acc, v) => acc + v, 0);
+
+  return {
+    method: FORECAST_METHODS.WEIGHTED_MOVING_AVERAGE,
+    forecast,
+    forecasts: new Array(steps).fill(forecast),
+    fitted,
+    params: {
+      window: used.length,
+      weights: used.map(w => Number((usedTotal > 0 ? w / usedTotal : 1 / used.length).toFixed(4)))
+    }
+  };
+}
+
+module.exports = weightedMovingAverage;
@@ -8,74 +8,343 @@
 // ReorderPoint/EOQ reuse avg/safety (avoids dup logic; modular)
 // detectStockoutRisk exports RISK_LEVELS enum for better structure
 // insights/ folder for final human-readable layer
+// forecasting/ folder for pluggable demand models (SMA, moving averages, exponential smoothing)
+// backtesting/ folder for rolling-origin accuracy metrics and 'auto' model selection
+// timeseries/ + seasonality/ folders for dated history and seasonal demand curves
+// calendar/ folder for business-day calendars (annualization, lead-time days)
+// cleansing/ folder for outlier handling and stockout-censored demand correction
+// intermittent/ folder for demand-pattern classification and discrete-distribution safety stock
+// serviceLevel/ folder for cycle service level / fill rate targets (instead of raw Z-scores)
+// orderQuantity/ folder for EOQ extensions (price breaks, EPQ, backorders, MOQ / pack sizes)
+// simulation/ folder for the seedable Monte Carlo policy simulator
+// policy/ folder for periodic review (R, S) order-up-to levels
+// position/ folder for inventory position (open POs, backorders, allocations) and inbound coverage
+// planning/ folder for the day-by-day projected timeline and replenishment plan
+// risk/ folder for the probabilistic stockout risk with configurable tiers
+// validation/ folder for strict mode (typed errors) and lenient-mode diagnostics
+// config/ folder for the options-object signature and named configuration profiles
+// portfolio/ folder for catalog-wide forecasts with ABC/XYZ classes and portfolio totals
+// trend/ folder for Mann-Kendall trend and Pettitt changepoint detection on the demand history
+// streaming/ folder for the live SKU tracker (online demand statistics from sales / stock events)
+// network/ folder for multi-location stock: pooled safety stock and transfer recommendations
+// costs/ folder for the total inventory cost with stockout penalties and the newsvendor (single-period) model
+// pipeline/ folder for the steps of calculateInventoryForecast (one module per feature, each documenting its options)
 const calculateAverageDemand = require('./calculateAverageDemand');
 const calculateDaysRemaining = require('./calculateDaysRemaining');
 const { detectStockoutRisk, RISK_LEVELS } = require('./detectStockoutRisk');
 const calculateSafetyStock = require('./calculateSafetyStock');
 const calculateReorderPoint = require('./calculateReorderPoint');
+const normalizeLeadTime = require('./normalizeLeadTime');
 const calculateEOQ = require('./calculateEOQ');
-const generateInsights = require('./insights/generateInsights');
+const { generateInsights, INSIGHT_CODES, DEFAULT_VARIABILITY_THRESHOLDS } = require('./insights/generateInsights');
+const { LOCALES } = require('./insights/formatMessage');
+const { forecastDemand, FORECAST_METHODS } = require('./forecasting/forecastDemand');
+const movingAverage = require('./forecasting/movingAverage');
+const weightedMovingAverage = require('./forecasting/weightedMovingAverage');
+const exponentialSmoothing = require('./forecasting/exponentialSmoothing');
+const holt = require('./forecasting/holt');
+const holtWinters = require('./forecasting/holtWinters');
+const calculateAccuracyMetrics = require('./backtesting/calculateAccuracyMetrics');
+const backtestForecast = require('./backtesting/backtestForecast');
+const { selectForecastModel } = require('./backtesting/selectForecastModel');
+const { parseDemandRecords } = require('./timeseries/parseDemandRecords');
+const { fillDailyGaps, toDailySeries } = require('./timeseries/fillDailyGaps');
+const resampleDemand = require('./timeseries/resampleDemand');
+const { toDayKey, addDays } = require('./timeseries/dayKeys');
+const {
+  isBusinessDay,
+  countBusinessDays,
+  businessDaysPerYear,
+  addBusinessDays
+} = require('./calendar/businessCalendar');
+const { estimateSeasonalIndices } = require('./seasonality/estimateSeasonalIndices');
+const projectSeasonalDemand = require('./seasonality/projectSeasonalDemand');
+const calculateSeasonalInventory = require('./seasonality/calculateSeasonalInventory');
+const { detectOutliers, OUTLIER_METHODS } = require('./cleansing/detectOutliers');
+const cleanseDemand = require('./cleansing/cleanseDemand');
+const { classifyDemandPattern, DEMAND_PATTERNS } = require('./intermittent/classifyDemandPattern');
+const calculateIntermittentSafetyStock = require('./intermittent/calculateIntermittentSafetyStock');
+const croston = require('./forecasting/croston');
+const tsb = require('./forecasting/tsb');
+const { forecastQuantiles, INTERVAL_METHODS } = require('./forecasting/forecastQuantiles');
+const {
+  cycleServiceLevelToZ,
+  fillRateToZ,
+  expectedFillRate,
+  zToCycleServiceLevel,
+  SERVICE_LEVEL_TYPES
+} = require('./serviceLevel/serviceLevelTargets');
+const { calculateOrderQuantity, ORDER_QUANTITY_MODELS } = require('./orderQuantity/calculateOrderQuantity');
+const { simulateInventoryPolicy, SIMULATION_POLICIES } = require('./simulation/simulateInventoryPolicy');
+const { createRandom } = require('./simulation/seededRandom');
+const { calculatePeriodicReview, INVENTORY_POLICIES } = require('./policy/calculatePeriodicReview');
+const { calculateInventoryPosition } = require('./position/calculateInventoryPosition');
+const projectInboundCoverage = require('./position/projectInboundCoverage');
+const scheduleOpenOrders = require('./position/scheduleOpenOrders');
+const planReplenishment = require('./planning/planReplenishment');
+const { assessStockoutRisk, DEFAULT_RISK_TIERS, RISK_MODELS } = require('./risk/assessStockoutRisk');
+const { createValidator, DIAGNOSTIC_TYPES } = require('./validation/validateInputs');
+const {
+  InventoryInputError,
+  InvalidDemandError,
+  InvalidStockError,
+  InvalidLeadTimeError,
+  InvalidCostError,
+  InvalidParameterError,
+  INPUT_ERROR_CODES
+} = require('./validation/errors');
+const { resolveForecastConfig, isForecastConfig } = require('./config/resolveForecastConfig');
+const loadProfiles = require('./config/loadProfiles');
+const mergeSettings = require('./config/mergeSettings');
+const { detectTrend, TREND_DIRECTIONS } = require('./trend/detectTrend');
+const { detectChangepoints } = require('./trend/detectChangepoints');
+const {
+  createSkuTracker,
+  restoreSkuTracker,
+  TRACKER_METHODS,
+  TRACKER_STATE_VERSION
+} = require('./streaming/createSkuTracker');
+const analyzePortfolio = require('./portfolio/analyzePortfolio');
+const {
+  classifyABC,
+  classifyXYZ,
+  ABC_CLASSES,
+  XYZ_CLASSES,
+  DEFAULT_ABC_THRESHOLDS,
+  DEFAULT_XYZ_THRESHOLDS
+} = require('./portfolio/classifyPortfolio');
+const analyzeNetwork = require('./network/analyzeNetwork');
+const poolSafetyStock = require('./network/poolSafetyStock');
+const { recommendTransfers, DEFAULT_LANE } = require('./network/recommendTransfers');
+const { calculateInventoryCost, STOCKOUT_PENALTY_TYPES } = require('./costs/calculateInventoryCost');
+const { calculateNewsvendor, NEWSVENDOR_DISTRIBUTIONS } = require('./costs/calculateNewsvendor');
+const checkForecastInputs = require('./pipeline/checkForecastInputs');
+const prepareHistory = require('./pipeline/prepareHistory');
+const resolveLeadTime = require('./pipeline/resolveLeadTime');
+const forecastDailyRate = require('./pipeline/forecastDailyRate');
+const planBuffer = require('./pipeline/planBuffer');
+const planPeriodicReview = require('./pipeline/planPeriodicReview');
+const projectPosition = require('./pipeline/projectPosition');
+const projectReplenishment = require('./pipeline/projectReplenishment');
+const describeServiceLevel = require('./pipeline/describeServiceLevel');
+const estimateCosts = require('./pipeline/estimateCosts');
+const assessForecastRisk = require('./pipeline/assessForecastRisk');
+const summarizeForecast = require('./pipeline/summarizeForecast');
 
 /**
  * Main function to calculate demand forecast and inventory risk.
- * All inputs are handled defensively for consistency (see utility functions for details):
- * - Invalid data returns safe defaults (e.g., avg=0, days=0, risk=RISK_LEVELS.LOW, safetyStock=0) instead of throwing.
- * Now extended with demand variability (std dev), safety stock, reorder point, EOQ, and insights layer for full decisions.
- * Safety stock = Z * stdDev * sqrt(leadTime); Reorder Point = (avgDailyDemand * leadTime) + safetyStock.
- * EOQ = sqrt(2 * annualDemand * orderCost / holdingCost) (annual from avgDaily*250 business days for realism).
- * Z/zScore defaults to 1.65 (~95% service level) if not provided.
- * Now also reuses avgDailyDemand in safety stock calc for efficiency (no redundant mean computation).
- * RISK_LEVELS enum (from detectStockoutRisk) used for riskLevel to improve structure (no magic strings).
- * Final insights/ layer generates human-readable summary/signals (status, demandSignal etc.).
- * This does NOT break existing output shape or calls (adds fields; optional param renamed to zScore for standard stats term).
- * @param {number[]} historicalDemand - Array of historical daily demand data.
+ * Runs the steps in pipeline/ in order, each documenting the options it reads:
+ *   checkForecastInputs → prepareHistory → resolveLeadTime → forecastDailyRate → EOQ / order quantity / position →
+ *   planBuffer → planPeriodicReview → projectPosition → projectReplenishment → describeServiceLevel →
+ *   estimateCosts → assessForecastRisk → prediction intervals → summarizeForecast.
+ * All inputs are handled defensively: invalid data falls back to safe defaults (e.g., avg=0, days=0,
+ * risk=RISK_LEVELS.LOW, safetyStock=0) and every dropped value or default used is listed in diagnostics;
+ * options.strict = true throws a typed error instead (InventoryInputError subclasses with code/field/value).
+ * The original fields keep their meaning: the daily rate (options.method; default 'sma' = the whole-history mean)
+ * drives days remaining, Safety stock = Z * stdDev * sqrt(leadTime), Reorder Point = rate * leadTime + safetyStock
+ * and EOQ = sqrt(2 * annualDemand * orderCost / holdingCost) (annualized over 250 days); zScore defaults to 1.65
+ * (~95% service level). Optional features add fields without changing the shape of existing ones.
+ * Options-object form: calculateInventoryForecast({ historicalDemand, currentStock, leadTime, zScore, orderCost,
+ * holdingCost, ...options }) takes the same settings by name (the positional form stays supported), and
+ * options.profile / options.profiles layer configuration profiles under them (see resolveForecastConfig).
+ * @param {number[]|Object[]|Object} historicalDemand - Array of historical daily demand data, or dated records [{ date, quantity }]
+ *   (or a settings object with every argument and option by name; the other parameters are then ignored).
  * @param {number} currentStock - Current stock level.
- * @param {number} leadTime - Supplier lead time in days.
+ * @param {number|number[]|Object} leadTime - Supplier lead time in days (fixed number, observed lead times, or { mean, stdDev }).
  * @param {number} [zScore=1.65] - Optional Z-score for service level (e.g., 1.28 for 90%, 2.33 for 99%).
  * @param {number} [orderCost=100] - Optional order/setup cost per order (S for EOQ).
  * @param {number} [holdingCost=10] - Optional holding cost per unit/year (H for EOQ).
+ * @param {Object} [options] - Optional settings (module documenting each in parentheses):
+ *   method and model options (forecastDailyRate), intermittent (forecastDailyRate, planBuffer),
+ *   cleansing, onHand, trend, afterLastBreak (prepareHistory), calendar, leadTimeUnit, asOf, daysPerYear
+ *   (resolveLeadTime), seasonalPeriods, serviceLevel, fillRate (planBuffer), orderQuantity (calculateOrderQuantity),
+ *   policy, reviewPeriod (planPeriodicReview), openOrders, backorders, allocated (projectPosition), plan
+ *   (projectReplenishment), riskModel, riskTiers (assessForecastRisk), intervals (forecastQuantiles), costs,
+ *   newsvendor (estimateCosts), insights (summarizeForecast), strict, profile, profiles (resolveForecastConfig).
  * @returns {Object} Forecast results (backward-compatible extension):
- *   - avgDailyDemand, daysRemaining, riskLevel, recommendation (original fields)
- *   - demandStdDev, safetyStock, reorderPoint, eoq (new)
+ *   - avgDailyDemand, daysRemaining ('Infinite' when stock never runs out), riskLevel, recommendation
+ *   - demandStdDev, safetyStock, reorderPoint, eoq
+ *   - orderQuantity, periodicReview, inventoryPosition, replenishmentPlan (only when requested)
+ *   - forecastModel ({ method, params } of the demand model used; plus selection when method is 'auto')
+ *   - seasonality, intermittent, leadTimeVariability, calendar, cleansing (only when applied)
+ *   - demandPattern ({ pattern, adi, cv2, nonZeroDays }) and trend (unless options.trend is false)
+ *   - serviceLevel ({ type, target, zScore, cycleServiceLevel, expectedFillRate }) and stockoutRisk
+ *     ({ model, probability, level, ... })
+ *   - inventoryCost, newsvendor, predictionIntervals (only when requested)
+ *   - profile (name of the configuration profile applied; only when one was)
+ *   - diagnostics ([{ type, field, index?, value, default?, message }]: dropped values, NaNs and defaults used)
  *   - insights (final layer: status, summary, signals e.g., demandSignal)
  */
-function calculateInventoryForecast(historicalDemand, currentStock, leadTime, zScore = 1.65, orderCost = 100, holdingCost = 10) {
-  // Existing calcs (unchanged for backward compat)
-  const avgDailyDemand = calculateAverageDemand(historicalDemand);
-  const daysRemaining = calculateDaysRemaining(currentStock, avgDailyDemand);
-  const riskLevel = detectStockoutRisk(daysRemaining, leadTime);
+function calculateInventoryForecast(historicalDemand, currentStock, leadTime, zScore, orderCost, holdingCost, options = {}) {
+  // Both signatures become one settings object (positional arguments left undefined are not set), then the
+  // profile's defaults are merged under it; built-in defaults apply to whatever is still unset
+  const diagnostics = [];
+  const settings = isForecastConfig(historicalDemand)
+    ? historicalDemand
+    : { ...(options && typeof options === 'object' ? options : {}), historicalDemand, currentStock, leadTime, zScore, orderCost, holdingCost };
+  const config = resolveForecastConfig(settings, { strict: settings.strict === true, diagnostics });
+  ({ historicalDemand, currentStock, leadTime, options } = config);
+  zScore = config.zScore === undefined ? 1.65 : config.zScore;
+  orderCost = config.orderCost === undefined ? 100 : config.orderCost;
+  holdingCost = config.holdingCost === undefined ? 10 : config.holdingCost;
 
-  // Safety stock for demand variability (uses dedicated utility)
-  // Pass avgDailyDemand for reuse optimization (and zScore; old param name aliased via default)
-  // Standalone calls to calculateSafetyStock still work unchanged (back compat)
-  const { demandStdDev, safetyStock } = calculateSafetyStock(historicalDemand, leadTime, zScore, avgDailyDemand);
+  // Inputs are checked once up front; the steps below keep their utilities' defensive defaults
+  const validation = { strict: options.strict === true, diagnostics };
+  const customDaysPerYear = checkForecastInputs(
+    { historicalDemand, currentStock, leadTime, zScore, orderCost, holdingCost }, options, createValidator(validation)
+  );
 
-  // Reorder point: leverages existing forecast/safety outputs (dedicated util reuses avg + safety
-  // to avoid dup logic; e.g., expected demand during lead time + buffer)
-  // This is what teams monitor in real inventory systems to trigger orders
-  const { reorderPoint } = calculateReorderPoint(historicalDemand, leadTime, zScore);
+  // Daily history (cleansed, cut at the last break on request), lead time in the units used below, and the rate
+  const history = prepareHistory(historicalDemand, options);
+  const demand = history.demand;
+  const lead = resolveLeadTime(leadTime, options, { lastRecordDate: history.lastRecordDate, customDaysPerYear });
+  const rate = forecastDailyRate(demand, lead.leadTime, options, diagnostics);
+  const { model, avgDailyDemand } = rate;
+  let daysRemaining = calculateDaysRemaining(currentStock, avgDailyDemand);
 
-  // EOQ: optimal order quantity using dedicated util (reuses avgDailyDemand internally
-  // for annual demand derivation; avoids dup; balances order/holding costs)
-  // EOQ helps answer "how much to order" alongside "when" (reorderPoint)
-  const { eoq } = calculateEOQ(historicalDemand, orderCost, holdingCost);
+  // EOQ comes before the buffer (a fill-rate target depends on the order quantity); an order quantity model,
+  // when requested, replaces it as the cycle size, and a periodic review orders one review period's demand
+  const { annualDemand, eoq } = calculateEOQ(demand, orderCost, holdingCost, lead.daysPerYear, avgDailyDemand);
+  const orderQuantity = options.orderQuantity && typeof options.orderQuantity === 'object'
+    ? calculateOrderQuantity(annualDemand, { orderCost, holdingCost, ...options.orderQuantity })
+    : undefined;
+  const positionTracked = options.openOrders !== undefined || options.backorders !== undefined || options.allocated !== undefined;
+  const position = positionTracked ? calculateInventoryPosition(currentStock, options) : null;
+  const periodic = options.policy === INVENTORY_POLICIES.PERIODIC;
+  const reviewPeriod = periodic
+    ? (typeof options.reviewPeriod === 'number' && options.reviewPeriod > 0 ? options.reviewPeriod : 7)
+    : 0;
+  let cycleQuantity = orderQuantity && orderQuantity.quantity > 0 ? orderQuantity.quantity : eoq;
+  if (periodic) {
+    cycleQuantity = avgDailyDemand * reviewPeriod;
+  }
 
-  // Insights layer: human-readable summary/signals (final synthesis; in separate insights/ folder)
-  // Reuses full forecast data (status, demandSignal etc.); keeps main engine lean
-  const insights = generateInsights({ avgDailyDemand, demandStdDev, safetyStock, reorderPoint, eoq, riskLevel, daysRemaining });
+  // Buffer and trigger for the service target (intermittent / seasonal models replace the normal buffer)
+  const buffer = planBuffer({
+    demand,
+    records: history.records,
+    dated: history.dated,
+    currentStock,
+    zScore,
+    avgDailyDemand,
+    historicalMean: calculateAverageDemand(demand),
+    useIntermittent: rate.useIntermittent,
+    reviewPeriod,
+    cycleQuantity,
+    lead
+  }, options);
+  const { demandStdDev, reorderPoint, seasonality, seasonalStart, intermittent } = buffer;
+  let { safetyStock } = buffer;
+  if (seasonality) {
+    daysRemaining = buffer.daysRemaining;
+  }
+
+  const periodicReview = periodic
+    ? planPeriodicReview({
+      demand,
+      records: history.records,
+      currentStock,
+      reviewPeriod,
+      zScore: buffer.zScore,
+      avgDailyDemand,
+      inventoryPosition: position ? position.position : null,
+      lead,
+      buffer
+    }, options)
+    : undefined;
+  if (periodicReview) {
+    safetyStock = periodicReview.safetyStock;
+  }
+
+  // Projections start on asOf, else the calendar's start, else the day after the history, else today
+  const projectionStart = toDayKey(options.asOf) ||
+    (lead.calendarInfo ? lead.calendarInfo.startDate : (history.lastRecordDate ? addDays(history.lastRecordDate, 1) : toDayKey(new Date())));
+  const projection = { avgDailyDemand, reorderPoint, periodicReview, seasonality, seasonalStart, projectionStart };
+  let inventoryPosition;
+  if (position) {
+    ({ daysRemaining, inventoryPosition } = projectPosition(position, projection, options));
+  }
+  const replenishmentPlan = options.plan
+    ? projectReplenishment({ ...projection, demand, currentStock, leadTime: lead.leadTime, cycleQuantity, reviewPeriod }, options)
+    : undefined;
+
+  const { serviceLevel, achievedStdDev } = describeServiceLevel({ ...buffer, safetyStock }, cycleQuantity);
+  const available = position ? position.available : (typeof currentStock === 'number' && currentStock > 0 ? currentStock : 0);
+  const { inventoryCost, newsvendor } = estimateCosts({
+    annualDemand,
+    orderCost,
+    holdingCost,
+    cycleQuantity,
+    safetyStock,
+    achievedStdDev,
+    avgDailyDemand,
+    demandStdDev,
+    horizon: rate.horizon,
+    available
+  }, options, validation);
+  const { stockoutRisk, riskLevel, urgent } = assessForecastRisk({
+    currentStock,
+    daysRemaining,
+    avgDailyDemand,
+    demandStdDev,
+    achievedStdDev,
+    leadTime: lead.leadTime,
+    reviewPeriod,
+    inventoryPosition,
+    periodicReview,
+    seasonality
+  }, options);
+
+  // Prediction intervals (opt-in): demand quantiles from the same model's residuals over the horizon (default: the
+  // lead time) and the days-remaining range for the stock available (receipts not included); see forecastQuantiles
+  let predictionIntervals;
+  if (options.intervals) {
+    predictionIntervals = forecastQuantiles(demand, {
+      ...options,
+      horizon: rate.horizon,
+      ...(typeof options.intervals === 'object' ? options.intervals : {}),
+      method: model.method,
+      currentStock: position ? position.available : currentStock
+    });
+  }
+
+  const { insights, recommendation } = summarizeForecast({
+    avgDailyDemand, demandStdDev, safetyStock, reorderPoint, eoq, riskLevel, daysRemaining, periodicReview,
+    inventoryPosition, stockoutRisk, predictionIntervals, trend: history.trend, diagnostics
+  }, urgent, options);
 
   return {
     // Original fields preserved exactly (no breaking changes for consumers)
     avgDailyDemand: Number(avgDailyDemand.toFixed(2)), // Round for readability
     daysRemaining: daysRemaining === Infinity ? 'Infinite' : Number(daysRemaining.toFixed(2)),
     riskLevel,
-    // Use enum for recommendation to align with RISK_LEVELS (improved structure)
-    recommendation: riskLevel === RISK_LEVELS.HIGH ? 'Reorder immediately' : 'Monitor stock levels',
+    recommendation,
     // New fields for extension (insights added last)
     demandStdDev,
     safetyStock,
     reorderPoint,
     eoq,
+    ...(orderQuantity ? { orderQuantity } : {}),
+    ...(periodicReview ? { periodicReview } : {}),
+    ...(inventoryPosition ? { inventoryPosition } : {}),
+    ...(replenishmentPlan ? { replenishmentPlan } : {}),
+    forecastModel: model.selection
+      ? { method: model.method, params: model.params, selection: model.selection }
+      : { method: model.method, params: model.params },
+    ...(seasonality ? { seasonality } : {}),
+    demandPattern: rate.demandPattern,
+    ...(history.trend ? { trend: history.trend } : {}),
+    ...(intermittent ? { intermittent } : {}),
+    ...(lead.calendarInfo ? { calendar: lead.calendarInfo } : {}),
+    ...(history.cleansing ? { cleansing: history.cleansing } : {}),
+    ...(buffer.leadTimeVariability ? { leadTimeVariability: buffer.leadTimeVariability } : {}),
+    serviceLevel,
+    stockoutRisk,
+    ...(inventoryCost ? { inventoryCost } : {}),
+    ...(newsvendor ? { newsvendor } : {}),
+    ...(predictionIntervals ? { predictionIntervals } : {}),
+    ...(config.profile ? { profile: config.profile } : {}),
+    diagnostics,
     insights
   };
 }
@@ -91,7 +360,94 @@ module.exports = {
   RISK_LEVELS,         // For improved code structure (risk level consts)
   calculateSafetyStock,  // For std dev + safety stock
   calculateReorderPoint, // Reorder point reusing existing logic
+  normalizeLeadTime,     // Fixed / observed / { mean, stdDev } lead time → { mean, stdDev }
   calculateEOQ,          // New: EOQ for order quantity (reuses avg)
   generateInsights,      // Insights layer: human-readable signals/summary
+  INSIGHT_CODES,         // Enum of insight message codes (insights.signals[field].code)
+  DEFAULT_VARIABILITY_THRESHOLDS, // { moderate, high } coefficient-of-variation cut-offs
+  LOCALES,               // Insight message packs: en, es
+  forecastDemand,        // Forecast model dispatcher (method option)
+  FORECAST_METHODS,      // Enum of supported forecasting methods
+  movingAverage,         // Trailing window mean
+  weightedMovingAverage, // Recency-weighted mean
+  exponentialSmoothing,  // Single exponential smoothing (SES)
+  holt,                  // Double exponential smoothing (trend)
+  holtWinters,           // Triple exponential smoothing (trend + seasonality)
+  forecastQuantiles,     // P10/P50/P90 demand (daily + cumulative) and days-remaining range
+  INTERVAL_METHODS,      // Enum: parametric / bootstrap
+  calculateAccuracyMetrics, // MAE, RMSE, MAPE, sMAPE, MASE, bias
+  backtestForecast,      // Rolling-origin backtest for one method
+  selectForecastModel,   // 'auto' mode: pick the most accurate method per SKU
+  parseDemandRecords,    // Dated records → sorted daily series
+  fillDailyGaps,         // Missing days → 0 (optionally business days only)
+  toDailySeries,         // parseDemandRecords + fillDailyGaps
+  resampleDemand,        // Weekly / monthly buckets
+  detectOutliers,        // IQR / Hampel / z-score outlier detection
+  OUTLIER_METHODS,       // Enum of outlier methods
+  cleanseDemand,         // Cap/remove outliers + impute stockout-censored demand
+  isBusinessDay,         // Business calendar helpers (weekends + holidays)
+  countBusinessDays,
+  businessDaysPerYear,
+  addBusinessDays,
+  estimateSeasonalIndices, // Weekly/yearly seasonal indices
+  projectSeasonalDemand, // Day-by-day seasonal demand curve
+  calculateSeasonalInventory, // Coverage/safety/reorder along the seasonal curve
+  croston,               // Croston/SBA intermittent forecasts
+  tsb,                   // TSB intermittent forecast
+  classifyDemandPattern, // smooth / erratic / intermittent / lumpy (ADI, CV²)
+  DEMAND_PATTERNS,       // Enum of demand patterns
+  calculateIntermittentSafetyStock, // Poisson / negative binomial safety stock
+  cycleServiceLevelToZ,  // e.g., 0.98 → Z 2.0537
+  fillRateToZ,           // Target fill rate → Z via the normal loss function
+  expectedFillRate,      // Fill rate achieved by a Z-score
+  zToCycleServiceLevel,  // Z → cycle service level Φ(z)
+  SERVICE_LEVEL_TYPES,   // Enum: z_score / cycle / fill_rate
+  calculateOrderQuantity, // Feasible order quantity + annual cost (discounts, EPQ, backorders, MOQ/packs)
+  ORDER_QUANTITY_MODELS, // Enum of order quantity models
+  simulateInventoryPolicy, // Monte Carlo (s, Q) / (s, S) / (R, S) simulation with confidence intervals
+  SIMULATION_POLICIES,   // Enum of simulated policies
+  createRandom,          // Seedable uniform generator (reproducible simulations)
+  calculatePeriodicReview, // (R, S) order-up-to level over the protection interval R + L
+  INVENTORY_POLICIES,    // Enum: continuous / periodic
+  calculateInventoryPosition, // On hand + on order - backorders - allocated
+  projectInboundCoverage, // Coverage with open purchase orders landing on their arrival days
+  scheduleOpenOrders,    // Open purchase orders → arrival day offsets
+  planReplenishment,     // Day-by-day projected timeline + suggested orders (MRP-lite)
+  assessStockoutRisk,    // Probability of stocking out before replenishment + configurable risk tiers
+  DEFAULT_RISK_TIERS,    // { critical, high, medium } minimum probabilities
+  RISK_MODELS,           // Enum: days / probabilistic
+  InventoryInputError,   // Base class of the strict-mode errors (code, field, value, index)
+  InvalidDemandError,
+  InvalidStockError,
+  InvalidLeadTimeError,
+  InvalidCostError,
+  InvalidParameterError,
+  INPUT_ERROR_CODES,     // Enum of error codes (err.code)
+  DIAGNOSTIC_TYPES,      // Enum: dropped_value / nan_value / default_used
+  loadProfiles,          // Named configuration profiles from JSON (with `extends`)
+  resolveForecastConfig, // Options-object settings + profile → forecast arguments and options
+  mergeSettings,         // Profile / SKU override layering
+  analyzePortfolio,      // Forecast a catalog: ABC/XYZ classes, per-class service levels, portfolio totals
+  classifyABC,           // ABC classes by annual value share
+  classifyXYZ,           // XYZ class by coefficient of variation
+  ABC_CLASSES,           // Enum: A / B / C
+  XYZ_CLASSES,           // Enum: X / Y / Z
+  DEFAULT_ABC_THRESHOLDS, // { a, b } cumulative value share cut-offs
+  DEFAULT_XYZ_THRESHOLDS, // { x, y } coefficient-of-variation cut-offs
+  detectTrend,           // Mann-Kendall trend test + Sen's slope
+  TREND_DIRECTIONS,      // Enum: increasing / decreasing / none
+  detectChangepoints,    // Pettitt structural breaks (binary segmentation)
+  createSkuTracker,      // Live SKU tracker: Welford / EW demand stats from sales and stock events
+  restoreSkuTracker,     // Resume a tracker from its JSON snapshot
+  TRACKER_METHODS,       // Enum: exponential / cumulative
+  TRACKER_STATE_VERSION, // Snapshot format version
+  analyzeNetwork,        // Multi-location SKU: per-location forecasts, pooled safety stock, transfers
+  poolSafetyStock,       // Risk pooling: pooled vs. separate safety stock from demand correlations
+  recommendTransfers,    // Moves from over-covered to at-risk locations (lane lead times / costs)
+  DEFAULT_LANE,          // { leadTime: 1, unitCost: 0, fixedCost: 0 } for unlisted transfer lanes
+  calculateInventoryCost, // Annual ordering / holding / safety stock / shortage cost + cost-optimal buffer
+  STOCKOUT_PENALTY_TYPES, // Enum: per_unit / per_occurrence
+  calculateNewsvendor,   // Single-period order quantity at the critical ratio
+  NEWSVENDOR_DISTRIBUTIONS, // Enum: normal / empirical
   calculateInventoryForecast
 };
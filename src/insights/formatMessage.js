@@ -0,0 +1,59 @@
+/**
+ * Message formatting for the insights layer: locale packs (LOCALES) plus per-call template overrides.
+ * A locale is a pack name ('en', 'es'; regional tags such as 'es-MX' use their language) or a custom pack
+ * { decimalSeparator, templates }. Keys missing from the pack or the overrides fall back to English, and an unknown
+ * locale falls back to English as a whole.
+ * Templates are strings with {name} placeholders (unknown names are left as is) or functions of the params;
+ * numbers are written with the pack's decimal separator before they are inserted.
+ */
+const en = require('./locales/en');
+const es = require('./locales/es');
+
+const LOCALES = { en, es };
+const DEFAULT_LOCALE = 'en';
+
+// Locale option → pack (custom packs are used as given)
+function resolvePack(locale) {
+  if (locale && typeof locale === 'object') return locale;
+  const tag = typeof locale === 'string' ? locale.toLowerCase() : DEFAULT_LOCALE;
+  return LOCALES[tag] || LOCALES[tag.split(/[-_]/)[0]] || LOCALES[DEFAULT_LOCALE];
+}
+
+function formatValue(value, decimalSeparator) {
+  if (typeof value === 'number' && Number.isFinite(value)) return String(value).replace('.', decimalSeparator);
+  return String(value);
+}
+
+/**
+ * Builds the formatter for one generateInsights call.
+ * @param {Object} [options] - { locale (pack name or custom pack; default 'en'), templates ({ code: template } overrides) }.
+ * @returns {Function} (code, params) → { code, params, text }.
+ */
+function createMessageFormatter(options = {}) {
+  const pack = resolvePack(options.locale);
+  const decimalSeparator = typeof pack.decimalSeparator === 'string' ? pack.decimalSeparator : '.';
+  const templates = {
+    ...LOCALES[DEFAULT_LOCALE].templates,
+    ...(pack.templates || {}),
+    ...(options.templates && typeof options.templates === 'object' ? options.templates : {})
+  };
+
+  return (code, params = {}) => {
+    const formatted = Object.keys(params).reduce((acc, key) => {
+      acc[key] = formatValue(params[key], decimalSeparator);
+      return acc;
+    }, {});
+    const template = templates[code];
+    let text;
+    if (typeof template === 'function') {
+      text = String(template(formatted));
+    } else if (typeof template === 'string') {
+      text = template.replace(/\{(\w+)\}/g, (match, name) => (name in formatted ? formatted[name] : match));
+    } else {
+      text = code;  // No template anywhere: the code itself
+    }
+    return { code, params, text };
+  };
+}
+
+module.exports = { createMessageFormatter, LOCALES, DEFAULT_LOCALE };
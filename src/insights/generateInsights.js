@@ -1,26 +1,127 @@
 /**
  * Insights Generator Layer: produces human-readable summary and signals for inventory decisions.
  * This final layer synthesizes outputs from demand/risk/cost layers into actionable insights.
- * status, summary, demandSignal, variabilitySignal, bufferSignal, reorderSignal, costSignal, recommendation.
+ * status, summary, demandSignal, variabilitySignal, bufferSignal, reorderSignal, costSignal, recommendation
+ * (plus shiftSignal when the demand history has a structural break, inboundSignal when the inventory position with open orders is tracked, and riskSignal with the
+ * stockout probability when it is known, and confidenceSignal with the days-remaining range when prediction
+ * intervals are computed, and dataQualitySignal when input values were dropped or replaced by defaults).
+ * The data quality signal also appears on the 'unknown' result, since bad feeds often leave no demand at all.
  * Placed in separate insights/ folder for layered architecture.
  * Reuses forecast data (no dup logic); backward-compatible.
+ * Variability is judged by the coefficient of variation (demandStdDev / avgDailyDemand) against configurable
+ * cut-offs, so 5 units/day and 5,000 units/day items are compared on the same scale; high variability also turns
+ * the demand signal from "stable" to "erratic".
+ * A significant trend (forecastData.trend, Mann-Kendall) makes the demand signal "rising" / "falling" with the
+ * fitted levels, and shiftSignal reports the last structural break (when demand shifted, from and to what level).
+ * Text comes from locale packs (see formatMessage; 'en' default, 'es') whose templates can be overridden per call,
+ * and every text field also comes back in signals as { code (INSIGHT_CODES), params, text } for machine use.
  * @param {Object} forecastData - Output from calculateInventoryForecast (or similar).
- * @returns {Object} insights - Human-readable { status, summary, signals..., recommendation }.
+ * @param {Object} [options] - { locale ('en' | 'es' | custom pack), templates ({ code: template } overrides),
+ *   variabilityThresholds ({ moderate, high } minimum coefficients of variation; DEFAULT_VARIABILITY_THRESHOLDS) }.
+ * @returns {Object} insights - Human-readable { status, summary, signals..., recommendation } plus
+ *   signals ({ summary, demandSignal, ..., recommendation: { code, params, text } }).
  * Defensive for robustness.
  */
-function generateInsights(forecastData) {
+const { createMessageFormatter } = require('./formatMessage');
+
+// Enum-like const for message codes (signals[field].code; keys of the locale packs)
+const INSIGHT_CODES = {
+  SUMMARY_UNKNOWN: 'summary.unknown',
+  SUMMARY_HEALTHY: 'summary.healthy',
+  SUMMARY_OUT_OF_STOCK: 'summary.out_of_stock',
+  SUMMARY_STOCKOUT_LIKELY: 'summary.stockout_likely',
+  SUMMARY_HIGH_RISK: 'summary.high_risk',
+  SUMMARY_MODERATE_RISK: 'summary.moderate_risk',
+  DEMAND_UNAVAILABLE: 'demand.unavailable',
+  DEMAND_STABLE: 'demand.stable',
+  DEMAND_ERRATIC: 'demand.erratic',
+  DEMAND_RISING: 'demand.rising',
+  DEMAND_FALLING: 'demand.falling',
+  SHIFT_UP: 'shift.up',
+  SHIFT_DOWN: 'shift.down',
+  VARIABILITY_UNKNOWN: 'variability.unknown',
+  VARIABILITY_LOW: 'variability.low',
+  VARIABILITY_MODERATE: 'variability.moderate',
+  VARIABILITY_HIGH: 'variability.high',
+  BUFFER_UNKNOWN: 'buffer.unknown',
+  BUFFER_DAYS: 'buffer.days',
+  REORDER_UNKNOWN: 'reorder.unknown',
+  REORDER_TRIGGER: 'reorder.trigger',
+  REORDER_PERIODIC: 'reorder.periodic',
+  REORDER_POSITION_ORDER: 'reorder.position_order',
+  REORDER_POSITION_OK: 'reorder.position_ok',
+  COST_UNKNOWN: 'cost.unknown',
+  COST_EOQ: 'cost.eoq',
+  INBOUND_NEXT_RECEIPT: 'inbound.next_receipt',
+  INBOUND_NEXT_RECEIPT_NO_STOCKOUT: 'inbound.next_receipt_no_stockout',
+  INBOUND_NONE: 'inbound.none',
+  RISK_PROBABILITY: 'risk.probability',
+  CONFIDENCE_NO_STOCKOUT: 'confidence.no_stockout',
+  CONFIDENCE_POINT: 'confidence.point',
+  CONFIDENCE_AT_LEAST: 'confidence.at_least',
+  CONFIDENCE_RANGE: 'confidence.range',
+  DATA_QUALITY_ISSUES: 'data_quality.issues',
+  RECOMMENDATION_GATHER_DATA: 'recommendation.gather_data',
+  RECOMMENDATION_MONITOR: 'recommendation.monitor',
+  RECOMMENDATION_OUT_OF_STOCK: 'recommendation.out_of_stock',
+  RECOMMENDATION_REORDER: 'recommendation.reorder',
+  RECOMMENDATION_EXPEDITE: 'recommendation.expedite',
+  RECOMMENDATION_PLAN_REORDER: 'recommendation.plan_reorder'
+};
+
+// Minimum coefficient of variation for each variability tier (below moderate = low)
+const DEFAULT_VARIABILITY_THRESHOLDS = { moderate: 0.1, high: 0.3 };
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+// Never running out: 'Infinite' in forecast output (Infinity accepted from direct callers)
+const isUnbounded = value => value === 'Infinite' || value === Infinity;
+
+// Cut-offs from the options (each must be a number >= 0; invalid ones keep the default)
+function variabilityThresholds(custom) {
+  const settings = custom && typeof custom === 'object' ? custom : {};
+  return Object.keys(DEFAULT_VARIABILITY_THRESHOLDS).reduce((acc, tier) => {
+    acc[tier] = typeof settings[tier] === 'number' && settings[tier] >= 0 ? settings[tier] : DEFAULT_VARIABILITY_THRESHOLDS[tier];
+    return acc;
+  }, {});
+}
+
+// Field → { code, params, text } entries become { field: text, ..., signals: { field: entry } }
+function toInsights(status, entries) {
+  const insights = { status };
+  const signals = {};
+  Object.keys(entries).forEach(field => {
+    if (!entries[field]) return;
+    insights[field] = entries[field].text;
+    signals[field] = entries[field];
+  });
+  insights.signals = signals;
+  return insights;
+}
+
+
+// dataQualitySignal: how many input problems the lenient validation absorbed (e.g., "2 input issues: ...")
+function describeDiagnostics(diagnostics, message) {
+  if (!Array.isArray(diagnostics) || diagnostics.length === 0) return undefined;
+  const fields = [...new Set(diagnostics.map(d => d.field))].join(', ');
+  return message(INSIGHT_CODES.DATA_QUALITY_ISSUES, { count: diagnostics.length, fields });
+}
+
+function generateInsights(forecastData, options = {}) {
+  const settings = options && typeof options === 'object' ? options : {};
+  const message = createMessageFormatter(settings);
+
   // Defensive: if invalid forecast, return safe defaults
   if (!forecastData || typeof forecastData !== 'object' || !forecastData.avgDailyDemand) {
-    return {
-      status: 'unknown',
-      summary: 'Insufficient data for insights.',
-      demandSignal: 'Demand data unavailable.',
-      variabilitySignal: 'Variability unknown.',
-      bufferSignal: 'No buffer info.',
-      reorderSignal: 'Reorder status unknown.',
-      costSignal: 'Cost optimization unknown.',
-      recommendation: 'Gather more data.'
-    };
+    return toInsights('unknown', {
+      summary: message(INSIGHT_CODES.SUMMARY_UNKNOWN),
+      demandSignal: message(INSIGHT_CODES.DEMAND_UNAVAILABLE),
+      variabilitySignal: message(INSIGHT_CODES.VARIABILITY_UNKNOWN),
+      bufferSignal: message(INSIGHT_CODES.BUFFER_UNKNOWN),
+      reorderSignal: message(INSIGHT_CODES.REORDER_UNKNOWN),
+      costSignal: message(INSIGHT_CODES.COST_UNKNOWN),
+      dataQualitySignal: describeDiagnostics(forecastData && forecastData.diagnostics, message),
+      recommendation: message(INSIGHT_CODES.RECOMMENDATION_GATHER_DATA)
+    });
   }
 
   const {
@@ -30,55 +131,151 @@ function generateInsights(forecastData) {
     reorderPoint,
     eoq,
     riskLevel,
-    daysRemaining
+    periodicReview,
+    inventoryPosition,
+    stockoutRisk,
+    predictionIntervals,
+    trend,
+    diagnostics
   } = forecastData;
 
-  // Derive signals (human-readable, realistic)
-  // demandSignal: e.g., "Demand stable around 11.43 units per day"
-  const demandSignal = `Demand stable around ${avgDailyDemand} units per day.`;
+  // variabilitySignal: coefficient of variation against the cut-offs (low / moderate / high)
+  const thresholds = variabilityThresholds(settings.variabilityThresholds);
+  const stdDev = typeof demandStdDev === 'number' && demandStdDev > 0 ? demandStdDev : 0;
+  const cv = round(stdDev / avgDailyDemand, 4);
+  let variabilityCode = INSIGHT_CODES.VARIABILITY_LOW;
+  if (cv > thresholds.high) {
+    variabilityCode = INSIGHT_CODES.VARIABILITY_HIGH;
+  } else if (cv > thresholds.moderate) {
+    variabilityCode = INSIGHT_CODES.VARIABILITY_MODERATE;
+  }
+  const variabilitySignal = message(variabilityCode, { cv, demandStdDev: stdDev, thresholds });
+
+  // demandSignal: e.g., "Demand stable around 11.43 units per day" ("erratic" at high variability), or
+  // "Demand rising from about 10 to 20 units per day over the last 30 days" with a significant trend
+  let demandSignal = message(
+    variabilityCode === INSIGHT_CODES.VARIABILITY_HIGH ? INSIGHT_CODES.DEMAND_ERRATIC : INSIGHT_CODES.DEMAND_STABLE,
+    { avgDailyDemand: round(avgDailyDemand), cv }
+  );
+  if (trend && trend.significant) {
+    demandSignal = message(trend.direction === 'increasing' ? INSIGHT_CODES.DEMAND_RISING : INSIGHT_CODES.DEMAND_FALLING, {
+      start: trend.start, end: trend.end, days: trend.days, slope: trend.slope, pValue: trend.pValue, avgDailyDemand: round(avgDailyDemand)
+    });
+  }
 
-  // variabilitySignal: based on stdDev (e.g., low/med/high var)
-  let variabilitySignal = 'Low variability (stable demand).';
-  if (demandStdDev > 3) {
-    variabilitySignal = 'High variability - monitor closely for stockouts.';
-  } else if (demandStdDev > 1) {
-    variabilitySignal = 'Moderate variability (plan buffer).';
-  }  // Full branch cov via tests (low/med/high var cases)
+  // shiftSignal: last structural break (e.g., "Demand shifted up from about 10 to 20 units per day on 2024-03-01.")
+  let shiftSignal;
+  const lastBreak = trend && Array.isArray(trend.changepoints) ? trend.changepoints[trend.changepoints.length - 1] : null;
+  if (lastBreak) {
+    shiftSignal = message(lastBreak.after >= lastBreak.before ? INSIGHT_CODES.SHIFT_UP : INSIGHT_CODES.SHIFT_DOWN, {
+      before: lastBreak.before,
+      after: lastBreak.after,
+      ...(lastBreak.date ? { date: lastBreak.date } : {}),
+      daysSince: lastBreak.daysSince,
+      forecastFromBreak: Boolean(trend.forecastFrom)
+    });
+  }
 
   // bufferSignal: safety protects X days (safety / avg)
-  const bufferDays = avgDailyDemand > 0 ? (safetyStock / avgDailyDemand).toFixed(1) : 0;
-  const bufferSignal = `Safety stock protects ${bufferDays} days of demand.`;
+  const bufferSignal = message(INSIGHT_CODES.BUFFER_DAYS, { bufferDays: round((safetyStock || 0) / avgDailyDemand, 1), safetyStock });
 
   // reorderSignal: e.g., "Reorder triggered at 64.78 units"
-  const reorderSignal = `Reorder triggered at ${reorderPoint} units.`;
+  // (periodic review: order up to a level on review days instead of a trigger)
+  let reorderSignal = periodicReview
+    ? message(INSIGHT_CODES.REORDER_PERIODIC, {
+      orderUpToLevel: periodicReview.orderUpToLevel,
+      reviewPeriod: periodicReview.reviewPeriod,
+      orderQuantity: periodicReview.orderQuantity
+    })
+    : message(INSIGHT_CODES.REORDER_TRIGGER, { reorderPoint });
+  // (inventory position tracked: say whether the position, not just the shelf, is below the trigger)
+  if (inventoryPosition && !periodicReview) {
+    reorderSignal = message(
+      inventoryPosition.reorderNeeded ? INSIGHT_CODES.REORDER_POSITION_ORDER : INSIGHT_CODES.REORDER_POSITION_OK,
+      { reorderPoint, position: inventoryPosition.position }
+    );
+  }
+
+  // inboundSignal: next receipt and how far it pushes coverage (inventory position tracked only)
+  let inboundSignal;
+  if (inventoryPosition) {
+    const next = inventoryPosition.receipts[0];
+    if (!next) {
+      inboundSignal = message(INSIGHT_CODES.INBOUND_NONE);
+    } else {
+      const receipt = { quantity: next.quantity, arrivalDate: next.arrivalDate, arrivalDay: next.arrivalDay };
+      inboundSignal = isUnbounded(next.daysRemainingAfter)
+        ? message(INSIGHT_CODES.INBOUND_NEXT_RECEIPT_NO_STOCKOUT, receipt)
+        : message(INSIGHT_CODES.INBOUND_NEXT_RECEIPT, { ...receipt, coveredUntil: next.daysRemainingAfter });
+    }
+  }
+
+  // riskSignal: probability of stocking out before replenishment (e.g., "Stockout probability before replenishment: 94%.")
+  const riskSignal = stockoutRisk
+    ? message(INSIGHT_CODES.RISK_PROBABILITY, { probability: round(stockoutRisk.probability * 100, 1) })
+    : undefined;
+
+  // confidenceSignal: days-remaining range between the outer quantiles (e.g., "Stock lasts 3.83-4.99 days with 80% confidence.")
+  let confidenceSignal;
+  if (predictionIntervals && predictionIntervals.daysRemaining) {
+    const { quantiles } = predictionIntervals;
+    const values = Object.values(predictionIntervals.daysRemaining);
+    const low = values[0];
+    const high = values[values.length - 1];
+    const confidence = round((quantiles[quantiles.length - 1] - quantiles[0]) * 100, 1);
+    if (isUnbounded(low)) {
+      confidenceSignal = message(INSIGHT_CODES.CONFIDENCE_NO_STOCKOUT);
+    } else if (values.length === 1) {
+      confidenceSignal = message(INSIGHT_CODES.CONFIDENCE_POINT, {
+        days: low, quantile: Object.keys(predictionIntervals.daysRemaining)[0].toUpperCase()
+      });
+    } else if (isUnbounded(high)) {
+      confidenceSignal = message(INSIGHT_CODES.CONFIDENCE_AT_LEAST, { low, confidence: round(100 - quantiles[0] * 100, 1) });
+    } else {
+      confidenceSignal = message(INSIGHT_CODES.CONFIDENCE_RANGE, { low, high, confidence });
+    }
+  }
 
   // costSignal: EOQ efficiency
-  const costSignal = `EOQ of ${eoq} units optimizes ordering/holding costs.`;
+  const costSignal = message(INSIGHT_CODES.COST_EOQ, { eoq });
 
   // status + summary based on risk
   let status = 'stable';
-  let summary = 'Inventory levels are healthy.';
-  let recommendation = 'Monitor stock levels.';
-  if (riskLevel === 'high') {  // Uses string (compat); enum optional
+  let summaryCode = INSIGHT_CODES.SUMMARY_HEALTHY;
+  let recommendationCode = INSIGHT_CODES.RECOMMENDATION_MONITOR;
+  if (riskLevel === 'out_of_stock') {  // Probabilistic tiers only
+    status = 'out_of_stock';
+    summaryCode = INSIGHT_CODES.SUMMARY_OUT_OF_STOCK;
+    recommendationCode = INSIGHT_CODES.RECOMMENDATION_OUT_OF_STOCK;
+  } else if (riskLevel === 'critical' || riskLevel === 'high') {  // Uses string (compat); enum optional
     status = 'critical';
-    summary = 'High stockout risk - act now to avoid shortages.';
-    recommendation = 'Reorder immediately and review suppliers.';
+    summaryCode = riskLevel === 'critical' ? INSIGHT_CODES.SUMMARY_STOCKOUT_LIKELY : INSIGHT_CODES.SUMMARY_HIGH_RISK;
+    recommendationCode = INSIGHT_CODES.RECOMMENDATION_REORDER;
+    // Open orders already cover the position: the fix is getting them sooner, not ordering more
+    if (inventoryPosition && !inventoryPosition.reorderNeeded && inventoryPosition.onOrder > 0) {
+      recommendationCode = INSIGHT_CODES.RECOMMENDATION_EXPEDITE;
+    }
   } else if (riskLevel === 'medium') {
     status = 'caution';
-    summary = 'Moderate risk - proactive monitoring advised.';
-    recommendation = 'Plan reorder soon.';
+    summaryCode = INSIGHT_CODES.SUMMARY_MODERATE_RISK;
+    recommendationCode = INSIGHT_CODES.RECOMMENDATION_PLAN_REORDER;
   }
 
-  return {
-    status,
-    summary,
+  return toInsights(status, {
+    summary: message(summaryCode, { riskLevel }),
     demandSignal,
+    shiftSignal,
     variabilitySignal,
     bufferSignal,
     reorderSignal,
     costSignal,
-    recommendation
-  };
+    inboundSignal,
+    riskSignal,
+    confidenceSignal,
+    dataQualitySignal: describeDiagnostics(diagnostics, message),
+    recommendation: message(recommendationCode, { riskLevel })
+  });
 }
 
-module.exports = generateInsights;
+// The function stays the module's export (require('./generateInsights')(forecast)); the named exports ride on it
+module.exports = Object.assign(generateInsights, { generateInsights, INSIGHT_CODES, DEFAULT_VARIABILITY_THRESHOLDS });
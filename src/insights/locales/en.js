@@ -0,0 +1,53 @@
+/**
+ * English message pack for generateInsights (default locale, and the fallback for keys other packs leave out).
+ * Keys are INSIGHT_CODES values; {name} placeholders are filled from the signal's params. A template may also be
+ * a function of the (formatted) params, e.g., for plurals.
+ */
+module.exports = {
+  decimalSeparator: '.',
+  templates: {
+    'summary.unknown': 'Insufficient data for insights.',
+    'summary.healthy': 'Inventory levels are healthy.',
+    'summary.out_of_stock': 'Out of stock - demand is going unserved.',
+    'summary.stockout_likely': 'Stockout likely before replenishment arrives - act now.',
+    'summary.high_risk': 'High stockout risk - act now to avoid shortages.',
+    'summary.moderate_risk': 'Moderate risk - proactive monitoring advised.',
+    'demand.unavailable': 'Demand data unavailable.',
+    'demand.stable': 'Demand stable around {avgDailyDemand} units per day.',
+    'demand.erratic': 'Demand erratic around {avgDailyDemand} units per day.',
+    'demand.rising': 'Demand rising from about {start} to {end} units per day over the last {days} days.',
+    'demand.falling': 'Demand falling from about {start} to {end} units per day over the last {days} days.',
+    'shift.up': p => `Demand shifted up from about ${p.before} to ${p.after} units per day ${p.date ? `on ${p.date}` : `${p.daysSince} days ago`}` +
+      `${p.forecastFromBreak === 'true' ? ' (forecast uses the data since then)' : ''}.`,
+    'shift.down': p => `Demand shifted down from about ${p.before} to ${p.after} units per day ${p.date ? `on ${p.date}` : `${p.daysSince} days ago`}` +
+      `${p.forecastFromBreak === 'true' ? ' (forecast uses the data since then)' : ''}.`,
+    'variability.unknown': 'Variability unknown.',
+    'variability.low': 'Low variability (stable demand).',
+    'variability.moderate': 'Moderate variability (plan buffer).',
+    'variability.high': 'High variability - monitor closely for stockouts.',
+    'buffer.unknown': 'No buffer info.',
+    'buffer.days': 'Safety stock protects {bufferDays} days of demand.',
+    'reorder.unknown': 'Reorder status unknown.',
+    'reorder.trigger': 'Reorder triggered at {reorderPoint} units.',
+    'reorder.periodic': 'Order up to {orderUpToLevel} units every {reviewPeriod} days ({orderQuantity} units this review).',
+    'reorder.position_order': 'Reorder triggered at {reorderPoint} units; inventory position is {position} units (order now).',
+    'reorder.position_ok': 'Reorder triggered at {reorderPoint} units; inventory position is {position} units (no new order needed).',
+    'cost.unknown': 'Cost optimization unknown.',
+    'cost.eoq': 'EOQ of {eoq} units optimizes ordering/holding costs.',
+    'inbound.next_receipt': 'Next receipt: {quantity} units on {arrivalDate} (day {arrivalDay}), covering demand until day {coveredUntil}.',
+    'inbound.next_receipt_no_stockout': 'Next receipt: {quantity} units on {arrivalDate} (day {arrivalDay}), with no stockout in sight.',
+    'inbound.none': 'No open orders scheduled.',
+    'risk.probability': 'Stockout probability before replenishment: {probability}%.',
+    'confidence.no_stockout': 'Stock is not expected to run out within a year.',
+    'confidence.point': 'Stock lasts about {days} days ({quantile}).',
+    'confidence.at_least': 'Stock lasts at least {low} days with {confidence}% confidence.',
+    'confidence.range': 'Stock lasts {low}-{high} days with {confidence}% confidence.',
+    'data_quality.issues': p => `${p.count} input issue${p.count === '1' ? '' : 's'} (${p.fields}): values were dropped or defaults used - check the data feed.`,
+    'recommendation.gather_data': 'Gather more data.',
+    'recommendation.monitor': 'Monitor stock levels.',
+    'recommendation.out_of_stock': 'Reorder immediately and expedite open orders.',
+    'recommendation.reorder': 'Reorder immediately and review suppliers.',
+    'recommendation.expedite': 'Expedite open orders - stock runs out before they arrive.',
+    'recommendation.plan_reorder': 'Plan reorder soon.'
+  }
+};
@@ -0,0 +1,53 @@
+/**
+ * Spanish message pack for generateInsights (locale 'es'; decimals written with a comma, e.g., 11,43).
+ * Same keys as en.js; any key left out falls back to English.
+ */
+module.exports = {
+  decimalSeparator: ',',
+  templates: {
+    'summary.unknown': 'Datos insuficientes para generar indicaciones.',
+    'summary.healthy': 'Los niveles de inventario son saludables.',
+    'summary.out_of_stock': 'Sin existencias: hay demanda sin atender.',
+    'summary.stockout_likely': 'Rotura de stock probable antes de la reposición: actúe ya.',
+    'summary.high_risk': 'Alto riesgo de rotura de stock: actúe ya para evitar faltantes.',
+    'summary.moderate_risk': 'Riesgo moderado: se recomienda un seguimiento proactivo.',
+    'demand.unavailable': 'Datos de demanda no disponibles.',
+    'demand.stable': 'Demanda estable en torno a {avgDailyDemand} unidades diarias.',
+    'demand.erratic': 'Demanda irregular en torno a {avgDailyDemand} unidades diarias.',
+    'demand.rising': 'Demanda al alza: de unas {start} a {end} unidades diarias en los últimos {days} días.',
+    'demand.falling': 'Demanda a la baja: de unas {start} a {end} unidades diarias en los últimos {days} días.',
+    'shift.up': p => `La demanda subió de unas ${p.before} a ${p.after} unidades diarias ${p.date ? `el ${p.date}` : `hace ${p.daysSince} días`}` +
+      `${p.forecastFromBreak === 'true' ? ' (la previsión usa los datos desde entonces)' : ''}.`,
+    'shift.down': p => `La demanda bajó de unas ${p.before} a ${p.after} unidades diarias ${p.date ? `el ${p.date}` : `hace ${p.daysSince} días`}` +
+      `${p.forecastFromBreak === 'true' ? ' (la previsión usa los datos desde entonces)' : ''}.`,
+    'variability.unknown': 'Variabilidad desconocida.',
+    'variability.low': 'Variabilidad baja (demanda estable).',
+    'variability.moderate': 'Variabilidad moderada (planifique un colchón).',
+    'variability.high': 'Variabilidad alta: vigile de cerca las roturas de stock.',
+    'buffer.unknown': 'Sin información del stock de seguridad.',
+    'buffer.days': 'El stock de seguridad cubre {bufferDays} días de demanda.',
+    'reorder.unknown': 'Estado de reposición desconocido.',
+    'reorder.trigger': 'Punto de pedido en {reorderPoint} unidades.',
+    'reorder.periodic': 'Pedir hasta {orderUpToLevel} unidades cada {reviewPeriod} días ({orderQuantity} unidades en esta revisión).',
+    'reorder.position_order': 'Punto de pedido en {reorderPoint} unidades; la posición de inventario es de {position} unidades (pida ahora).',
+    'reorder.position_ok': 'Punto de pedido en {reorderPoint} unidades; la posición de inventario es de {position} unidades (no hace falta un pedido nuevo).',
+    'cost.unknown': 'Optimización de costes desconocida.',
+    'cost.eoq': 'Un lote económico (EOQ) de {eoq} unidades optimiza los costes de pedido y de almacenamiento.',
+    'inbound.next_receipt': 'Próxima recepción: {quantity} unidades el {arrivalDate} (día {arrivalDay}), que cubren la demanda hasta el día {coveredUntil}.',
+    'inbound.next_receipt_no_stockout': 'Próxima recepción: {quantity} unidades el {arrivalDate} (día {arrivalDay}), sin rotura de stock a la vista.',
+    'inbound.none': 'No hay pedidos abiertos programados.',
+    'risk.probability': 'Probabilidad de rotura de stock antes de la reposición: {probability} %.',
+    'confidence.no_stockout': 'No se espera agotar el stock en el próximo año.',
+    'confidence.point': 'El stock dura unos {days} días ({quantile}).',
+    'confidence.at_least': 'El stock dura al menos {low} días con un {confidence} % de confianza.',
+    'confidence.range': 'El stock dura entre {low} y {high} días con un {confidence} % de confianza.',
+    'data_quality.issues': p => `${p.count} ${p.count === '1' ? 'problema' : 'problemas'} en los datos de entrada (${p.fields}): ` +
+      'se descartaron valores o se usaron valores por defecto; revise la fuente de datos.',
+    'recommendation.gather_data': 'Recopile más datos.',
+    'recommendation.monitor': 'Vigile los niveles de stock.',
+    'recommendation.out_of_stock': 'Reponga de inmediato y acelere los pedidos abiertos.',
+    'recommendation.reorder': 'Reponga de inmediato y revise a los proveedores.',
+    'recommendation.expedite': 'Acelere los pedidos abiertos: el stock se agota antes de que lleguen.',
+    'recommendation.plan_reorder': 'Planifique una reposición pronto.'
+  }
+};
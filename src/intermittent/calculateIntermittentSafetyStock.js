@@ -0,0 +1,62 @@
+/**
+ * Safety stock for intermittent/lumpy demand from a discrete lead-time demand distribution,
+ * instead of the normal-based Z * σ * sqrt(LeadTime) (which gives nonsense buffers on mostly-zero data).
+ *   - Lead-time mean μ = dailyRate * leadTime; variance σ² = daily sample variance * leadTime
+ *   - Poisson(μ) when σ² <= μ, otherwise negative binomial (over-dispersed, lumpy sizes)
+ *   - reorderPoint = smallest k with P(LeadTimeDemand <= k) >= service level; safetyStock = k - μ (>= 0)
+ * Service level comes from the Z-score (Φ(z); default 1.65 → ~95%) for consistency with calculateSafetyStock.
+ * @param {number[]} historicalDemand - Array of historical daily demand values.
+ * @param {number} leadTime - Supplier lead time in days.
+ * @param {number} [zScore=1.65] - Z-score for the target cycle service level.
+ * @param {number} [avgDemand] - Optional forecast daily rate (e.g., SBA/TSB); historical mean if omitted.
+ * @returns {Object} { distribution: 'poisson' | 'negative_binomial' | null, serviceLevel, leadTimeMean,
+ *   leadTimeVariance, safetyStock, reorderPoint } - Rounded; zeros for invalid/edge cases.
+ */
+const calculateAverageDemand = require('../calculateAverageDemand');
+const { normalCdf } = require('../statistics/normal');
+const { poissonQuantile, negativeBinomialQuantile } = require('../statistics/discreteDistributions');
+
+function calculateIntermittentSafetyStock(historicalDemand, leadTime, zScore = 1.65, avgDemand) {
+  const empty = { distribution: null, serviceLevel: 0, leadTimeMean: 0, leadTimeVariance: 0, safetyStock: 0, reorderPoint: 0 };
+  if (!Array.isArray(historicalDemand) || historicalDemand.length === 0 ||
+      typeof leadTime !== 'number' || leadTime < 0 ||
+      typeof zScore !== 'number' || zScore < 0) {
+    return empty;
+  }
+
+  const validDemands = historicalDemand.filter(d => typeof d === 'number' && d >= 0);
+  const n = validDemands.length;
+  if (n === 0) {
+    return empty;
+  }
+
+  const mean = calculateAverageDemand(validDemands);
+  const rate = typeof avgDemand === 'number' && avgDemand >= 0 ? avgDemand : mean;
+  const dailyVariance = n > 1
+    ? validDemands.reduce((acc, d) => acc + Math.pow(d - mean, 2), 0) / (n - 1)
+    : 0;
+
+  const leadTimeMean = rate * leadTime;
+  const leadTimeVariance = dailyVariance * leadTime;
+  // Capped just below 1 so extreme Z-scores still resolve to a finite quantile
+  const serviceLevel = Math.min(normalCdf(zScore), 0.999999);
+  if (leadTimeMean === 0) {
+    return { ...empty, serviceLevel: Number(serviceLevel.toFixed(4)) };
+  }
+
+  const overDispersed = leadTimeVariance > leadTimeMean;
+  const reorderPoint = overDispersed
+    ? negativeBinomialQuantile(leadTimeMean, leadTimeVariance, serviceLevel)
+    : poissonQuantile(leadTimeMean, serviceLevel);
+
+  return {
+    distribution: overDispersed ? 'negative_binomial' : 'poisson',
+    serviceLevel: Number(serviceLevel.toFixed(4)),
+    leadTimeMean: Number(leadTimeMean.toFixed(2)),
+    leadTimeVariance: Number(leadTimeVariance.toFixed(2)),
+    safetyStock: Number(Math.max(0, reorderPoint - leadTimeMean).toFixed(2)),
+    reorderPoint
+  };
+}
+
+module.exports = calculateIntermittentSafetyStock;
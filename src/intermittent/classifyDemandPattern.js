@@ -0,0 +1,55 @@
+/**
+ * Classifies a demand history by the Syntetos-Boylan scheme using ADI and CV².
+ *   - ADI (average demand interval) = days / days with demand; > 1.32 means demand is intermittent
+ *   - CV² = (std dev / mean)² of the non-zero demand sizes; > 0.49 means sizes are erratic
+ *   smooth (ADI <= 1.32, CV² <= 0.49), erratic (ADI <= 1.32, CV² > 0.49),
+ *   intermittent (ADI > 1.32, CV² <= 0.49), lumpy (ADI > 1.32, CV² > 0.49)
+ * Intermittent/lumpy items suit Croston/SBA/TSB and discrete-distribution safety stock.
+ * @param {number[]} historicalDemand - Array of historical daily demand values.
+ * @returns {Object} { pattern: DEMAND_PATTERNS value | null, adi, cv2, nonZeroDays } - pattern null when there is no demand.
+ */
+
+// Enum-like const for demand patterns (same style as RISK_LEVELS)
+const DEMAND_PATTERNS = {
+  SMOOTH: 'smooth',
+  ERRATIC: 'erratic',
+  INTERMITTENT: 'intermittent',
+  LUMPY: 'lumpy'
+};
+
+// Syntetos-Boylan cut-off values
+const ADI_CUTOFF = 1.32;
+const CV2_CUTOFF = 0.49;
+
+function classifyDemandPattern(historicalDemand) {
+  const validDemands = Array.isArray(historicalDemand)
+    ? historicalDemand.filter(d => typeof d === 'number' && d >= 0)
+    : [];
+  const sizes = validDemands.filter(d => d > 0);
+  if (sizes.length === 0) {
+    return { pattern: null, adi: 0, cv2: 0, nonZeroDays: 0 };
+  }
+
+  const adi = validDemands.length / sizes.length;
+
+  // CV² of non-zero sizes (population variance; a single size has no variability)
+  const mean = sizes.reduce((acc, d) => acc + d, 0) / sizes.length;
+  const variance = sizes.reduce((acc, d) => acc + Math.pow(d - mean, 2), 0) / sizes.length;
+  const cv2 = variance / (mean * mean);
+
+  let pattern;
+  if (adi > ADI_CUTOFF) {
+    pattern = cv2 > CV2_CUTOFF ? DEMAND_PATTERNS.LUMPY : DEMAND_PATTERNS.INTERMITTENT;
+  } else {
+    pattern = cv2 > CV2_CUTOFF ? DEMAND_PATTERNS.ERRATIC : DEMAND_PATTERNS.SMOOTH;
+  }
+
+  return {
+    pattern,
+    adi: Number(adi.toFixed(2)),
+    cv2: Number(cv2.toFixed(2)),
+    nonZeroDays: sizes.length
+  };
+}
+
+module.exports = { classifyDemandPattern, DEMAND_PATTERNS };
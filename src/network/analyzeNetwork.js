@@ -0,0 +1,143 @@
+/**
+ * Multi-location inventory: one SKU stocked at several locations (e.g., a central warehouse and its stores).
+ * Each location is forecast on its own with calculateInventoryForecast; the network then adds
+ *   - pooling: the sum of the per-location safety stocks vs. one pooled buffer (poolSafetyStock; how much pooling
+ *     saves depends on the correlation of the locations' daily demand, measured over the days their histories
+ *     share - by date for dated histories, else counted back from the last day);
+ *   - transfers: stock moves from over-covered to at-risk locations (recommendTransfers), using the lane lead
+ *     times and costs, with every location's stock after them.
+ * Locations are options-object forecast configs ({ location, historicalDemand, currentStock, leadTime, profile, ... });
+ * location defaults to the 1-based position. A location without demand of its own (e.g., a warehouse that only
+ * supplies the stores) keeps no buffer, so all its stock is surplus that can be transferred.
+ * For transfers a location ships from its available stock (net of backorders and allocations when tracked) and
+ * counts open orders towards its shortfall (inventory position); the supplier lead time is the mean lead time.
+ * Strict mode (options.strict, or per location) throws the first typed error, with field prefixed by the location
+ * (e.g., 'locations.2.leadTime') or the lane (e.g., 'lanes.0.unitCost').
+ * @param {Object[]} locations - Location configs (see above).
+ * @param {Object} [options] - { lanes, defaultLane, receiveAt, maxCostPerUnit, minQuantity (see recommendTransfers),
+ *   strict }.
+ * @returns {Object} { results, pooling, transfers, summary, diagnostics }:
+ *   - results: per location, in input order, { location, maxLevel, surplus, shortfall, transferIn, transferOut,
+ *     availableAfter, shortfallAfter, ...forecast }
+ *   - pooling: { separate, pooled, savings, savingsShare, correlations, averageCorrelation, overlapDays }
+ *   - transfers: [{ from, to, quantity, leadTime, cost, costPerUnit, arrivesBeforeStockout }]
+ *   - summary: { count, stock (available), avgDailyDemand, riskLevels (counts), atRisk (locations left short after
+ *     the transfers), unitsMoved, transferCost }
+ *   - diagnostics: network-level entries (lanes); each forecast keeps its own diagnostics.
+ */
+const poolSafetyStock = require('./poolSafetyStock');
+const { recommendTransfers } = require('./recommendTransfers');
+const { resolveForecastConfig } = require('../config/resolveForecastConfig');
+const normalizeLeadTime = require('../normalizeLeadTime');
+const { isDatedHistory, parseDemandRecords } = require('../timeseries/parseDemandRecords');
+const { toDailySeries } = require('../timeseries/fillDailyGaps');
+const { InventoryInputError } = require('../validation/errors');
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const round = value => Number(value.toFixed(2));
+
+// Daily demand per location on a common calendar: dated histories share the days they all cover,
+// plain arrays are aligned on their last day by poolSafetyStock
+function alignDemand(histories) {
+  const dated = histories.map(history => (isDatedHistory(history) ? parseDemandRecords(history).dates : null));
+  const ranges = dated.filter(dates => dates && dates.length > 0);
+  if (ranges.length > 0 && ranges.length === histories.filter(h => Array.isArray(h) && h.length > 0).length) {
+    const start = ranges.map(dates => dates[0]).sort().pop();
+    const end = ranges.map(dates => dates[dates.length - 1]).sort()[0];
+    if (start <= end) {
+      return histories.map(history => (Array.isArray(history) && history.length > 0 ? toDailySeries(history, { start, end }).quantities : []));
+    }
+  }
+  return histories.map(history => (isDatedHistory(history) ? toDailySeries(history).quantities : (Array.isArray(history) ? history : [])));
+}
+
+// The most stock the location's own policy would hold: order-up-to level, else reorder point + order quantity
+function maxLevelOf(forecast) {
+  if (forecast.periodicReview) return forecast.periodicReview.orderUpToLevel;
+  const quantity = forecast.orderQuantity ? forecast.orderQuantity.quantity : forecast.eoq;
+  return forecast.reorderPoint + (typeof quantity === 'number' && Number.isFinite(quantity) ? quantity : 0);
+}
+
+function analyzeNetwork(locations, options = {}) {
+  // Required here: index.js requires this module, so its exports are only complete once it has loaded
+  const { calculateInventoryForecast } = require('../index');
+  const opts = isPlainObject(options) ? options : {};
+  const list = Array.isArray(locations) ? locations : [];
+  const diagnostics = [];
+
+  const entries = list.map((raw, i) => {
+    const { location, ...item } = isPlainObject(raw) ? raw : {};
+    let forecast;
+    try {
+      forecast = calculateInventoryForecast({ ...(opts.strict === true ? { strict: true } : {}), ...item });
+    } catch (err) {
+      if (err instanceof InventoryInputError) err.field = `locations.${i}.${err.field}`;
+      throw err;
+    }
+    const resolved = resolveForecastConfig(item);
+    const stock = typeof resolved.currentStock === 'number' && Number.isFinite(resolved.currentStock) ? Math.max(0, resolved.currentStock) : 0;
+    const leadTime = normalizeLeadTime(resolved.leadTime);
+    return {
+      location: location !== undefined ? location : i + 1,
+      history: resolved.historicalDemand,
+      forecast,
+      available: forecast.inventoryPosition ? forecast.inventoryPosition.available : stock,
+      position: forecast.inventoryPosition ? forecast.inventoryPosition.position : stock,
+      maxLevel: maxLevelOf(forecast),
+      leadTime: leadTime ? leadTime.mean : undefined
+    };
+  });
+
+  const pooling = poolSafetyStock(entries.map(e => e.forecast.safetyStock), alignDemand(entries.map(e => e.history)));
+
+  const plan = recommendTransfers(entries.map(e => ({
+    location: e.location,
+    available: e.available,
+    position: e.position,
+    reorderPoint: e.forecast.reorderPoint,
+    maxLevel: e.maxLevel,
+    leadTime: e.leadTime,
+    daysRemaining: e.forecast.daysRemaining,
+    riskLevel: e.forecast.riskLevel,
+    probability: e.forecast.stockoutRisk.probability
+  })), {
+    lanes: opts.lanes,
+    defaultLane: opts.defaultLane,
+    receiveAt: opts.receiveAt,
+    maxCostPerUnit: opts.maxCostPerUnit,
+    minQuantity: opts.minQuantity,
+    strict: opts.strict === true,
+    diagnostics
+  });
+
+  const results = entries.map((entry, i) => {
+    const { surplus, shortfall, transferIn, transferOut, availableAfter, shortfallAfter } = plan.locations[i];
+    return {
+      location: entry.location,
+      maxLevel: round(entry.maxLevel),
+      surplus,
+      shortfall,
+      transferIn,
+      transferOut,
+      availableAfter,
+      shortfallAfter,
+      ...entry.forecast
+    };
+  });
+
+  const riskLevels = {};
+  results.forEach(r => { riskLevels[r.riskLevel] = (riskLevels[r.riskLevel] || 0) + 1; });
+  const summary = {
+    count: results.length,
+    stock: round(entries.reduce((acc, e) => acc + e.available, 0)),
+    avgDailyDemand: round(results.reduce((acc, r) => acc + r.avgDailyDemand, 0)),
+    riskLevels,
+    atRisk: results.filter(r => r.shortfallAfter > 0).length,
+    unitsMoved: plan.unitsMoved,
+    transferCost: plan.totalCost
+  };
+
+  return { results, pooling, transfers: plan.transfers, summary, diagnostics };
+}
+
+module.exports = analyzeNetwork;
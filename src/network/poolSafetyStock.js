@@ -0,0 +1,83 @@
+/**
+ * Risk pooling across locations that stock the same SKU: one buffer for the combined demand needs less stock than
+ * one buffer per location, because the locations' demand swings partly cancel out.
+ *   pooled = sqrt(Σ_i Σ_j ρ_ij * SS_i * SS_j)     (ρ = correlation of the locations' daily demand)
+ * Perfectly correlated demand (ρ = 1) saves nothing (pooled = Σ SS); independent demand gives sqrt(Σ SS²), the
+ * "square root law" (n equal locations pooled need sqrt(n) buffers, not n).
+ * Each location's own buffer (service level, lead time, intermittent or seasonal model) enters as is, so the pooled
+ * figure is what one shared stock with the same protection would hold.
+ * Correlations are measured over the days all series share (aligned on their last day); a location with no demand
+ * variation (or no history) is uncorrelated with the others.
+ * @param {number[]} safetyStocks - Safety stock per location (invalid or negative values count as 0).
+ * @param {number[][]} demandSeries - Daily demand per location, aligned so that the last entries are the same day
+ *   (invalid entries count as 0).
+ * @returns {Object} { separate (Σ SS), pooled, savings (units), savingsShare (of separate; 0 when nothing is held),
+ *   correlations (matrix, 4 decimals), averageCorrelation (mean over location pairs; null for fewer than 2),
+ *   overlapDays (days the correlations were measured over) }.
+ */
+
+const round = value => Number(value.toFixed(2));
+
+// Pearson correlation of two equally long series (0 when either does not vary)
+function correlation(x, y) {
+  const n = x.length;
+  if (n < 2) return 0;
+  const meanX = x.reduce((acc, v) => acc + v, 0) / n;
+  const meanY = y.reduce((acc, v) => acc + v, 0) / n;
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (x[i] - meanX) * (y[i] - meanY);
+    sxx += (x[i] - meanX) ** 2;
+    syy += (y[i] - meanY) ** 2;
+  }
+  return sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : 0;
+}
+
+function poolSafetyStock(safetyStocks, demandSeries) {
+  const stocks = (Array.isArray(safetyStocks) ? safetyStocks : [])
+    .map(v => (typeof v === 'number' && Number.isFinite(v) && v > 0 ? v : 0));
+  const series = stocks.map((_, i) => {
+    const values = Array.isArray(demandSeries) && Array.isArray(demandSeries[i]) ? demandSeries[i] : [];
+    return values.map(d => (typeof d === 'number' && Number.isFinite(d) && d >= 0 ? d : 0));
+  });
+
+  // Common window: the shortest non-empty history, counted back from the last day
+  const lengths = series.map(s => s.length).filter(length => length > 0);
+  const overlapDays = lengths.length > 0 ? Math.min(...lengths) : 0;
+  const tails = series.map(s => s.slice(s.length - overlapDays));
+  const correlations = tails.map((x, i) => tails.map((y, j) => {
+    if (i === j) return 1;
+    return x.length > 0 && y.length > 0 ? Number(correlation(x, y).toFixed(4)) : 0;
+  }));
+
+  let separate = 0;
+  let pooledVariance = 0;
+  let pairSum = 0;
+  let pairs = 0;
+  stocks.forEach((ssI, i) => {
+    separate += ssI;
+    stocks.forEach((ssJ, j) => {
+      pooledVariance += correlations[i][j] * ssI * ssJ;
+      if (j > i) {
+        pairSum += correlations[i][j];
+        pairs++;
+      }
+    });
+  });
+  // The correlation matrix of one common window keeps the sum >= 0; the clamp only absorbs rounding
+  const pooled = Math.sqrt(Math.max(0, pooledVariance));
+
+  return {
+    separate: round(separate),
+    pooled: round(pooled),
+    savings: round(separate - pooled),
+    savingsShare: separate > 0 ? Number(((separate - pooled) / separate).toFixed(4)) : 0,
+    correlations,
+    averageCorrelation: pairs > 0 ? Number((pairSum / pairs).toFixed(4)) : null,
+    overlapDays
+  };
+}
+
+module.exports = poolSafetyStock;
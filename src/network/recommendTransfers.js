@@ -0,0 +1,139 @@
+/**
+ * Stock transfers between locations of the same SKU: surplus at over-covered locations is moved to locations at
+ * risk of stocking out before their next supplier delivery.
+ *   - Receivers: riskLevel HIGH or worse (options.receiveAt lists the levels). The shortfall is what is missing to
+ *     reach the reorder point, i.e., to cover demand until a purchase order placed now arrives at the location's
+ *     service level: ceil(reorderPoint - position).
+ *   - Donors: the other locations, holding more than the most their own policy would keep (maxLevel: reorder point
+ *     + order quantity, or the order-up-to level); surplus = floor(available - maxLevel).
+ *   - Lanes: options.lanes [{ from, to, leadTime, unitCost, fixedCost }] set each route (one direction); other pairs
+ *     use options.defaultLane (default { leadTime: 1, unitCost: 0, fixedCost: 0 }; null allows the listed lanes only).
+ * Receivers are served most urgent first (highest stockout probability, then fewest days of cover). Donors are tried
+ * in order of: the transfer arrives before the receiver runs out, lowest cost per unit (fixedCost spread over the
+ * quantity), shortest lead time. A lane is skipped when it is not faster than the receiver's supplier lead time (a
+ * purchase order would arrive as soon), when its cost per unit exceeds options.maxCostPerUnit, or when the quantity
+ * would be below options.minQuantity (default 1).
+ * Invalid lane values fall back to the default lane's (options.strict throws, options.diagnostics collects them).
+ * @param {Object[]} locations - { location, available (stock free to ship), position (for the shortfall; default
+ *   available), reorderPoint, maxLevel, leadTime (supplier, days), daysRemaining, riskLevel, probability }.
+ * @param {Object} [options] - { lanes, defaultLane, receiveAt (RISK_LEVELS), maxCostPerUnit, minQuantity, strict,
+ *   diagnostics }.
+ * @returns {Object} { transfers: [{ from, to, quantity, leadTime, cost, costPerUnit, arrivesBeforeStockout }] (in the
+ *   order chosen), locations: [{ location, surplus, shortfall, transferIn, transferOut, availableAfter,
+ *   shortfallAfter }] (input order), unitsMoved, totalCost }.
+ */
+const { RISK_LEVELS } = require('../detectStockoutRisk');
+const { createValidator, checkNumber } = require('../validation/validateInputs');
+const { InvalidLeadTimeError, InvalidCostError } = require('../validation/errors');
+
+const DEFAULT_LANE = { leadTime: 1, unitCost: 0, fixedCost: 0 };
+const DEFAULT_RECEIVE_AT = [RISK_LEVELS.HIGH, RISK_LEVELS.CRITICAL, RISK_LEVELS.OUT_OF_STOCK];
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isAmount = value => typeof value === 'number' && Number.isFinite(value);
+const round = value => Number(value.toFixed(2));
+
+// Lane settings with each invalid value replaced by the fallback lane's (and reported)
+function resolveLane(lane, fallback, validator, prefix) {
+  const resolved = {};
+  [['leadTime', InvalidLeadTimeError], ['unitCost', InvalidCostError], ['fixedCost', InvalidCostError]].forEach(([key, ErrorClass]) => {
+    const value = lane[key];
+    if (value === undefined) {
+      resolved[key] = fallback[key];
+      return;
+    }
+    const valid = checkNumber(value, validator, { field: `${prefix}.${key}`, ErrorClass, min: 0, fallback: fallback[key] });
+    resolved[key] = valid && isAmount(value) && value >= 0 ? value : fallback[key];
+  });
+  return resolved;
+}
+
+function recommendTransfers(locations, options = {}) {
+  const opts = isPlainObject(options) ? options : {};
+  const validator = createValidator(opts);
+  const defaultLane = opts.defaultLane === null
+    ? null
+    : resolveLane(isPlainObject(opts.defaultLane) ? opts.defaultLane : {}, DEFAULT_LANE, validator, 'defaultLane');
+  const lanes = (Array.isArray(opts.lanes) ? opts.lanes : [])
+    .map((lane, k) => (isPlainObject(lane) ? { from: lane.from, to: lane.to, ...resolveLane(lane, defaultLane || DEFAULT_LANE, validator, `lanes.${k}`) } : null))
+    .filter(Boolean);
+  const laneFor = (from, to) => lanes.find(l => l.from === from && l.to === to) || defaultLane;
+  const receiveAt = Array.isArray(opts.receiveAt) ? opts.receiveAt : DEFAULT_RECEIVE_AT;
+  const maxCostPerUnit = isAmount(opts.maxCostPerUnit) && opts.maxCostPerUnit >= 0 ? opts.maxCostPerUnit : Infinity;
+  const minQuantity = isAmount(opts.minQuantity) && opts.minQuantity > 0 ? opts.minQuantity : 1;
+
+  const nodes = (Array.isArray(locations) ? locations : []).map((raw, i) => {
+    const loc = isPlainObject(raw) ? raw : {};
+    const available = isAmount(loc.available) ? Math.max(0, loc.available) : 0;
+    const position = isAmount(loc.position) ? loc.position : available;
+    const receiver = receiveAt.includes(loc.riskLevel);
+    const reorderPoint = isAmount(loc.reorderPoint) ? loc.reorderPoint : 0;
+    const maxLevel = isAmount(loc.maxLevel) ? loc.maxLevel : reorderPoint;
+    return {
+      location: loc.location !== undefined ? loc.location : i + 1,
+      receiver,
+      // Unknown supplier lead time: any transfer is faster
+      leadTime: isAmount(loc.leadTime) && loc.leadTime >= 0 ? loc.leadTime : Infinity,
+      daysRemaining: loc.daysRemaining === 'Infinite' ? Infinity : (isAmount(loc.daysRemaining) ? loc.daysRemaining : 0),
+      probability: isAmount(loc.probability) ? loc.probability : 0,
+      available,
+      surplus: receiver ? 0 : Math.max(0, Math.floor(available - maxLevel)),
+      shortfall: receiver ? Math.max(0, Math.ceil(reorderPoint - position)) : 0,
+      transferIn: 0,
+      transferOut: 0
+    };
+  });
+
+  const transfers = [];
+  const receivers = nodes
+    .filter(n => n.receiver && n.shortfall > 0)
+    .sort((a, b) => b.probability - a.probability || a.daysRemaining - b.daysRemaining);
+  receivers.forEach(receiver => {
+    const remaining = () => receiver.shortfall - receiver.transferIn;
+    // Each pick empties the donor's surplus or fills the shortfall, so the loop ends
+    while (remaining() > 0) {
+      const candidates = nodes
+        .filter(donor => donor !== receiver && donor.surplus - donor.transferOut > 0)
+        .map(donor => {
+          const lane = laneFor(donor.location, receiver.location);
+          if (!lane) return null;
+          const quantity = Math.min(remaining(), donor.surplus - donor.transferOut);
+          const cost = lane.fixedCost + lane.unitCost * quantity;
+          return { donor, lane, quantity, cost, costPerUnit: cost / quantity, arrivesBeforeStockout: lane.leadTime < receiver.daysRemaining };
+        })
+        .filter(o => o && o.quantity >= minQuantity && o.lane.leadTime < receiver.leadTime && o.costPerUnit <= maxCostPerUnit)
+        .sort((a, b) => (b.arrivesBeforeStockout - a.arrivesBeforeStockout) ||
+          (a.costPerUnit - b.costPerUnit) || (a.lane.leadTime - b.lane.leadTime));
+      if (candidates.length === 0) break;
+      const best = candidates[0];
+      best.donor.transferOut += best.quantity;
+      receiver.transferIn += best.quantity;
+      transfers.push({
+        from: best.donor.location,
+        to: receiver.location,
+        quantity: best.quantity,
+        leadTime: best.lane.leadTime,
+        cost: round(best.cost),
+        costPerUnit: round(best.costPerUnit),
+        arrivesBeforeStockout: best.arrivesBeforeStockout
+      });
+    }
+  });
+
+  return {
+    transfers,
+    locations: nodes.map(n => ({
+      location: n.location,
+      surplus: n.surplus,
+      shortfall: n.shortfall,
+      transferIn: n.transferIn,
+      transferOut: n.transferOut,
+      availableAfter: round(n.available + n.transferIn - n.transferOut),
+      shortfallAfter: n.shortfall - n.transferIn
+    })),
+    unitsMoved: transfers.reduce((acc, t) => acc + t.quantity, 0),
+    totalCost: round(transfers.reduce((acc, t) => acc + t.cost, 0))
+  };
+}
+
+module.exports = { recommendTransfers, DEFAULT_LANE };
@@ -0,0 +1,42 @@
+/**
+ * Normalizes the supported lead-time inputs into { mean, stdDev, observations }.
+ * Accepted forms (all in days):
+ *   - number: fixed lead time (stdDev 0) - the original API
+ *   - number[]: observed lead times from past receipts (mean + sample std dev)
+ *   - { mean, stdDev }: supplier-quoted average and variability
+ *   - { history: number[] }: same as passing the observed array
+ * Used by calculateSafetyStock / calculateReorderPoint for the combined demand + lead-time variance formula.
+ * @param {number|number[]|Object} leadTime - Lead time in one of the forms above.
+ * @returns {Object|null} { mean, stdDev, observations, variable } - variable = true unless a plain number was given;
+ *   null for invalid input (negative/non-numeric values, empty history).
+ */
+function normalizeLeadTime(leadTime) {
+  if (typeof leadTime === 'number') {
+    return leadTime >= 0 ? { mean: leadTime, stdDev: 0, observations: 0, variable: false } : null;
+  }
+
+  const history = Array.isArray(leadTime)
+    ? leadTime
+    : (leadTime && typeof leadTime === 'object' && Array.isArray(leadTime.history) ? leadTime.history : null);
+  if (history) {
+    // Observed lead times: drop invalid entries (like calculateAverageDemand does for demand)
+    const valid = history.filter(l => typeof l === 'number' && l >= 0);
+    const n = valid.length;
+    if (n === 0) {
+      return null;
+    }
+    const mean = valid.reduce((acc, l) => acc + l, 0) / n;
+    const variance = n > 1 ? valid.reduce((acc, l) => acc + Math.pow(l - mean, 2), 0) / (n - 1) : 0;
+    return { mean, stdDev: Math.sqrt(variance), observations: n, variable: true };
+  }
+
+  if (leadTime && typeof leadTime === 'object') {
+    const { mean, stdDev = 0 } = leadTime;
+    if (typeof mean === 'number' && mean >= 0 && typeof stdDev === 'number' && stdDev >= 0) {
+      return { mean, stdDev, observations: 0, variable: true };
+    }
+  }
+  return null;
+}
+
+module.exports = normalizeLeadTime;
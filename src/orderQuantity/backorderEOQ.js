@@ -0,0 +1,45 @@
+/**
+ * EOQ with planned backorders: customers accept a delay and short units are filled from the next order,
+ * at a backorder (shortage) cost B per unit per year. Part of each cycle is deliberately run short, so
+ * orders are larger and peak stock is lower than with the textbook EOQ:
+ *   Q* = sqrt( 2 * D * S / H * (H + B) / B )
+ *   Max backorder b* = Q * H / (H + B)
+ *   Annual cost = D/Q * S + H * (Q - b)² / (2Q) + B * b² / (2Q) + D * unitCost
+ * As B → ∞ this reduces to the textbook EOQ (no shortages allowed).
+ * @param {number} annualDemand - Annual demand D (units/year).
+ * @param {Object} options - { orderCost, holdingCost, holdingRate, unitCost, backorderCost (B, per unit per year) }.
+ * @returns {Object|null} { quantity, candidates, evaluate(q), params }; null when backorderCost is missing/invalid.
+ */
+const holdingCostPerUnit = require('./holdingCostPerUnit');
+
+function backorderEOQ(annualDemand, options) {
+  const { orderCost, holdingCost, holdingRate, unitCost = 0, backorderCost } = options;
+  if (typeof backorderCost !== 'number' || backorderCost <= 0) {
+    return null;
+  }
+
+  const h = holdingCostPerUnit(unitCost, holdingCost, holdingRate);
+  const quantity = Math.sqrt((2 * annualDemand * orderCost) / h * (h + backorderCost) / backorderCost);
+
+  return {
+    quantity,
+    candidates: [quantity],
+    evaluate: q => {
+      // Optimal backorder level for this order size
+      const maxBackorder = q * h / (h + backorderCost);
+      return {
+        unitCost,
+        annualCost: {
+          ordering: annualDemand / q * orderCost,
+          holding: h * Math.pow(q - maxBackorder, 2) / (2 * q),
+          purchase: annualDemand * unitCost,
+          backorder: backorderCost * Math.pow(maxBackorder, 2) / (2 * q)
+        },
+        details: { maxBackorder, maxInventory: q - maxBackorder }
+      };
+    },
+    params: { backorderCost }
+  };
+}
+
+module.exports = backorderEOQ;
@@ -0,0 +1,153 @@
+/**
+ * Order quantity dispatcher: recommends a feasible order (or production run) size and its annual cost.
+ * Extends the textbook calculateEOQ (sqrt(2DS/H)) with the models suppliers and plants actually need,
+ * selected via the ORDER_QUANTITY_MODELS enum (no magic strings, like FORECAST_METHODS):
+ *   - eoq: textbook EOQ (default)
+ *   - all_units_discount / incremental_discount: supplier price breaks (quantityDiscountEOQ)
+ *   - epq: in-house production at a finite rate (economicProductionQuantity)
+ *   - backorder: planned backorders at a shortage cost (backorderEOQ)
+ * Every model's continuous optimum (and, for price breaks, each break quantity) is projected onto the
+ * feasible set (MOQ, case-pack multiples; see feasibleOrderQuantities) and the cheapest feasible
+ * quantity by total annual cost is recommended.
+ * Annual cost = ordering (D/Q * S) + holding + purchase (D * unit cost; 0 when unitCost is unknown) + backorder.
+ * @param {number} annualDemand - Annual demand D in units (e.g., calculateEOQ(...).annualDemand).
+ * @param {Object} [options] - { model, orderCost=100, holdingCost=10, holdingRate, unitCost, priceBreaks,
+ *   productionRate (units/year, epq), backorderCost (per unit per year, backorder), moq, packSize }.
+ * @returns {Object} { model, quantity, unconstrainedQuantity, unitCost, ordersPerYear, annualCost: { ordering,
+ *   holding, purchase, backorder, total }, constraints: { moq, packSize, adjusted }, details, params } - Rounded;
+ *   zeros for invalid inputs. Models missing their inputs (e.g., epq without a production rate above demand)
+ *   fall back to 'eoq' (reported as params.fallback, like holtWinters → holt).
+ */
+const quantityDiscountEOQ = require('./quantityDiscountEOQ');
+const economicProductionQuantity = require('./economicProductionQuantity');
+const backorderEOQ = require('./backorderEOQ');
+const feasibleOrderQuantities = require('./feasibleOrderQuantities');
+const holdingCostPerUnit = require('./holdingCostPerUnit');
+
+// Enum-like const for supported order quantity models
+const ORDER_QUANTITY_MODELS = {
+  EOQ: 'eoq',                                   // Textbook sqrt(2DS/H)
+  ALL_UNITS_DISCOUNT: 'all_units_discount',     // Tier price applies to the whole order
+  INCREMENTAL_DISCOUNT: 'incremental_discount', // Tier price applies to units inside the tier
+  EPQ: 'epq',                                   // Finite production rate
+  BACKORDER: 'backorder'                        // Planned shortages at a backorder cost
+};
+
+// Textbook EOQ in the common model shape
+function basicEOQ(annualDemand, options) {
+  const { orderCost, holdingCost, holdingRate, unitCost = 0 } = options;
+  const h = holdingCostPerUnit(unitCost, holdingCost, holdingRate);
+  const quantity = Math.sqrt((2 * annualDemand * orderCost) / h);
+  return {
+    quantity,
+    candidates: [quantity],
+    evaluate: q => ({
+      unitCost,
+      annualCost: { ordering: annualDemand / q * orderCost, holding: q / 2 * h, purchase: annualDemand * unitCost, backorder: 0 },
+      details: {}
+    }),
+    params: {}
+  };
+}
+
+const MODELS = {
+  [ORDER_QUANTITY_MODELS.EOQ]: basicEOQ,
+  [ORDER_QUANTITY_MODELS.ALL_UNITS_DISCOUNT]: (d, options) => quantityDiscountEOQ(d, { ...options, incremental: false }),
+  [ORDER_QUANTITY_MODELS.INCREMENTAL_DISCOUNT]: (d, options) => quantityDiscountEOQ(d, { ...options, incremental: true }),
+  [ORDER_QUANTITY_MODELS.EPQ]: economicProductionQuantity,
+  [ORDER_QUANTITY_MODELS.BACKORDER]: backorderEOQ
+};
+
+// Rounds every numeric field of a flat object
+function roundAll(values) {
+  return Object.keys(values).reduce((acc, key) => {
+    acc[key] = typeof values[key] === 'number' ? Number(values[key].toFixed(2)) : values[key];
+    return acc;
+  }, {});
+}
+
+// Safe default for invalid inputs (no demand, no usable costs)
+function emptyResult(model, constraints) {
+  return {
+    model,
+    quantity: 0,
+    unconstrainedQuantity: 0,
+    unitCost: 0,
+    ordersPerYear: 0,
+    annualCost: { ordering: 0, holding: 0, purchase: 0, backorder: 0, total: 0 },
+    constraints: { ...constraints, adjusted: false },
+    details: {},
+    params: {}
+  };
+}
+
+function totalCost(annualCost) {
+  return annualCost.ordering + annualCost.holding + annualCost.purchase + annualCost.backorder;
+}
+
+function calculateOrderQuantity(annualDemand, options = {}) {
+  const opts = options && typeof options === 'object' ? options : {};
+  const {
+    model: requestedModel = ORDER_QUANTITY_MODELS.EOQ,
+    orderCost = 100,
+    holdingCost = 10,
+    moq = 0,
+    packSize = 1
+  } = opts;
+  const model = MODELS[requestedModel] ? requestedModel : ORDER_QUANTITY_MODELS.EOQ;
+  const constraints = {
+    moq: typeof moq === 'number' && moq > 0 ? moq : 0,
+    packSize: typeof packSize === 'number' && packSize > 0 ? packSize : 1
+  };
+
+  // Defensive validation for consistency with calculateEOQ (return safe defaults)
+  const holdingUsable = (typeof holdingCost === 'number' && holdingCost > 0) ||
+    (typeof opts.holdingRate === 'number' && opts.holdingRate > 0 && typeof opts.unitCost === 'number' && opts.unitCost > 0);
+  if (typeof annualDemand !== 'number' || !(annualDemand > 0) ||
+      typeof orderCost !== 'number' || orderCost <= 0 || !holdingUsable) {
+    return emptyResult(model, constraints);
+  }
+
+  const settings = { ...opts, orderCost, holdingCost: holdingCost > 0 ? holdingCost : 0 };
+  let params = {};
+  let fitted = MODELS[model](annualDemand, settings);
+  if (!fitted) {
+    fitted = basicEOQ(annualDemand, settings);
+    params = { fallback: ORDER_QUANTITY_MODELS.EOQ };
+  }
+  if (requestedModel !== model) {
+    params.requestedModel = requestedModel;
+  }
+
+  // Cheapest feasible quantity around every continuous candidate
+  let best = null;
+  fitted.candidates.forEach(candidate => {
+    feasibleOrderQuantities(candidate, constraints).forEach(q => {
+      const evaluation = fitted.evaluate(q);
+      const total = totalCost(evaluation.annualCost);
+      if (!best || total < best.total - 1e-9 || (Math.abs(total - best.total) <= 1e-9 && q < best.quantity)) {
+        best = { quantity: q, total, evaluation };
+      }
+    });
+  });
+
+  if (!best) {
+    return emptyResult(model, constraints);  // e.g., a free price tier with only a holding rate (no finite optimum)
+  }
+
+  const { annualCost, unitCost, details } = best.evaluation;
+  return {
+    model,
+    quantity: Number(best.quantity.toFixed(2)),
+    unconstrainedQuantity: Number(fitted.quantity.toFixed(2)),
+    unitCost: Number(unitCost.toFixed(4)),
+    ordersPerYear: Number((annualDemand / best.quantity).toFixed(2)),
+    annualCost: roundAll({ ...annualCost, total: best.total }),
+    // adjusted: MOQ / pack size moved the order beyond whole-unit rounding of the optimum
+    constraints: { ...constraints, adjusted: Math.abs(best.quantity - fitted.quantity) >= 1 },
+    details: roundAll(details),
+    params: { ...fitted.params, ...params }
+  };
+}
+
+module.exports = { calculateOrderQuantity, ORDER_QUANTITY_MODELS };
@@ -0,0 +1,41 @@
+/**
+ * Economic Production Quantity (EPQ): items made in-house at a finite production rate P.
+ * Stock builds up at (P - D) while a run is in progress, so the peak inventory is Q * (1 - D/P)
+ * instead of Q, and the optimal run size grows accordingly:
+ *   EPQ = sqrt( 2 * D * S / (H * (1 - D/P)) )
+ *   Annual cost = D/Q * S (setups) + Q/2 * (1 - D/P) * H (holding) + D * unitCost (production)
+ * @param {number} annualDemand - Annual demand D (units/year).
+ * @param {Object} options - { orderCost (setup cost S), holdingCost, holdingRate, unitCost, productionRate (P, units/year) }.
+ * @returns {Object|null} { quantity, candidates, evaluate(q), params } - evaluate returns the annual cost
+ *   breakdown for a run size; null when the production rate cannot keep up with demand (P <= D) or is missing.
+ */
+const holdingCostPerUnit = require('./holdingCostPerUnit');
+
+function economicProductionQuantity(annualDemand, options) {
+  const { orderCost, holdingCost, holdingRate, unitCost = 0, productionRate } = options;
+  if (typeof productionRate !== 'number' || productionRate <= annualDemand) {
+    return null;
+  }
+
+  const utilization = annualDemand / productionRate;
+  const h = holdingCostPerUnit(unitCost, holdingCost, holdingRate);
+  const quantity = Math.sqrt((2 * annualDemand * orderCost) / (h * (1 - utilization)));
+
+  return {
+    quantity,
+    candidates: [quantity],
+    evaluate: q => ({
+      unitCost,
+      annualCost: {
+        ordering: annualDemand / q * orderCost,
+        holding: q / 2 * (1 - utilization) * h,
+        purchase: annualDemand * unitCost,
+        backorder: 0
+      },
+      details: { maxInventory: q * (1 - utilization) }
+    }),
+    params: { productionRate, utilization: Number(utilization.toFixed(4)) }
+  };
+}
+
+module.exports = economicProductionQuantity;
@@ -0,0 +1,25 @@
+/**
+ * Supplier order constraints: minimum order quantity (MOQ) and case-pack multiples.
+ * Returns the feasible quantities that bracket a continuous optimum: the pack multiples just below and
+ * just above it, never below the smallest feasible order (MOQ rounded up to a full pack).
+ * Checking both neighbours is enough because every order-quantity cost curve is convex between breaks.
+ * @param {number} quantity - Continuous (unconstrained) order quantity.
+ * @param {Object} [constraints] - { moq (minimum units per order), packSize (units per case; default 1 = whole units) }.
+ * @returns {number[]} One or two feasible quantities (ascending, deduplicated); [] for invalid quantities.
+ */
+function feasibleOrderQuantities(quantity, constraints = {}) {
+  if (typeof quantity !== 'number' || !Number.isFinite(quantity) || quantity < 0) {
+    return [];
+  }
+  const { moq = 0, packSize = 1 } = constraints || {};
+  const pack = typeof packSize === 'number' && packSize > 0 ? packSize : 1;
+  const minimum = typeof moq === 'number' && moq > 0 ? moq : 0;
+  // Smallest feasible order: at least one pack and at least the MOQ (rounded up to full packs)
+  const smallest = Math.max(1, Math.ceil(minimum / pack)) * pack;
+
+  const below = Math.max(smallest, Math.floor(quantity / pack) * pack);
+  const above = Math.max(smallest, Math.ceil(quantity / pack) * pack);
+  return below === above ? [below] : [below, above];
+}
+
+module.exports = feasibleOrderQuantities;
@@ -0,0 +1,18 @@
+/**
+ * Annual holding cost per unit (H) shared by the order-quantity models.
+ * Either a fixed cost per unit per year (holdingCost) or a rate on the unit's value
+ * (holdingRate, e.g., 0.25 = 25% of the unit cost per year), which makes cheaper
+ * price tiers cheaper to hold as well.
+ * @param {number} unitCost - Purchase/production cost per unit (0 or missing when unknown).
+ * @param {number} holdingCost - Fixed holding cost per unit per year.
+ * @param {number} [holdingRate] - Optional annual holding rate on unit value (> 0 to apply).
+ * @returns {number} Holding cost per unit per year (holdingCost unless rate and unit cost are both usable).
+ */
+function holdingCostPerUnit(unitCost, holdingCost, holdingRate) {
+  if (typeof holdingRate === 'number' && holdingRate > 0 && typeof unitCost === 'number' && unitCost > 0) {
+    return holdingRate * unitCost;
+  }
+  return holdingCost;
+}
+
+module.exports = holdingCostPerUnit;
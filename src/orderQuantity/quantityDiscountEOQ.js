@@ -0,0 +1,97 @@
+/**
+ * EOQ under supplier price breaks (quantity discounts). Two common schemes:
+ *   - all-units: the unit price of the tier reached applies to every unit in the order
+ *   - incremental: each tier's price applies only to the units inside that tier
+ * Annual cost = D * avgUnitCost(Q) + D/Q * S + Q/2 * H(Q), with H = holdingRate * unit value when a
+ * holding rate is given (cheaper tiers are cheaper to hold), otherwise the fixed holdingCost.
+ * The cost curve is convex within each tier, so the optimum is either a tier's own EOQ (clamped to the
+ * tier) or a break quantity; all of them are returned as candidates for the constrained search.
+ * Incremental tiers use the classic per-tier optimum Q_i = sqrt(2D(S + K_i) / h_i), where K_i is the
+ * extra purchase cost of the lower tiers (P(min_i) - c_i * min_i).
+ * Quantities below the first break are priced at the first break's unit cost (use moq for a supplier minimum).
+ * @param {number} annualDemand - Annual demand D (units/year).
+ * @param {Object} options - { orderCost, holdingCost, holdingRate, priceBreaks: [{ minQuantity, unitCost }],
+ *   incremental (true for incremental discounts; default all-units) }.
+ * @returns {Object|null} { quantity, candidates, evaluate(q), params }; null when there are no valid price breaks.
+ */
+const holdingCostPerUnit = require('./holdingCostPerUnit');
+
+function quantityDiscountEOQ(annualDemand, options) {
+  const { orderCost, holdingCost, holdingRate, priceBreaks, incremental = false } = options;
+  const tiers = Array.isArray(priceBreaks)
+    ? priceBreaks
+      .filter(b => b && typeof b.minQuantity === 'number' && b.minQuantity >= 0 &&
+        typeof b.unitCost === 'number' && b.unitCost >= 0)
+      .map(b => ({ minQuantity: b.minQuantity, unitCost: b.unitCost }))
+      .sort((a, b) => a.minQuantity - b.minQuantity)
+    : [];
+  if (tiers.length === 0) {
+    return null;
+  }
+
+  // Tier start (first tier covers everything below the second break) and cumulative purchase cost
+  // of the units below it (incremental scheme)
+  let cumulative = 0;
+  tiers.forEach((tier, i) => {
+    tier.start = i === 0 ? 0 : tier.minQuantity;
+    if (i > 0) {
+      const prev = tiers[i - 1];
+      cumulative += (tier.start - prev.start) * prev.unitCost;
+    }
+    tier.costBelow = cumulative;
+  });
+
+  const tierFor = q => {
+    let index = 0;
+    tiers.forEach((tier, i) => {
+      if (q >= tier.start) index = i;
+    });
+    return tiers[index];
+  };
+  // Average unit cost of an order of q units
+  const averageUnitCost = q => {
+    const tier = tierFor(q);
+    return incremental ? (tier.costBelow + (q - tier.start) * tier.unitCost) / q : tier.unitCost;
+  };
+
+  const evaluate = q => {
+    const unitCost = averageUnitCost(q);
+    return {
+      unitCost,
+      annualCost: {
+        ordering: annualDemand / q * orderCost,
+        holding: q / 2 * holdingCostPerUnit(unitCost, holdingCost, holdingRate),
+        purchase: annualDemand * unitCost,
+        backorder: 0
+      },
+      details: { tierMinQuantity: tierFor(q).minQuantity }
+    };
+  };
+
+  // Per-tier optimum clamped into the tier, plus every break quantity
+  const candidates = [];
+  tiers.forEach((tier, i) => {
+    const fixed = incremental ? tier.costBelow - tier.unitCost * tier.start : 0;
+    const h = holdingCostPerUnit(tier.unitCost, holdingCost, holdingRate);
+    const optimum = Math.sqrt((2 * annualDemand * (orderCost + fixed)) / h);
+    const upper = i + 1 < tiers.length ? tiers[i + 1].start : Infinity;
+    candidates.push(Math.min(Math.max(optimum, tier.start), upper));
+    if (tier.start > 0) {
+      candidates.push(tier.start);
+    }
+  });
+  const total = q => {
+    const { annualCost } = evaluate(q);
+    return annualCost.ordering + annualCost.holding + annualCost.purchase;
+  };
+  const quantity = candidates.filter(q => q > 0).reduce((best, q) => (total(q) < total(best) ? q : best));
+
+  return {
+    quantity,
+    candidates,
+    evaluate,
+    params: { priceBreaks: tiers.map(t => ({ minQuantity: t.minQuantity, unitCost: t.unitCost })) }
+  };
+}
+
+module.exports = quantityDiscountEOQ;
@@ -0,0 +1,51 @@
+/**
+ * Risk step of calculateInventoryForecast. The risk horizon is the lead time, or R + L under periodic review (the
+ * next order may be a full review away).
+ * stockoutRisk always reports the probability of stocking out before replenishment arrives (normal demand over the
+ * horizon with the σ of the buffer held; receipts due within it count as stock), so SKUs can be ranked by risk (see
+ * assessStockoutRisk). options.riskModel = 'probabilistic' (RISK_MODELS) or options.riskTiers ({ critical, high,
+ * medium } minimum probabilities) make riskLevel follow those tiers (adds CRITICAL and OUT_OF_STOCK); the default
+ * stays the day thresholds of detectStockoutRisk. stockoutRisk.level is always the tier of the probability, so under
+ * the default 'days' model it can disagree with riskLevel (e.g., a 50% chance is CRITICAL by tier but MEDIUM by days
+ * of cover).
+ * @param {Object} inputs - { currentStock, daysRemaining, avgDailyDemand, demandStdDev, achievedStdDev, leadTime,
+ *   reviewPeriod, inventoryPosition, periodicReview, seasonality }.
+ * @param {Object} options - Forecast options (riskModel, riskTiers).
+ * @returns {Object} { stockoutRisk ({ model, probability, level, leadTimeDemand, leadTimeDemandStdDev, tiers }),
+ *   riskLevel (RISK_LEVELS), urgent (HIGH or worse) }.
+ */
+const { detectStockoutRisk, RISK_LEVELS } = require('../detectStockoutRisk');
+const { assessStockoutRisk, RISK_MODELS } = require('../risk/assessStockoutRisk');
+
+const URGENT_LEVELS = [RISK_LEVELS.HIGH, RISK_LEVELS.CRITICAL, RISK_LEVELS.OUT_OF_STOCK];
+
+function assessForecastRisk(inputs, options) {
+  const {
+    currentStock, daysRemaining, avgDailyDemand, demandStdDev, achievedStdDev, leadTime, reviewPeriod,
+    inventoryPosition, periodicReview, seasonality
+  } = inputs;
+  const exposure = leadTime + reviewPeriod;
+  let riskStock = currentStock;
+  if (inventoryPosition) {
+    riskStock = inventoryPosition.available + inventoryPosition.receipts
+      .filter(r => r.arrivalDay < exposure)
+      .reduce((acc, r) => acc + r.quantity, 0);
+  }
+  let exposureDemand;
+  if (seasonality) {
+    exposureDemand = periodicReview ? periodicReview.orderUpToLevel - periodicReview.safetyStock : seasonality.leadTimeDemand;
+  }
+
+  const riskTiers = options.riskTiers;
+  const probabilisticRisk = Boolean(riskTiers) || options.riskModel === RISK_MODELS.PROBABILISTIC;
+  const assessed = assessStockoutRisk(riskStock, avgDailyDemand, demandStdDev, exposure, {
+    tiers: riskTiers,
+    leadTimeDemand: exposureDemand,
+    leadTimeDemandStdDev: achievedStdDev
+  });
+  const stockoutRisk = { model: probabilisticRisk ? RISK_MODELS.PROBABILISTIC : RISK_MODELS.DAYS, ...assessed };
+  const riskLevel = probabilisticRisk ? stockoutRisk.level : detectStockoutRisk(daysRemaining, exposure);
+  return { stockoutRisk, riskLevel, urgent: URGENT_LEVELS.includes(riskLevel) };
+}
+
+module.exports = assessForecastRisk;
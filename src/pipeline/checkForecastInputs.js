@@ -0,0 +1,61 @@
+/**
+ * Up-front input checks of calculateInventoryForecast, in the forecast's validation mode (strict: throw a typed
+ * error; lenient: report to diagnostics). The utilities called afterwards keep their own defensive defaults and run
+ * without validation options, so nothing is reported twice.
+ * Every dropped value (non-number, NaN, negative, bad dated record) and substituted default for historicalDemand,
+ * currentStock, leadTime, zScore, orderCost and holdingCost is reported. Service targets are probabilities in (0, 1):
+ * fillRate wins over serviceLevel, which wins over zScore; an invalid target (e.g., serviceLevel: 98 for 98%) is
+ * reported with the target applied instead, and zScore is only checked when it applies. An open order's arrivalDay
+ * must fall before the projection horizon (MAX_COVERAGE_DAYS); later orders are reported and left unscheduled.
+ * @param {Object} inputs - { historicalDemand, currentStock, leadTime, zScore, orderCost, holdingCost }.
+ * @param {Object} options - Forecast options (fillRate, serviceLevel, daysPerYear, openOrders are checked).
+ * @param {Object} validator - From createValidator.
+ * @returns {boolean} True when options.daysPerYear is given and valid (it then overrides the annualization basis).
+ */
+const { RISK_LEVELS } = require('../detectStockoutRisk');
+const { isDatedHistory } = require('../timeseries/parseDemandRecords');
+const { checkDemandHistory, checkNumber, checkLeadTime } = require('../validation/validateInputs');
+const { InvalidStockError, InvalidCostError, InvalidParameterError } = require('../validation/errors');
+const { MAX_COVERAGE_DAYS } = require('../position/calculateInventoryPosition');
+
+const isTarget = value => typeof value === 'number' && value > 0 && value < 1;
+
+function checkForecastInputs(inputs, options, validator) {
+  const { historicalDemand, currentStock, leadTime, zScore, orderCost, holdingCost } = inputs;
+  checkDemandHistory(historicalDemand, validator, { dated: isDatedHistory(historicalDemand), outcome: 'demand defaults to 0' });
+  checkNumber(currentStock, validator, { field: 'currentStock', ErrorClass: InvalidStockError, fallback: 0, outcome: 'treated as 0 days of cover' });
+  checkLeadTime(leadTime, validator, { fallback: 0, outcome: `risk defaults to ${RISK_LEVELS.LOW} and no safety stock is held` });
+
+  const appliedTarget = ['fillRate', 'serviceLevel'].find(field => isTarget(options[field])) || 'zScore';
+  const appliedValue = appliedTarget === 'zScore' ? zScore : options[appliedTarget];
+  ['fillRate', 'serviceLevel'].filter(field => options[field] !== undefined).forEach(field => {
+    checkNumber(options[field], validator, {
+      field, ErrorClass: InvalidParameterError, min: 0, max: 1, exclusive: true, fallback: appliedValue,
+      outcome: `${appliedTarget} applied instead`
+    });
+  });
+  if (appliedTarget === 'zScore') {
+    checkNumber(zScore, validator, { field: 'zScore', ErrorClass: InvalidParameterError, min: 0, fallback: 0, outcome: 'safety stock defaults to 0' });
+  }
+
+  // Orders counted as on order (positive quantity) with a numeric arrival day; overdue (negative) days are fine
+  if (Array.isArray(options.openOrders)) {
+    options.openOrders.forEach((order, index) => {
+      if (!order || typeof order !== 'object' || !(order.quantity > 0) || typeof order.arrivalDay !== 'number') return;
+      checkNumber(order.arrivalDay, validator, {
+        field: `openOrders.${index}.arrivalDay`, ErrorClass: InvalidParameterError, max: MAX_COVERAGE_DAYS, exclusive: true,
+        fallback: null, outcome: 'order left unscheduled'
+      });
+    });
+  }
+
+  const costs = { orderCost, holdingCost };
+  Object.keys(costs).forEach(field => {
+    checkNumber(costs[field], validator, { field, ErrorClass: InvalidCostError, min: 0, exclusive: true, fallback: 0, outcome: 'EOQ defaults to 0' });
+  });
+  return options.daysPerYear !== undefined && checkNumber(options.daysPerYear, validator, {
+    field: 'daysPerYear', ErrorClass: InvalidCostError, min: 0, exclusive: true, fallback: 250, outcome: 'EOQ annualizes over the default days'
+  });
+}
+
+module.exports = checkForecastInputs;
@@ -0,0 +1,32 @@
+/**
+ * Service level achieved by the buffer calculateInventoryForecast actually holds: seasonal curves change σ_LT, and
+ * intermittent quantiles change the effective Z (normal approximation of the same variance).
+ * @param {Object} buffer - planBuffer result, with safetyStock updated by periodic review when it applies.
+ * @param {number} cycleQuantity - Units per replenishment cycle (for the expected fill rate).
+ * @returns {Object} { serviceLevel ({ type, target, zScore, cycleServiceLevel, expectedFillRate }; target null for a
+ *   raw Z-score), achievedStdDev (σ_LT of the buffer held) }.
+ */
+const { expectedFillRate, zToCycleServiceLevel } = require('../serviceLevel/serviceLevelTargets');
+
+function describeServiceLevel(buffer, cycleQuantity) {
+  const { zScore, safetyStock, leadTimeDemandStdDev, seasonality, intermittent } = buffer;
+  let achievedStdDev = leadTimeDemandStdDev;
+  let achievedZ = zScore;
+  if (seasonality && zScore > 0) {
+    achievedStdDev = safetyStock / zScore;
+  } else if (intermittent && leadTimeDemandStdDev > 0) {
+    achievedZ = safetyStock / leadTimeDemandStdDev;
+  }
+  return {
+    achievedStdDev,
+    serviceLevel: {
+      type: buffer.serviceLevelType,
+      target: buffer.serviceLevelTarget,
+      zScore: typeof zScore === 'number' ? Number(zScore.toFixed(4)) : null,
+      cycleServiceLevel: zToCycleServiceLevel(achievedZ),
+      expectedFillRate: expectedFillRate(achievedZ, achievedStdDev, cycleQuantity)
+    }
+  };
+}
+
+module.exports = describeServiceLevel;
@@ -0,0 +1,72 @@
+/**
+ * Cost steps of calculateInventoryForecast, both opt-in:
+ *   - options.costs (true or { stockoutPenalty, penaltyType 'per_unit' | 'per_occurrence', holdingRate, unitCost })
+ *     adds inventoryCost: annual ordering, cycle-stock holding, safety-stock carrying and expected shortage cost of
+ *     this policy (same order quantity, buffer and σ_LT as the service level), plus the buffer that minimizes the
+ *     total for that penalty (see calculateInventoryCost)
+ *   - options.newsvendor ({ period (selling days; default the forecast horizon), unitPrice, unitCost, salvageValue,
+ *     shortagePenalty | underageCost, overageCost }) adds newsvendor: the single-period quantity at the critical
+ *     ratio for seasonal or one-shot items, from the forecast rate over the period (normal demand,
+ *     σ = demandStdDev * sqrt(period)); netQuantity is what to order on top of the stock available
+ *     (see calculateNewsvendor)
+ * Both run in the forecast's validation mode, with fields reported under the option's name (e.g.,
+ * 'costs.stockoutPenalty').
+ * @param {Object} inputs - { annualDemand, orderCost, holdingCost, cycleQuantity, safetyStock, achievedStdDev,
+ *   avgDailyDemand, demandStdDev, horizon, available (stock free to meet demand) }.
+ * @param {Object} options - Forecast options (costs, newsvendor).
+ * @param {Object} validation - { strict, diagnostics } of the forecast.
+ * @returns {Object} { inventoryCost, newsvendor } - each undefined unless requested.
+ */
+const { calculateInventoryCost } = require('../costs/calculateInventoryCost');
+const { calculateNewsvendor, NEWSVENDOR_DISTRIBUTIONS } = require('../costs/calculateNewsvendor');
+const { InventoryInputError } = require('../validation/errors');
+
+// Runs a utility on option-supplied inputs with the forecast's validation mode; its fields are reported under the
+// option's name (e.g., 'costs.stockoutPenalty')
+function runWithPrefix(prefix, validation, run) {
+  const nested = [];
+  try {
+    const result = run({ strict: validation.strict, diagnostics: nested });
+    nested.forEach(entry => validation.diagnostics.push({ ...entry, field: `${prefix}.${entry.field}` }));
+    return result;
+  } catch (err) {
+    if (err instanceof InventoryInputError) err.field = `${prefix}.${err.field}`;
+    throw err;
+  }
+}
+
+function estimateCosts(inputs, options, validation) {
+  const {
+    annualDemand, orderCost, holdingCost, cycleQuantity, safetyStock, achievedStdDev,
+    avgDailyDemand, demandStdDev, horizon, available
+  } = inputs;
+
+  let inventoryCost;
+  if (options.costs) {
+    const settings = typeof options.costs === 'object' ? options.costs : {};
+    inventoryCost = runWithPrefix('costs', validation, checks => calculateInventoryCost(annualDemand, {
+      orderCost,
+      holdingCost,
+      ...settings,
+      orderQuantity: cycleQuantity,
+      safetyStock,
+      leadTimeDemandStdDev: achievedStdDev,
+      ...checks
+    }));
+  }
+
+  let newsvendor;
+  if (options.newsvendor && typeof options.newsvendor === 'object') {
+    const { period: periodDays, ...prices } = options.newsvendor;
+    const period = typeof periodDays === 'number' && periodDays > 0 ? periodDays : horizon;
+    const result = runWithPrefix('newsvendor', validation, checks => calculateNewsvendor(
+      { mean: avgDailyDemand * period, stdDev: demandStdDev * Math.sqrt(period) },
+      { ...prices, distribution: NEWSVENDOR_DISTRIBUTIONS.NORMAL, ...checks }
+    ));
+    newsvendor = { period, ...result, netQuantity: Math.max(0, Math.ceil(result.quantity - available)) };
+  }
+
+  return { inventoryCost, newsvendor };
+}
+
+module.exports = estimateCosts;
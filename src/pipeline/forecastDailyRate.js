@@ -0,0 +1,40 @@
+/**
+ * Daily demand rate used by calculateInventoryForecast for coverage, reorder point and EOQ.
+ * The demand pattern (ADI / CV²; see classifyDemandPattern) is always classified; intermittent and lumpy items
+ * default to the SBA forecast (opt out with options.intermittent = false; an explicit method is respected).
+ * The model (options.method, FORECAST_METHODS; default 'sma' = the whole-history mean) forecasts each day of the lead
+ * time (at least one day) and the rate is their mean, so trend and seasonal models average over the exposure period;
+ * 'auto' backtests the candidates and uses the most accurate (see selectForecastModel). An unknown method falls back
+ * to SMA and is reported in diagnostics (strict mode throws InvalidParameterError).
+ * @param {number[]} historicalDemand - Daily demand (see prepareHistory).
+ * @param {number} leadTime - Lead time in days (mean for a variable lead time).
+ * @param {Object} options - Forecast options (method and model options are passed to the model).
+ * @param {Object[]} diagnostics - Forecast diagnostics to append to.
+ * @returns {Object} { demandPattern, useIntermittent, horizon (days forecast), model (forecastDemand result, plus
+ *   selection for 'auto'), avgDailyDemand }.
+ */
+const { forecastDemand, FORECAST_METHODS } = require('../forecasting/forecastDemand');
+const { selectForecastModel, AUTO_METHOD } = require('../backtesting/selectForecastModel');
+const { classifyDemandPattern, DEMAND_PATTERNS } = require('../intermittent/classifyDemandPattern');
+
+function forecastDailyRate(historicalDemand, leadTime, options, diagnostics) {
+  const demandPattern = classifyDemandPattern(historicalDemand);
+  const useIntermittent = options.intermittent !== false &&
+    (demandPattern.pattern === DEMAND_PATTERNS.INTERMITTENT || demandPattern.pattern === DEMAND_PATTERNS.LUMPY);
+
+  const horizon = typeof leadTime === 'number' && leadTime >= 1 ? Math.ceil(leadTime) : 1;
+  const modelOptions = { ...options, horizon };
+  if (useIntermittent && !modelOptions.method) {
+    modelOptions.method = FORECAST_METHODS.SBA;
+  }
+  const model = modelOptions.method === AUTO_METHOD
+    ? selectForecastModel(historicalDemand, modelOptions)
+    : forecastDemand(historicalDemand, { ...modelOptions, diagnostics });
+  const avgDailyDemand = model.method === FORECAST_METHODS.SMA
+    ? model.forecast
+    : model.forecasts.reduce((acc, f) => acc + f, 0) / model.forecasts.length;
+
+  return { demandPattern, useIntermittent, horizon, model, avgDailyDemand };
+}
+
+module.exports = forecastDailyRate;
@@ -0,0 +1,106 @@
+/**
+ * Safety stock and reorder point of calculateInventoryForecast, from the service target:
+ *   - options.serviceLevel (cycle service level α, e.g., 0.98 → Z = Φ⁻¹(0.98)) or options.fillRate (β, solved with
+ *     the normal loss function against σ_LT and the cycle order quantity) replace the raw zScore; fillRate wins if
+ *     both are given (see serviceLevelTargets)
+ *   - σ_LT is the demand std dev over the lead time (R + L under periodic review); a variable lead time uses the
+ *     combined demand + lead-time variance formula, and leadTimeVariability shows how much buffer each source needs
+ *   - intermittent / lumpy items replace the normal buffer with a Poisson / negative binomial quantile (see
+ *     calculateIntermittentSafetyStock)
+ *   - dated history with options.seasonalPeriods (e.g., ['weekly']) consumes the seasonal demand curve day by day
+ *     for days remaining, safety stock and reorder point (see calculateSeasonalInventory); seasonal and intermittent
+ *     buffers use the mean lead time only
+ * Variability is measured around the historical mean, whichever model forecasts the rate.
+ * @param {Object} inputs - { demand, records, dated, currentStock, zScore, avgDailyDemand, historicalMean,
+ *   useIntermittent, reviewPeriod (0 for continuous review), cycleQuantity, lead (resolveLeadTime result) }.
+ * @param {Object} options - Forecast options.
+ * @returns {Object} { zScore (the Z applied), serviceLevelType, serviceLevelTarget, bufferLeadTime,
+ *   leadTimeDemandStdDev, demandStdDev, safetyStock, reorderPoint, leadTimeVariability (variable lead time only),
+ *   intermittent (only when applied), seasonality ({ indices, baseRate, leadTimeDemand, curve }; only when applied),
+ *   seasonalStart, daysRemaining (seasonal coverage; undefined otherwise) }.
+ */
+const calculateSafetyStock = require('../calculateSafetyStock');
+const calculateReorderPoint = require('../calculateReorderPoint');
+const calculateIntermittentSafetyStock = require('../intermittent/calculateIntermittentSafetyStock');
+const calculateSeasonalInventory = require('../seasonality/calculateSeasonalInventory');
+const { cycleServiceLevelToZ, fillRateToZ, SERVICE_LEVEL_TYPES } = require('../serviceLevel/serviceLevelTargets');
+
+function planBuffer(inputs, options) {
+  const { demand, records, dated, currentStock, avgDailyDemand, historicalMean, useIntermittent, reviewPeriod, cycleQuantity, lead } = inputs;
+  const { leadTime, leadTimeStdDev, variable } = lead;
+  let { zScore } = inputs;
+
+  // σ_LT (demand std dev over the lead time, or over R + L for periodic review) is the safety stock at Z = 1
+  const bufferLeadTime = variable ? { mean: leadTime, stdDev: leadTimeStdDev } : leadTime;
+  const exposureLeadTime = variable ? { mean: leadTime + reviewPeriod, stdDev: leadTimeStdDev } : leadTime + reviewPeriod;
+  const leadTimeDemandStdDev = calculateSafetyStock(demand, exposureLeadTime, 1, historicalMean).safetyStock;
+  let serviceLevelType = SERVICE_LEVEL_TYPES.Z_SCORE;
+  let serviceLevelTarget = null;
+  const fillRateZ = fillRateToZ(options.fillRate, leadTimeDemandStdDev, cycleQuantity);
+  const cycleZ = cycleServiceLevelToZ(options.serviceLevel);
+  if (fillRateZ !== null) {
+    serviceLevelType = SERVICE_LEVEL_TYPES.FILL_RATE;
+    serviceLevelTarget = options.fillRate;
+    zScore = fillRateZ;
+  } else if (cycleZ !== null) {
+    serviceLevelType = SERVICE_LEVEL_TYPES.CYCLE;
+    serviceLevelTarget = options.serviceLevel;
+    zScore = cycleZ;
+  }
+
+  // Normal buffer (split by source when the lead time is variable) and the trigger it protects
+  const buffer = calculateSafetyStock(demand, bufferLeadTime, zScore, historicalMean);
+  let { demandStdDev, safetyStock } = buffer;
+  let { reorderPoint } = calculateReorderPoint(demand, bufferLeadTime, zScore, avgDailyDemand);
+  const leadTimeVariability = variable
+    ? {
+      mean: Number(leadTime.toFixed(2)),
+      stdDev: Number(leadTimeStdDev.toFixed(2)),
+      observations: lead.observations,
+      breakdown: buffer.breakdown || null  // null when the history is invalid (no buffer computed)
+    }
+    : undefined;
+
+  // Intermittent demand: a Poisson/negative binomial quantile instead of the normal buffer
+  let intermittent;
+  if (useIntermittent) {
+    intermittent = calculateIntermittentSafetyStock(demand, leadTime, zScore, avgDailyDemand);
+    ({ safetyStock, reorderPoint } = intermittent);
+  }
+
+  // Seasonal curve (dated history + requested periods): day-by-day consumption replaces the flat-rate coverage,
+  // buffer and trigger (e.g., weekend peaks)
+  const seasonalPeriods = options.seasonalPeriods;
+  let seasonality;
+  let seasonalStart;
+  let daysRemaining;
+  if (dated && Array.isArray(seasonalPeriods) && seasonalPeriods.length > 0) {
+    const seasonal = calculateSeasonalInventory(records, currentStock, lead.calendarLeadTime, zScore, options);
+    ({ daysRemaining, demandStdDev, safetyStock, reorderPoint } = seasonal);
+    seasonality = {
+      indices: seasonal.indices,
+      baseRate: seasonal.baseRate,
+      leadTimeDemand: seasonal.leadTimeDemand,
+      curve: seasonal.curve
+    };
+    seasonalStart = seasonal.startDate;
+  }
+
+  return {
+    zScore,
+    serviceLevelType,
+    serviceLevelTarget,
+    bufferLeadTime,
+    leadTimeDemandStdDev,
+    demandStdDev,
+    safetyStock,
+    reorderPoint,
+    leadTimeVariability,
+    intermittent,
+    seasonality,
+    seasonalStart,
+    daysRemaining
+  };
+}
+
+module.exports = planBuffer;
@@ -0,0 +1,36 @@
+/**
+ * Periodic review step of calculateInventoryForecast (options.policy = 'periodic', options.reviewPeriod R days,
+ * default 7): the order-up-to level over the protection interval R + L and this review's order quantity for the
+ * inventory position (or currentStock when no position is tracked); see calculatePeriodicReview.
+ * Intermittent and seasonal items keep their own buffer models, evaluated over R + L.
+ * @param {Object} inputs - { demand, records, currentStock, reviewPeriod, zScore, avgDailyDemand, inventoryPosition
+ *   (position or null), lead (resolveLeadTime result), buffer (planBuffer result) }.
+ * @param {Object} options - Forecast options (passed to the seasonal model).
+ * @returns {Object} calculatePeriodicReview result with the buffer model's safety stock and order-up-to level.
+ */
+const { calculatePeriodicReview } = require('../policy/calculatePeriodicReview');
+const calculateIntermittentSafetyStock = require('../intermittent/calculateIntermittentSafetyStock');
+const calculateSeasonalInventory = require('../seasonality/calculateSeasonalInventory');
+
+function planPeriodicReview(inputs, options) {
+  const { demand, records, currentStock, reviewPeriod, zScore, avgDailyDemand, inventoryPosition, lead, buffer } = inputs;
+  const periodicReview = calculatePeriodicReview(demand, reviewPeriod, buffer.bufferLeadTime, zScore, {
+    inventoryPosition: inventoryPosition !== null ? inventoryPosition : (typeof currentStock === 'number' ? currentStock : 0),
+    avgDemand: avgDailyDemand
+  });
+
+  let override;
+  if (buffer.seasonality) {
+    override = calculateSeasonalInventory(records, currentStock, lead.calendarLeadTime + reviewPeriod, zScore, options);
+  } else if (buffer.intermittent) {
+    override = calculateIntermittentSafetyStock(demand, lead.leadTime + reviewPeriod, zScore, avgDailyDemand);
+  }
+  if (override) {
+    periodicReview.safetyStock = override.safetyStock;
+    periodicReview.orderUpToLevel = override.reorderPoint;
+    periodicReview.orderQuantity = Number(Math.max(0, override.reorderPoint - periodicReview.inventoryPosition).toFixed(2));
+  }
+  return periodicReview;
+}
+
+module.exports = planPeriodicReview;
@@ -0,0 +1,79 @@
+/**
+ * Demand history as calculateInventoryForecast's models see it:
+ *   - dated records [{ date, quantity }] are sorted and reduced to their gap-filled daily quantities (business days
+ *     only with options.calendar; see toDailySeries)
+ *   - options.cleansing ({ method: 'iqr' | 'hampel' | 'zscore', strategy: 'cap' | 'remove', threshold, window }, or
+ *     true) caps or removes outliers, and options.onHand (stock per history day, or dated records matched by day)
+ *     imputes demand on stockout days (see cleanseDemand)
+ *   - the Mann-Kendall trend and Pettitt changepoints of the recent history are detected (options.trend =
+ *     { alpha, minSegment, window } tunes them, false skips them; see detectTrend / detectChangepoints), and
+ *     options.afterLastBreak = true drops the days before the last break, so every model and buffer only sees the
+ *     current demand regime (trend.forecastFrom shows where the history was cut)
+ * Seasonal indices are estimated from the raw dated records, cut at the same break.
+ * @param {number[]|Object[]} historicalDemand - Daily demand values or dated records.
+ * @param {Object} options - Forecast options.
+ * @returns {Object} { demand (daily quantities), records (dated records, or the input), dated, lastRecordDate,
+ *   seriesDates (day key of each demand entry; null for undated history), cleansing ({ outliers, censored }; only
+ *   when cleansing or onHand is given), trend (unless skipped) }.
+ */
+const { parseDemandRecords, isDatedHistory } = require('../timeseries/parseDemandRecords');
+const { toDailySeries } = require('../timeseries/fillDailyGaps');
+const { toDayKey } = require('../timeseries/dayKeys');
+const cleanseDemand = require('../cleansing/cleanseDemand');
+const { detectTrend } = require('../trend/detectTrend');
+const { detectChangepoints } = require('../trend/detectChangepoints');
+
+function prepareHistory(historicalDemand, options) {
+  const dated = isDatedHistory(historicalDemand);
+  let demand = historicalDemand;
+  let records = historicalDemand;
+  let lastRecordDate = null;
+  let seriesDates = null;
+  if (dated) {
+    const series = toDailySeries(records, { calendar: options.calendar });
+    demand = series.quantities;
+    seriesDates = series.dates;
+    const { dates } = parseDemandRecords(records);
+    lastRecordDate = dates.length > 0 ? dates[dates.length - 1] : null;
+  }
+
+  // Cleansing: outliers and stockout-censored days (opt-in); dated on-hand records are matched by day
+  let cleansing;
+  const cleansingOptions = options.cleansing;
+  let onHand = options.onHand;
+  if (cleansingOptions || onHand) {
+    if (seriesDates && isDatedHistory(onHand)) {
+      const stock = parseDemandRecords(onHand);
+      const byDay = new Map(stock.dates.map((d, i) => [d, stock.quantities[i]]));
+      onHand = seriesDates.map(d => byDay.get(d));
+    }
+    const settings = cleansingOptions && typeof cleansingOptions === 'object' ? cleansingOptions : {};
+    const cleansed = cleanseDemand(demand, { ...settings, method: cleansingOptions ? settings.method : 'none', onHand });
+    demand = cleansed.demand;
+    cleansing = { outliers: cleansed.outliers, censored: cleansed.censored };
+  }
+
+  // Trend and structural breaks over the (cleansed) daily history; afterLastBreak needs them even when skipped
+  let trend;
+  const afterLastBreak = options.afterLastBreak === true;
+  if (options.trend !== false || afterLastBreak) {
+    const trendOptions = options.trend && typeof options.trend === 'object' ? options.trend : {};
+    trend = {
+      ...detectTrend(demand, trendOptions),
+      changepoints: detectChangepoints(demand, { ...trendOptions, dates: seriesDates }),
+      forecastFrom: null
+    };
+    const lastBreak = trend.changepoints[trend.changepoints.length - 1];
+    if (afterLastBreak && lastBreak) {
+      demand = demand.slice(lastBreak.index);
+      trend.forecastFrom = { index: lastBreak.index, ...(lastBreak.date ? { date: lastBreak.date } : {}), days: demand.length };
+      if (dated && lastBreak.date) {
+        records = records.filter(r => r && typeof r === 'object' && toDayKey(r.date) !== null && toDayKey(r.date) >= lastBreak.date);
+      }
+    }
+  }
+
+  return { demand, records, dated, lastRecordDate, seriesDates, cleansing, trend };
+}
+
+module.exports = prepareHistory;
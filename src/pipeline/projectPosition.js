@@ -0,0 +1,40 @@
+/**
+ * Inventory position step of calculateInventoryForecast (options.openOrders [{ quantity, arrivalDate | arrivalDay }],
+ * options.backorders, options.allocated): position = on hand + on order - backorders - allocated drives the reorder
+ * decision (position <= reorderPoint, or the periodic order-up-to gap), and days remaining follow the available stock
+ * drawn down day by day with each receipt landing on its day (see calculateInventoryPosition and
+ * projectInboundCoverage; receipts shows how each one changes coverage). Seasonal items follow their curve; dates
+ * are business days with a calendar.
+ * @param {Object} position - calculateInventoryPosition result.
+ * @param {Object} inputs - { avgDailyDemand, reorderPoint, periodicReview, seasonality, seasonalStart, projectionStart }.
+ * @param {Object} options - Forecast options (openOrders, calendar).
+ * @returns {Object} { daysRemaining (unrounded; Infinity when stock never runs out), inventoryPosition ({ ...position,
+ *   reorderNeeded, daysRemainingWithoutReceipts, receipts, unscheduled }) }.
+ */
+const projectInboundCoverage = require('../position/projectInboundCoverage');
+const projectSeasonalDemand = require('../seasonality/projectSeasonalDemand');
+
+function projectPosition(position, inputs, options) {
+  const { avgDailyDemand, reorderPoint, periodicReview, seasonality, seasonalStart, projectionStart } = inputs;
+  const dailyDemand = seasonality
+    ? projectSeasonalDemand(seasonality.baseRate, seasonalStart, 366, seasonality.indices).map(d => d.demand)
+    : avgDailyDemand;
+  const inbound = projectInboundCoverage(position.available, dailyDemand, options.openOrders, {
+    startDate: seasonality ? seasonalStart : projectionStart,
+    calendar: seasonality ? undefined : options.calendar
+  });
+  return {
+    daysRemaining: inbound.daysRemaining,
+    inventoryPosition: {
+      ...position,
+      reorderNeeded: periodicReview ? periodicReview.orderQuantity > 0 : position.position <= reorderPoint,
+      daysRemainingWithoutReceipts: inbound.daysRemainingWithoutReceipts === Infinity
+        ? 'Infinite'
+        : Number(inbound.daysRemainingWithoutReceipts.toFixed(2)),
+      receipts: inbound.receipts,
+      unscheduled: inbound.unscheduled
+    }
+  };
+}
+
+module.exports = projectPosition;
@@ -0,0 +1,40 @@
+/**
+ * Replenishment plan step of calculateInventoryForecast (options.plan = true or { horizon=90 }): a day-by-day
+ * projection of on-hand stock with the orders this policy would place (reorder point + order quantity, or periodic
+ * order-up-to), using the forecast rate (seasonal curve when applied), the open receipts and the buffer already
+ * computed (see planReplenishment). Seasonal curves stay on calendar days.
+ * @param {Object} inputs - { demand, currentStock, leadTime, avgDailyDemand, reorderPoint, cycleQuantity, reviewPeriod,
+ *   periodicReview, seasonality, seasonalStart, projectionStart }.
+ * @param {Object} options - Forecast options (plan, calendar, openOrders, backorders, allocated).
+ * @returns {Object} planReplenishment result.
+ */
+const planReplenishment = require('../planning/planReplenishment');
+const projectSeasonalDemand = require('../seasonality/projectSeasonalDemand');
+const { INVENTORY_POLICIES } = require('../policy/calculatePeriodicReview');
+
+function projectReplenishment(inputs, options) {
+  const {
+    demand, currentStock, leadTime, avgDailyDemand, reorderPoint, cycleQuantity, reviewPeriod,
+    periodicReview, seasonality, seasonalStart, projectionStart
+  } = inputs;
+  const { horizon = 90 } = typeof options.plan === 'object' ? options.plan : {};
+  const planDays = typeof horizon === 'number' && horizon >= 1 ? Math.floor(horizon) : 90;
+  return planReplenishment(demand, currentStock, leadTime, {
+    horizon: planDays,
+    startDate: seasonality ? seasonalStart : projectionStart,
+    calendar: seasonality ? undefined : options.calendar,
+    dailyDemand: seasonality
+      ? projectSeasonalDemand(seasonality.baseRate, seasonalStart, planDays, seasonality.indices).map(d => d.demand)
+      : avgDailyDemand,
+    policy: periodicReview ? INVENTORY_POLICIES.PERIODIC : INVENTORY_POLICIES.CONTINUOUS,
+    reviewPeriod,
+    reorderPoint,
+    orderQuantity: periodicReview ? undefined : cycleQuantity,
+    orderUpTo: periodicReview ? periodicReview.orderUpToLevel : undefined,
+    openOrders: options.openOrders,
+    backorders: options.backorders,
+    allocated: options.allocated
+  });
+}
+
+module.exports = projectReplenishment;
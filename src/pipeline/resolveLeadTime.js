@@ -0,0 +1,66 @@
+/**
+ * Lead time and annualization basis for calculateInventoryForecast:
+ *   - a variable lead time (observed lead times [7, 9, 12] or { mean, stdDev }; see normalizeLeadTime) is reduced to
+ *     its mean, which drives coverage, horizon and lead-time demand; its std dev is kept for the combined
+ *     demand + lead-time variance buffer
+ *   - options.calendar ({ weekendDays, holidays }) annualizes over the business days in the next year and converts
+ *     the lead time (calendar days unless options.leadTimeUnit = 'business') to business days from options.asOf, else
+ *     the day after the history, else today; the lead-time spread shrinks in proportion. Seasonal curves stay on
+ *     calendar days, so calendarLeadTime keeps the original lead time
+ *   - a valid options.daysPerYear wins over the default 250 and the calendar's count
+ * @param {number|number[]|Object} leadTime - leadTime argument.
+ * @param {Object} options - Forecast options.
+ * @param {Object} context - { lastRecordDate (last dated history day or null), customDaysPerYear (options.daysPerYear
+ *   passed validation) }.
+ * @returns {Object} { leadTime (mean; business days with a calendar), leadTimeStdDev, variable, observations,
+ *   calendarLeadTime, daysPerYear, calendarInfo ({ startDate, businessDaysPerYear, leadTimeBusinessDays }; only with
+ *   a calendar) }.
+ */
+const normalizeLeadTime = require('../normalizeLeadTime');
+const { toDayKey, addDays } = require('../timeseries/dayKeys');
+const { countBusinessDays, businessDaysPerYear } = require('../calendar/businessCalendar');
+
+function resolveLeadTime(leadTime, options, context) {
+  const { lastRecordDate, customDaysPerYear } = context;
+
+  // Variable lead time: downstream utilities work on the mean; its std dev is reapplied for the buffer
+  const leadTimeModel = normalizeLeadTime(leadTime);
+  const variable = leadTimeModel !== null && leadTimeModel.variable;
+  let mean = leadTime;
+  let leadTimeStdDev = 0;
+  if (variable) {
+    mean = leadTimeModel.mean;
+    leadTimeStdDev = leadTimeModel.stdDev;
+  }
+
+  const calendarLeadTime = mean;
+  let daysPerYear = 250;
+  let calendarInfo;
+  const { calendar } = options;
+  if (calendar) {
+    const startDate = toDayKey(options.asOf) ||
+      (lastRecordDate ? addDays(lastRecordDate, 1) : toDayKey(new Date()));
+    daysPerYear = businessDaysPerYear(calendar, startDate);
+    if (options.leadTimeUnit !== 'business' && typeof mean === 'number' && mean > 0) {
+      mean = countBusinessDays(startDate, Math.round(mean), calendar);
+      // Lead-time spread shrinks in proportion (e.g., 5 business days per 7 calendar days)
+      leadTimeStdDev *= mean / calendarLeadTime;
+    }
+    calendarInfo = { startDate, businessDaysPerYear: daysPerYear, leadTimeBusinessDays: mean };
+  }
+  if (customDaysPerYear) {
+    daysPerYear = options.daysPerYear;
+  }
+
+  return {
+    leadTime: mean,
+    leadTimeStdDev,
+    variable,
+    observations: variable ? leadTimeModel.observations : undefined,
+    calendarLeadTime,
+    daysPerYear,
+    calendarInfo
+  };
+}
+
+module.exports = resolveLeadTime;
@@ -0,0 +1,28 @@
+/**
+ * Final step of calculateInventoryForecast: the insights layer (see generateInsights; options.insights = { locale,
+ * templates, variabilityThresholds }) and the recommendation.
+ * The recommendation is risk-based ('Reorder immediately' for HIGH risk or worse, else 'Monitor stock levels'), or
+ * driven by the inventory position when it is tracked: 'Reorder immediately' when the position is at or below the
+ * trigger, 'Expedite open orders' when stock runs out before the open orders land.
+ * @param {Object} forecastData - Fields generateInsights reads (avgDailyDemand, riskLevel, daysRemaining, ...).
+ * @param {boolean} urgent - Risk is HIGH or worse.
+ * @param {Object} options - Forecast options (insights).
+ * @returns {Object} { insights, recommendation }.
+ */
+const { generateInsights } = require('../insights/generateInsights');
+
+function summarizeForecast(forecastData, urgent, options) {
+  const insights = generateInsights(forecastData, options.insights);
+  const { inventoryPosition } = forecastData;
+  let recommendation = urgent ? 'Reorder immediately' : 'Monitor stock levels';
+  if (inventoryPosition) {
+    if (inventoryPosition.reorderNeeded) {
+      recommendation = 'Reorder immediately';
+    } else if (urgent && inventoryPosition.onOrder > 0) {
+      recommendation = 'Expedite open orders';
+    }
+  }
+  return { insights, recommendation };
+}
+
+module.exports = summarizeForecast;
@@ -0,0 +1,200 @@
+/**
+ * Replenishment plan (MRP-lite for one SKU): projects stock day by day over a horizon and schedules the orders
+ * the policy would place, so the plan no longer has to be built by hand from a single daysRemaining number.
+ * Each day (start of day): receipts due that day land (open purchase orders and earlier planned orders), the
+ * policy reviews the inventory position, then the day's forecast demand is drawn. Shortages carry over as
+ * backorders (negative stock), like projectInboundCoverage.
+ *   - continuous ('continuous', default): when position <= reorder point, order the order quantity (in multiples
+ *     of it if one order would not lift the position above the trigger)
+ *   - periodic ('periodic'): every reviewPeriod days (day 0 first), order up to the order-up-to level
+ * Planned orders arrive leadTime days after they are placed (mean lead time rounded up to whole days).
+ * Parameters default to the library's own calculations, so the plan follows what the forecast recommends:
+ *   reorder point = calculateReorderPoint, order quantity = calculateEOQ, order-up-to = calculatePeriodicReview,
+ *   demand = forecastDemand over the horizon (options.method + model options), starting stock = available stock
+ *   from calculateInventoryPosition, open receipts placed by scheduleOpenOrders.
+ * @param {number[]} historicalDemand - Array of historical daily demand values.
+ * @param {number} currentStock - Current stock on hand.
+ * @param {number|number[]|Object} leadTime - Lead time in days (fixed, observed lead times or { mean, stdDev }).
+ * @param {Object} [options] - { horizon=90 (days), startDate (day 0; default today), calendar (days are business days),
+ *   method + model options, dailyDemand (number or day-by-day curve; overrides the forecast), zScore=1.65,
+ *   orderCost=100, holdingCost=10, daysPerYear=250, policy ('continuous' | 'periodic'), reviewPeriod=7,
+ *   reorderPoint, orderQuantity, orderUpTo, openOrders, backorders, allocated }.
+ * @returns {Object} { policy, horizon, startDate, parameters: { reorderPoint, orderQuantity, orderUpTo, reviewPeriod,
+ *   leadTimeDays, startingStock }, timeline: [{ day, date, received, orderQuantity, demand, onHand, shortage,
+ *   inventoryPosition }], plannedOrders: [{ orderDay, orderDate, arrivalDay, arrivalDate, quantity }],
+ *   unscheduled, summary: { totalDemand, receivedQuantity, plannedQuantity, stockoutDays, firstStockoutDay,
+ *   averageOnHand, endingOnHand } } - Rounded; empty timeline and null parameters/summary for invalid inputs.
+ */
+const calculateReorderPoint = require('../calculateReorderPoint');
+const calculateEOQ = require('../calculateEOQ');
+const normalizeLeadTime = require('../normalizeLeadTime');
+const { forecastDemand } = require('../forecasting/forecastDemand');
+const { calculatePeriodicReview, INVENTORY_POLICIES } = require('../policy/calculatePeriodicReview');
+const { calculateInventoryPosition } = require('../position/calculateInventoryPosition');
+const scheduleOpenOrders = require('../position/scheduleOpenOrders');
+const { toDayKey, addDays } = require('../timeseries/dayKeys');
+const { isBusinessDay, addBusinessDays } = require('../calendar/businessCalendar');
+
+const round = value => Number(value.toFixed(2));
+// Rounding noise tolerance: stock drawn exactly to zero by fractional daily rates is not a stockout
+const EPSILON = 1e-9;
+
+// Day index → date key (calendar days, or business days from the first business day on/after the start)
+function dateAxis(startDate, calendar) {
+  if (!calendar) {
+    return day => addDays(startDate, day);
+  }
+  const first = isBusinessDay(startDate, calendar) ? startDate : addBusinessDays(startDate, 1, calendar);
+  return day => (first === null ? null : (day === 0 ? first : addBusinessDays(first, day, calendar)));
+}
+
+// Demand for each horizon day: explicit rate/curve (curve continues at its mean), else the model forecast
+function demandPlan(validDemands, days, opts) {
+  const { dailyDemand } = opts;
+  if (typeof dailyDemand === 'number' && dailyDemand >= 0) {
+    return Array(days).fill(dailyDemand);
+  }
+  if (Array.isArray(dailyDemand) && dailyDemand.length > 0) {
+    const curve = dailyDemand.map(d => (typeof d === 'number' && d > 0 ? d : 0));
+    const mean = curve.reduce((acc, d) => acc + d, 0) / curve.length;
+    return Array.from({ length: days }, (_, d) => (d < curve.length ? curve[d] : mean));
+  }
+  return forecastDemand(validDemands, { ...opts, horizon: days }).forecasts.map(f => Math.max(0, f));
+}
+
+function planReplenishment(historicalDemand, currentStock, leadTime, options = {}) {
+  const opts = options && typeof options === 'object' ? options : {};
+  const policy = opts.policy === INVENTORY_POLICIES.PERIODIC ? INVENTORY_POLICIES.PERIODIC : INVENTORY_POLICIES.CONTINUOUS;
+  const {
+    horizon = 90,
+    zScore = 1.65,
+    orderCost = 100,
+    holdingCost = 10,
+    daysPerYear = 250,
+    calendar
+  } = opts;
+
+  // Defensive validation for consistency with other utilities (return safe defaults)
+  const validDemands = Array.isArray(historicalDemand)
+    ? historicalDemand.filter(d => typeof d === 'number' && d >= 0)
+    : [];
+  const leadTimeModel = normalizeLeadTime(leadTime);
+  const startDate = toDayKey(opts.startDate) || toDayKey(new Date());
+  if (validDemands.length === 0 || leadTimeModel === null || typeof horizon !== 'number' || horizon < 1) {
+    return { policy, horizon: 0, startDate, parameters: null, timeline: [], plannedOrders: [], unscheduled: [], summary: null };
+  }
+
+  const days = Math.floor(horizon);
+  const demand = demandPlan(validDemands, days, opts);
+  const leadTimeDays = Math.ceil(leadTimeModel.mean);
+  // Rate over the lead time drives the default parameters (like calculateInventoryForecast)
+  const leadDemand = demand.slice(0, Math.max(1, leadTimeDays));
+  const avgDemand = leadDemand.reduce((acc, d) => acc + d, 0) / leadDemand.length;
+
+  // Policy parameters: explicit values win, otherwise the library's own recommendations
+  const nonNegative = value => typeof value === 'number' && value >= 0;
+  const reorderPoint = nonNegative(opts.reorderPoint)
+    ? opts.reorderPoint
+    : calculateReorderPoint(validDemands, leadTime, zScore, avgDemand).reorderPoint;
+  const orderQuantity = nonNegative(opts.orderQuantity) && opts.orderQuantity > 0
+    ? opts.orderQuantity
+    : Math.max(1, calculateEOQ(validDemands, orderCost, holdingCost, daysPerYear, avgDemand).eoq);
+  const periodic = policy === INVENTORY_POLICIES.PERIODIC;
+  const reviewPeriod = periodic ? (nonNegative(opts.reviewPeriod) && opts.reviewPeriod >= 1 ? Math.round(opts.reviewPeriod) : 7) : null;
+  let orderUpTo = null;
+  if (periodic) {
+    orderUpTo = nonNegative(opts.orderUpTo)
+      ? opts.orderUpTo
+      : calculatePeriodicReview(validDemands, reviewPeriod, leadTime, zScore, { avgDemand }).orderUpToLevel;
+  }
+
+  // Starting stock net of backorders/allocations; open receipts on the day axis
+  const position = calculateInventoryPosition(currentStock, opts);
+  const { scheduled, unscheduled } = scheduleOpenOrders(opts.openOrders, { startDate, calendar });
+  const dateOf = dateAxis(startDate, calendar);
+
+  const receipts = scheduled.map(r => ({ arrivalDay: r.arrivalDay, quantity: r.quantity }));
+  const plannedOrders = [];
+  const timeline = [];
+  let stock = position.available;
+  let receivedQuantity = 0;
+  let stockoutDays = 0;
+  let firstStockoutDay = null;
+  let onHandSum = 0;
+
+  for (let day = 0; day < days; day++) {
+    // Receipts due today (open and planned orders)
+    const landing = () => receipts.filter(r => r.arrivalDay === day).reduce((acc, r) => acc + r.quantity, 0);
+    let received = landing();
+
+    // Review: inventory position = stock + everything still in transit
+    const inTransit = receipts.filter(r => r.arrivalDay > day).reduce((acc, r) => acc + r.quantity, 0);
+    const reviewPosition = stock + received + inTransit;
+    let quantity = 0;
+    if (periodic) {
+      if (day % reviewPeriod === 0) quantity = Math.max(0, orderUpTo - reviewPosition);
+    } else if (reviewPosition <= reorderPoint) {
+      quantity = orderQuantity;
+      while (reviewPosition + quantity <= reorderPoint) quantity += orderQuantity;
+    }
+    if (quantity > 0) {
+      const arrivalDay = day + leadTimeDays;
+      receipts.push({ arrivalDay, quantity });
+      plannedOrders.push({
+        orderDay: day,
+        orderDate: dateOf(day),
+        arrivalDay,
+        arrivalDate: dateOf(arrivalDay),
+        quantity: round(quantity)
+      });
+      if (arrivalDay === day) received = landing();  // Zero lead time: lands immediately
+    }
+
+    stock += received - demand[day];
+    receivedQuantity += received;
+    if (stock < -EPSILON) {
+      stockoutDays += 1;
+      if (firstStockoutDay === null) firstStockoutDay = day;
+    }
+    onHandSum += Math.max(0, stock);
+    const pipeline = receipts.filter(r => r.arrivalDay > day).reduce((acc, r) => acc + r.quantity, 0);
+    timeline.push({
+      day,
+      date: dateOf(day),
+      received: round(received),
+      orderQuantity: round(quantity),
+      demand: round(demand[day]),
+      onHand: round(Math.max(0, stock)),
+      shortage: round(Math.max(0, -stock)),
+      inventoryPosition: round(stock + pipeline)
+    });
+  }
+
+  return {
+    policy,
+    horizon: days,
+    startDate,
+    parameters: {
+      reorderPoint: periodic ? null : round(reorderPoint),
+      orderQuantity: periodic ? null : round(orderQuantity),
+      orderUpTo: periodic ? round(orderUpTo) : null,
+      reviewPeriod,
+      leadTimeDays,
+      startingStock: position.available
+    },
+    timeline,
+    plannedOrders,
+    unscheduled,
+    summary: {
+      totalDemand: round(demand.reduce((acc, d) => acc + d, 0)),
+      receivedQuantity: round(receivedQuantity),
+      plannedQuantity: round(plannedOrders.reduce((acc, o) => acc + o.quantity, 0)),
+      stockoutDays,
+      firstStockoutDay,
+      averageOnHand: round(onHandSum / days),
+      endingOnHand: round(Math.max(0, stock))
+    }
+  };
+}
+
+module.exports = planReplenishment;
@@ -0,0 +1,65 @@
+/**
+ * Periodic review (R, S) policy: for vendors that only accept orders on fixed days.
+ * Every R days the inventory position is raised to the order-up-to level S. An order placed now only
+ * protects until the order after it arrives, i.e. for the protection interval R + L (instead of L for a
+ * continuous-review reorder point), so:
+ *   Safety stock = Z * stdDev * sqrt(R + L)   (combined formula when the lead time is variable)
+ *   S = avgDailyDemand * (R + L) + safety stock
+ *   Order quantity this review = max(0, S - inventory position)
+ * Reuses calculateReorderPoint over the protection interval (no duplicated buffer logic).
+ * @param {number[]} historicalDemand - Array of historical daily demand values.
+ * @param {number} reviewPeriod - Days between reviews (R).
+ * @param {number|number[]|Object} leadTime - Lead time in days (fixed, observed lead times or { mean, stdDev }).
+ * @param {number} [zScore=1.65] - Z-score for the service level over the protection interval.
+ * @param {Object} [options] - { inventoryPosition (on hand + on order - backorders; enables orderQuantity),
+ *   avgDemand (forecast daily rate; historical mean if omitted) }.
+ * @returns {Object} { reviewPeriod, protectionInterval, avgDailyDemand, safetyStock, orderUpToLevel,
+ *   inventoryPosition, orderQuantity } - Rounded; orderQuantity/inventoryPosition null without a position;
+ *   zeros for invalid inputs.
+ */
+const calculateReorderPoint = require('../calculateReorderPoint');
+const normalizeLeadTime = require('../normalizeLeadTime');
+
+// Enum-like const for replenishment policies (option for calculateInventoryForecast)
+const INVENTORY_POLICIES = {
+  CONTINUOUS: 'continuous', // Reorder point: order whenever stock falls to the trigger
+  PERIODIC: 'periodic'      // (R, S): order up to a level on fixed review days
+};
+
+function calculatePeriodicReview(historicalDemand, reviewPeriod, leadTime, zScore = 1.65, options = {}) {
+  const { inventoryPosition, avgDemand } = options || {};
+  const position = typeof inventoryPosition === 'number' && Number.isFinite(inventoryPosition) ? inventoryPosition : null;
+  const leadTimeModel = normalizeLeadTime(leadTime);
+
+  // Defensive validation for consistency with other utilities (return safe defaults)
+  if (typeof reviewPeriod !== 'number' || !(reviewPeriod > 0) || leadTimeModel === null) {
+    return {
+      reviewPeriod: 0,
+      protectionInterval: 0,
+      avgDailyDemand: 0,
+      safetyStock: 0,
+      orderUpToLevel: 0,
+      inventoryPosition: position,
+      orderQuantity: position === null ? null : 0
+    };
+  }
+
+  // Protection interval R + L (lead-time spread carries over unchanged; R is fixed)
+  const protectionInterval = leadTimeModel.mean + reviewPeriod;
+  const protection = leadTimeModel.variable
+    ? { mean: protectionInterval, stdDev: leadTimeModel.stdDev }
+    : protectionInterval;
+  const { avgDailyDemand, safetyStock, reorderPoint } = calculateReorderPoint(historicalDemand, protection, zScore, avgDemand);
+
+  return {
+    reviewPeriod,
+    protectionInterval: Number(protectionInterval.toFixed(2)),
+    avgDailyDemand,
+    safetyStock,
+    orderUpToLevel: reorderPoint,
+    inventoryPosition: position,
+    orderQuantity: position === null ? null : Number(Math.max(0, reorderPoint - position).toFixed(2))
+  };
+}
+
+module.exports = { calculatePeriodicReview, INVENTORY_POLICIES };
@@ -0,0 +1,170 @@
+/**
+ * Portfolio analysis: runs calculateInventoryForecast over a catalog of SKUs, classifies them ABC (annual
+ * consumption value share) and XYZ (demand variability), and totals the portfolio.
+ *   - Each item is an options-object forecast config ({ sku, historicalDemand, currentStock, leadTime, profile, ... })
+ *     plus unitCost, the value of one unit. Annual value = avgDailyDemand * days per year (daysPerYear, the
+ *     calendar's business days, or 250, as for the EOQ) * unitCost. A missing or invalid unitCost counts as 0 and
+ *     is reported in diagnostics (InvalidCostError in strict mode).
+ *   - options.serviceLevels assigns service-level defaults per class: keys are combined classes ('AX'), ABC classes
+ *     ('A') or XYZ classes ('Z'), looked up in that order; values are a cycle service level (0.99) or a service
+ *     target { serviceLevel | fillRate | zScore }. The class target applies only to SKUs that set no target
+ *     themselves (or through their profile); those SKUs are forecast again with it, since the classes come from
+ *     the first forecast.
+ *   - Cycle stock is half the order quantity (orderQuantity model, else the EOQ; demand over one review period
+ *     under periodic review).
+ * Strict mode (options.strict, or per item) throws the first typed error, with field prefixed by the item
+ * (e.g., 'items.3.leadTime'), like the /forecast/batch endpoint.
+ * @param {Object[]} items - SKU configs (see above); sku defaults to the 1-based position.
+ * @param {Object} [options] - { abcThresholds ({ a, b }), xyzThresholds ({ x, y }), serviceLevels (per class), strict }.
+ * @returns {Object} { results, summary, diagnostics }:
+ *   - results: per item, in input order, { sku, abcClass, xyzClass, class ('AX'), rank, unitCost, annualDemand,
+ *     annualValue, valueShare, cumulativeShare, cv, cycleStock, classServiceTarget (applied class target or null),
+ *     ...forecast }
+ *   - summary: { count, annualValue, safetyStock: { units, value }, cycleStock: { units, value }, riskLevels (counts),
+ *     abc ({ A: { count, annualValue, valueShare }, ... }), xyz ({ X: { count, annualValue, valueShare }, ... }),
+ *     matrix ({ AX: count, ... }) }
+ *   - diagnostics: portfolio-level entries (unit costs); each forecast keeps its own diagnostics.
+ */
+const {
+  classifyABC,
+  classifyXYZ,
+  ABC_CLASSES,
+  XYZ_CLASSES
+} = require('./classifyPortfolio');
+const { resolveForecastConfig } = require('../config/resolveForecastConfig');
+const { createValidator, checkNumber } = require('../validation/validateInputs');
+const { InventoryInputError, InvalidCostError } = require('../validation/errors');
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const round = value => Number(value.toFixed(2));
+
+// Class service target from options.serviceLevels: combined class, then ABC, then XYZ (null when none is set)
+function classServiceTarget(serviceLevels, abcClass, xyzClass) {
+  if (!isPlainObject(serviceLevels)) return null;
+  const target = [`${abcClass}${xyzClass}`, abcClass, xyzClass]
+    .map(key => serviceLevels[key])
+    .find(value => value !== undefined && value !== null);
+  if (typeof target === 'number') return { serviceLevel: target };
+  if (!isPlainObject(target)) return null;
+  const key = ['fillRate', 'serviceLevel', 'zScore'].find(k => target[k] !== undefined);
+  return key ? { [key]: target[key] } : null;
+}
+
+// Whether the SKU (or its profile) already chose a service target
+function hasOwnServiceTarget(item) {
+  const resolved = resolveForecastConfig(item);
+  return resolved.zScore !== undefined || resolved.options.serviceLevel !== undefined || resolved.options.fillRate !== undefined;
+}
+
+// Days per year behind the annual demand (same basis as the forecast's EOQ)
+function annualizationDays(item, forecast) {
+  const { daysPerYear } = resolveForecastConfig(item).options;
+  if (typeof daysPerYear === 'number' && Number.isFinite(daysPerYear) && daysPerYear > 0) return daysPerYear;
+  return forecast.calendar ? forecast.calendar.businessDaysPerYear : 250;
+}
+
+// Average stock held between orders: half the order size
+function cycleStockOf(forecast) {
+  if (forecast.periodicReview) return (forecast.avgDailyDemand * forecast.periodicReview.reviewPeriod) / 2;
+  const quantity = forecast.orderQuantity ? forecast.orderQuantity.quantity : forecast.eoq;
+  return typeof quantity === 'number' && Number.isFinite(quantity) ? quantity / 2 : 0;
+}
+
+function analyzePortfolio(items, options = {}) {
+  // Required here: index.js requires this module, so its exports are only complete once it has loaded
+  const { calculateInventoryForecast } = require('../index');
+  const opts = isPlainObject(options) ? options : {};
+  const list = Array.isArray(items) ? items : [];
+  const diagnostics = [];
+  const validator = createValidator({ strict: opts.strict, diagnostics });
+
+  // Strict-mode errors point at the item that failed
+  const run = (item, i) => {
+    try {
+      return calculateInventoryForecast({ ...(opts.strict === true ? { strict: true } : {}), ...item });
+    } catch (err) {
+      if (err instanceof InventoryInputError) err.field = `items.${i}.${err.field}`;
+      throw err;
+    }
+  };
+
+  // First pass: demand rates and variability for the classes
+  const entries = list.map((raw, i) => {
+    const { sku, unitCost, ...item } = isPlainObject(raw) ? raw : {};
+    const validCost = checkNumber(unitCost, validator, {
+      field: `items.${i}.unitCost`, ErrorClass: InvalidCostError, min: 0, fallback: 0, outcome: 'annual value counted as 0'
+    });
+    const cost = validCost && typeof unitCost === 'number' && Number.isFinite(unitCost) && unitCost >= 0 ? unitCost : 0;
+    const forecast = run(item, i);
+    const annualDemand = forecast.avgDailyDemand * annualizationDays(item, forecast);
+    return { sku: sku !== undefined ? sku : i + 1, item, unitCost: cost, forecast, annualDemand, annualValue: annualDemand * cost };
+  });
+
+  const abc = classifyABC(entries.map(e => e.annualValue), opts.abcThresholds);
+
+  const results = entries.map((entry, i) => {
+    const { abcClass, valueShare, cumulativeShare, rank } = abc[i];
+    const { xyzClass, cv } = classifyXYZ(entry.forecast.avgDailyDemand, entry.forecast.demandStdDev, opts.xyzThresholds);
+    // Second pass only where a class target replaces the built-in default
+    const target = classServiceTarget(opts.serviceLevels, abcClass, xyzClass);
+    const applied = target && !hasOwnServiceTarget(entry.item) ? target : null;
+    const forecast = applied ? run({ ...entry.item, ...applied }, i) : entry.forecast;
+    return {
+      sku: entry.sku,
+      abcClass,
+      xyzClass,
+      class: `${abcClass}${xyzClass}`,
+      rank,
+      unitCost: entry.unitCost,
+      annualDemand: round(entry.annualDemand),
+      annualValue: round(entry.annualValue),
+      valueShare,
+      cumulativeShare,
+      cv,
+      cycleStock: round(cycleStockOf(forecast)),
+      classServiceTarget: applied,
+      ...forecast
+    };
+  });
+
+  return { results, summary: summarize(results), diagnostics };
+}
+
+// Portfolio totals, counts by risk level and class
+function summarize(results) {
+  const totalValue = results.reduce((acc, r) => acc + r.annualValue, 0);
+  const byClass = (classes, key) => Object.values(classes).reduce((acc, cls) => {
+    const members = results.filter(r => r[key] === cls);
+    const value = members.reduce((sum, r) => sum + r.annualValue, 0);
+    acc[cls] = { count: members.length, annualValue: round(value), valueShare: Number((totalValue > 0 ? value / totalValue : 0).toFixed(4)) };
+    return acc;
+  }, {});
+  const matrix = {};
+  Object.values(ABC_CLASSES).forEach(a => Object.values(XYZ_CLASSES).forEach(x => { matrix[`${a}${x}`] = 0; }));
+  const riskLevels = {};
+  let safetyUnits = 0;
+  let safetyValue = 0;
+  let cycleUnits = 0;
+  let cycleValue = 0;
+  results.forEach(r => {
+    matrix[r.class]++;
+    riskLevels[r.riskLevel] = (riskLevels[r.riskLevel] || 0) + 1;
+    safetyUnits += r.safetyStock;
+    safetyValue += r.safetyStock * r.unitCost;
+    cycleUnits += r.cycleStock;
+    cycleValue += r.cycleStock * r.unitCost;
+  });
+
+  return {
+    count: results.length,
+    annualValue: round(totalValue),
+    safetyStock: { units: round(safetyUnits), value: round(safetyValue) },
+    cycleStock: { units: round(cycleUnits), value: round(cycleValue) },
+    riskLevels,
+    abc: byClass(ABC_CLASSES, 'abcClass'),
+    xyz: byClass(XYZ_CLASSES, 'xyzClass'),
+    matrix
+  };
+}
+
+module.exports = analyzePortfolio;
@@ -0,0 +1,90 @@
+/**
+ * ABC / XYZ classification of a SKU portfolio:
+ *   - ABC ranks SKUs by annual consumption value (annual demand * unit cost). Sorted from the highest value down,
+ *     a SKU is A while the value share accumulated before it is below thresholds.a (default 80%), B below
+ *     thresholds.b (default 95%), else C. The top SKU is always A; SKUs with no value are always C.
+ *   - XYZ grades demand variability by the coefficient of variation (std dev / average daily demand):
+ *     X up to thresholds.x (default 0.5), Y up to thresholds.y (default 1), Z above (and Z without demand).
+ * Invalid thresholds fall back to the defaults (safe defaults, like the rest of the library).
+ */
+
+// Enum-like consts for the classes
+const ABC_CLASSES = { A: 'A', B: 'B', C: 'C' };
+const XYZ_CLASSES = { X: 'X', Y: 'Y', Z: 'Z' };
+
+// Cumulative value share cut-offs (A below a, B below b)
+const DEFAULT_ABC_THRESHOLDS = { a: 0.8, b: 0.95 };
+// Coefficient-of-variation cut-offs (X up to x, Y up to y)
+const DEFAULT_XYZ_THRESHOLDS = { x: 0.5, y: 1 };
+
+// Merges caller thresholds over the defaults (ascending, finite and > 0; max 1 for shares), else the defaults
+function resolveThresholds(thresholds, defaults, [low, high], maxValue) {
+  const valid = v => typeof v === 'number' && Number.isFinite(v) && v > 0 && v <= maxValue;
+  const resolved = { ...defaults };
+  if (thresholds && typeof thresholds === 'object') {
+    if (valid(thresholds[low])) resolved[low] = thresholds[low];
+    if (valid(thresholds[high])) resolved[high] = thresholds[high];
+  }
+  return resolved[low] <= resolved[high] ? resolved : { ...defaults };
+}
+
+/**
+ * ABC classes by annual value.
+ * @param {number[]} annualValues - Annual consumption value per SKU (invalid or negative values count as 0).
+ * @param {Object} [thresholds] - { a, b } cumulative value shares in (0, 1] (defaults DEFAULT_ABC_THRESHOLDS).
+ * @returns {Object[]} Per SKU, in input order: { abcClass, valueShare, cumulativeShare, rank } - shares rounded to 4
+ *   decimals; rank 1 is the highest value (ties keep input order).
+ */
+function classifyABC(annualValues, thresholds) {
+  const { a, b } = resolveThresholds(thresholds, DEFAULT_ABC_THRESHOLDS, ['a', 'b'], 1);
+  const values = (Array.isArray(annualValues) ? annualValues : [])
+    .map(v => (typeof v === 'number' && Number.isFinite(v) && v > 0 ? v : 0));
+  const total = values.reduce((acc, v) => acc + v, 0);
+  const order = values.map((v, i) => i).sort((i, j) => values[j] - values[i] || i - j);
+
+  const result = new Array(values.length);
+  let before = 0;
+  order.forEach((index, position) => {
+    const share = total > 0 ? values[index] / total : 0;
+    let abcClass = ABC_CLASSES.C;
+    if (values[index] > 0 && before < a) abcClass = ABC_CLASSES.A;
+    else if (values[index] > 0 && before < b) abcClass = ABC_CLASSES.B;
+    before += share;
+    result[index] = {
+      abcClass,
+      valueShare: Number(share.toFixed(4)),
+      cumulativeShare: Number(before.toFixed(4)),
+      rank: position + 1
+    };
+  });
+  return result;
+}
+
+/**
+ * XYZ class of one SKU.
+ * @param {number} avgDailyDemand - Average daily demand.
+ * @param {number} demandStdDev - Std dev of daily demand.
+ * @param {Object} [thresholds] - { x, y } coefficient-of-variation cut-offs (defaults DEFAULT_XYZ_THRESHOLDS).
+ * @returns {Object} { xyzClass, cv } - cv rounded to 4 decimals (null without demand → Z).
+ */
+function classifyXYZ(avgDailyDemand, demandStdDev, thresholds) {
+  const { x, y } = resolveThresholds(thresholds, DEFAULT_XYZ_THRESHOLDS, ['x', 'y'], Infinity);
+  if (typeof avgDailyDemand !== 'number' || !Number.isFinite(avgDailyDemand) || avgDailyDemand <= 0) {
+    return { xyzClass: XYZ_CLASSES.Z, cv: null };
+  }
+  const stdDev = typeof demandStdDev === 'number' && Number.isFinite(demandStdDev) && demandStdDev > 0 ? demandStdDev : 0;
+  const cv = stdDev / avgDailyDemand;
+  let xyzClass = XYZ_CLASSES.Z;
+  if (cv <= x) xyzClass = XYZ_CLASSES.X;
+  else if (cv <= y) xyzClass = XYZ_CLASSES.Y;
+  return { xyzClass, cv: Number(cv.toFixed(4)) };
+}
+
+module.exports = {
+  classifyABC,
+  classifyXYZ,
+  ABC_CLASSES,
+  XYZ_CLASSES,
+  DEFAULT_ABC_THRESHOLDS,
+  DEFAULT_XYZ_THRESHOLDS
+};
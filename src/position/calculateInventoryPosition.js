@@ -0,0 +1,46 @@
+/**
+ * Inventory position: the stock a replenishment decision should look at, not just what is on the shelf.
+ *   available = on hand - backorders - allocated   (what is free to meet new demand today)
+ *   position  = available + on order                (what will be free once open purchase orders arrive)
+ * Backorders are customer demand already owed; allocations are stock reserved for confirmed orders. Both are
+ * served before new demand, so they reduce the stock that protects against it.
+ * Reorder decisions (reorder point, order-up-to level) compare against the position so an open PO is not
+ * ordered twice; coverage over time comes from projectInboundCoverage (receipts arrive on specific days).
+ * @param {number} onHand - Physical stock on hand (invalid values count as 0).
+ * @param {Object} [options] - { openOrders ([{ quantity, arrivalDate | arrivalDay }]; invalid quantities ignored),
+ *   backorders (units owed to customers), allocated (units reserved) }.
+ * @returns {Object} { onHand, onOrder, backorders, allocated, available, position } - Rounded; all zeros for invalid inputs.
+ */
+
+// Projection horizon of the position utilities (10 years): coverage beyond it counts as never running out, and
+// receipts due on or after it are not placed on the day axis
+const MAX_COVERAGE_DAYS = 3650;
+
+// Valid open orders: positive quantities only (cancelled or malformed lines do not count as on order)
+function validOpenOrders(openOrders) {
+  return Array.isArray(openOrders)
+    ? openOrders.filter(o => o && typeof o === 'object' && typeof o.quantity === 'number' && o.quantity > 0)
+    : [];
+}
+
+function calculateInventoryPosition(onHand, options = {}) {
+  const { openOrders, backorders, allocated } = options || {};
+  // Defensive validation for consistency with other utilities (invalid amounts count as 0)
+  const amount = value => (typeof value === 'number' && Number.isFinite(value) && value > 0 ? value : 0);
+  const stock = typeof onHand === 'number' && Number.isFinite(onHand) ? onHand : 0;
+  const onOrder = validOpenOrders(openOrders).reduce((acc, o) => acc + o.quantity, 0);
+  const owed = amount(backorders);
+  const reserved = amount(allocated);
+  const available = stock - owed - reserved;
+
+  return {
+    onHand: Number(stock.toFixed(2)),
+    onOrder: Number(onOrder.toFixed(2)),
+    backorders: Number(owed.toFixed(2)),
+    allocated: Number(reserved.toFixed(2)),
+    available: Number(available.toFixed(2)),
+    position: Number((available + onOrder).toFixed(2))
+  };
+}
+
+module.exports = { calculateInventoryPosition, validOpenOrders, MAX_COVERAGE_DAYS };
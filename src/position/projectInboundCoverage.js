@@ -0,0 +1,103 @@
+/**
+ * Projects stock coverage with inbound receipts: when each open purchase order lands and how far it pushes
+ * the stockout date out.
+ * Stock starts at the available quantity (on hand - backorders - allocated) and is drawn down by each day's
+ * demand; a receipt arrives at the start of its day (before that day's demand). Shortages carry over as
+ * backorders, so a receipt landing after a stockout first refills the gap.
+ *   - daysRemaining: first (fractional) day stock runs out with every scheduled receipt applied
+ *   - daysRemainingWithoutReceipts: the same without any receipt (equals available / rate for a flat rate)
+ *   - per receipt: projected stock just before / after it lands, the stockout gap it arrives into (days without
+ *     stock before it lands) and daysRemainingAfter (next day stock runs out once it and every earlier receipt landed)
+ * Arrivals are placed on the day axis by scheduleOpenOrders (arrivalDay, or arrivalDate against options.startDate;
+ * past-due orders are expected today; orders without a valid arrival, or due on or after the 10-year projection
+ * horizon, are listed as unscheduled), so every receipt lands inside the horizon and 'Infinite' coverage after a
+ * receipt always means stock lasts through the horizon.
+ * @param {number} available - Stock free to meet demand today (may be negative when backorders exceed stock).
+ * @param {number|number[]} dailyDemand - Flat daily rate, or a day-by-day curve (continues at its mean after the end).
+ * @param {Object[]} openOrders - [{ quantity, arrivalDay } | { quantity, arrivalDate }].
+ * @param {Object} [options] - { startDate (day 0 for arrivalDate; default today), calendar ({ weekendDays, holidays }) }.
+ * @returns {Object} { daysRemaining, daysRemainingWithoutReceipts, receipts: [{ quantity, arrivalDay, arrivalDate,
+ *   overdue, stockBefore, stockAfter, coverageGap, daysRemainingAfter }], unscheduled: [{ quantity }] } -
+ *   daysRemaining / daysRemainingWithoutReceipts are unrounded and Infinity when stock never runs out (like
+ *   calculateDaysRemaining); the rounded daysRemainingAfter is then 'Infinite' (like calculateInventoryForecast's
+ *   daysRemaining); 0 coverage and no receipts for invalid inputs.
+ */
+const scheduleOpenOrders = require('./scheduleOpenOrders');
+const { MAX_COVERAGE_DAYS } = require('./calculateInventoryPosition');
+
+// Daily demand for a flat rate or a curve (mean rate past the end of the curve): on(day) is one day's demand,
+// through(day) the total demand of days [0, day) in closed form (prefix sums of the curve)
+function demandModel(dailyDemand) {
+  if (Array.isArray(dailyDemand)) {
+    const curve = dailyDemand.map(d => (typeof d === 'number' && d > 0 ? d : 0));
+    const prefix = [0];
+    curve.forEach(d => prefix.push(prefix[prefix.length - 1] + d));
+    const total = prefix[curve.length];
+    const mean = curve.length > 0 ? total / curve.length : 0;
+    return {
+      on: day => (day < curve.length ? curve[day] : mean),
+      through: day => (day <= curve.length ? prefix[day] : total + (day - curve.length) * mean)
+    };
+  }
+  const rate = typeof dailyDemand === 'number' && dailyDemand > 0 ? dailyDemand : 0;
+  return { on: () => rate, through: day => day * rate };
+}
+
+// First (fractional) day on or after fromDay that stock runs out, applying receipts at the start of their arrival day
+function runOutDay(available, receipts, demandOn, fromDay = 0) {
+  let stock = available;
+  let next = 0;
+  for (let day = 0; day < MAX_COVERAGE_DAYS; day++) {
+    while (next < receipts.length && receipts[next].arrivalDay <= day) {
+      stock += receipts[next].quantity;
+      next += 1;
+    }
+    const demand = demandOn(day);
+    if (day >= fromDay) {
+      if (stock <= 0) return day;
+      if (demand > stock) return day + stock / demand;  // Exactly emptied: next day decides (a receipt may land)
+    }
+    stock -= demand;
+  }
+  return Infinity;
+}
+
+function projectInboundCoverage(available, dailyDemand, openOrders, options = {}) {
+  const demand = demandModel(dailyDemand);
+  const demandOn = demand.on;
+
+  // Defensive validation for consistency with other utilities (return safe defaults)
+  if (typeof available !== 'number' || !Number.isFinite(available)) {
+    return { daysRemaining: 0, daysRemainingWithoutReceipts: 0, receipts: [], unscheduled: [] };
+  }
+
+  const { scheduled, unscheduled } = scheduleOpenOrders(openOrders, options);
+
+  // Projected stock at the start of a day before its receipts (shortages carry over as negative stock)
+  const stockAt = (day, received) => available + received - demand.through(day);
+
+  let received = 0;
+  let coverage = runOutDay(available, [], demandOn);
+  const receipts = scheduled.map((receipt, i) => {
+    const stockBefore = stockAt(receipt.arrivalDay, received);
+    const coverageGap = Math.max(0, receipt.arrivalDay - coverage);
+    received += receipt.quantity;
+    coverage = runOutDay(available, scheduled.slice(0, i + 1), demandOn, receipt.arrivalDay);
+    return {
+      ...receipt,
+      stockBefore: Number(stockBefore.toFixed(2)),
+      stockAfter: Number((stockBefore + receipt.quantity).toFixed(2)),
+      coverageGap: Number(coverageGap.toFixed(2)),
+      daysRemainingAfter: coverage === Infinity ? 'Infinite' : Number(coverage.toFixed(2))
+    };
+  });
+
+  return {
+    daysRemaining: runOutDay(available, scheduled, demandOn),
+    daysRemainingWithoutReceipts: runOutDay(available, [], demandOn),
+    receipts,
+    unscheduled
+  };
+}
+
+module.exports = projectInboundCoverage;
@@ -0,0 +1,47 @@
+/**
+ * Places open purchase orders on the projection's day axis (shared by projectInboundCoverage and planReplenishment).
+ * Arrivals are given as arrivalDay (days from the start date; 0 = today) or arrivalDate (converted against
+ * startDate; business days when a calendar is given). Past-due orders are expected today and flagged overdue;
+ * orders without a valid arrival, or due on or after the projection horizon (MAX_COVERAGE_DAYS), are returned as
+ * unscheduled (on order, but not placed on a day).
+ * @param {Object[]} openOrders - [{ quantity, arrivalDay } | { quantity, arrivalDate }] (invalid quantities ignored).
+ * @param {Object} [options] - { startDate (day 0; default today), calendar ({ weekendDays, holidays }) }.
+ * @returns {Object} { scheduled: [{ quantity, arrivalDay, arrivalDate, overdue }] sorted by arrivalDay,
+ *   unscheduled: [{ quantity }] } - Empty lists for invalid inputs.
+ */
+const { toDayKey, addDays, daysBetween } = require('../timeseries/dayKeys');
+const { countBusinessDays } = require('../calendar/businessCalendar');
+const { validOpenOrders, MAX_COVERAGE_DAYS } = require('./calculateInventoryPosition');
+
+function scheduleOpenOrders(openOrders, options = {}) {
+  const { startDate, calendar } = options || {};
+  const start = toDayKey(startDate) || toDayKey(new Date());
+  const scheduled = [];
+  const unscheduled = [];
+
+  validOpenOrders(openOrders).forEach(order => {
+    let offset = null;
+    const arrivalKey = toDayKey(order.arrivalDate);
+    if (typeof order.arrivalDay === 'number' && Number.isFinite(order.arrivalDay)) {
+      offset = Math.round(order.arrivalDay);
+    } else if (arrivalKey !== null) {
+      const calendarDays = daysBetween(start, arrivalKey);
+      offset = calendar && calendarDays > 0 ? countBusinessDays(start, calendarDays, calendar) : calendarDays;
+    }
+    if (offset === null || offset >= MAX_COVERAGE_DAYS) {
+      unscheduled.push({ quantity: order.quantity });
+      return;
+    }
+    scheduled.push({
+      quantity: order.quantity,
+      arrivalDay: Math.max(0, offset),
+      arrivalDate: arrivalKey || addDays(start, Math.max(0, offset)),
+      overdue: offset < 0
+    });
+  });
+  scheduled.sort((a, b) => a.arrivalDay - b.arrivalDay);
+
+  return { scheduled, unscheduled };
+}
+
+module.exports = scheduleOpenOrders;
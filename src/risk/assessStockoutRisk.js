@@ -0,0 +1,100 @@
+/**
+ * Probabilistic stockout risk: the chance that demand before replenishment arrives exceeds the stock available,
+ * instead of detectStockoutRisk's fixed day thresholds (which ignore demand variability).
+ * Demand over the exposure period (lead time; R + L under periodic review) is treated as normal with
+ *   mean  μ = avgDailyDemand * L
+ *   σ     = sqrt(L * σd² + d² * σL²)   (σL = lead-time std dev; reduces to σd * sqrt(L) for a fixed lead time)
+ * so P(stockout) = 1 - Φ((stock - μ) / σ). With no variability the outcome is certain (0 or 1).
+ * The probability is mapped to a level with configurable tiers (minimum probability per level, highest first);
+ * stock at or below zero is OUT_OF_STOCK regardless of demand.
+ * The probability is returned alongside the level so SKUs can be ranked by risk; the level is classified from the
+ * reported (rounded) probability, so a reported 0.5 is always at least the 0.5 tier.
+ * @param {number} currentStock - Stock available to meet demand (on hand, or net of backorders / plus receipts due).
+ * @param {number} avgDailyDemand - Average daily demand (forecast rate).
+ * @param {number} demandStdDev - Std dev of daily demand.
+ * @param {number|number[]|Object} leadTime - Exposure period in days (fixed, observed lead times or { mean, stdDev }).
+ * @param {Object} [options] - { tiers ({ critical, high, medium } minimum probabilities; defaults DEFAULT_RISK_TIERS),
+ *   leadTimeDemand, leadTimeDemandStdDev (override the computed moments, e.g., from a seasonal curve) }.
+ * @returns {Object} { probability (4 decimals), level (RISK_LEVELS), leadTimeDemand, leadTimeDemandStdDev, tiers } -
+ *   probability 0 and RISK_LEVELS.LOW for invalid inputs (safe default, like detectStockoutRisk).
+ */
+const { RISK_LEVELS } = require('../detectStockoutRisk');
+const normalizeLeadTime = require('../normalizeLeadTime');
+const { normalCdf } = require('../statistics/normal');
+
+// Enum-like const for how calculateInventoryForecast sets riskLevel
+const RISK_MODELS = {
+  DAYS: 'days',                  // detectStockoutRisk day thresholds (original behavior; default)
+  PROBABILISTIC: 'probabilistic' // assessStockoutRisk probability tiers
+};
+
+// Default tiers: minimum stockout probability for each level (below medium → LOW)
+const DEFAULT_RISK_TIERS = {
+  critical: 0.5, // Stockout more likely than not before replenishment
+  high: 0.2,
+  medium: 0.05
+};
+
+// Merges caller tiers over the defaults (probabilities in [0, 1] only)
+function resolveTiers(tiers) {
+  const resolved = { ...DEFAULT_RISK_TIERS };
+  if (tiers && typeof tiers === 'object') {
+    Object.keys(DEFAULT_RISK_TIERS).forEach(key => {
+      const value = tiers[key];
+      if (typeof value === 'number' && value >= 0 && value <= 1) resolved[key] = value;
+    });
+  }
+  return resolved;
+}
+
+// Probability → level, checking the tiers from the highest threshold down
+function classifyProbability(probability, tiers) {
+  const ordered = [
+    [RISK_LEVELS.CRITICAL, tiers.critical],
+    [RISK_LEVELS.HIGH, tiers.high],
+    [RISK_LEVELS.MEDIUM, tiers.medium]
+  ].sort((a, b) => b[1] - a[1]);
+  const match = ordered.find(([, threshold]) => probability >= threshold);
+  return match ? match[0] : RISK_LEVELS.LOW;
+}
+
+function assessStockoutRisk(currentStock, avgDailyDemand, demandStdDev, leadTime, options = {}) {
+  const opts = options && typeof options === 'object' ? options : {};
+  const tiers = resolveTiers(opts.tiers);
+  const leadTimeModel = normalizeLeadTime(leadTime);
+
+  // Defensive validation for consistency with other utilities (return safe defaults)
+  if (typeof currentStock !== 'number' || !Number.isFinite(currentStock) ||
+      typeof avgDailyDemand !== 'number' || avgDailyDemand < 0 || leadTimeModel === null) {
+    return { probability: 0, level: RISK_LEVELS.LOW, leadTimeDemand: 0, leadTimeDemandStdDev: 0, tiers };
+  }
+
+  const sigma = typeof demandStdDev === 'number' && demandStdDev > 0 ? demandStdDev : 0;
+  const { mean: L, stdDev: sigmaL } = leadTimeModel;
+  const mean = typeof opts.leadTimeDemand === 'number' && opts.leadTimeDemand >= 0
+    ? opts.leadTimeDemand
+    : avgDailyDemand * L;
+  const spread = typeof opts.leadTimeDemandStdDev === 'number' && opts.leadTimeDemandStdDev >= 0
+    ? opts.leadTimeDemandStdDev
+    : Math.sqrt(L * sigma * sigma + avgDailyDemand * avgDailyDemand * sigmaL * sigmaL);
+
+  let probability;
+  if (currentStock <= 0) {
+    probability = 1;
+  } else if (spread === 0) {
+    probability = mean > currentStock ? 1 : 0;  // No variability: certain outcome
+  } else {
+    probability = 1 - normalCdf((currentStock - mean) / spread);
+  }
+
+  const reported = Number(probability.toFixed(4));
+  return {
+    probability: reported,
+    level: currentStock <= 0 ? RISK_LEVELS.OUT_OF_STOCK : classifyProbability(reported, tiers),
+    leadTimeDemand: Number(mean.toFixed(2)),
+    leadTimeDemandStdDev: Number(spread.toFixed(2)),
+    tiers
+  };
+}
+
+module.exports = { assessStockoutRisk, DEFAULT_RISK_TIERS, RISK_MODELS };
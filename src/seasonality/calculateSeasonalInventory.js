@@ -0,0 +1,112 @@
+/**
+ * Seasonal inventory metrics: consumes the seasonal demand curve day by day instead of a flat rate.
+ *   - daysRemaining: stock is drawn down by each projected day's demand (fractional final day),
+ *     so coverage going into a high-demand weekend is not overestimated
+ *   - leadTimeDemand: sum of projected demand over the lead time (partial final day weighted)
+ *   - safetyStock = Z × σ × sqrt(Σ factor_d²) over the lead time, where σ is the std dev of
+ *     deseasonalized demand (reduces to Z × σ × sqrt(LeadTime) when all factors are 1)
+ *   - reorderPoint = leadTimeDemand + safetyStock
+ * Reuses estimateSeasonalIndices, forecastDemand (on deseasonalized history) and calculateSafetyStock (σ).
+ * @param {Object[]} records - Dated history [{ date, quantity }].
+ * @param {number} currentStock - Current stock level.
+ * @param {number} leadTime - Supplier lead time in days.
+ * @param {number} [zScore=1.65] - Z-score for service level.
+ * @param {Object} [options] - { seasonalPeriods=['weekly'], asOf (first projected day; default day after last record),
+ *   curveDays (default max(7, ceil(leadTime))), method + model options for the base rate }.
+ * @returns {Object} { indices, baseRate, demandStdDev, daysRemaining, leadTimeDemand, safetyStock, reorderPoint, startDate, curve }.
+ * Defensive: invalid inputs return zeros/empty curve (daysRemaining Infinity when there is stock but no demand); never NaN.
+ */
+const { toDailySeries } = require('../timeseries/fillDailyGaps');
+const { toDayKey, addDays } = require('../timeseries/dayKeys');
+const { estimateSeasonalIndices, seasonalFactor } = require('./estimateSeasonalIndices');
+const projectSeasonalDemand = require('./projectSeasonalDemand');
+const { forecastDemand } = require('../forecasting/forecastDemand');
+const calculateSafetyStock = require('../calculateSafetyStock');
+
+// Coverage search limit (10 years); beyond this stock is treated as never running out
+const MAX_COVERAGE_DAYS = 3650;
+
+function calculateSeasonalInventory(records, currentStock, leadTime, zScore = 1.65, options = {}) {
+  const opts = options && typeof options === 'object' ? options : {};
+  const { seasonalPeriods = ['weekly'] } = opts;
+  const empty = {
+    indices: { weekly: null, yearly: null },
+    baseRate: 0,
+    demandStdDev: 0,
+    daysRemaining: 0,
+    leadTimeDemand: 0,
+    safetyStock: 0,
+    reorderPoint: 0,
+    startDate: null,
+    curve: []
+  };
+
+  const { dates, quantities } = toDailySeries(records);
+  if (dates.length === 0 || typeof leadTime !== 'number' || leadTime < 0 ||
+      typeof zScore !== 'number' || zScore < 0) {
+    return empty;
+  }
+
+  const indices = estimateSeasonalIndices(records, { periods: seasonalPeriods });
+
+  // Deseasonalize history (days with a zero factor carry no level information)
+  const deseasonalized = [];
+  dates.forEach((key, i) => {
+    const factor = seasonalFactor(key, indices);
+    if (factor > 0) deseasonalized.push(quantities[i] / factor);
+  });
+
+  const modelOptions = { ...opts, horizon: 1 };
+  delete modelOptions.seasonalPeriods;
+  const finite = value => (Number.isFinite(value) ? value : 0);
+  const baseRate = finite(forecastDemand(deseasonalized, modelOptions).forecast);
+  // σ of deseasonalized demand (calculateSafetyStock with lead time 1 and Z 1 returns σ alone)
+  const demandStdDev = finite(calculateSafetyStock(deseasonalized, 1, 1).demandStdDev);
+
+  const startDate = toDayKey(opts.asOf) || addDays(dates[dates.length - 1], 1);
+  const demandOn = i => baseRate * seasonalFactor(addDays(startDate, i), indices);
+
+  // Coverage: draw stock down day by day along the seasonal curve
+  let daysRemaining = 0;
+  if (typeof currentStock === 'number' && currentStock > 0) {
+    if (baseRate <= 0) {
+      daysRemaining = Infinity;
+    } else {
+      let stock = currentStock;
+      daysRemaining = Infinity;
+      for (let d = 0; d < MAX_COVERAGE_DAYS; d++) {
+        const demand = demandOn(d);
+        if (demand >= stock) {
+          daysRemaining = d + stock / demand;
+          break;
+        }
+        stock -= demand;
+      }
+    }
+  }
+
+  // Lead-time demand and seasonal variance weights (partial last day weighted by its fraction)
+  let leadTimeDemand = 0;
+  let factorSquares = 0;
+  for (let d = 0; d < Math.ceil(leadTime); d++) {
+    const weight = Math.min(1, leadTime - d);
+    const factor = seasonalFactor(addDays(startDate, d), indices);
+    leadTimeDemand += weight * baseRate * factor;
+    factorSquares += weight * factor * factor;
+  }
+  const safetyStock = zScore * demandStdDev * Math.sqrt(factorSquares);
+
+  return {
+    indices,
+    baseRate: Number(baseRate.toFixed(2)),
+    demandStdDev,
+    daysRemaining,
+    leadTimeDemand: Number(leadTimeDemand.toFixed(2)),
+    safetyStock: Number(safetyStock.toFixed(2)),
+    reorderPoint: Number((leadTimeDemand + safetyStock).toFixed(2)),
+    startDate,
+    curve: projectSeasonalDemand(baseRate, startDate, opts.curveDays || Math.max(7, Math.ceil(leadTime)), indices)
+  };
+}
+
+module.exports = calculateSeasonalInventory;
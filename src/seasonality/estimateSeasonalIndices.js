@@ -0,0 +1,80 @@
+/**
+ * Estimates multiplicative seasonal indices from dated demand history.
+ *   - weekly: 7 day-of-week indices (0 = Sunday ... 6 = Saturday); 2.0 means twice the average day
+ *   - yearly: 12 month-of-year indices (0 = January ... 11 = December)
+ * Index = mean demand in that bucket / overall mean, normalized so the indices average 1.
+ * Yearly indices are estimated first (needs at least a full year of history); weekly indices are then
+ * estimated on the yearly-deseasonalized series (needs at least 14 days) so the two do not double count; months
+ * without any sales (yearly index 0) are left out of the weekly estimate.
+ * History is gap-filled first (days missing from the export count as zero demand).
+ * @param {Object[]} records - Dated history [{ date, quantity }] (see parseDemandRecords).
+ * @param {Object} [options] - { periods: ['weekly'] | ['yearly'] | ['weekly', 'yearly'] } (default ['weekly']).
+ * @returns {Object} { weekly: number[] | null, yearly: number[] | null } - null when not requested or not enough data.
+ */
+const { toDailySeries } = require('../timeseries/fillDailyGaps');
+const { daysBetween, dayOfWeek, monthOfYear } = require('../timeseries/dayKeys');
+
+// Minimum history before an index set is trusted
+const MIN_DAYS_WEEKLY = 14;
+const MIN_SPAN_YEARLY = 365;
+
+// Bucketed mean / overall mean, normalized to average 1; a bucket without observations is neutral (1)
+function bucketIndices(values, bucketOf, size) {
+  const sums = new Array(size).fill(0);
+  const counts = new Array(size).fill(0);
+  values.forEach(({ key, value }) => {
+    const b = bucketOf(key);
+    sums[b] += value;
+    counts[b]++;
+  });
+  const overall = values.reduce((acc, v) => acc + v.value, 0) / values.length;
+  if (overall <= 0) {
+    return null;
+  }
+  const raw = sums.map((s, b) => (counts[b] > 0 ? s / counts[b] / overall : 1));
+  const scale = raw.reduce((acc, r) => acc + r, 0) / size;
+  return raw.map(r => Number((r / scale).toFixed(4)));
+}
+
+function estimateSeasonalIndices(records, options = {}) {
+  const { periods = ['weekly'] } = options || {};
+  const wanted = Array.isArray(periods) ? periods : [periods];
+  const { dates, quantities } = toDailySeries(records);
+  const result = { weekly: null, yearly: null };
+  if (dates.length === 0) {
+    return result;
+  }
+
+  let series = dates.map((key, i) => ({ key, value: quantities[i] }));
+
+  if (wanted.includes('yearly') && daysBetween(dates[0], dates[dates.length - 1]) + 1 >= MIN_SPAN_YEARLY) {
+    result.yearly = bucketIndices(series, monthOfYear, 12);
+    if (result.yearly) {
+      // Remove the yearly pattern before estimating the weekly one; days in a month without sales (index 0)
+      // say nothing about the weekday pattern and are left out
+      series = series
+        .filter(({ key }) => result.yearly[monthOfYear(key)] > 0)
+        .map(({ key, value }) => ({ key, value: value / result.yearly[monthOfYear(key)] }));
+    }
+  }
+
+  if (wanted.includes('weekly') && series.length >= MIN_DAYS_WEEKLY) {
+    result.weekly = bucketIndices(series, dayOfWeek, 7);
+  }
+
+  return result;
+}
+
+/**
+ * Combined seasonal factor for a day (weekly × yearly; 1 for any missing index set or non-finite index).
+ * @param {string} dayKey - 'YYYY-MM-DD'.
+ * @param {Object} indices - { weekly, yearly } from estimateSeasonalIndices.
+ * @returns {number} Multiplicative factor.
+ */
+function seasonalFactor(dayKey, indices) {
+  const { weekly, yearly } = indices || {};
+  const indexOf = (set, bucket) => (Array.isArray(set) && Number.isFinite(set[bucket]) ? set[bucket] : 1);
+  return indexOf(weekly, dayOfWeek(dayKey)) * indexOf(yearly, monthOfYear(dayKey));
+}
+
+module.exports = { estimateSeasonalIndices, seasonalFactor };
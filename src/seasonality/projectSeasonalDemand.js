@@ -0,0 +1,24 @@
+/**
+ * Projects a day-by-day seasonal demand curve: demand_d = baseRate × weekly[dow] × yearly[month].
+ * baseRate is the deseasonalized daily rate (e.g., forecastDemand on deseasonalized history).
+ * @param {number} baseRate - Deseasonalized average daily demand.
+ * @param {string|Date} startDate - First projected day.
+ * @param {number} days - Number of days to project.
+ * @param {Object} indices - { weekly, yearly } from estimateSeasonalIndices.
+ * @returns {Object[]} [{ date: 'YYYY-MM-DD', demand: number }] - Rounded; empty for invalid inputs.
+ */
+const { toDayKey, addDays } = require('../timeseries/dayKeys');
+const { seasonalFactor } = require('./estimateSeasonalIndices');
+
+function projectSeasonalDemand(baseRate, startDate, days, indices) {
+  const start = toDayKey(startDate);
+  if (typeof baseRate !== 'number' || baseRate < 0 || start === null || typeof days !== 'number' || days < 1) {
+    return [];
+  }
+  return Array.from({ length: Math.floor(days) }, (_, i) => {
+    const date = addDays(start, i);
+    return { date, demand: Number((baseRate * seasonalFactor(date, indices)).toFixed(2)) };
+  });
+}
+
+module.exports = projectSeasonalDemand;
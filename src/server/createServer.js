@@ -0,0 +1,60 @@
+/**
+ * Built-in HTTP server for the inventory API (Node's http module only; see handleRequest for the routes).
+ * Bodies are read up to options.maxBodyBytes (default 1 MB); larger requests get 413 PAYLOAD_TOO_LARGE without
+ * being processed. Responses are JSON; unlimited coverage is reported as 'Infinite', as in the library.
+ * The server is not started here, so callers (bin/inventory-server.js, tests) choose the port:
+ *   createServer().listen(3000) or listen(0) for a free port in tests.
+ * Unexpected errors (500 responses) are passed to options.onError(err, { method, path }); by default they are
+ * written to stderr with their stack, since the response body does not carry them.
+ * @param {Object} [options] - { maxBodyBytes=1048576, onError }.
+ * @returns {http.Server} Unstarted server.
+ */
+const http = require('http');
+const { handleRequest, ERROR_CODES } = require('./handleRequest');
+
+const DEFAULT_MAX_BODY_BYTES = 1024 * 1024;
+
+// Default onError: the stack on stderr, tagged with the request
+function logError(err, { method, path }) {
+  process.stderr.write(`inventory-server: ${method} ${path} failed: ${err && err.stack ? err.stack : err}\n`);
+}
+
+function send(res, { status, headers, body }) {
+  const payload = JSON.stringify(body);
+  res.writeHead(status, { ...headers, 'Content-Length': Buffer.byteLength(payload) });
+  res.end(payload);
+}
+
+function createServer(options = {}) {
+  const opts = options && typeof options === 'object' ? options : {};
+  const maxBodyBytes = typeof opts.maxBodyBytes === 'number' && opts.maxBodyBytes > 0
+    ? opts.maxBodyBytes
+    : DEFAULT_MAX_BODY_BYTES;
+  const onError = typeof opts.onError === 'function' ? opts.onError : logError;
+
+  return http.createServer((req, res) => {
+    const chunks = [];
+    let size = 0;
+    let rejected = false;
+    req.on('data', chunk => {
+      if (rejected) return;
+      size += chunk.length;
+      if (size > maxBodyBytes) {
+        rejected = true;
+        send(res, {
+          status: 413,
+          headers: { 'Content-Type': 'application/json; charset=utf-8', Connection: 'close' },
+          body: { error: { code: ERROR_CODES.PAYLOAD_TOO_LARGE, message: `Request body exceeds ${maxBodyBytes} bytes` } }
+        });
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (rejected) return;
+      send(res, handleRequest(req.method, req.url, Buffer.concat(chunks).toString('utf8'), { onError }));
+    });
+  });
+}
+
+module.exports = { createServer, DEFAULT_MAX_BODY_BYTES };
@@ -0,0 +1,160 @@
+/**
+ * Transport-independent request handler for the HTTP API: routing, JSON parsing, schema validation and
+ * structured errors. createServer wires it to Node's http module; tests can call it directly.
+ * Routes (POST bodies are JSON; see schemas.js):
+ *   GET  /health          → { status: 'ok', uptime }
+ *   GET  /version         → { name, version, node }
+ *   POST /forecast        → calculateInventoryForecast(historicalDemand, currentStock, leadTime, zScore, orderCost, holdingCost, options)
+ *   POST /forecast/batch  → { results: [{ sku, ...forecast }], summary: { count, riskLevels } } for { items: [...] }
+ *   POST /eoq             → calculateEOQ(historicalDemand, orderCost, holdingCost, daysPerYear, avgDemand)
+ *   POST /safety-stock    → calculateSafetyStock(historicalDemand, leadTime, zScore, avgDemand)
+ *   POST /reorder-point   → calculateReorderPoint(historicalDemand, leadTime, zScore, avgDemand)
+ *   POST /insights        → generateInsights(forecast) for a calculateInventoryForecast result
+ * Errors are { error: { code (ERROR_CODES), message, details? } } with a matching status: 400 INVALID_JSON /
+ * VALIDATION_ERROR (details = [{ path, message }]), 404 NOT_FOUND, 405 METHOD_NOT_ALLOWED (Allow header),
+ * 413 PAYLOAD_TOO_LARGE (raised by createServer), 500 INTERNAL_ERROR (message hidden from clients; the error itself
+ * goes to options.onError so it can be logged server-side).
+ * Strict-mode errors from the library (options.strict on /forecast) are VALIDATION_ERROR too, with the error's
+ * code and field in details.
+ * @param {string} method - HTTP method.
+ * @param {string} url - Request URL (query string and a trailing slash are ignored).
+ * @param {string} [rawBody] - Request body text (POST routes).
+ * @param {Object} [options] - { onError(err, { method, path }) called for unexpected errors (500) }.
+ * @returns {Object} { status, headers, body } - body is the JSON-serializable response.
+ */
+const { version, name } = require('../../package.json');
+const {
+  calculateInventoryForecast,
+  calculateEOQ,
+  calculateSafetyStock,
+  calculateReorderPoint,
+  generateInsights,
+  InventoryInputError
+} = require('../index');
+const validateSchema = require('./validateSchema');
+const {
+  FORECAST_REQUEST,
+  BATCH_REQUEST,
+  EOQ_REQUEST,
+  BUFFER_REQUEST,
+  INSIGHTS_REQUEST
+} = require('./schemas');
+
+// Enum-like const for error codes in the { error: { code } } response body
+const ERROR_CODES = {
+  INVALID_JSON: 'INVALID_JSON',
+  VALIDATION_ERROR: 'VALIDATION_ERROR',
+  NOT_FOUND: 'NOT_FOUND',
+  METHOD_NOT_ALLOWED: 'METHOD_NOT_ALLOWED',
+  PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+const forecast = body => calculateInventoryForecast(
+  body.historicalDemand, body.currentStock, body.leadTime, body.zScore, body.orderCost, body.holdingCost, body.options
+);
+
+// Route table: path → method → { schema, handler(body) }
+const ROUTES = {
+  '/health': { GET: { handler: () => ({ status: 'ok', uptime: Number(process.uptime().toFixed(2)) }) } },
+  '/version': { GET: { handler: () => ({ name, version, node: process.version }) } },
+  '/forecast': { POST: { schema: FORECAST_REQUEST, handler: forecast } },
+  '/forecast/batch': {
+    POST: {
+      schema: BATCH_REQUEST,
+      handler: body => {
+        const results = body.items.map((item, i) => {
+          try {
+            return { sku: item.sku !== undefined ? item.sku : i + 1, ...forecast(item) };
+          } catch (err) {
+            // Strict-mode errors point at the item that failed
+            if (err instanceof InventoryInputError) err.field = `items.${i}.${err.field}`;
+            throw err;
+          }
+        });
+        const riskLevels = results.reduce((acc, r) => {
+          acc[r.riskLevel] = (acc[r.riskLevel] || 0) + 1;
+          return acc;
+        }, {});
+        return { results, summary: { count: results.length, riskLevels } };
+      }
+    }
+  },
+  '/eoq': {
+    POST: {
+      schema: EOQ_REQUEST,
+      handler: b => calculateEOQ(b.historicalDemand, b.orderCost, b.holdingCost, b.daysPerYear, b.avgDemand)
+    }
+  },
+  '/safety-stock': {
+    POST: { schema: BUFFER_REQUEST, handler: b => calculateSafetyStock(b.historicalDemand, b.leadTime, b.zScore, b.avgDemand) }
+  },
+  '/reorder-point': {
+    POST: { schema: BUFFER_REQUEST, handler: b => calculateReorderPoint(b.historicalDemand, b.leadTime, b.zScore, b.avgDemand) }
+  },
+  '/insights': { POST: { schema: INSIGHTS_REQUEST, handler: generateInsights } }
+};
+
+const JSON_HEADERS = { 'Content-Type': 'application/json; charset=utf-8' };
+
+// Strict-mode error field ('leadTime.mean', index 2) → JSON Pointer ('/leadTime/mean/2')
+function errorPath(err) {
+  const field = err.field ? `/${String(err.field).replace(/\./g, '/')}` : '';
+  return `${field}${err.index !== undefined ? `/${err.index}` : ''}` || '/';
+}
+
+function errorResponse(status, code, message, details, headers = {}) {
+  return {
+    status,
+    headers: { ...JSON_HEADERS, ...headers },
+    body: { error: details ? { code, message, details } : { code, message } }
+  };
+}
+
+function handleRequest(method, url, rawBody, options = {}) {
+  const pathname = String(url || '/').split('?')[0].replace(/(.)\/+$/, '$1');
+  const route = ROUTES[pathname];
+  if (!route) {
+    return errorResponse(404, ERROR_CODES.NOT_FOUND, `No route for ${pathname}`);
+  }
+  const endpoint = route[String(method).toUpperCase()];
+  if (!endpoint) {
+    const allowed = Object.keys(route).join(', ');
+    return errorResponse(405, ERROR_CODES.METHOD_NOT_ALLOWED, `${method} not allowed on ${pathname} (use ${allowed})`, undefined, { Allow: allowed });
+  }
+
+  let body;
+  if (endpoint.schema) {
+    try {
+      body = JSON.parse(rawBody === undefined || rawBody === '' ? 'null' : rawBody);
+    } catch (err) {
+      return errorResponse(400, ERROR_CODES.INVALID_JSON, `Request body is not valid JSON: ${err.message}`);
+    }
+    const errors = validateSchema(endpoint.schema, body);
+    if (errors.length > 0) {
+      return errorResponse(400, ERROR_CODES.VALIDATION_ERROR, 'Request body failed validation', errors);
+    }
+  }
+
+  try {
+    return { status: 200, headers: { ...JSON_HEADERS }, body: endpoint.handler(body) };
+  } catch (err) {
+    if (err instanceof InventoryInputError) {
+      return errorResponse(400, ERROR_CODES.VALIDATION_ERROR, 'Request body failed validation', [
+        { path: errorPath(err), message: err.message, code: err.code }
+      ]);
+    }
+    // Library functions return safe defaults; anything else thrown here is a bug, so details stay server-side
+    const onError = options && typeof options.onError === 'function' ? options.onError : null;
+    if (onError) {
+      try {
+        onError(err, { method: String(method).toUpperCase(), path: pathname });
+      } catch (logError) {
+        // A failing logger must not turn the 500 into an uncaught exception
+      }
+    }
+    return errorResponse(500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+  }
+}
+
+module.exports = { handleRequest, ERROR_CODES, ROUTES };
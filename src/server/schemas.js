@@ -0,0 +1,199 @@
+/**
+ * JSON Schemas for the HTTP API request bodies (checked by validateSchema before any calculation runs).
+ * Field names and defaults mirror the exported functions' parameters; `options` is passed through to
+ * calculateInventoryForecast, which keeps validating its own settings defensively. Inputs that set how much work
+ * a request does (history length, simulation runs, horizons, lead time, trend window, open orders and their arrival
+ * days) have upper bounds here; 'auto' model selection takes a shorter history.
+ */
+const { RISK_LEVELS } = require('../detectStockoutRisk');
+const { MAX_COVERAGE_DAYS } = require('../position/calculateInventoryPosition');
+const { AUTO_METHOD } = require('../backtesting/selectForecastModel');
+
+// Work limits per request: simulations and projections grow with runs × days, so one request could otherwise
+// hold the event loop for seconds
+const MAX_HISTORY_DAYS = 3650;
+const MAX_AUTO_HISTORY_DAYS = 730; // 'auto' backtests every candidate, so its cost grows fastest with history
+const MAX_SIMULATION_RUNS = 2000;
+const MAX_INTERVAL_HORIZON = 365;
+const MAX_PLAN_HORIZON = 730;
+const MAX_LEAD_TIME = 365;       // Also the default interval horizon
+const MAX_TREND_WINDOW = 730;
+const MAX_OPEN_ORDERS = 1000;    // Each receipt is projected over up to MAX_COVERAGE_DAYS days
+
+// Daily quantities, or dated records [{ date, quantity }]
+const HISTORY = {
+  type: 'array',
+  minItems: 1,
+  maxItems: MAX_HISTORY_DAYS,
+  items: {
+    anyOf: [
+      { type: 'number', minimum: 0 },
+      {
+        type: 'object',
+        required: ['date', 'quantity'],
+        properties: { date: { type: 'string', minLength: 1 }, quantity: { type: 'number', minimum: 0 } }
+      }
+    ]
+  }
+};
+
+// Fixed days, observed lead times, or { mean, stdDev }
+const LEAD_TIME_DAYS = { type: 'number', minimum: 0, maximum: MAX_LEAD_TIME };
+const LEAD_TIME = {
+  anyOf: [
+    LEAD_TIME_DAYS,
+    { type: 'array', minItems: 1, items: LEAD_TIME_DAYS },
+    {
+      type: 'object',
+      required: ['mean'],
+      properties: { mean: LEAD_TIME_DAYS, stdDev: { type: 'number', minimum: 0 } },
+      additionalProperties: false
+    }
+  ]
+};
+
+const Z_SCORE = { type: 'number', minimum: 0 };
+const COST = { type: 'number', exclusiveMinimum: 0 };
+
+// Bounded forecast settings (true or an object; other settings pass through unchecked)
+const bounded = properties => ({ type: ['boolean', 'object'], properties });
+const BOUNDED_SETTINGS = {
+  intervals: bounded({
+    runs: { type: 'integer', minimum: 1, maximum: MAX_SIMULATION_RUNS },
+    horizon: { type: 'integer', minimum: 1, maximum: MAX_INTERVAL_HORIZON }
+  }),
+  plan: bounded({ horizon: { type: 'integer', minimum: 1, maximum: MAX_PLAN_HORIZON } }),
+  trend: bounded({ window: { type: 'integer', minimum: 3, maximum: MAX_TREND_WINDOW } }),
+  openOrders: {
+    type: 'array',
+    maxItems: MAX_OPEN_ORDERS,
+    items: { properties: { arrivalDay: { type: 'number', exclusiveMaximum: MAX_COVERAGE_DAYS } } }
+  }
+};
+// Profiles carry the same settings, so they are bounded too
+const SETTINGS = { type: 'object', properties: BOUNDED_SETTINGS };
+const FORECAST_OPTIONS = {
+  type: 'object',
+  properties: {
+    ...BOUNDED_SETTINGS,
+    profile: { type: ['string', 'object'], properties: BOUNDED_SETTINGS },
+    profiles: { type: 'object', additionalProperties: SETTINGS }
+  }
+};
+
+const FORECAST_PROPERTIES = {
+  historicalDemand: HISTORY,
+  currentStock: { type: 'number' },
+  leadTime: LEAD_TIME,
+  zScore: Z_SCORE,
+  orderCost: COST,
+  holdingCost: COST,
+  options: FORECAST_OPTIONS
+};
+
+// Requests selecting method 'auto' in options, the profile or any custom profile
+const AUTO_SETTINGS = { type: 'object', required: ['method'], properties: { method: { enum: [AUTO_METHOD] } } };
+const USES_AUTO = {
+  type: 'object',
+  required: ['options'],
+  properties: {
+    options: {
+      anyOf: [
+        AUTO_SETTINGS,
+        { type: 'object', required: ['profile'], properties: { profile: AUTO_SETTINGS } },
+        {
+          type: 'object',
+          required: ['profiles'],
+          properties: { profiles: { type: 'object', not: { additionalProperties: { not: AUTO_SETTINGS } } } }
+        }
+      ]
+    }
+  }
+};
+
+const FORECAST_REQUEST = {
+  type: 'object',
+  required: ['historicalDemand', 'currentStock', 'leadTime'],
+  properties: FORECAST_PROPERTIES,
+  additionalProperties: false,
+  if: USES_AUTO,
+  then: { properties: { historicalDemand: { maxItems: MAX_AUTO_HISTORY_DAYS } } }
+};
+
+// Largest batch accepted in one request
+const MAX_BATCH_ITEMS = 1000;
+
+const BATCH_REQUEST = {
+  type: 'object',
+  required: ['items'],
+  properties: {
+    items: {
+      type: 'array',
+      minItems: 1,
+      maxItems: MAX_BATCH_ITEMS,
+      items: {
+        ...FORECAST_REQUEST,
+        properties: { sku: { type: ['string', 'number'] }, ...FORECAST_PROPERTIES }
+      }
+    }
+  },
+  additionalProperties: false
+};
+
+const EOQ_REQUEST = {
+  type: 'object',
+  required: ['historicalDemand'],
+  properties: {
+    historicalDemand: HISTORY,
+    orderCost: COST,
+    holdingCost: COST,
+    daysPerYear: { type: 'number', exclusiveMinimum: 0 },
+    avgDemand: { type: 'number', minimum: 0 }
+  },
+  additionalProperties: false
+};
+
+// Shared by /safety-stock and /reorder-point
+const BUFFER_REQUEST = {
+  type: 'object',
+  required: ['historicalDemand', 'leadTime'],
+  properties: {
+    historicalDemand: HISTORY,
+    leadTime: LEAD_TIME,
+    zScore: Z_SCORE,
+    avgDemand: { type: 'number', minimum: 0 }
+  },
+  additionalProperties: false
+};
+
+// A calculateInventoryForecast result (extra fields allowed, as the forecast output grows)
+const INSIGHTS_REQUEST = {
+  type: 'object',
+  required: ['avgDailyDemand'],
+  properties: {
+    avgDailyDemand: { type: 'number', minimum: 0 },
+    daysRemaining: { type: ['number', 'string'] },
+    riskLevel: { type: 'string', enum: Object.values(RISK_LEVELS) },
+    demandStdDev: { type: 'number' },
+    safetyStock: { type: 'number' },
+    reorderPoint: { type: 'number' },
+    eoq: { type: 'number' }
+  }
+};
+
+module.exports = {
+  FORECAST_REQUEST,
+  BATCH_REQUEST,
+  EOQ_REQUEST,
+  BUFFER_REQUEST,
+  INSIGHTS_REQUEST,
+  MAX_BATCH_ITEMS,
+  MAX_HISTORY_DAYS,
+  MAX_AUTO_HISTORY_DAYS,
+  MAX_SIMULATION_RUNS,
+  MAX_INTERVAL_HORIZON,
+  MAX_PLAN_HORIZON,
+  MAX_LEAD_TIME,
+  MAX_TREND_WINDOW,
+  MAX_OPEN_ORDERS
+};
@@ -0,0 +1,110 @@
+/**
+ * Minimal JSON Schema validator for HTTP request bodies (draft-07 subset, no dependencies).
+ * Supported keywords: type (string or list; 'integer' included), enum, minimum, maximum, exclusiveMinimum,
+ * exclusiveMaximum, minLength, minItems, maxItems, items, properties, required, additionalProperties
+ * (boolean or schema), anyOf, not and if / then (conditional checks across fields). Unknown keywords are ignored,
+ * as the specification allows.
+ * Errors use JSON Pointer paths into the body (e.g., '/items/2/leadTime') so clients can map them to fields.
+ * @param {Object} schema - JSON Schema.
+ * @param {*} value - Parsed JSON value to check.
+ * @param {string} [path=''] - Pointer of value within the document (used when recursing).
+ * @returns {Object[]} errors - [{ path, message }]; empty when the value is valid.
+ */
+const typeOf = value => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+// 'integer' is a number without a fraction; every integer is also a 'number'
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  return typeOf(value) === type;
+}
+
+// Short description of a schema for anyOf / not messages
+const describeSchema = schema => (Array.isArray(schema.type) ? schema.type.join(' or ') : schema.type || 'value');
+
+function validateSchema(schema, value, path = '') {
+  if (!schema || typeof schema !== 'object') return [];
+  const at = path || '/';
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      return [{ path: at, message: `must be ${types.join(' or ')}` }];
+    }
+  }
+
+  if (Array.isArray(schema.anyOf)) {
+    const matched = schema.anyOf.some(option => validateSchema(option, value, path).length === 0);
+    if (!matched) {
+      return [{ path: at, message: `must match one of: ${schema.anyOf.map(describeSchema).join(', ')}` }];
+    }
+  }
+
+  if (schema.not && typeof schema.not === 'object' && validateSchema(schema.not, value, path).length === 0) {
+    return [{ path: at, message: `must not be ${describeSchema(schema.not)}` }];
+  }
+
+  const errors = [];
+  // then applies only when the value matches if (if alone never fails)
+  if (schema.if && typeof schema.if === 'object' && validateSchema(schema.if, value, path).length === 0) {
+    errors.push(...validateSchema(schema.then, value, path));
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+    errors.push({ path: at, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'number') {
+    if (typeof schema.minimum === 'number' && value < schema.minimum) {
+      errors.push({ path: at, message: `must be >= ${schema.minimum}` });
+    }
+    if (typeof schema.maximum === 'number' && value > schema.maximum) {
+      errors.push({ path: at, message: `must be <= ${schema.maximum}` });
+    }
+    if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+      errors.push({ path: at, message: `must be > ${schema.exclusiveMinimum}` });
+    }
+    if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+      errors.push({ path: at, message: `must be < ${schema.exclusiveMaximum}` });
+    }
+  }
+
+  if (typeof value === 'string' && typeof schema.minLength === 'number' && value.length < schema.minLength) {
+    errors.push({ path: at, message: `must have at least ${schema.minLength} characters` });
+  }
+
+  if (Array.isArray(value)) {
+    if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+      errors.push({ path: at, message: `must have at least ${schema.minItems} items` });
+    }
+    if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+      errors.push({ path: at, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, `${path}/${i}`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push({ path: `${path}/${key}`, message: 'is required' });
+    });
+    const properties = schema.properties || {};
+    Object.keys(value).forEach(key => {
+      if (properties[key]) {
+        errors.push(...validateSchema(properties[key], value[key], `${path}/${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: `${path}/${key}`, message: 'is not allowed' });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(schema.additionalProperties, value[key], `${path}/${key}`));
+      }
+    });
+  }
+
+  return errors;
+}
+
+module.exports = validateSchema;
@@ -0,0 +1,105 @@
+/**
+ * Service level targets → Z-scores (and back), so planners can say "98% service" instead of zScore = 2.05.
+ * Two standard definitions:
+ *   - Cycle service level (α): probability of no stockout during a replenishment cycle.
+ *     z = Φ⁻¹(α)  (e.g., 0.95 → 1.645, 0.98 → 2.054)
+ *   - Fill rate (β): share of demand served straight from stock.
+ *     Expected units short per cycle = σ_LT * G(z), so β = 1 - σ_LT * G(z) / Q
+ *     → solve G(z) = (1 - β) * Q / σ_LT with the standard normal loss function G.
+ * σ_LT is the std dev of demand over the lead time (safety stock at Z = 1) and Q the order quantity (e.g., EOQ).
+ * Results are floored at Z = 0 (no negative safety stock), consistent with the rest of the library.
+ */
+const { normalCdf, normalInverse, normalLoss, normalLossInverse } = require('../statistics/normal');
+
+// Enum for service level definitions (no magic strings)
+const SERVICE_LEVEL_TYPES = {
+  Z_SCORE: 'z_score',      // Raw Z-score supplied (original API)
+  CYCLE: 'cycle',          // Cycle service level α
+  FILL_RATE: 'fill_rate'   // Fill rate β
+};
+
+// Same cap as the intermittent quantiles: 100% service would need an infinite buffer
+const MAX_SERVICE_LEVEL = 0.999999;
+
+// Valid targets are probabilities strictly between 0 and 1
+function isValidTarget(target) {
+  return typeof target === 'number' && target > 0 && target < 1;
+}
+
+/**
+ * Converts a cycle service level (α) to a Z-score.
+ * @param {number} serviceLevel - Target probability of no stockout per cycle, in (0, 1) (e.g., 0.98).
+ * @returns {number|null} Z-score (>= 0, rounded to 4 decimals); null for invalid input.
+ */
+function cycleServiceLevelToZ(serviceLevel) {
+  if (!isValidTarget(serviceLevel)) {
+    return null;
+  }
+  const z = normalInverse(Math.min(serviceLevel, MAX_SERVICE_LEVEL));
+  return Number(Math.max(0, z).toFixed(4));
+}
+
+/**
+ * Solves the Z-score that achieves a target fill rate (β) via the standard normal loss function.
+ * @param {number} fillRate - Target fill rate in (0, 1) (e.g., 0.99).
+ * @param {number} leadTimeDemandStdDev - Std dev of demand over the lead time (σ_LT).
+ * @param {number} orderQuantity - Units per replenishment (Q, e.g., EOQ).
+ * @returns {number|null} Z-score (>= 0, rounded to 4 decimals); 0 when there is no uncertainty (σ_LT = 0);
+ *   null for invalid input.
+ */
+function fillRateToZ(fillRate, leadTimeDemandStdDev, orderQuantity) {
+  if (!isValidTarget(fillRate) ||
+      typeof leadTimeDemandStdDev !== 'number' || leadTimeDemandStdDev < 0 ||
+      typeof orderQuantity !== 'number' || orderQuantity < 0) {
+    return null;
+  }
+  if (leadTimeDemandStdDev === 0) {
+    return 0;  // Demand over the lead time is certain → no buffer needed
+  }
+  // Q = 0 (no order size known) means every shortfall is unmet → treat as the tightest target
+  const loss = (1 - Math.min(fillRate, MAX_SERVICE_LEVEL)) * orderQuantity / leadTimeDemandStdDev;
+  return Number(Math.max(0, normalLossInverse(loss)).toFixed(4));
+}
+
+/**
+ * Expected fill rate achieved by a Z-score: β = 1 - σ_LT * G(z) / Q (clamped to [0, 1]).
+ * @param {number} zScore - Z-score used for safety stock.
+ * @param {number} leadTimeDemandStdDev - Std dev of demand over the lead time (σ_LT).
+ * @param {number} orderQuantity - Units per replenishment (Q, e.g., EOQ).
+ * @returns {number|null} Expected fill rate (rounded to 4 decimals); 1 when σ_LT = 0;
+ *   null when it cannot be computed (invalid input or no order quantity).
+ */
+function expectedFillRate(zScore, leadTimeDemandStdDev, orderQuantity) {
+  if (typeof zScore !== 'number' || Number.isNaN(zScore) ||
+      typeof leadTimeDemandStdDev !== 'number' || leadTimeDemandStdDev < 0) {
+    return null;
+  }
+  if (leadTimeDemandStdDev === 0) {
+    return 1;
+  }
+  if (typeof orderQuantity !== 'number' || orderQuantity <= 0) {
+    return null;
+  }
+  const fillRate = 1 - leadTimeDemandStdDev * normalLoss(zScore) / orderQuantity;
+  return Number(Math.min(1, Math.max(0, fillRate)).toFixed(4));
+}
+
+/**
+ * Cycle service level implied by a Z-score: α = Φ(z).
+ * @param {number} zScore - Z-score used for safety stock.
+ * @returns {number|null} Probability (rounded to 4 decimals); null for invalid input.
+ */
+function zToCycleServiceLevel(zScore) {
+  if (typeof zScore !== 'number' || Number.isNaN(zScore)) {
+    return null;
+  }
+  return Number(normalCdf(zScore).toFixed(4));
+}
+
+module.exports = {
+  cycleServiceLevelToZ,
+  fillRateToZ,
+  expectedFillRate,
+  zToCycleServiceLevel,
+  SERVICE_LEVEL_TYPES
+};
@@ -0,0 +1,58 @@
+/**
+ * Seedable pseudo-random numbers for the Monte Carlo simulator (Math.random cannot be seeded,
+ * so tests and what-if comparisons would not be reproducible).
+ * createRandom uses mulberry32: tiny, fast and statistically fine for simulation (not for cryptography).
+ * The samplers take the generator as their first argument so every draw comes from the same seeded stream.
+ */
+
+/**
+ * Creates a seeded uniform generator.
+ * @param {number} [seed=1] - Any number; the same seed always yields the same sequence.
+ * @returns {Function} () => number in [0, 1).
+ */
+function createRandom(seed = 1) {
+  let state = (typeof seed === 'number' && Number.isFinite(seed) ? Math.floor(seed) : 1) >>> 0;
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Normal draw via Box-Muller.
+ * @param {Function} random - Uniform generator from createRandom.
+ * @param {number} mean - Distribution mean.
+ * @param {number} stdDev - Distribution standard deviation.
+ * @returns {number} Sample.
+ */
+function sampleNormal(random, mean, stdDev) {
+  const u1 = 1 - random();  // (0, 1] avoids log(0)
+  const u2 = random();
+  return mean + stdDev * Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+}
+
+/**
+ * Poisson draw: Knuth's multiplication method for small means, rounded normal approximation above 30.
+ * @param {Function} random - Uniform generator from createRandom.
+ * @param {number} mean - Poisson mean (>= 0).
+ * @returns {number} Non-negative integer sample.
+ */
+function samplePoisson(random, mean) {
+  if (!(mean > 0)) return 0;
+  if (mean > 30) {
+    return Math.max(0, Math.round(sampleNormal(random, mean, Math.sqrt(mean))));
+  }
+  const limit = Math.exp(-mean);
+  let k = 0;
+  let p = random();
+  while (p > limit) {
+    k += 1;
+    p *= random();
+  }
+  return k;
+}
+
+module.exports = { createRandom, sampleNormal, samplePoisson };
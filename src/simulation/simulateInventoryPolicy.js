@@ -0,0 +1,243 @@
+/**
+ * Monte Carlo inventory policy simulator: stress-tests a replenishment policy day by day before it is changed.
+ * Each run draws daily demand and order lead times, then applies the policy at the end of every day:
+ *   - (s, Q): when inventory position <= s, order Q (reorder point + fixed quantity)
+ *   - (s, S): when inventory position <= s, order up to S
+ *   - (R, S): every R days, order up to S (periodic review)
+ * Inventory position = on hand + on order - backorders. An order placed at the end of day t arrives at the start of
+ * day t + 1 + L (before that day's demand).
+ * Policy parameters default to the library's own calculations, so the simulation tests what the forecast recommends:
+ *   s = calculateReorderPoint, Q = calculateEOQ, S = s + Q for (s, S); for (R, S), R = Q / avg demand days and
+ *   S = calculatePeriodicReview's order-up-to level over the protection interval R + L.
+ * Demand models: 'bootstrap' (resample observed days; default), 'normal' (fitted mean/std dev, floored at 0)
+ * or 'poisson' (fitted mean). Lead times come from normalizeLeadTime: fixed, resampled from observed lead
+ * times, or normal { mean, stdDev } draws, rounded to whole days.
+ * Results are averaged over runs with 95% confidence intervals (mean ± 1.96 * std error).
+ * The generator is seeded (options.seed), so identical inputs always give identical results.
+ * @param {number[]} historicalDemand - Array of historical daily demand values.
+ * @param {number|number[]|Object} leadTime - Lead time in days (fixed, observed lead times or { mean, stdDev }).
+ * @param {Object} [options] - { policy ('sQ' | 'sS' | 'RS'; default 'sQ'), demandModel, runs=200, days=365, seed=1,
+ *   zScore=1.65, orderCost=100, holdingCost=10 (per unit per year), daysPerYear=250, stockoutCost=0 (per unit short),
+ *   backorders=true (false = lost sales), reorderPoint, orderQuantity, orderUpTo, reviewPeriod, initialStock }.
+ * @returns {Object} { policy, demandModel, runs, days, seed, parameters: { reorderPoint, orderQuantity, orderUpTo,
+ *   reviewPeriod, initialStock }, metrics: { fillRate, stockoutDays, averageOnHand, orders, totalCost } } where each
+ *   metric is { mean, lower, upper }; null metrics and runs = 0 for invalid inputs.
+ */
+const calculateAverageDemand = require('../calculateAverageDemand');
+const calculateSafetyStock = require('../calculateSafetyStock');
+const calculateReorderPoint = require('../calculateReorderPoint');
+const calculateEOQ = require('../calculateEOQ');
+const normalizeLeadTime = require('../normalizeLeadTime');
+const { calculatePeriodicReview } = require('../policy/calculatePeriodicReview');
+const { createRandom, sampleNormal, samplePoisson } = require('./seededRandom');
+
+// Enum-like const for simulated policies (classic inventory notation)
+const SIMULATION_POLICIES = {
+  REORDER_POINT_QUANTITY: 'sQ',   // Continuous review, fixed order quantity
+  REORDER_POINT_ORDER_UP_TO: 'sS', // Continuous review, order up to a level
+  PERIODIC_ORDER_UP_TO: 'RS'      // Periodic review every R days, order up to a level
+};
+
+const DEMAND_MODELS = ['bootstrap', 'normal', 'poisson'];
+const CI_Z = 1.96;  // 95% confidence interval
+
+// Mean with a normal-approximation confidence interval across runs
+function summarize(values) {
+  const n = values.length;
+  const mean = values.reduce((acc, v) => acc + v, 0) / n;
+  const variance = n > 1 ? values.reduce((acc, v) => acc + Math.pow(v - mean, 2), 0) / (n - 1) : 0;
+  const margin = CI_Z * Math.sqrt(variance / n);
+  return {
+    mean: Number(mean.toFixed(4)),
+    lower: Number((mean - margin).toFixed(4)),
+    upper: Number((mean + margin).toFixed(4))
+  };
+}
+
+function emptyResult(policy, demandModel) {
+  const empty = { mean: null, lower: null, upper: null };
+  return {
+    policy,
+    demandModel,
+    runs: 0,
+    days: 0,
+    seed: null,
+    parameters: null,
+    metrics: { fillRate: empty, stockoutDays: empty, averageOnHand: empty, orders: empty, totalCost: empty }
+  };
+}
+
+// Simulates one run; returns its metrics
+function simulateRun(config, drawDemand, drawLeadTime) {
+  const { policy, days, reorderPoint, orderQuantity, orderUpTo, reviewPeriod, initialStock, backorders } = config;
+  let onHand = initialStock;
+  let backlog = 0;
+  const pipeline = [];  // { arrival, quantity }
+  let totalDemand = 0;
+  let servedImmediately = 0;
+  let stockoutDays = 0;
+  let onHandSum = 0;
+  let orders = 0;
+  let unitsShort = 0;
+
+  for (let day = 0; day < days; day++) {
+    // Receipts due today (orders may cross when lead times vary)
+    for (let i = pipeline.length - 1; i >= 0; i--) {
+      if (pipeline[i].arrival <= day) {
+        onHand += pipeline[i].quantity;
+        pipeline.splice(i, 1);
+      }
+    }
+    // Clear backorders first, then serve today's demand
+    const cleared = Math.min(onHand, backlog);
+    onHand -= cleared;
+    backlog -= cleared;
+
+    const demand = drawDemand();
+    const served = Math.min(onHand, demand);
+    onHand -= served;
+    totalDemand += demand;
+    servedImmediately += served;
+    if (served < demand) {
+      stockoutDays += 1;
+      unitsShort += demand - served;
+      if (backorders) backlog += demand - served;
+    }
+    onHandSum += onHand;
+
+    // End-of-day review
+    const onOrder = pipeline.reduce((acc, o) => acc + o.quantity, 0);
+    const position = onHand + onOrder - backlog;
+    let quantity = 0;
+    if (policy === SIMULATION_POLICIES.PERIODIC_ORDER_UP_TO) {
+      if ((day + 1) % reviewPeriod === 0) quantity = Math.max(0, orderUpTo - position);
+    } else if (position <= reorderPoint) {
+      quantity = policy === SIMULATION_POLICIES.REORDER_POINT_ORDER_UP_TO ? orderUpTo - position : orderQuantity;
+    }
+    if (quantity > 0) {
+      orders += 1;
+      pipeline.push({ arrival: day + 1 + drawLeadTime(), quantity });
+    }
+  }
+
+  return {
+    fillRate: totalDemand > 0 ? servedImmediately / totalDemand : 1,
+    stockoutDays,
+    averageOnHand: onHandSum / days,
+    orders,
+    unitsShort,
+    onHandSum
+  };
+}
+
+function simulateInventoryPolicy(historicalDemand, leadTime, options = {}) {
+  const opts = options && typeof options === 'object' ? options : {};
+  const policy = Object.values(SIMULATION_POLICIES).includes(opts.policy) ? opts.policy : SIMULATION_POLICIES.REORDER_POINT_QUANTITY;
+  const demandModel = DEMAND_MODELS.includes(opts.demandModel) ? opts.demandModel : DEMAND_MODELS[0];
+  const {
+    runs = 200,
+    days = 365,
+    seed = 1,
+    zScore = 1.65,
+    orderCost = 100,
+    holdingCost = 10,
+    daysPerYear = 250,
+    stockoutCost = 0,
+    backorders = true
+  } = opts;
+
+  // Defensive validation for consistency with other utilities (return safe defaults)
+  const validDemands = Array.isArray(historicalDemand)
+    ? historicalDemand.filter(d => typeof d === 'number' && d >= 0)
+    : [];
+  const leadTimeModel = normalizeLeadTime(leadTime);
+  if (validDemands.length === 0 || leadTimeModel === null ||
+      typeof runs !== 'number' || runs < 1 || typeof days !== 'number' || days < 1) {
+    return emptyResult(policy, demandModel);
+  }
+
+  // Policy parameters: explicit values win, otherwise the library's own recommendations
+  const nonNegative = value => typeof value === 'number' && value >= 0;
+  const avgDemand = calculateAverageDemand(validDemands);
+  const reorderPoint = nonNegative(opts.reorderPoint)
+    ? opts.reorderPoint
+    : calculateReorderPoint(validDemands, leadTime, zScore).reorderPoint;
+  const eoq = calculateEOQ(validDemands, orderCost, holdingCost, daysPerYear).eoq;
+  const orderQuantity = nonNegative(opts.orderQuantity) && opts.orderQuantity > 0 ? opts.orderQuantity : Math.max(1, eoq);
+  const reviewPeriod = nonNegative(opts.reviewPeriod) && opts.reviewPeriod >= 1
+    ? Math.round(opts.reviewPeriod)
+    : Math.max(1, Math.round(avgDemand > 0 ? orderQuantity / avgDemand : 1));
+  let orderUpTo;
+  if (nonNegative(opts.orderUpTo)) {
+    orderUpTo = opts.orderUpTo;
+  } else if (policy === SIMULATION_POLICIES.PERIODIC_ORDER_UP_TO) {
+    // Protection interval R + L: the next order can only arrive one review later
+    orderUpTo = calculatePeriodicReview(validDemands, reviewPeriod, leadTime, zScore).orderUpToLevel;
+  } else {
+    orderUpTo = reorderPoint + orderQuantity;
+  }
+  const initialStock = nonNegative(opts.initialStock)
+    ? opts.initialStock
+    : (policy === SIMULATION_POLICIES.REORDER_POINT_QUANTITY ? reorderPoint + orderQuantity : orderUpTo);
+
+  // Samplers share one seeded stream (reproducible)
+  const random = createRandom(seed);
+  const { demandStdDev } = calculateSafetyStock(validDemands, 0, 0, avgDemand);  // Std dev only (no buffer)
+  const drawDemand = {
+    bootstrap: () => validDemands[Math.floor(random() * validDemands.length)],
+    normal: () => Math.max(0, sampleNormal(random, avgDemand, demandStdDev)),
+    poisson: () => samplePoisson(random, avgDemand)
+  }[demandModel];
+  const observed = Array.isArray(leadTime)
+    ? leadTime.filter(l => typeof l === 'number' && l >= 0)
+    : (leadTime && Array.isArray(leadTime.history) ? leadTime.history.filter(l => typeof l === 'number' && l >= 0) : null);
+  const drawLeadTime = () => {
+    if (observed) return Math.round(observed[Math.floor(random() * observed.length)]);
+    if (leadTimeModel.stdDev > 0) return Math.max(0, Math.round(sampleNormal(random, leadTimeModel.mean, leadTimeModel.stdDev)));
+    return Math.round(leadTimeModel.mean);
+  };
+
+  const config = {
+    policy,
+    days: Math.floor(days),
+    reorderPoint,
+    orderQuantity,
+    orderUpTo,
+    reviewPeriod,
+    initialStock,
+    backorders: backorders !== false
+  };
+  const dailyHolding = nonNegative(holdingCost) && nonNegative(daysPerYear) && daysPerYear > 0 ? holdingCost / daysPerYear : 0;
+  const results = [];
+  for (let run = 0; run < Math.floor(runs); run++) {
+    const result = simulateRun(config, drawDemand, drawLeadTime);
+    result.totalCost = result.orders * (nonNegative(orderCost) ? orderCost : 0) +
+      result.onHandSum * dailyHolding +
+      result.unitsShort * (nonNegative(stockoutCost) ? stockoutCost : 0);
+    results.push(result);
+  }
+
+  return {
+    policy,
+    demandModel,
+    runs: results.length,
+    days: config.days,
+    seed,
+    parameters: {
+      reorderPoint: Number(reorderPoint.toFixed(2)),
+      orderQuantity: Number(orderQuantity.toFixed(2)),
+      orderUpTo: Number(orderUpTo.toFixed(2)),
+      reviewPeriod,
+      initialStock: Number(initialStock.toFixed(2))
+    },
+    metrics: {
+      fillRate: summarize(results.map(r => r.fillRate)),
+      stockoutDays: summarize(results.map(r => r.stockoutDays)),
+      averageOnHand: summarize(results.map(r => r.averageOnHand)),
+      orders: summarize(results.map(r => r.orders)),
+      totalCost: summarize(results.map(r => r.totalCost))
+    }
+  };
+}
+
+module.exports = { simulateInventoryPolicy, SIMULATION_POLICIES };
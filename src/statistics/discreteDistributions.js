@@ -0,0 +1,85 @@
+/**
+ * Discrete demand distributions for slow-moving / intermittent items.
+ * Quantiles are found by summing the pmf upward in log space (stable for large means).
+ *   - Poisson(μ): variance = mean (purely random arrivals of single units)
+ *   - Negative binomial(r, p): variance > mean (over-dispersed, e.g., lumpy order sizes)
+ */
+
+// Lanczos approximation of ln Γ(x) for x > 0 (g = 7, n = 9)
+const LANCZOS = [
+  0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+  -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+];
+
+/**
+ * Natural log of the gamma function.
+ * @param {number} x - Positive argument.
+ * @returns {number} ln Γ(x).
+ */
+function logGamma(x) {
+  if (x < 0.5) {
+    // Reflection formula keeps accuracy near 0
+    return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  }
+  const z = x - 1;
+  let a = LANCZOS[0];
+  const t = z + 7.5;
+  for (let i = 1; i < 9; i++) {
+    a += LANCZOS[i] / (z + i);
+  }
+  return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(a);
+}
+
+// Smallest k with cumulative pmf >= probability (pmf given in log space)
+function discreteQuantile(logPmf, probability, limit) {
+  let cumulative = 0;
+  for (let k = 0; k <= limit; k++) {
+    cumulative += Math.exp(logPmf(k));
+    if (cumulative >= probability) {
+      return k;
+    }
+  }
+  return limit;
+}
+
+/**
+ * Poisson quantile: smallest k with P(X <= k) >= probability.
+ * @param {number} mean - Poisson mean (μ >= 0).
+ * @param {number} probability - Target cumulative probability in (0, 1).
+ * @returns {number} Quantile (0 for invalid inputs or zero mean).
+ */
+function poissonQuantile(mean, probability) {
+  if (typeof mean !== 'number' || mean <= 0 || typeof probability !== 'number' || probability <= 0 || probability >= 1) {
+    return 0;
+  }
+  const limit = Math.ceil(mean + 50 * Math.sqrt(mean) + 100);
+  return discreteQuantile(k => -mean + k * Math.log(mean) - logGamma(k + 1), probability, limit);
+}
+
+/**
+ * Negative binomial quantile parameterized by mean and variance (variance must exceed mean).
+ * r = μ² / (σ² − μ), p = μ / σ² (probability of "success" per trial).
+ * @param {number} mean - Distribution mean (μ > 0).
+ * @param {number} variance - Distribution variance (σ² > μ).
+ * @param {number} probability - Target cumulative probability in (0, 1).
+ * @returns {number} Quantile (falls back to Poisson when not over-dispersed).
+ */
+function negativeBinomialQuantile(mean, variance, probability) {
+  if (typeof variance !== 'number' || variance <= mean) {
+    return poissonQuantile(mean, probability);
+  }
+  if (typeof probability !== 'number' || probability <= 0 || probability >= 1) {
+    return 0;
+  }
+  const r = (mean * mean) / (variance - mean);
+  const p = mean / variance;
+  const base = logGamma(r);
+  const limit = Math.ceil(mean + 50 * Math.sqrt(variance) + 100);
+  return discreteQuantile(
+    k => logGamma(k + r) - base - logGamma(k + 1) + r * Math.log(p) + k * Math.log(1 - p),
+    probability,
+    limit
+  );
+}
+
+module.exports = { logGamma, poissonQuantile, negativeBinomialQuantile };
@@ -0,0 +1,279 @@
+/**
+ * Live SKU tracker: keeps demand statistics up to date event by event, without keeping (or re-reading) the
+ * demand history.
+ *   - Sales are summed per calendar day; a day is closed when an event for a later day arrives (the days in
+ *     between count as zero demand), on advanceTo(date), or on closeDay() for undated feeds. Only closed days
+ *     enter the statistics, so a half-finished day does not drag the rate down. Sales dated before the open day
+ *     (late events) are added to the open day.
+ *   - Closed days update Welford's running mean / variance (same values as calculateAverageDemand and the sample
+ *     std dev of calculateSafetyStock over all days seen) and an exponentially weighted mean / variance
+ *     (weight alpha on the newest day):
+ *       diff = x - mean;  mean += alpha * diff;  variance = (1 - alpha) * (variance + alpha * diff²)
+ *   - method picks the rate and spread behind the forecast: 'exponential' (default; follows recent demand) or
+ *     'cumulative' (all days equally).
+ *   - Stock follows the events: sales reduce it (not below 0), receipts add to it, stock counts replace it.
+ * getForecast() returns, at any moment: the daily rate and std dev, safety stock = Z * sqrt(L * σ² + d² * σL²)
+ * (the combined formula; σL = 0 for a fixed lead time), reorder point = d * L + safety stock, days remaining,
+ * risk level (day thresholds or probabilistic tiers, as in calculateInventoryForecast) and stockout probability.
+ * The tracker is serializable: toJSON() (used by JSON.stringify) returns { version, settings, state } with plain
+ * values only, and restoreSkuTracker(snapshot) resumes from it. A snapshot from another version, or with invalid
+ * fields, restores what it can and resets the rest (safe defaults, like the rest of the library).
+ * Invalid events are ignored; with settings.strict they throw InvalidDemandError / InvalidStockError /
+ * InvalidParameterError instead.
+ */
+const calculateDaysRemaining = require('../calculateDaysRemaining');
+const { detectStockoutRisk, RISK_LEVELS } = require('../detectStockoutRisk');
+const normalizeLeadTime = require('../normalizeLeadTime');
+const { assessStockoutRisk, RISK_MODELS } = require('../risk/assessStockoutRisk');
+const { cycleServiceLevelToZ } = require('../serviceLevel/serviceLevelTargets');
+const { isDatedHistory } = require('../timeseries/parseDemandRecords');
+const { toDailySeries } = require('../timeseries/fillDailyGaps');
+const { toDayKey, addDays } = require('../timeseries/dayKeys');
+const { createValidator, checkNumber, DIAGNOSTIC_TYPES } = require('../validation/validateInputs');
+const { InvalidDemandError, InvalidStockError, InvalidParameterError } = require('../validation/errors');
+
+// Enum-like const for the statistics behind the forecast
+const TRACKER_METHODS = {
+  EXPONENTIAL: 'exponential', // Exponentially weighted mean / variance (default)
+  CUMULATIVE: 'cumulative'    // Welford mean / sample variance over every day seen
+};
+
+// Snapshot format version (bumped when the state layout changes)
+const TRACKER_STATE_VERSION = 1;
+
+const DEFAULT_ALPHA = 0.1;
+
+const isNumber = (value, min = 0) => typeof value === 'number' && Number.isFinite(value) && value >= min;
+const round = value => Number(value.toFixed(2));
+
+// Settings kept in snapshots (invalid values replaced by defaults)
+function resolveSettings(settings) {
+  const s = settings && typeof settings === 'object' ? settings : {};
+  const leadTimeModel = normalizeLeadTime(s.leadTime);
+  return {
+    sku: s.sku === undefined ? null : s.sku,
+    leadTime: leadTimeModel === null ? 0 : s.leadTime,
+    zScore: isNumber(s.zScore) ? s.zScore : 1.65,
+    serviceLevel: cycleServiceLevelToZ(s.serviceLevel) === null ? null : s.serviceLevel,
+    method: Object.values(TRACKER_METHODS).includes(s.method) ? s.method : TRACKER_METHODS.EXPONENTIAL,
+    alpha: typeof s.alpha === 'number' && s.alpha > 0 && s.alpha <= 1 ? s.alpha : DEFAULT_ALPHA,
+    riskModel: s.riskModel === RISK_MODELS.PROBABILISTIC || (s.riskTiers && typeof s.riskTiers === 'object')
+      ? RISK_MODELS.PROBABILISTIC
+      : RISK_MODELS.DAYS,
+    riskTiers: s.riskTiers && typeof s.riskTiers === 'object' ? { ...s.riskTiers } : null,
+    strict: s.strict === true
+  };
+}
+
+// Running state (invalid fields reset; used for new trackers and restored snapshots)
+function resolveState(state) {
+  const s = state && typeof state === 'object' ? state : {};
+  const dayKey = value => (typeof value === 'string' && toDayKey(value) === value ? value : null);
+  return {
+    days: Number.isInteger(s.days) && s.days > 0 ? s.days : 0,
+    mean: isNumber(s.mean) ? s.mean : 0,
+    m2: isNumber(s.m2) ? s.m2 : 0,
+    ewMean: isNumber(s.ewMean) ? s.ewMean : 0,
+    ewVariance: isNumber(s.ewVariance) ? s.ewVariance : 0,
+    openDay: dayKey(s.openDay),
+    openDemand: isNumber(s.openDemand) ? s.openDemand : 0,
+    lastClosedDay: dayKey(s.lastClosedDay),
+    stock: isNumber(s.stock) ? s.stock : 0
+  };
+}
+
+/**
+ * Creates a tracker.
+ * @param {Object} [settings] - { sku, leadTime (days, observed lead times or { mean, stdDev }), zScore (default 1.65)
+ *   or serviceLevel (cycle service level; wins over zScore), method (TRACKER_METHODS), alpha (EW weight in (0, 1],
+ *   default 0.1), riskModel ('days' | 'probabilistic'), riskTiers, strict, currentStock (starting stock),
+ *   history (daily demand to start from: numbers, or dated records whose last day is then the last closed day) }.
+ * @param {Object} [state] - Running state from a snapshot (see restoreSkuTracker).
+ * @returns {Object} Tracker: { recordSale(quantity, [date]), recordReceipt(quantity, [date]),
+ *   recordStockCount(level, [date]), advanceTo(date), closeDay(), getForecast(), toJSON() } - the record methods
+ *   and advanceTo / closeDay return the tracker, so calls can be chained.
+ */
+function createSkuTracker(settings = {}, state) {
+  const config = resolveSettings(settings);
+  const current = resolveState(state);
+  const validator = createValidator({ strict: config.strict });
+  const leadTimeModel = normalizeLeadTime(config.leadTime);
+
+  // One closed day enters both statistics
+  const addDay = quantity => {
+    current.days += 1;
+    const delta = quantity - current.mean;
+    current.mean += delta / current.days;
+    current.m2 += delta * (quantity - current.mean);
+    if (current.days === 1) {
+      current.ewMean = quantity;
+      current.ewVariance = 0;
+    } else {
+      const diff = quantity - current.ewMean;
+      current.ewMean += config.alpha * diff;
+      current.ewVariance = (1 - config.alpha) * (current.ewVariance + config.alpha * diff * diff);
+    }
+  };
+
+  const closeOpenDay = () => {
+    addDay(current.openDemand);
+    current.lastClosedDay = current.openDay;
+    current.openDay = current.openDay ? addDays(current.openDay, 1) : null;
+    current.openDemand = 0;
+  };
+
+  // Moves the open day forward to dayKey, closing the days before it (days without sales close with 0);
+  // the first dated event after undated days opens the day after the last closed one
+  const moveTo = dayKey => {
+    if (current.openDay === null) {
+      current.openDay = current.lastClosedDay !== null ? addDays(current.lastClosedDay, 1) : dayKey;
+    }
+    while (current.openDay < dayKey) closeOpenDay();
+  };
+
+  // Event day: undefined → the open day; invalid dates are rejected (null)
+  const eventDay = (date, field) => {
+    if (date === undefined) return undefined;
+    const dayKey = toDayKey(date);
+    if (dayKey === null) {
+      validator.report(DIAGNOSTIC_TYPES.DEFAULT_USED, InvalidParameterError, {
+        field, value: date, default: null, message: `${field} is not a valid date (got ${String(date)})`, outcome: 'event ignored'
+      });
+    }
+    return dayKey;
+  };
+  const validQuantity = (value, field, ErrorClass) => checkNumber(value, validator, {
+    field, ErrorClass, min: 0, fallback: null, outcome: 'event ignored'
+  }) && isNumber(value);
+
+  const tracker = {
+    recordSale(quantity, date) {
+      const dayKey = eventDay(date, 'date');
+      if (!validQuantity(quantity, 'quantity', InvalidDemandError) || dayKey === null) return tracker;
+      if (dayKey !== undefined) moveTo(dayKey);
+      current.openDemand += quantity;
+      current.stock = Math.max(0, current.stock - quantity);
+      return tracker;
+    },
+
+    recordReceipt(quantity, date) {
+      const dayKey = eventDay(date, 'date');
+      if (!validQuantity(quantity, 'quantity', InvalidStockError) || dayKey === null) return tracker;
+      if (dayKey !== undefined) moveTo(dayKey);
+      current.stock += quantity;
+      return tracker;
+    },
+
+    recordStockCount(level, date) {
+      const dayKey = eventDay(date, 'date');
+      if (!validQuantity(level, 'stock', InvalidStockError) || dayKey === null) return tracker;
+      if (dayKey !== undefined) moveTo(dayKey);
+      current.stock = level;
+      return tracker;
+    },
+
+    // Closes every day before date (e.g., at midnight, so quiet days count as zero demand)
+    advanceTo(date) {
+      const dayKey = eventDay(date, 'date');
+      if (dayKey) moveTo(dayKey);
+      return tracker;
+    },
+
+    // Closes the open day (undated feeds: call at the end of each day)
+    closeDay() {
+      closeOpenDay();
+      return tracker;
+    },
+
+    getForecast() {
+      const exponential = config.method === TRACKER_METHODS.EXPONENTIAL;
+      const sampleVariance = current.days > 1 ? current.m2 / (current.days - 1) : 0;
+      const rate = exponential ? current.ewMean : current.mean;
+      const stdDev = Math.sqrt(exponential ? current.ewVariance : sampleVariance);
+      const zScore = config.serviceLevel !== null ? cycleServiceLevelToZ(config.serviceLevel) : config.zScore;
+
+      // Lead-time demand spread: sqrt(L * σ² + d² * σL²)
+      const { mean: L, stdDev: sigmaL } = leadTimeModel;
+      const spread = Math.sqrt(L * stdDev * stdDev + rate * rate * sigmaL * sigmaL);
+      const safetyStock = zScore * spread;
+      const reorderPoint = rate * L + safetyStock;
+      const daysRemaining = calculateDaysRemaining(current.stock, rate);
+      const stockoutRisk = assessStockoutRisk(current.stock, rate, stdDev, leadTimeModel, {
+        tiers: config.riskTiers, leadTimeDemandStdDev: spread
+      });
+      const riskLevel = config.riskModel === RISK_MODELS.PROBABILISTIC
+        ? stockoutRisk.level
+        : detectStockoutRisk(daysRemaining, L);
+      const urgent = [RISK_LEVELS.HIGH, RISK_LEVELS.CRITICAL, RISK_LEVELS.OUT_OF_STOCK].includes(riskLevel);
+
+      return {
+        sku: config.sku,
+        asOf: current.lastClosedDay,
+        days: current.days,
+        openDay: current.openDay,
+        openDemand: round(current.openDemand),
+        method: config.method,
+        avgDailyDemand: round(rate),
+        demandStdDev: round(stdDev),
+        currentStock: round(current.stock),
+        daysRemaining: daysRemaining === Infinity ? 'Infinite' : round(daysRemaining),
+        safetyStock: round(safetyStock),
+        reorderPoint: round(reorderPoint),
+        reorderNeeded: current.days > 0 && current.stock <= reorderPoint,
+        riskLevel,
+        stockoutRisk: { probability: stockoutRisk.probability, level: stockoutRisk.level },
+        recommendation: urgent ? 'Reorder immediately' : 'Monitor stock levels',
+        stats: {
+          mean: round(current.mean),
+          stdDev: round(Math.sqrt(sampleVariance)),
+          ewMean: round(current.ewMean),
+          ewStdDev: round(Math.sqrt(current.ewVariance))
+        }
+      };
+    },
+
+    // Plain-value snapshot (JSON.stringify(tracker) uses it); unrounded so a restored tracker continues exactly
+    toJSON() {
+      return { version: TRACKER_STATE_VERSION, settings: { ...config }, state: { ...current } };
+    }
+  };
+
+  // Starting point: stock level and demand history (new trackers only)
+  if (state === undefined) {
+    if (isNumber(settings && settings.currentStock)) current.stock = settings.currentStock;
+    const history = settings && settings.history;
+    if (isDatedHistory(history)) {
+      const series = toDailySeries(history);
+      series.quantities.forEach(addDay);
+      if (series.dates.length > 0) {
+        current.lastClosedDay = series.dates[series.dates.length - 1];
+        current.openDay = addDays(current.lastClosedDay, 1);
+      }
+    } else if (Array.isArray(history)) {
+      history.filter(d => isNumber(d)).forEach(addDay);
+    }
+  }
+  return tracker;
+}
+
+/**
+ * Resumes a tracker from a snapshot (tracker.toJSON(), or the parsed JSON of it).
+ * @param {Object|string} snapshot - { version, settings, state }, or its JSON text.
+ * @returns {Object} Tracker (settings only, with fresh statistics, when the snapshot is unreadable or from another version).
+ */
+function restoreSkuTracker(snapshot) {
+  let data = snapshot;
+  if (typeof snapshot === 'string') {
+    try {
+      data = JSON.parse(snapshot);
+    } catch (err) {
+      data = null;
+    }
+  }
+  const valid = data && typeof data === 'object';
+  const settings = valid ? data.settings : undefined;
+  const state = valid && data.version === TRACKER_STATE_VERSION ? data.state : null;
+  return createSkuTracker(settings, state);
+}
+
+module.exports = { createSkuTracker, restoreSkuTracker, TRACKER_METHODS, TRACKER_STATE_VERSION };
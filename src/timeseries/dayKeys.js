@@ -0,0 +1,61 @@
+/**
+ * UTC calendar-day helpers shared by the dated-series modules.
+ * Days are represented as 'YYYY-MM-DD' keys (sortable as strings, no timezone drift).
+ */
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Normalizes a Date, ISO string or timestamp to a 'YYYY-MM-DD' UTC day key.
+ * @param {Date|string|number} value - Date-like value.
+ * @returns {string|null} Day key, or null if the value is not a valid date.
+ */
+function toDayKey(value) {
+  if (value === null || value === undefined || typeof value === 'boolean') {
+    return null;
+  }
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Shifts a day key by a number of calendar days.
+ * @param {string} dayKey - 'YYYY-MM-DD'.
+ * @param {number} days - Days to add (negative to go back).
+ * @returns {string} Shifted day key.
+ */
+function addDays(dayKey, days) {
+  return new Date(Date.parse(`${dayKey}T00:00:00Z`) + days * MS_PER_DAY).toISOString().slice(0, 10);
+}
+
+/**
+ * Whole calendar days from one day key to another (positive when `to` is later).
+ * @param {string} from - 'YYYY-MM-DD'.
+ * @param {string} to - 'YYYY-MM-DD'.
+ * @returns {number} Day difference.
+ */
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / MS_PER_DAY);
+}
+
+/**
+ * Day of week for a day key (0 = Sunday ... 6 = Saturday, like Date#getUTCDay).
+ * @param {string} dayKey - 'YYYY-MM-DD'.
+ * @returns {number} Day of week.
+ */
+function dayOfWeek(dayKey) {
+  return new Date(`${dayKey}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * Month of year for a day key (0 = January ... 11 = December).
+ * @param {string} dayKey - 'YYYY-MM-DD'.
+ * @returns {number} Month index.
+ */
+function monthOfYear(dayKey) {
+  return Number(dayKey.slice(5, 7)) - 1;
+}
+
+module.exports = { toDayKey, addDays, daysBetween, dayOfWeek, monthOfYear, MS_PER_DAY };
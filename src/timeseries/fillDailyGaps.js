@@ -0,0 +1,45 @@
+/**
+ * Fills a parsed daily series so every day between start and end is present (missing days = 0 demand).
+ * Order exports usually omit days without sales; treating those as zero keeps averages and
+ * standard deviations honest. With a business calendar, only business days are kept (closed days dropped),
+ * so downstream daily rates are per selling day.
+ * @param {Object} series - { dates, quantities } from parseDemandRecords.
+ * @param {Object} [options] - { start, end (default first/last record), calendar ({ weekendDays, holidays }) }.
+ * @returns {Object} { dates: string[], quantities: number[] } - Contiguous (business-)day series; empty for invalid input.
+ */
+const { toDayKey, addDays, daysBetween } = require('./dayKeys');
+const { parseDemandRecords } = require('./parseDemandRecords');
+const { isBusinessDay } = require('../calendar/businessCalendar');
+
+function fillDailyGaps(series, options = {}) {
+  const { dates, quantities } = series && typeof series === 'object' ? series : {};
+  const opts = options && typeof options === 'object' ? options : {};
+  if (!Array.isArray(dates) || !Array.isArray(quantities) || dates.length === 0) {
+    return { dates: [], quantities: [] };
+  }
+
+  const start = toDayKey(opts.start) || dates[0];
+  const end = toDayKey(opts.end) || dates[dates.length - 1];
+  const byDay = new Map(dates.map((d, i) => [d, quantities[i]]));
+
+  const filled = { dates: [], quantities: [] };
+  for (let i = 0; i <= daysBetween(start, end); i++) {
+    const day = addDays(start, i);
+    if (opts.calendar && !isBusinessDay(day, opts.calendar)) continue;
+    filled.dates.push(day);
+    filled.quantities.push(byDay.get(day) || 0);
+  }
+  return filled;
+}
+
+/**
+ * Parses dated records and fills gaps in one step (sort → sum same-day → fill missing days with 0).
+ * @param {Object[]} records - Array of { date, quantity } objects.
+ * @param {Object} [options] - See fillDailyGaps.
+ * @returns {Object} { dates, quantities } - Contiguous daily series.
+ */
+function toDailySeries(records, options = {}) {
+  return fillDailyGaps(parseDemandRecords(records), options);
+}
+
+module.exports = { fillDailyGaps, toDailySeries };
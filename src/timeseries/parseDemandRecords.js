@@ -0,0 +1,42 @@
+/**
+ * Parses dated demand records (e.g., rows from an order export) into a sorted daily series.
+ * Accepts [{ date, quantity }] where date is a Date, ISO string ('2024-03-01') or timestamp.
+ * Dates are normalized to UTC calendar days; records on the same day are summed.
+ * Invalid records (unparseable date, negative/non-numeric quantity) are dropped, mirroring
+ * calculateAverageDemand's silent filtering of bad values.
+ * @param {Object[]} records - Array of { date, quantity } objects.
+ * @returns {Object} { dates: string[] ('YYYY-MM-DD', ascending), quantities: number[] } - Empty arrays for invalid input.
+ */
+const { toDayKey } = require('./dayKeys');
+
+function parseDemandRecords(records) {
+  if (!Array.isArray(records)) {
+    return { dates: [], quantities: [] };
+  }
+
+  // Aggregate valid records by calendar day
+  const totals = new Map();
+  records.forEach(record => {
+    if (!record || typeof record !== 'object') return;
+    const key = toDayKey(record.date);
+    const { quantity } = record;
+    if (key === null || typeof quantity !== 'number' || Number.isNaN(quantity) || quantity < 0) return;
+    totals.set(key, (totals.get(key) || 0) + quantity);
+  });
+
+  // ISO day keys sort chronologically as strings
+  const dates = Array.from(totals.keys()).sort();
+  return { dates, quantities: dates.map(d => totals.get(d)) };
+}
+
+/**
+ * Detects dated input: an array whose entries are { date, ... } objects rather than bare numbers.
+ * @param {*} historicalDemand - Candidate demand history.
+ * @returns {boolean} True when at least one entry is an object with a date field.
+ */
+function isDatedHistory(historicalDemand) {
+  return Array.isArray(historicalDemand) &&
+    historicalDemand.some(r => r !== null && typeof r === 'object' && !(r instanceof Date) && 'date' in r);
+}
+
+module.exports = { parseDemandRecords, isDatedHistory };
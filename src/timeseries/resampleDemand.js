@@ -0,0 +1,43 @@
+/**
+ * Resamples dated demand into weekly or monthly buckets (sums of gap-filled daily demand).
+ * Weeks start on Monday by default (ISO style); months are calendar months.
+ * Partial first/last buckets are kept and flagged via `days` so callers can drop or scale them.
+ * @param {Object[]} records - Array of { date, quantity } objects.
+ * @param {Object} [options] - { frequency: 'weekly' | 'monthly' (default 'weekly'), weekStart (0-6, default 1 = Monday), calendar }.
+ * @returns {Object[]} [{ start: 'YYYY-MM-DD', quantity, days }] - Ascending buckets; empty for invalid input.
+ *   days = number of (business) days of history that fell into the bucket.
+ */
+const { toDailySeries } = require('./fillDailyGaps');
+const { addDays, dayOfWeek } = require('./dayKeys');
+
+const FREQUENCIES = ['weekly', 'monthly'];
+
+function resampleDemand(records, options = {}) {
+  const { frequency = 'weekly', weekStart = 1, calendar } = options || {};
+  const mode = FREQUENCIES.includes(frequency) ? frequency : 'weekly';
+  const firstDay = Number.isInteger(weekStart) && weekStart >= 0 && weekStart <= 6 ? weekStart : 1;
+  const { dates, quantities } = toDailySeries(records, { calendar });
+
+  // Bucket key: start of the week/month containing the day
+  const bucketOf = day => {
+    if (mode === 'monthly') {
+      return `${day.slice(0, 7)}-01`;
+    }
+    return addDays(day, -((dayOfWeek(day) - firstDay + 7) % 7));
+  };
+
+  const buckets = [];
+  dates.forEach((day, i) => {
+    const start = bucketOf(day);
+    const last = buckets[buckets.length - 1];
+    if (last && last.start === start) {
+      last.quantity += quantities[i];
+      last.days++;
+    } else {
+      buckets.push({ start, quantity: quantities[i], days: 1 });
+    }
+  });
+  return buckets;
+}
+
+module.exports = resampleDemand;
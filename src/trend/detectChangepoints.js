@@ -0,0 +1,84 @@
+/**
+ * Structural breaks in demand: Pettitt's test applied by binary segmentation.
+ *   U_t = Σ_{i<=t} Σ_{j>t} sign(x_i - x_j);  K = max |U_t|;  p ≈ 2 * exp(-6K² / (n³ + n²))
+ * The split with the largest |U_t| is a changepoint when p < alpha and both sides have at least minSegment days;
+ * each side is then searched again, so several level shifts (e.g., a new customer, a lost listing) are found.
+ * Like Mann-Kendall the test is rank-based, so single spikes do not register as shifts, and it is O(n²) per
+ * segment, so only the most recent window of days is searched (same default as detectTrend); indexes still count
+ * from the start of the whole history.
+ * Each changepoint reports where the new regime starts and the mean level on either side (up to the neighbouring
+ * changepoints), e.g., "demand shifted up from about 10 to 20 units per day on 2024-03-01".
+ * @param {number[]} historicalDemand - Daily demand values (invalid entries count as 0 so day positions hold).
+ * @param {Object} [options] - { alpha (significance level, default 0.05), minSegment (minimum days per regime,
+ *   default 7), window (most recent days searched, default 180; Infinity for all), dates (day keys aligned with the
+ *   history; adds date to each changepoint) }.
+ * @returns {Object[]} Changepoints in time order: { index (first day of the new regime), date (dated history only),
+ *   daysSince (days from the break to the end of the history), before, after (mean daily demand of the regimes on
+ *   either side), change (relative; null when before is 0), pValue } - empty when there are fewer than
+ *   2 * minSegment days.
+ */
+const { DEFAULT_TREND_ALPHA, resolveWindow } = require('./detectTrend');
+
+const DEFAULT_MIN_SEGMENT = 7;
+
+const sign = value => (value > 0 ? 1 : (value < 0 ? -1 : 0));
+
+// Most significant split of values[lo, hi) with both parts >= minSegment: { index, pValue } (index = first of the right part)
+function pettittSplit(values, lo, hi, minSegment) {
+  const n = hi - lo;
+  let u = 0;
+  let best = null;
+  for (let t = lo; t < hi - 1; t++) {
+    // U_t = U_{t-1} + Σ_j sign(x_t - x_j) over the segment
+    for (let j = lo; j < hi; j++) u += sign(values[t] - values[j]);
+    const left = t - lo + 1;
+    if (left >= minSegment && n - left >= minSegment && (best === null || Math.abs(u) > best.k)) {
+      best = { index: t + 1, k: Math.abs(u) };
+    }
+  }
+  if (best === null) return null;
+  return { index: best.index, pValue: Math.min(1, 2 * Math.exp((-6 * best.k * best.k) / (n ** 3 + n ** 2))) };
+}
+
+function detectChangepoints(historicalDemand, options = {}) {
+  const settings = options && typeof options === 'object' ? options : {};
+  const alpha = typeof settings.alpha === 'number' && settings.alpha > 0 && settings.alpha < 1 ? settings.alpha : DEFAULT_TREND_ALPHA;
+  const minSegment = Number.isInteger(settings.minSegment) && settings.minSegment >= 2 ? settings.minSegment : DEFAULT_MIN_SEGMENT;
+  const all = Array.isArray(historicalDemand)
+    ? historicalDemand.map(d => (typeof d === 'number' && Number.isFinite(d) && d >= 0 ? d : 0))
+    : [];
+  // Search the window; offset maps its positions back onto the whole history
+  const offset = Math.max(0, all.length - resolveWindow(settings.window));
+  const values = offset > 0 ? all.slice(offset) : all;
+
+  // Binary segmentation: split while the best split of a segment is significant
+  const found = [];
+  const search = (lo, hi) => {
+    if (hi - lo < 2 * minSegment) return;
+    const split = pettittSplit(values, lo, hi, minSegment);
+    if (!split || split.pValue >= alpha) return;
+    found.push(split);
+    search(lo, split.index);
+    search(split.index, hi);
+  };
+  search(0, values.length);
+  found.sort((a, b) => a.index - b.index);
+
+  const mean = (lo, hi) => values.slice(lo, hi).reduce((acc, v) => acc + v, 0) / (hi - lo);
+  const dates = Array.isArray(settings.dates) && settings.dates.length === all.length ? settings.dates : null;
+  return found.map((split, i) => {
+    const before = mean(i > 0 ? found[i - 1].index : 0, split.index);
+    const after = mean(split.index, i < found.length - 1 ? found[i + 1].index : values.length);
+    return {
+      index: offset + split.index,
+      ...(dates ? { date: dates[offset + split.index] } : {}),
+      daysSince: values.length - split.index,
+      before: Number(before.toFixed(2)),
+      after: Number(after.toFixed(2)),
+      change: before > 0 ? Number(((after - before) / before).toFixed(4)) : null,
+      pValue: Number(split.pValue.toFixed(4))
+    };
+  });
+}
+
+module.exports = { detectChangepoints, DEFAULT_MIN_SEGMENT };
@@ -0,0 +1,107 @@
+/**
+ * Demand trend: Mann-Kendall test for a monotonic trend, with Sen's slope for its size.
+ *   S = Σ_{i<j} sign(x_j - x_i);  Var(S) = [n(n-1)(2n+5) - Σ t(t-1)(2t+5)] / 18   (t = size of each group of ties)
+ *   Z = (S ∓ 1) / sqrt(Var(S)) (continuity correction; 0 when S = 0);  p = 2 * (1 - Φ(|Z|))   (two-sided)
+ *   Sen's slope = median of (x_j - x_i) / (j - i); intercept = median of (x_i - slope * i)
+ * The test is non-parametric (no normality assumption; robust to single spikes), so it suits daily demand.
+ * The trend is INCREASING / DECREASING only when p < alpha; the fitted line gives the start and end levels
+ * (e.g., "from about 10 to 20 units per day over the last 30 days").
+ * Both statistics compare every pair of days, so only the most recent window of days is tested (default 180;
+ * Infinity for the whole history), and beyond MAX_SLOPE_PAIRS pairs Sen's slope is the median of an evenly spaced
+ * sample of the pairwise slopes rather than of all of them.
+ * @param {number[]} historicalDemand - Daily demand values (invalid entries are ignored).
+ * @param {Object} [options] - { alpha (significance level, default 0.05), window (most recent days tested,
+ *   default 180) }.
+ * @returns {Object} { direction (TREND_DIRECTIONS), significant, s, z, pValue, tau (Kendall's tau), slope (units/day
+ *   per day), start, end (fitted levels at the first and last day), days } - NONE with p = 1 and zeros for fewer
+ *   than 3 valid values.
+ */
+const { normalCdf } = require('../statistics/normal');
+
+// Enum-like const for trend directions
+const TREND_DIRECTIONS = {
+  INCREASING: 'increasing',
+  DECREASING: 'decreasing',
+  NONE: 'none'
+};
+
+const DEFAULT_TREND_ALPHA = 0.05;
+// Most recent days tested: pairwise statistics cost O(n²), and an old trend says little about the current one
+const DEFAULT_TREND_WINDOW = 180;
+// Pairwise slopes kept for Sen's median (a 200-day window has 19,900 pairs)
+const MAX_SLOPE_PAIRS = 20000;
+
+const sign = value => (value > 0 ? 1 : (value < 0 ? -1 : 0));
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Significance level from the options (0 < alpha < 1), else the default
+function resolveAlpha(alpha) {
+  return typeof alpha === 'number' && alpha > 0 && alpha < 1 ? alpha : DEFAULT_TREND_ALPHA;
+}
+
+// Days tested from the options (an integer of at least 3, or Infinity), else the default
+function resolveWindow(window) {
+  return window === Infinity || (Number.isInteger(window) && window >= 3) ? window : DEFAULT_TREND_WINDOW;
+}
+
+function detectTrend(historicalDemand, options = {}) {
+  const alpha = resolveAlpha(options && options.alpha);
+  const window = resolveWindow(options && options.window);
+  const valid = Array.isArray(historicalDemand)
+    ? historicalDemand.filter(d => typeof d === 'number' && Number.isFinite(d) && d >= 0)
+    : [];
+  const values = valid.length > window ? valid.slice(valid.length - window) : valid;
+  const n = values.length;
+  if (n < 3) {
+    return { direction: TREND_DIRECTIONS.NONE, significant: false, s: 0, z: 0, pValue: 1, tau: 0, slope: 0, start: 0, end: 0, days: n };
+  }
+
+  // S over every pair; slopes from every stride-th pair (all of them up to MAX_SLOPE_PAIRS)
+  let s = 0;
+  const slopes = [];
+  const stride = Math.ceil((n * (n - 1)) / 2 / MAX_SLOPE_PAIRS);
+  let pair = 0;
+  for (let i = 0; i < n - 1; i++) {
+    for (let j = i + 1; j < n; j++) {
+      s += sign(values[j] - values[i]);
+      if (pair++ % stride === 0) slopes.push((values[j] - values[i]) / (j - i));
+    }
+  }
+
+  // Tie correction: each group of t equal values removes t(t-1)(2t+5) from the variance
+  const groups = values.reduce((acc, v) => acc.set(v, (acc.get(v) || 0) + 1), new Map());
+  const tieTerm = [...groups.values()].reduce((acc, t) => acc + t * (t - 1) * (2 * t + 5), 0);
+  const variance = (n * (n - 1) * (2 * n + 5) - tieTerm) / 18;
+  let z = 0;
+  if (variance > 0 && s !== 0) {
+    z = (s - sign(s)) / Math.sqrt(variance);
+  }
+  const pValue = Math.min(1, 2 * (1 - normalCdf(Math.abs(z))));
+  const significant = pValue < alpha && s !== 0;
+
+  const slope = median(slopes);
+  const intercept = median(values.map((v, i) => v - slope * i));
+  let direction = TREND_DIRECTIONS.NONE;
+  if (significant) direction = s > 0 ? TREND_DIRECTIONS.INCREASING : TREND_DIRECTIONS.DECREASING;
+
+  return {
+    direction,
+    significant,
+    s,
+    z: Number(z.toFixed(4)),
+    pValue: Number(pValue.toFixed(4)),
+    tau: Number((s / (n * (n - 1) / 2)).toFixed(4)),
+    slope: Number(slope.toFixed(4)),
+    // Fitted levels (never below zero demand)
+    start: Number(Math.max(0, intercept).toFixed(2)),
+    end: Number(Math.max(0, intercept + slope * (n - 1)).toFixed(2)),
+    days: n
+  };
+}
+
+module.exports = { detectTrend, resolveWindow, TREND_DIRECTIONS, DEFAULT_TREND_ALPHA, DEFAULT_TREND_WINDOW, MAX_SLOPE_PAIRS };
@@ -0,0 +1,78 @@
+/**
+ * Typed errors thrown in strict mode (options.strict) instead of substituting safe defaults.
+ * All extend InventoryInputError, so callers can catch every input problem at once or one kind by class/code:
+ *   try { calculateInventoryForecast(feed, stock, leadTime, 1.65, 100, 10, { strict: true }); }
+ *   catch (err) { if (err instanceof InvalidDemandError) ... else if (err.code === 'INVALID_LEAD_TIME') ... }
+ * Each error carries the offending field, value and (for list entries) index.
+ */
+
+// Enum-like const for error codes (err.code)
+const INPUT_ERROR_CODES = {
+  INVALID_INPUT: 'INVALID_INPUT',
+  INVALID_DEMAND: 'INVALID_DEMAND',
+  INVALID_STOCK: 'INVALID_STOCK',
+  INVALID_LEAD_TIME: 'INVALID_LEAD_TIME',
+  INVALID_COST: 'INVALID_COST',
+  INVALID_PARAMETER: 'INVALID_PARAMETER'
+};
+
+class InventoryInputError extends Error {
+  /**
+   * @param {string} message - Human-readable description (names the field and the problem).
+   * @param {Object} [details] - { field, value, index }.
+   * @param {string} [code] - INPUT_ERROR_CODES value (set by subclasses).
+   */
+  constructor(message, details = {}, code = INPUT_ERROR_CODES.INVALID_INPUT) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.field = details.field;
+    this.value = details.value;
+    if (details.index !== undefined) this.index = details.index;
+  }
+}
+
+// Demand history or demand rates (bad entries, no valid values, negative averages)
+class InvalidDemandError extends InventoryInputError {
+  constructor(message, details) {
+    super(message, details, INPUT_ERROR_CODES.INVALID_DEMAND);
+  }
+}
+
+// Stock levels and days of cover
+class InvalidStockError extends InventoryInputError {
+  constructor(message, details) {
+    super(message, details, INPUT_ERROR_CODES.INVALID_STOCK);
+  }
+}
+
+// Lead time in any accepted form (number, observed lead times, { mean, stdDev })
+class InvalidLeadTimeError extends InventoryInputError {
+  constructor(message, details) {
+    super(message, details, INPUT_ERROR_CODES.INVALID_LEAD_TIME);
+  }
+}
+
+// Order / holding costs and the annualization days
+class InvalidCostError extends InventoryInputError {
+  constructor(message, details) {
+    super(message, details, INPUT_ERROR_CODES.INVALID_COST);
+  }
+}
+
+// Other numeric settings (e.g., zScore)
+class InvalidParameterError extends InventoryInputError {
+  constructor(message, details) {
+    super(message, details, INPUT_ERROR_CODES.INVALID_PARAMETER);
+  }
+}
+
+module.exports = {
+  InventoryInputError,
+  InvalidDemandError,
+  InvalidStockError,
+  InvalidLeadTimeError,
+  InvalidCostError,
+  InvalidParameterError,
+  INPUT_ERROR_CODES
+};
@@ -0,0 +1,211 @@
+/**
+ * Input checks shared by the core utilities and calculateInventoryForecast, for the two validation modes:
+ *   - lenient (default): bad values are still dropped / replaced by safe defaults as before, and each substitution
+ *     is recorded in a diagnostics array: { type (DIAGNOSTIC_TYPES), field, index?, value, default?, message }
+ *   - strict (options.strict = true): the first problem throws a typed error (see errors.js) instead
+ * The checks only report: callers keep their existing defensive logic, so lenient results are unchanged.
+ * Utilities opt in through a trailing options argument { strict, diagnostics } (diagnostics = caller's array
+ * to append to); without it the validator is inactive and the checks cost nothing.
+ * Infinity passes the numeric checks (e.g., unlimited days of cover is a valid value).
+ */
+const { toDayKey } = require('../timeseries/dayKeys');
+const {
+  InvalidDemandError,
+  InvalidLeadTimeError
+} = require('./errors');
+
+// Enum-like const for diagnostic entry types
+const DIAGNOSTIC_TYPES = {
+  DROPPED_VALUE: 'dropped_value', // List entry ignored (non-number, negative, bad record)
+  NAN_VALUE: 'nan_value',         // NaN found (dropped from a list, or replaced by a default)
+  DEFAULT_USED: 'default_used'    // Invalid argument replaced by a safe default
+};
+
+// Compact value description for messages (NaN and undefined stay readable)
+function describe(value) {
+  if (typeof value === 'number' || value === undefined || typeof value === 'function') return String(value);
+  try {
+    const text = JSON.stringify(value);
+    return text.length > 40 ? `${text.slice(0, 37)}...` : text;
+  } catch (err) {
+    return String(value);
+  }
+}
+
+/**
+ * Creates the reporter for one call.
+ * @param {Object} [options] - { strict (throw typed errors), diagnostics (array to append entries to) }.
+ * @returns {Object} { strict, active, diagnostics, report(type, ErrorClass, entry) } - active is false when neither
+ *   strict mode nor a diagnostics array was requested (checks return immediately).
+ */
+function createValidator(options) {
+  const opts = options && typeof options === 'object' ? options : {};
+  const strict = opts.strict === true;
+  const diagnostics = Array.isArray(opts.diagnostics) ? opts.diagnostics : null;
+  return {
+    strict,
+    active: strict || diagnostics !== null,
+    diagnostics,
+    // entry: { field, index?, value, default?, message (the problem), outcome (what lenient mode does instead) }
+    report(type, ErrorClass, { outcome, ...entry }) {
+      if (strict) {
+        throw new ErrorClass(entry.message, entry);
+      }
+      if (diagnostics) diagnostics.push({ type, ...entry, message: `${entry.message}; ${outcome}` });
+    }
+  };
+}
+
+// Problem with one quantity, or null when valid
+function quantityProblem(value) {
+  if (typeof value !== 'number') return 'is not a number';
+  if (Number.isNaN(value)) return 'is NaN';
+  if (value < 0) return 'is negative';
+  return null;
+}
+
+/**
+ * Demand history: reports each dropped entry (non-number, NaN, negative; dated records with a bad date or
+ * quantity) and the default used when nothing valid is left.
+ * @param {*} history - historicalDemand argument.
+ * @param {Object} validator - From createValidator.
+ * @param {Object} [settings] - { field='historicalDemand', dated (entries are { date, quantity }), fallback=0, outcome }.
+ */
+function checkDemandHistory(history, validator, settings = {}) {
+  if (!validator.active) return;
+  const { field = 'historicalDemand', dated = false, fallback = 0 } = settings;
+  const outcome = settings.outcome || `using ${describe(fallback)}`;
+  if (!Array.isArray(history)) {
+    validator.report(DIAGNOSTIC_TYPES.DEFAULT_USED, InvalidDemandError, {
+      field, value: history, default: fallback, message: `${field} must be an array of demand values (got ${describe(history)})`, outcome
+    });
+    return;
+  }
+
+  let valid = 0;
+  history.forEach((entry, index) => {
+    let value = entry;
+    let problem;
+    if (dated) {
+      if (!entry || typeof entry !== 'object') {
+        problem = 'is not a { date, quantity } record';
+      } else if (toDayKey(entry.date) === null) {
+        problem = `has an invalid date (${describe(entry.date)})`;
+      } else {
+        value = entry.quantity;
+        problem = quantityProblem(value);
+        if (problem) problem = `quantity ${problem}`;
+      }
+    } else {
+      problem = quantityProblem(entry);
+    }
+    if (!problem) {
+      valid++;
+      return;
+    }
+    const type = typeof value === 'number' && Number.isNaN(value) ? DIAGNOSTIC_TYPES.NAN_VALUE : DIAGNOSTIC_TYPES.DROPPED_VALUE;
+    validator.report(type, InvalidDemandError, {
+      field, index, value: entry, message: `${field}[${index}] ${problem} (${describe(entry)})`, outcome: 'value dropped'
+    });
+  });
+
+  if (valid === 0) {
+    validator.report(DIAGNOSTIC_TYPES.DEFAULT_USED, InvalidDemandError, {
+      field,
+      value: history,
+      default: fallback,
+      message: `${field} ${history.length === 0 ? 'is empty' : 'has no valid values'}`, outcome
+    });
+  }
+}
+
+/**
+ * Numeric argument: must be a number (not NaN) at or above min and at or below max (strictly inside when exclusive).
+ * @param {*} value - Argument value.
+ * @param {Object} validator - From createValidator.
+ * @param {Object} settings - { field, ErrorClass, min / max (omit for no bound), exclusive, fallback, outcome }.
+ * @returns {boolean} True when valid (always true when the validator is inactive).
+ */
+function checkNumber(value, validator, settings) {
+  if (!validator.active) return true;
+  const { field, ErrorClass, min, max, exclusive = false, fallback } = settings;
+  const outcome = settings.outcome || `using ${describe(fallback)}`;
+  let problem = null;
+  if (typeof value !== 'number') {
+    problem = 'must be a number';
+  } else if (Number.isNaN(value)) {
+    problem = 'is NaN';
+  } else if (typeof min === 'number' && (exclusive ? value <= min : value < min)) {
+    problem = `must be ${exclusive ? '>' : '>='} ${min}`;
+  } else if (typeof max === 'number' && (exclusive ? value >= max : value > max)) {
+    problem = `must be ${exclusive ? '<' : '<='} ${max}`;
+  }
+  if (problem === null) return true;
+  const type = typeof value === 'number' && Number.isNaN(value) ? DIAGNOSTIC_TYPES.NAN_VALUE : DIAGNOSTIC_TYPES.DEFAULT_USED;
+  validator.report(type, ErrorClass, {
+    field, value, default: fallback, message: `${field} ${problem} (got ${describe(value)})`, outcome
+  });
+  return false;
+}
+
+/**
+ * Lead time in any accepted form (see normalizeLeadTime): number >= 0, observed lead times (invalid entries are
+ * dropped and reported), { history }, or { mean, stdDev }.
+ * @param {*} leadTime - leadTime argument.
+ * @param {Object} validator - From createValidator.
+ * @param {Object} [settings] - { field='leadTime', fallback, outcome }.
+ */
+function checkLeadTime(leadTime, validator, settings = {}) {
+  if (!validator.active) return;
+  const { field = 'leadTime', fallback } = settings;
+  const outcome = settings.outcome || `using ${describe(fallback)}`;
+  const numeric = { ErrorClass: InvalidLeadTimeError, min: 0, fallback, outcome };
+
+  if (typeof leadTime === 'number') {
+    checkNumber(leadTime, validator, { ...numeric, field });
+    return;
+  }
+  const history = Array.isArray(leadTime)
+    ? leadTime
+    : (leadTime && typeof leadTime === 'object' && Array.isArray(leadTime.history) ? leadTime.history : null);
+  if (history) {
+    let valid = 0;
+    history.forEach((entry, index) => {
+      const problem = quantityProblem(entry);
+      if (!problem) {
+        valid++;
+        return;
+      }
+      const type = typeof entry === 'number' && Number.isNaN(entry) ? DIAGNOSTIC_TYPES.NAN_VALUE : DIAGNOSTIC_TYPES.DROPPED_VALUE;
+      validator.report(type, InvalidLeadTimeError, {
+        field, index, value: entry, message: `${field}[${index}] ${problem} (${describe(entry)})`, outcome: 'value dropped'
+      });
+    });
+    if (valid === 0) {
+      validator.report(DIAGNOSTIC_TYPES.DEFAULT_USED, InvalidLeadTimeError, {
+        field, value: leadTime, default: fallback, message: `${field} has no valid observed lead times`, outcome
+      });
+    }
+    return;
+  }
+  if (leadTime && typeof leadTime === 'object') {
+    if (checkNumber(leadTime.mean, validator, { ...numeric, field: `${field}.mean` }) && leadTime.stdDev !== undefined) {
+      checkNumber(leadTime.stdDev, validator, { ...numeric, field: `${field}.stdDev` });
+    }
+    return;
+  }
+  validator.report(DIAGNOSTIC_TYPES.DEFAULT_USED, InvalidLeadTimeError, {
+    field,
+    value: leadTime,
+    default: fallback,
+    message: `${field} must be a number, observed lead times or { mean, stdDev } (got ${describe(leadTime)})`, outcome
+  });
+}
+
+module.exports = {
+  createValidator,
+  checkDemandHistory,
+  checkNumber,
+  checkLeadTime,
+  DIAGNOSTIC_TYPES
+};
@@ -0,0 +1,141 @@
+const {
+  calculateAccuracyMetrics,
+  backtestForecast,
+  selectForecastModel,
+  exponentialSmoothing,
+  FORECAST_METHODS,
+  calculateInventoryForecast
+} = require('../src/index');
+
+/**
+ * Tests for backtesting/ layer: accuracy metrics, rolling-origin backtests and 'auto' model selection.
+ */
+describe('Backtesting', () => {
+  const sampleHistoricalDemand = [10, 12, 15, 9, 11, 13, 10];
+  // Six weeks of weekday/weekend demand (seasonal models should win here)
+  const weeklyDemand = [];
+  for (let i = 0; i < 42; i++) {
+    weeklyDemand.push(i % 7 >= 5 ? 30 : 10 + (i % 3));
+  }
+
+  describe('calculateAccuracyMetrics', () => {
+    test('computes MAE, RMSE, MAPE, sMAPE, MASE and bias', () => {
+      // errors: -2, +1, 0 → MAE 1, RMSE sqrt(5/3), bias -1/3
+      // MAPE skips the zero actual: (2/10) / 2 days = 10%
+      // MASE scale from insample [1,2,3,4] naive MAE = 1
+      const metrics = calculateAccuracyMetrics([10, 0, 5], [8, 1, 5], [1, 2, 3, 4]);
+      expect(metrics).toEqual({ count: 3, mae: 1, rmse: 1.29, mape: 10, smape: 74.07, mase: 1, bias: -0.33 });
+    });
+
+    test('returns null for metrics that cannot be computed', () => {
+      // All-zero actuals: MAPE undefined; flat series: MASE undefined; sMAPE 0 when both are zero
+      const metrics = calculateAccuracyMetrics([0, 0], [0, 0]);
+      expect(metrics.mape).toBeNull();
+      expect(metrics.mase).toBeNull();
+      expect(metrics.smape).toBe(0);
+      expect(metrics.mae).toBe(0);
+    });
+
+    test('returns empty metrics for invalid or mismatched inputs (defensive)', () => {
+      const empty = { count: 0, mae: null, rmse: null, mape: null, smape: null, mase: null, bias: null };
+      expect(calculateAccuracyMetrics('bad', [1])).toEqual(empty);
+      expect(calculateAccuracyMetrics([1, 2], [1])).toEqual(empty);
+      expect(calculateAccuracyMetrics([NaN], [1])).toEqual(empty);
+    });
+  });
+
+  describe('backtestForecast', () => {
+    test('replays history with a rolling origin (default initial window = half the history)', () => {
+      const result = backtestForecast(sampleHistoricalDemand);
+      expect(result.method).toBe('sma');
+      expect(result.initialWindow).toBe(3);
+      expect(result.origins).toBe(4);  // Origins at days 3, 4, 5, 6
+      expect(result.metrics.count).toBe(4);
+    });
+
+    test('supports multi-day horizons, custom windows and steps', () => {
+      const result = backtestForecast(weeklyDemand, { method: FORECAST_METHODS.MOVING_AVERAGE, window: 7, horizon: 7, initialWindow: 14, step: 7 });
+      expect(result.horizon).toBe(7);
+      expect(result.origins).toBe(4);  // Origins at 14, 21, 28, 35
+      expect(result.metrics.count).toBe(28);
+    });
+
+    test('seasonal model beats the flat mean on seasonal data', () => {
+      const hw = backtestForecast(weeklyDemand, { method: FORECAST_METHODS.HOLT_WINTERS });
+      const sma = backtestForecast(weeklyDemand);
+      expect(hw.metrics.rmse).toBeLessThan(sma.metrics.rmse);
+      expect(hw.metrics.mase).toBeLessThan(1);  // Beats the naive forecast
+    });
+
+    test('long histories are backtested over at most 50 evenly spread origins', () => {
+      const long = Array.from({ length: 730 }, (_, i) => weeklyDemand[i % 42]);
+      expect(backtestForecast(long).origins).toBe(46);  // Step 8 over origins 365..729
+      expect(backtestForecast(long, { step: 1 }).origins).toBe(365);
+      expect(backtestForecast(long.slice(0, 100)).origins).toBe(50);  // Still every day
+    });
+
+    test('refitParams = false reuses the parameters fitted at the first origin', () => {
+      const once = backtestForecast(weeklyDemand, { method: FORECAST_METHODS.SES, refitParams: false });
+      const fixedAlpha = exponentialSmoothing(weeklyDemand.slice(0, 21)).params.alpha;
+      expect(once.metrics).toEqual(backtestForecast(weeklyDemand, { method: FORECAST_METHODS.SES, alpha: fixedAlpha }).metrics);
+      expect(backtestForecast(weeklyDemand, { method: FORECAST_METHODS.SES }).origins).toBe(once.origins);
+    });
+
+    test('returns zero origins for too-short or invalid history (defensive)', () => {
+      expect(backtestForecast([5, 6]).origins).toBe(0);
+      expect(backtestForecast('invalid', null).metrics.mae).toBeNull();
+      // Invalid horizon/step fall back to 1
+      expect(backtestForecast(sampleHistoricalDemand, { horizon: 0, step: -1 }).origins).toBe(4);
+    });
+  });
+
+  describe('selectForecastModel (auto mode)', () => {
+    test('picks the most accurate model and records why it won', () => {
+      const result = selectForecastModel(weeklyDemand);
+      expect(result.method).toBe(FORECAST_METHODS.HOLT_WINTERS);
+      expect(result.selection.metric).toBe('rmse');
+      expect(result.selection.winner).toBe('holt_winters');
+      expect(result.selection.runnerUp).not.toBeNull();
+      expect(result.selection.reason).toContain('holt_winters had the lowest RMSE');
+      expect(result.selection.scores).toHaveLength(Object.values(FORECAST_METHODS).length);
+    });
+
+    test('supports a custom metric and candidate list', () => {
+      const result = selectForecastModel(weeklyDemand, { candidates: ['sma', 'ses', 'not_a_model'], metric: 'bias' });
+      expect(result.selection.metric).toBe('bias');
+      expect(result.selection.scores.map(s => s.method)).toEqual(['sma', 'ses']);
+      expect(['sma', 'ses']).toContain(result.method);
+    });
+
+    test('invalid metric falls back to rmse; single candidate has no runner-up', () => {
+      const result = selectForecastModel(sampleHistoricalDemand, { candidates: ['ses'], metric: 'bogus' });
+      expect(result.selection.metric).toBe('rmse');
+      expect(result.selection.runnerUp).toBeNull();
+      expect(result.selection.reason).toMatch(/rolling origins\.$/);
+    });
+
+    test('stays fast on long histories (parameters fitted once per candidate)', () => {
+      const long = Array.from({ length: 1500 }, (_, i) => weeklyDemand[i % 42] + (i % 5));
+      const started = Date.now();
+      const result = selectForecastModel(long, { horizon: 7 });
+      expect(Date.now() - started).toBeLessThan(2000);
+      expect(result.selection.scores.every(s => s.origins <= 50)).toBe(true);
+    });
+
+    test('defaults to sma when nothing can be backtested', () => {
+      const result = selectForecastModel([5], null);
+      expect(result.method).toBe('sma');
+      expect(result.selection.reason).toContain('Insufficient history');
+      // Metric undefined for every candidate (e.g., MAPE of all-zero demand) → same fallback
+      expect(selectForecastModel([0, 0, 0, 0, 0, 0], { metric: 'mape', candidates: ['sma'] }).selection.winner).toBe('sma');
+    });
+  });
+
+  describe('calculateInventoryForecast with method "auto"', () => {
+    test('uses the selected model and exposes the selection record', () => {
+      const forecast = calculateInventoryForecast(weeklyDemand, 100, 3, 1.65, 100, 10, { method: 'auto' });
+      expect(forecast.forecastModel.method).toBe('holt_winters');
+      expect(forecast.forecastModel.selection.reason).toContain('lowest RMSE');
+    });
+  });
+});
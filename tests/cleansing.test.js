@@ -0,0 +1,140 @@
+const {
+  detectOutliers,
+  OUTLIER_METHODS,
+  cleanseDemand,
+  calculateInventoryForecast
+} = require('../src/index');
+
+/**
+ * Tests for cleansing/ layer: outlier detection/handling and stockout-censored demand correction.
+ */
+describe('Demand cleansing', () => {
+  // Sample data with a one-off bulk order of 80 on day 8
+  const bulkOrderDemand = [10, 12, 15, 9, 11, 13, 10, 80, 11, 12];
+
+  describe('detectOutliers', () => {
+    test('IQR (default) flags the bulk order with its bounds', () => {
+      // Q1 = 10.25, Q3 = 12.75 → bounds 6.5 / 16.5
+      expect(detectOutliers(bulkOrderDemand)).toEqual([{ index: 7, value: 80, lower: 6.5, upper: 16.5 }]);
+    });
+
+    test('Hampel uses a rolling median/MAD window', () => {
+      const result = detectOutliers(bulkOrderDemand, { method: OUTLIER_METHODS.HAMPEL });
+      expect(result.map(o => o.index)).toEqual([7]);
+      // Local bounds follow a level shift instead of flagging the new level
+      const shifted = [10, 11, 10, 12, 11, 30, 31, 30, 32, 31];
+      expect(detectOutliers(shifted, { method: 'hampel' })).toEqual([]);
+      expect(detectOutliers(shifted, { method: 'zscore', threshold: 1 }).length).toBeGreaterThan(0);
+      // Invalid window falls back to the default half-width of 3
+      expect(detectOutliers(bulkOrderDemand, { method: 'hampel', window: 0 })).toEqual(result);
+    });
+
+    test('a Hampel window without spread flags nothing', () => {
+      // MAD = 0 around the 30: no scale to call it unusual
+      expect(detectOutliers([10, 10, 10, 30, 10, 10, 10], { method: OUTLIER_METHODS.HAMPEL })).toEqual([]);
+    });
+
+    test('z-score uses mean ± threshold × std dev', () => {
+      expect(detectOutliers(bulkOrderDemand, { method: 'zscore' })).toEqual([]);  // 80 is < 3σ with n=10
+      expect(detectOutliers(bulkOrderDemand, { method: 'zscore', threshold: 2 }).map(o => o.index)).toEqual([7]);
+    });
+
+    test('lower bounds are floored at zero and unknown methods fall back to IQR', () => {
+      const result = detectOutliers([100, 100, 100, 100, 1, 100], { method: 'magic' });
+      expect(result).toEqual([{ index: 4, value: 1, lower: 100, upper: 100 }]);
+      expect(detectOutliers([10, 0, 10], { method: 'zscore', threshold: 0.5 })[0].lower).toBe(3.78);
+      expect(detectOutliers([0, 0, 0, 50], { method: 'zscore', threshold: 1 })).toEqual([{ index: 3, value: 50, lower: 0, upper: 37.5 }]);
+    });
+
+    test('returns no outliers for short or invalid input', () => {
+      expect(detectOutliers([1, 100])).toEqual([]);
+      expect(detectOutliers('invalid', null)).toEqual([]);
+    });
+  });
+
+  describe('cleanseDemand', () => {
+    test('caps outliers at the crossed bound (default)', () => {
+      const result = cleanseDemand(bulkOrderDemand);
+      expect(result.demand[7]).toBe(16.5);
+      expect(result.demand).toHaveLength(10);
+      expect(result.outliers).toEqual([{ index: 7, value: 80, replacement: 16.5 }]);
+    });
+
+    test('caps low outliers at the lower bound', () => {
+      expect(cleanseDemand([100, 100, 100, 100, 1, 100]).demand[4]).toBe(100);
+    });
+
+    test('removes outliers when strategy is "remove"', () => {
+      const result = cleanseDemand(bulkOrderDemand, { strategy: 'remove' });
+      expect(result.demand).toEqual([10, 12, 15, 9, 11, 13, 10, 11, 12]);
+      expect(result.outliers[0].replacement).toBeNull();
+    });
+
+    test('imputes stockout days from the uncensored mean instead of counting zero sales', () => {
+      // Days 2 and 4 had no stock (sold 0 / 2) → imputed with mean of 10, 12, 11 = 11
+      const result = cleanseDemand([10, 0, 12, 2, 11], { onHand: [5, 0, 3, -1, 4], method: 'none' });
+      expect(result.demand).toEqual([10, 11, 12, 11, 11]);
+      expect(result.censored).toEqual([
+        { index: 1, value: 0, imputed: 11 },
+        { index: 3, value: 2, imputed: 11 }
+      ]);
+      // Recorded sales above the baseline are kept (a lower bound on true demand)
+      expect(cleanseDemand([10, 20], { onHand: [5, 0] }).demand).toEqual([10, 20]);
+    });
+
+    test('stockout zeros are not flagged as outliers', () => {
+      const result = cleanseDemand([10, 10, 0, 10, 10, 10], { onHand: [5, 5, 0, 5, 5, 5] });
+      expect(result.outliers).toEqual([]);
+      expect(result.censored[0].imputed).toBe(10);
+    });
+
+    test('intermittent demand is judged on the non-zero sizes only', () => {
+      // On all days Q1 = Q3 = 0 and every sale would be capped; the sizes 5, 8, 3, 6 are ordinary
+      const intermittent = [0, 0, 5, 0, 0, 0, 8, 0, 0, 0, 0, 3, 0, 0, 6];
+      expect(cleanseDemand(intermittent)).toEqual({ demand: intermittent, outliers: [], censored: [] });
+      expect(cleanseDemand(intermittent, { method: 'hampel' }).outliers).toEqual([]);
+      // A size far above the others is still capped, at the sizes' bound
+      const bulk = [...intermittent.slice(0, 11), 60, ...intermittent.slice(12)];
+      expect(cleanseDemand(bulk).outliers).toEqual([{ index: 11, value: 60, replacement: 43.88 }]);
+    });
+
+    test('drops invalid entries, keeps original indices and handles edge cases', () => {
+      const result = cleanseDemand([10, 'x', 12, -1, 11, 90, 10], { strategy: 'bogus' });
+      expect(result.outliers[0].index).toBe(5);  // Position in the caller's array
+      expect(result.demand).toHaveLength(5);
+      expect(cleanseDemand('invalid')).toEqual({ demand: [], outliers: [], censored: [] });
+      // Everything censored → nothing to impute from
+      expect(cleanseDemand([0, 0], { onHand: [0, 0] }, null).demand).toEqual([0, 0]);
+      expect(cleanseDemand([1, 2, 3], null).demand).toEqual([1, 2, 3]);
+    });
+  });
+
+  describe('calculateInventoryForecast with cleansing', () => {
+    test('cleansed history feeds the mean and safety stock', () => {
+      const raw = calculateInventoryForecast(bulkOrderDemand, 50, 5);
+      const cleansed = calculateInventoryForecast(bulkOrderDemand, 50, 5, 1.65, 100, 10, { cleansing: true });
+      expect(cleansed.avgDailyDemand).toBeLessThan(raw.avgDailyDemand);
+      expect(cleansed.demandStdDev).toBeLessThan(raw.demandStdDev);
+      expect(cleansed.cleansing.outliers).toHaveLength(1);
+      expect(raw.cleansing).toBeUndefined();
+    });
+
+    test('onHand alone corrects censored demand without outlier handling', () => {
+      const forecast = calculateInventoryForecast([10, 0, 12, 0, 11, 80], 50, 5, 1.65, 100, 10, { onHand: [5, 0, 3, 0, 4, 9] });
+      expect(forecast.cleansing.outliers).toEqual([]);
+      expect(forecast.cleansing.censored.map(c => c.index)).toEqual([1, 3]);
+    });
+
+    test('dated on-hand records are matched to dated history by day', () => {
+      const history = [
+        { date: '2024-03-01', quantity: 10 },
+        { date: '2024-03-02', quantity: 0 },
+        { date: '2024-03-03', quantity: 10 }
+      ];
+      const onHand = [{ date: '2024-03-02', quantity: 0 }, { date: '2024-03-01', quantity: 4 }];
+      const forecast = calculateInventoryForecast(history, 50, 5, 1.65, 100, 10, { onHand, cleansing: { method: 'zscore' } });
+      expect(forecast.cleansing.censored).toEqual([{ index: 1, value: 0, imputed: 10 }]);
+      expect(forecast.avgDailyDemand).toBe(10);
+    });
+  });
+});
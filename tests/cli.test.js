@@ -0,0 +1,230 @@
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+const { spawnSync } = require('child_process');
+const { calculateInventoryForecast, RISK_LEVELS } = require('../src/index');
+const { parseCliArgs, OUTPUT_FORMATS } = require('../src/cli/parseCliArgs');
+const { parseSkuFile, parseCsv } = require('../src/cli/parseSkuFile');
+const { formatResults } = require('../src/cli/formatResults');
+const { runCli, EXIT_CODES, USAGE } = require('../src/cli/runCli');
+
+/**
+ * Tests for cli/ layer: argument parsing, CSV/JSON input, output formats and exit codes of inventory-forecast.
+ * The runner gets in-memory files and captured streams; one test spawns the real executable.
+ */
+describe('inventory-forecast CLI', () => {
+  // A-100 is the inventory.test.js sample (4.38 days of cover for a 5-day lead time → high risk)
+  const csv = [
+    'sku,history,stock,lead_time,order_cost,holding_cost',
+    'A-100,10;12;15;9;11;13;10,50,5,100,10',
+    'B-200,"4,5,4,6",200,7;9;12,80,4',
+    'C-300,5 6 5 7 6,20,3,,'
+  ].join('\n');
+  const json = JSON.stringify([
+    { sku: 'A-100', history: [10, 12, 15, 9, 11, 13, 10], stock: 50, leadTime: 5, options: { riskModel: 'probabilistic' } },
+    { sku: 'B-200', history: [4, 5, 4, 6], currentStock: 200, leadTime: [7, 9, 12], serviceLevel: 0.98 }
+  ]);
+
+  // Runs the CLI against in-memory files, capturing output
+  const run = (argv, files = { 'skus.csv': csv, 'skus.json': json }) => {
+    const out = { stdout: '', stderr: '' };
+    const code = runCli(argv, {
+      readFile: file => {
+        if (!(file in files)) throw new Error('ENOENT: no such file');
+        return files[file];
+      },
+      readStdin: () => files.stdin,
+      stdout: text => { out.stdout += text; },
+      stderr: text => { out.stderr += text; }
+    });
+    return { code, ...out };
+  };
+
+  describe('parseCliArgs', () => {
+    test('reads flags, aliases, inline values and overrides', () => {
+      const args = parseCliArgs(['skus.csv', '-f', 'json', '--risk=High,critical', '--z-score', '2.33',
+        '--service-level', '0.98', '--order-cost=50', '--method', 'holt', '--reorder-only']);
+      expect(args).toMatchObject({
+        file: 'skus.csv',
+        format: OUTPUT_FORMATS.JSON,
+        risk: ['high', 'critical'],
+        reorderOnly: true,
+        failOn: RISK_LEVELS.HIGH,
+        overrides: { zScore: 2.33, orderCost: 50, options: { serviceLevel: 0.98, method: 'holt' } },
+        errors: []
+      });
+    });
+
+    test('reports usage errors', () => {
+      const args = parseCliArgs(['a.csv', 'b.csv', '--nope', '--format', 'xml', '--service-level', '98',
+        '--risk', 'severe', '--fail-on', 'panic', '--method', 'holtwinters', '--holding-cost']);
+      expect(args.errors).toEqual([
+        'Unexpected argument: b.csv',
+        'Unknown option: --nope',
+        'Invalid value for --service-level: 98',
+        'Missing value for --holding-cost',
+        'Invalid value for --format: xml (expected table, json, csv)',
+        expect.stringContaining('Invalid value for --method: holtwinters (expected sma, moving_average,'),
+        expect.stringContaining('Invalid value for --risk: severe'),
+        expect.stringContaining('Invalid value for --fail-on: panic')
+      ]);
+      expect(parseCliArgs([]).errors).toEqual(['Missing input file']);
+      expect(parseCliArgs(['--help']).errors).toEqual([]);
+      expect(parseCliArgs(null).errors).toEqual(['Missing input file']);
+    });
+  });
+
+  describe('parseSkuFile', () => {
+    test('CSV rows become forecast inputs (lists, observed lead times, empty cells unset)', () => {
+      const { skus, warnings, error } = parseSkuFile(csv, 'csv');
+      expect(error).toBeNull();
+      expect(warnings).toEqual([]);
+      expect(skus[0]).toEqual({
+        sku: 'A-100', historicalDemand: [10, 12, 15, 9, 11, 13, 10], currentStock: 50, leadTime: 5, orderCost: 100, holdingCost: 10, options: {}
+      });
+      expect(skus[1]).toMatchObject({ historicalDemand: [4, 5, 4, 6], leadTime: [7, 9, 12] });
+      expect(skus[2]).not.toHaveProperty('orderCost');
+    });
+
+    test('CSV parser handles quotes, CRLF and a byte order mark', () => {
+      expect(parseCsv('\uFEFFa,b\r\n"x, ""y""",2\r\n\r\n')).toEqual([['a', 'b'], ['x, "y"', '2']]);
+    });
+
+    test('JSON arrays or { skus } with options passed through; missing history warns', () => {
+      const { skus } = parseSkuFile(json, 'json');
+      expect(skus[0].options).toEqual({ riskModel: 'probabilistic' });
+      expect(skus[1]).toMatchObject({ currentStock: 200, options: { serviceLevel: 0.98 } });
+      const wrapped = parseSkuFile(JSON.stringify({ skus: [{ id: 'X', stock: 5 }, null] }), 'json');
+      expect(wrapped.skus).toHaveLength(1);
+      expect(wrapped.warnings).toEqual(['X: no demand history (forecast uses safe defaults)']);
+      expect(parseSkuFile('[{"stock": 1}]', 'json').skus[0].sku).toBe('SKU-1');
+    });
+
+    test('reports unreadable input', () => {
+      expect(parseSkuFile('{oops', 'json').error).toContain('Invalid JSON');
+      expect(parseSkuFile('{"rows": []}', 'json').error).toContain('array of SKUs');
+      expect(parseSkuFile('  \n', 'csv').error).toBe('CSV input is empty');
+    });
+  });
+
+  describe('formatResults', () => {
+    const results = [{ sku: 'A-100', currentStock: 50, forecast: calculateInventoryForecast([10, 12, 15, 9, 11, 13, 10], 50, 5) }];
+
+    test('table aligns columns and counts SKUs', () => {
+      const lines = formatResults(results, 'table').split('\n');
+      expect(lines[0]).toMatch(/^SKU\s+Stock\s+Avg\/day\s+Days left\s+Risk/);
+      expect(lines[2]).toMatch(/^A-100\s+50\s+11\.43\s+4\.38\s+high/);
+      expect(lines[4]).toBe('1 SKU');
+    });
+
+    test('CSV and JSON outputs', () => {
+      expect(formatResults(results, 'csv').split('\n')[1]).toBe('A-100,50,11.43,4.38,high,0.9386,7.64,64.78,239.05,Reorder immediately');
+      const parsed = JSON.parse(formatResults(results, 'json'));
+      expect(parsed[0]).toMatchObject({ sku: 'A-100', reorderPoint: 64.78, insights: expect.any(Object) });
+      expect(formatResults(null, 'csv')).toBe('sku,currentStock,avgDailyDemand,daysRemaining,riskLevel,stockoutProbability,safetyStock,reorderPoint,eoq,recommendation\n');
+    });
+  });
+
+  describe('runCli', () => {
+    test('forecasts every SKU and exits 2 when any is at high risk or worse', () => {
+      const { code, stdout, stderr } = run(['skus.csv']);
+      expect(code).toBe(EXIT_CODES.AT_RISK);
+      expect(stdout).toContain('A-100');
+      expect(stdout).toContain('3 SKUs');
+      expect(stderr).toBe('1 SKU at or above high risk: A-100\n');
+    });
+
+    test('--fail-on sets the alert threshold; none always exits 0', () => {
+      expect(run(['skus.csv', '--fail-on', 'critical']).code).toBe(EXIT_CODES.OK);
+      expect(run(['skus.csv', '--fail-on', 'medium']).stderr).toContain('2 SKUs at or above medium risk');
+      expect(run(['skus.csv', '--fail-on', 'none', '--z-score', '2']).code).toBe(EXIT_CODES.OK);
+    });
+
+    test('--risk and --reorder-only filter the output, not the exit code', () => {
+      const { code, stdout } = run(['skus.csv', '--risk', 'low', '-f', 'csv']);
+      expect(code).toBe(EXIT_CODES.AT_RISK);
+      expect(stdout.trim().split('\n').map(l => l.split(',')[0])).toEqual(['sku', 'B-200']);
+      const reorders = run(['skus.csv', '--reorder-only', '-f', 'json']);
+      expect(JSON.parse(reorders.stdout).map(r => r.sku)).toEqual(['A-100']);  // C-300 (20 units) is above its reorder point
+    });
+
+    test('flags override the file values', () => {
+      const base = JSON.parse(run(['skus.json', '-f', 'json']).stdout);
+      const overridden = JSON.parse(run(['skus.json', '-f', 'json', '--z-score', '2.33', '--order-cost', '400']).stdout);
+      expect(base[1].serviceLevel.target).toBe(0.98);
+      expect(overridden[1].serviceLevel).toMatchObject({ target: null, zScore: 2.33 });  // Per-SKU target replaced
+      expect(overridden[0].eoq).toBeCloseTo(base[0].eoq * 2, 1);  // sqrt(4x order cost)
+      const probabilistic = JSON.parse(run(['skus.json', '-f', 'json', '--risk-model', 'days']).stdout);
+      expect(base[0].stockoutRisk.model).toBe('probabilistic');
+      expect(probabilistic[0].stockoutRisk.model).toBe('days');
+    });
+
+    test('--profiles supplies per-SKU defaults under the file and the flags', () => {
+      const profiles = JSON.stringify({ profiles: { 'A-class': { serviceLevel: 0.99, orderCost: 400 } } });
+      const withProfiles = [
+        'sku,history,stock,lead_time,order_cost,profile',
+        'A-100,10;12;15;9;11;13;10,50,5,100,',
+        'C-300,5 6 5 7 6,20,3,,A-class'
+      ].join('\n');
+      const files = { 'skus.csv': withProfiles, 'p.json': profiles };
+      const [a, c] = JSON.parse(run(['skus.csv', '--profiles', 'p.json', '-f', 'json'], files).stdout);
+      expect(a.profile).toBeUndefined();
+      expect(c.profile).toBe('A-class');
+      expect(c.serviceLevel.target).toBe(0.99);
+      const all = JSON.parse(run(['skus.csv', '--profiles', 'p.json', '--profile', 'A-class', '-f', 'json', '-z', '2'], files).stdout);
+      expect(all[0]).toMatchObject({ profile: 'A-class', serviceLevel: { target: null, zScore: 2 } });  // Flag over profile
+      expect(all[0].eoq).toBe(a.eoq);  // File order cost (100) over the profile's 400
+      const unknown = run(['skus.csv', '--profiles', 'p.json', '--profile', 'B-class', '--fail-on', 'none'], files);
+      expect(unknown.stderr).toContain('Warning: A-100: unknown profile "B-class" (no profile applied)');
+      expect(run(['skus.csv', '--profiles', 'p.json'], { ...files, 'p.json': '{' }).code).toBe(EXIT_CODES.ERROR);
+    });
+
+    test('reads JSON by extension or content, and stdin', () => {
+      expect(JSON.parse(run(['skus.json', '-f', 'json']).stdout)).toHaveLength(2);
+      expect(run(['-', '-f', 'json'], { stdin: json }).stdout).toContain('"sku": "B-200"');
+      expect(run(['data.txt', '--input-format', 'csv', '-f', 'csv'], { 'data.txt': csv }).stdout).toContain('C-300');
+    });
+
+    test('usage and input errors exit 1', () => {
+      expect(run(['--help'])).toEqual({ code: EXIT_CODES.OK, stdout: USAGE, stderr: '' });
+      const usage = run(['--format', 'xml']);
+      expect(usage.code).toBe(EXIT_CODES.ERROR);
+      expect(usage.stderr).toContain('Run inventory-forecast --help');
+      expect(run(['skus.csv', '--method', 'holtwinters'])).toMatchObject({
+        code: EXIT_CODES.ERROR, stdout: '', stderr: expect.stringContaining('Invalid value for --method: holtwinters')
+      });
+      expect(run(['missing.csv'])).toMatchObject({ code: EXIT_CODES.ERROR, stderr: expect.stringContaining('cannot read missing.csv') });
+      expect(run(['bad.json'], { 'bad.json': '[' })).toMatchObject({ code: EXIT_CODES.ERROR, stderr: expect.stringContaining('Invalid JSON') });
+      const warned = run(['skus.csv', '--fail-on', 'none'], { 'skus.csv': 'sku,stock\nX,5' });
+      expect(warned).toMatchObject({ code: EXIT_CODES.OK, stderr: 'Warning: X: no demand history (forecast uses safe defaults)\n' });
+    });
+
+    test('strict mode errors name the SKU and field and exit 1', () => {
+      const strict = JSON.stringify([
+        { sku: 'A-100', history: [10, -1, 12], stock: 50, leadTime: 5, options: { strict: true } },
+        { sku: 'B-200', history: [4, 5, 4, 6], stock: 200, leadTime: 7 }
+      ]);
+      expect(run(['skus.json'], { 'skus.json': strict })).toEqual({
+        code: EXIT_CODES.ERROR, stdout: '', stderr: 'Error: A-100: historicalDemand: historicalDemand[1] is negative (-1)\n'
+      });
+      // A strict profile applies to every SKU that selects it
+      const files = { 'skus.csv': 'sku,history,stock,lead_time\nX,5;x;6,20,-3', 'p.json': JSON.stringify({ profiles: { checked: { strict: true } } }) };
+      const profiled = run(['skus.csv', '--profiles', 'p.json', '--profile', 'checked'], files);
+      expect(profiled.code).toBe(EXIT_CODES.ERROR);
+      expect(profiled.stderr).toMatch(/^Error: X: /);
+    });
+
+    test('bin/inventory-forecast.js runs as a process', () => {
+      const file = path.join(os.tmpdir(), `inventory-forecast-${process.pid}.csv`);
+      fs.writeFileSync(file, csv);
+      try {
+        const bin = path.join(__dirname, '..', 'bin', 'inventory-forecast.js');
+        const result = spawnSync(process.execPath, [bin, file, '-f', 'csv'], { encoding: 'utf8', timeout: 20000 });
+        expect(result.status).toBe(EXIT_CODES.AT_RISK);
+        expect(result.stdout.split('\n')).toHaveLength(5);  // Header + 3 SKUs + trailing newline
+      } finally {
+        fs.unlinkSync(file);
+      }
+    });
+  });
+});
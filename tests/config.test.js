@@ -0,0 +1,160 @@
+const {
+  calculateInventoryForecast,
+  loadProfiles,
+  resolveForecastConfig,
+  mergeSettings,
+  InvalidParameterError,
+  InvalidCostError,
+  DIAGNOSTIC_TYPES
+} = require('../src/index');
+
+/**
+ * Tests for config/: options-object signature, settings layering and named configuration profiles.
+ */
+describe('Forecast configuration', () => {
+  // Same sample data as inventory.test.js
+  const sampleHistoricalDemand = [10, 12, 15, 9, 11, 13, 10];
+  const profilesJson = JSON.stringify({
+    profiles: {
+      default: { serviceLevel: 0.95, orderCost: 100, holdingCost: 10 },
+      perishables: { extends: 'default', holdingCost: 25, method: 'ses', calendar: { weekendDays: [0] } },
+      'A-class': { extends: 'default', serviceLevel: 0.99, daysPerYear: 365 },
+      'spare parts': { zScore: 1.28, policy: 'periodic', reviewPeriod: 14 }
+    }
+  });
+
+  describe('options-object signature', () => {
+    test('same result as the positional call', () => {
+      const options = { method: 'holt', riskModel: 'probabilistic' };
+      expect(calculateInventoryForecast({
+        historicalDemand: sampleHistoricalDemand, currentStock: 50, leadTime: 5, zScore: 2, orderCost: 50, holdingCost: 5, ...options
+      })).toEqual(calculateInventoryForecast(sampleHistoricalDemand, 50, 5, 2, 50, 5, options));
+      // Unset arguments take the usual defaults (zScore 1.65, costs 100 / 10)
+      expect(calculateInventoryForecast({ historicalDemand: sampleHistoricalDemand, currentStock: 50, leadTime: 5 }))
+        .toEqual(calculateInventoryForecast(sampleHistoricalDemand, 50, 5));
+    });
+
+    test('daysPerYear is passed through to the EOQ', () => {
+      // sqrt(2 * 11.43 * 365 * 100 / 10) vs. the 250-day default (239.05)
+      expect(calculateInventoryForecast({ historicalDemand: sampleHistoricalDemand, currentStock: 50, leadTime: 5, daysPerYear: 365 }).eoq).toBe(288.84);
+      expect(calculateInventoryForecast(sampleHistoricalDemand, 50, 5, 1.65, 100, 10, { daysPerYear: 365 }).eoq).toBe(288.84);
+      // An explicit basis wins over the calendar's business days
+      const calendar = { weekendDays: [0, 6] };
+      const withCalendar = calculateInventoryForecast(sampleHistoricalDemand, 50, 5, 1.65, 100, 10, { calendar, asOf: '2024-01-01', daysPerYear: 365 });
+      expect(withCalendar.eoq).toBe(288.84);
+      expect(withCalendar.calendar.businessDaysPerYear).toBe(261);  // Still reported
+    });
+
+    test('invalid daysPerYear keeps the default and is reported', () => {
+      const forecast = calculateInventoryForecast(sampleHistoricalDemand, 50, 5, 1.65, 100, 10, { daysPerYear: 0 });
+      expect(forecast.eoq).toBe(239.05);
+      expect(forecast.diagnostics).toEqual([expect.objectContaining({ type: DIAGNOSTIC_TYPES.DEFAULT_USED, field: 'daysPerYear' })]);
+      expect(() => calculateInventoryForecast(sampleHistoricalDemand, 50, 5, 1.65, 100, 10, { daysPerYear: -1, strict: true }))
+        .toThrow(InvalidCostError);
+    });
+  });
+
+  describe('mergeSettings', () => {
+    test('override wins; nested objects merge, arrays are replaced', () => {
+      const base = { orderCost: 100, calendar: { weekendDays: [0, 6], holidays: ['2024-12-25'] }, method: 'ses' };
+      expect(mergeSettings(base, { orderCost: 50, calendar: { holidays: [] }, method: undefined })).toEqual({
+        orderCost: 50, calendar: { weekendDays: [0, 6], holidays: [] }, method: 'ses'
+      });
+      expect(base.orderCost).toBe(100);  // Not modified
+      expect(mergeSettings(null, { a: 1 })).toEqual({ a: 1 });
+    });
+
+    test('one service target: the override replaces all of the base ones', () => {
+      expect(mergeSettings({ serviceLevel: 0.99, holdingCost: 5 }, { zScore: 2 })).toEqual({ zScore: 2, holdingCost: 5 });
+      expect(mergeSettings({ zScore: 2, fillRate: 0.9 }, { serviceLevel: 0.98 })).toEqual({ serviceLevel: 0.98 });
+      expect(mergeSettings({ zScore: 2 }, { holdingCost: 5 })).toEqual({ zScore: 2, holdingCost: 5 });
+    });
+  });
+
+  describe('loadProfiles', () => {
+    test('parses JSON and resolves extends', () => {
+      const { profiles, warnings, error } = loadProfiles(profilesJson);
+      expect(error).toBeNull();
+      expect(warnings).toEqual([]);
+      expect(profiles.perishables).toEqual({
+        serviceLevel: 0.95, orderCost: 100, holdingCost: 25, method: 'ses', calendar: { weekendDays: [0] }
+      });
+      expect(profiles['A-class']).toMatchObject({ serviceLevel: 0.99, holdingCost: 10, daysPerYear: 365 });
+      // A bare map works too
+      expect(loadProfiles({ fast: { method: 'holt' } }).profiles).toEqual({ fast: { method: 'holt' } });
+    });
+
+    test('skips broken profiles with a warning', () => {
+      const { profiles, warnings } = loadProfiles({
+        loop: { extends: 'loop' }, a: { extends: 'b' }, b: { extends: 'a' }, orphan: { extends: 'missing' }, bad: 3, ok: { zScore: 2 }
+      });
+      expect(Object.keys(profiles)).toEqual(['ok']);
+      expect(warnings).toEqual([
+        'Profile "loop" extends itself through loop → loop (skipped)',
+        'Profile "b" extends itself through a → b → a (skipped)',
+        'Profile "a" extends skipped profile "b" (skipped)',
+        'Profile "orphan" extends unknown profile "missing" (skipped)',
+        'Profile "bad" is not an object (skipped)'
+      ]);
+    });
+
+    test('reports unreadable documents', () => {
+      expect(loadProfiles('{').error).toContain('Invalid JSON');
+      expect(loadProfiles('[]')).toEqual({ profiles: {}, warnings: [], error: expect.stringContaining('object of named profiles') });
+    });
+  });
+
+  describe('profiles in calculateInventoryForecast', () => {
+    const { profiles } = loadProfiles(profilesJson);
+    const sku = { historicalDemand: sampleHistoricalDemand, currentStock: 50, leadTime: 5, profiles };
+
+    test('profile defaults apply and the profile is reported', () => {
+      const forecast = calculateInventoryForecast({ ...sku, profile: 'A-class' });
+      expect(forecast.profile).toBe('A-class');
+      expect(forecast.serviceLevel).toMatchObject({ type: 'cycle', target: 0.99 });
+      expect(forecast.eoq).toBe(288.84);  // daysPerYear 365 from the profile
+      const spare = calculateInventoryForecast({ ...sku, profile: 'spare parts' });
+      expect(spare.periodicReview.reviewPeriod).toBe(14);
+      expect(spare.serviceLevel.zScore).toBe(1.28);
+      expect(calculateInventoryForecast(sku)).not.toHaveProperty('profile');
+    });
+
+    test('per-SKU settings merge on top (positional form too)', () => {
+      const forecast = calculateInventoryForecast({ ...sku, profile: 'perishables', holdingCost: 10, zScore: 2 });
+      expect(forecast.forecastModel.method).toBe('ses');  // From the profile
+      expect(forecast.eoq).toBe(calculateInventoryForecast(sampleHistoricalDemand, 50, 5, 2, 100, 10, { method: 'ses', calendar: { weekendDays: [0] } }).eoq);
+      expect(forecast.serviceLevel).toMatchObject({ target: null, zScore: 2 });  // SKU zScore replaces the profile's service level
+      const positional = calculateInventoryForecast(sampleHistoricalDemand, 50, 5, undefined, undefined, 40, { profile: 'A-class', profiles });
+      expect(positional.serviceLevel.target).toBe(0.99);
+      expect(positional.eoq).toBe(calculateInventoryForecast(sampleHistoricalDemand, 50, 5, 1.65, 100, 40, { daysPerYear: 365 }).eoq);
+    });
+
+    test('inline profiles, optionally extending a named one', () => {
+      expect(calculateInventoryForecast({ ...sku, profile: { extends: 'A-class', serviceLevel: 0.9 } }))
+        .toMatchObject({ profile: 'A-class', eoq: 288.84, serviceLevel: { target: 0.9 } });
+      expect(calculateInventoryForecast({ ...sku, profile: { method: 'holt' } }).forecastModel.method).toBe('holt');
+    });
+
+    test('unknown profiles apply nothing and are reported', () => {
+      const forecast = calculateInventoryForecast({ ...sku, profile: 'B-class' });
+      expect(forecast.eoq).toBe(239.05);
+      expect(forecast.diagnostics).toEqual([
+        { type: DIAGNOSTIC_TYPES.DEFAULT_USED, field: 'profile', value: 'B-class', default: null, message: 'profile "B-class" is not defined; no profile applied' }
+      ]);
+      expect(() => calculateInventoryForecast({ ...sku, profile: 'B-class', strict: true })).toThrow(InvalidParameterError);
+    });
+
+    test('resolveForecastConfig splits arguments from options', () => {
+      expect(resolveForecastConfig({ ...sku, profile: 'spare parts', leadTime: [4, 6] })).toEqual({
+        historicalDemand: sampleHistoricalDemand,
+        currentStock: 50,
+        leadTime: [4, 6],
+        zScore: 1.28,
+        options: { policy: 'periodic', reviewPeriod: 14 },
+        profile: 'spare parts'
+      });
+      // Raw (unloaded) libraries still resolve extends
+      expect(resolveForecastConfig({ profile: 'perishables', profiles: JSON.parse(profilesJson).profiles }).holdingCost).toBe(25);
+    });
+  });
+});
@@ -0,0 +1,150 @@
+const {
+  calculateInventoryCost,
+  calculateNewsvendor,
+  calculateInventoryForecast,
+  calculateEOQ,
+  STOCKOUT_PENALTY_TYPES,
+  NEWSVENDOR_DISTRIBUTIONS,
+  InvalidCostError,
+  InvalidDemandError
+} = require('../src/index');
+const { normalInverse, normalLoss, normalCdf } = require('../src/statistics/normal');
+
+/**
+ * Tests for costs/: annual inventory cost with stockout penalties, the cost-optimal buffer and the newsvendor model.
+ */
+describe('Inventory costs', () => {
+  // Same sample data as inventory.test.js
+  const sampleHistoricalDemand = [10, 12, 15, 9, 11, 13, 10];
+  // Sample policy: D = 11.43 * 250, Q = EOQ, safety stock 7.64 = 1.65 * σ_LT
+  const { annualDemand, eoq } = calculateEOQ(sampleHistoricalDemand, 100, 10);
+  const sigma = 7.64 / 1.65;
+
+  describe('calculateInventoryCost', () => {
+    test('ordering and holding balance at the EOQ; no penalty, no shortage cost', () => {
+      const cost = calculateInventoryCost(annualDemand);
+      expect(cost).toMatchObject({ orderQuantity: eoq, ordersPerYear: 11.95, zScore: null, optimal: null });
+      expect(cost.annualCost.ordering).toBeCloseTo(cost.annualCost.holding, 0);
+      expect(cost.annualCost).toMatchObject({ safetyStock: 0, shortage: 0 });
+      expect(cost.penalty).toEqual({ type: STOCKOUT_PENALTY_TYPES.PER_UNIT, amount: 0 });
+    });
+
+    test('per-unit penalty: expected units short per cycle are σ_LT * G(z)', () => {
+      const cost = calculateInventoryCost(annualDemand, { orderQuantity: eoq, safetyStock: 7.64, leadTimeDemandStdDev: sigma, stockoutPenalty: 5 });
+      const ordersPerYear = annualDemand / eoq;
+      expect(cost.zScore).toBeCloseTo(1.65, 3);
+      expect(cost.expectedShortagePerCycle).toBe(Number((sigma * normalLoss(1.65)).toFixed(2)));
+      expect(cost.annualCost.shortage).toBeCloseTo(ordersPerYear * sigma * normalLoss(1.65) * 5, 1);
+      expect(cost.annualCost.safetyStock).toBe(76.4);
+      expect(cost.annualCost.total).toBeCloseTo(2472.56, 1);
+      // Optimum: 1 - Φ(z*) = Q * H / (D * penalty); the cheap penalty favours a smaller buffer than 1.65
+      const zStar = normalInverse(1 - (eoq * 10) / (annualDemand * 5));
+      expect(cost.optimal.zScore).toBeCloseTo(zStar, 3);
+      expect(cost.optimal.annualCost.total).toBeLessThan(cost.annualCost.total);
+      expect(cost.optimal.cycleServiceLevel).toBe(Number(normalCdf(cost.optimal.zScore).toFixed(4)));
+    });
+
+    test('per-occurrence penalty counts stockouts, not units', () => {
+      const cost = calculateInventoryCost(annualDemand, {
+        orderQuantity: eoq, safetyStock: 7.64, leadTimeDemandStdDev: sigma, stockoutPenalty: 200, penaltyType: STOCKOUT_PENALTY_TYPES.PER_OCCURRENCE
+      });
+      const stockoutsPerYear = (annualDemand / eoq) * (1 - normalCdf(7.64 / sigma));
+      expect(cost.stockoutsPerYear).toBe(Number(stockoutsPerYear.toFixed(2)));
+      expect(cost.annualCost.shortage).toBeCloseTo(stockoutsPerYear * 200, 1);
+      // φ(z*) = Q * H * σ_LT / (D * penalty)
+      const ratio = (annualDemand * 200) / (Math.sqrt(2 * Math.PI) * eoq * 10 * sigma);
+      expect(cost.optimal.zScore).toBeCloseTo(Math.sqrt(2 * Math.log(ratio)), 3);
+      expect(cost.optimal.annualCost.total).toBeLessThan(cost.annualCost.total);
+      // A penalty too small to justify any buffer
+      const cheap = calculateInventoryCost(annualDemand, { leadTimeDemandStdDev: sigma, stockoutPenalty: 1, penaltyType: 'per_occurrence' });
+      expect(cheap.optimal).toMatchObject({ zScore: 0, safetyStock: 0, cycleServiceLevel: 0.5 });
+    });
+
+    test('holding rate on unit cost, invalid input and strict mode', () => {
+      expect(calculateInventoryCost(1000, { orderQuantity: 100, holdingRate: 0.25, unitCost: 8 }).annualCost.holding).toBe(100);
+      expect(calculateInventoryCost(0).annualCost.total).toBe(0);
+      expect(calculateInventoryCost(1000, { orderCost: 'x' })).toMatchObject({ orderQuantity: 0, optimal: null });
+      const diagnostics = [];
+      expect(calculateInventoryCost(1000, { stockoutPenalty: -5, leadTimeDemandStdDev: 10, diagnostics }).penalty.amount).toBe(0);
+      expect(diagnostics.map(d => d.field)).toEqual(['stockoutPenalty']);
+      expect(() => calculateInventoryCost(1000, { holdingCost: 0, strict: true })).toThrow(InvalidCostError);
+      expect(() => calculateInventoryCost(-1, { strict: true })).toThrow(InvalidDemandError);
+    });
+  });
+
+  describe('calculateNewsvendor', () => {
+    const prices = { unitPrice: 10, unitCost: 4, salvageValue: 1 };
+
+    test('normal demand: the critical-ratio quantile, rounded up', () => {
+      // Cu = 10 - 4 = 6, Co = 4 - 1 = 3 → CR = 2/3, Q* = 100 + 20 * 0.4307 → 109
+      const result = calculateNewsvendor({ mean: 100, stdDev: 20 }, prices);
+      expect(result).toMatchObject({
+        distribution: NEWSVENDOR_DISTRIBUTIONS.NORMAL, criticalRatio: 0.6667, underageCost: 6, overageCost: 3, quantity: 109
+      });
+      const shortage = 20 * normalLoss(9 / 20);
+      expect(result.expectedShortage).toBe(Number(shortage.toFixed(2)));
+      expect(result).toMatchObject({ expectedSales: 95.73, expectedLeftover: 13.27, inStockProbability: 0.6736, fillRate: 0.9573 });
+      // Profit = 10 * sales + 1 * leftover - 4 * 109
+      expect(result.expectedProfit).toBeCloseTo(10 * (100 - shortage) + (109 - 100 + shortage) - 436, 1);
+    });
+
+    test('a shortage penalty or direct costs move the ratio', () => {
+      expect(calculateNewsvendor({ mean: 100, stdDev: 20 }, { ...prices, shortagePenalty: 3 }).criticalRatio).toBe(0.75);
+      const direct = calculateNewsvendor({ mean: 100, stdDev: 20 }, { underageCost: 1, overageCost: 3 });
+      expect(direct).toMatchObject({ criticalRatio: 0.25, quantity: 87, expectedProfit: null });
+      // Leftovers that sell at cost: stock far into the tail; no margin: stock nothing
+      expect(calculateNewsvendor({ mean: 100, stdDev: 20 }, { unitPrice: 10, unitCost: 4, salvageValue: 5 }).quantity).toBe(196);
+      expect(calculateNewsvendor({ mean: 100, stdDev: 20 }, { unitPrice: 4, unitCost: 4 }).quantity).toBe(0);
+      expect(calculateNewsvendor({ mean: 40 }, prices)).toMatchObject({ quantity: 40, expectedShortage: 0, inStockProbability: 1 });
+    });
+
+    test('empirical mode uses the observed seasons', () => {
+      const seasons = [80, 95, 100, 110, 120, 90, 105, 130, 85, 100];
+      expect(calculateNewsvendor(seasons, { ...prices, distribution: NEWSVENDOR_DISTRIBUTIONS.EMPIRICAL })).toMatchObject({
+        distribution: 'empirical', quantity: 105, expectedShortage: 4.5, expectedLeftover: 8, inStockProbability: 0.7, expectedProfit: 558
+      });
+      // The normal model fits the observations' mean and std dev instead
+      expect(calculateNewsvendor(seasons, prices)).toMatchObject({ distribution: 'normal', mean: 101.5, stdDev: 15.47 });
+    });
+
+    test('missing prices and invalid demand', () => {
+      const diagnostics = [];
+      expect(calculateNewsvendor({ mean: 100, stdDev: 20 }, { unitPrice: 10, diagnostics })).toMatchObject({ quantity: 0, criticalRatio: null });
+      expect(diagnostics.map(d => d.field)).toEqual(['unitCost']);
+      expect(calculateNewsvendor(null, prices).quantity).toBe(0);
+      expect(() => calculateNewsvendor({ mean: -1 }, { ...prices, strict: true })).toThrow(InvalidDemandError);
+      expect(() => calculateNewsvendor({ mean: 100 }, { unitCost: 4, strict: true })).toThrow(InvalidCostError);
+    });
+  });
+
+  describe('calculateInventoryForecast', () => {
+    test('options.costs prices the forecast policy', () => {
+      const forecast = calculateInventoryForecast(sampleHistoricalDemand, 50, 5, 1.65, 100, 10, { costs: { stockoutPenalty: 5 } });
+      expect(forecast.inventoryCost).toMatchObject({ orderQuantity: forecast.eoq, zScore: 1.6501, annualCost: { safetyStock: 76.4, total: 2472.56 } });
+      expect(forecast.inventoryCost.optimal.safetyStock).toBeLessThan(forecast.safetyStock);
+      expect(calculateInventoryForecast(sampleHistoricalDemand, 50, 5)).not.toHaveProperty('inventoryCost');
+      // Periodic review: one order per review period over R + L
+      const periodic = calculateInventoryForecast(sampleHistoricalDemand, 50, 5, 1.65, 100, 10, { costs: true, policy: 'periodic', reviewPeriod: 7 });
+      expect(periodic.inventoryCost.ordersPerYear).toBe(Number((250 / 7).toFixed(2)));
+    });
+
+    test('options.newsvendor sizes a one-shot order over the selling period', () => {
+      const forecast = calculateInventoryForecast(sampleHistoricalDemand, 50, 5, 1.65, 100, 10, {
+        newsvendor: { period: 30, unitPrice: 25, unitCost: 10, salvageValue: 4 }
+      });
+      // 30 days at 11.43/day, σ = 2.07 * sqrt(30); CR = 15 / 21
+      expect(forecast.newsvendor).toMatchObject({ period: 30, criticalRatio: 0.7143, mean: 342.86, quantity: 350, netQuantity: 300 });
+      expect(calculateInventoryForecast(sampleHistoricalDemand, 50, 5, 1.65, 100, 10, { newsvendor: { underageCost: 1, overageCost: 1 } }).newsvendor)
+        .toMatchObject({ period: 5, criticalRatio: 0.5, quantity: 58, netQuantity: 8 });
+    });
+
+    test('option problems are reported under the option name', () => {
+      const forecast = calculateInventoryForecast(sampleHistoricalDemand, 50, 5, 1.65, 100, 10, {
+        costs: { stockoutPenalty: -1 }, newsvendor: { unitPrice: 25 }
+      });
+      expect(forecast.diagnostics.map(d => d.field)).toEqual(['costs.stockoutPenalty', 'newsvendor.unitCost']);
+      expect(() => calculateInventoryForecast(sampleHistoricalDemand, 50, 5, 1.65, 100, 10, { strict: true, newsvendor: { unitPrice: 25 } }))
+        .toThrow(expect.objectContaining({ name: 'InvalidCostError', field: 'newsvendor.unitCost' }));
+    });
+  });
+});
@@ -0,0 +1,228 @@
+const {
+  calculateAverageDemand,
+  forecastDemand,
+  FORECAST_METHODS,      // Enum of forecasting methods (no magic strings)
+  movingAverage,
+  weightedMovingAverage,
+  exponentialSmoothing,
+  holt,
+  holtWinters,
+  calculateReorderPoint,
+  calculateEOQ,
+  calculateInventoryForecast,
+  InvalidParameterError
+} = require('../src/index');
+
+/**
+ * Tests for pluggable forecasting models (forecasting/ folder).
+ * Every model returns the same shape: { method, forecast, forecasts, fitted, params }.
+ */
+describe('Forecasting models', () => {
+  // Same sample data as inventory.test.js for consistency
+  const sampleHistoricalDemand = [10, 12, 15, 9, 11, 13, 10];
+  const trendDemand = [10, 12, 14, 16, 18, 20, 22, 24, 26, 28];
+  // Weekday/weekend pattern: 10 on weekdays, 30 on weekends (4 weeks)
+  const weeklyDemand = [];
+  for (let i = 0; i < 28; i++) {
+    weeklyDemand.push(i % 7 >= 5 ? 30 : 10);
+  }
+
+  describe('movingAverage', () => {
+    test('averages only the trailing window', () => {
+      const result = movingAverage(sampleHistoricalDemand, { window: 3 });
+      expect(result.method).toBe('moving_average');
+      expect(result.forecast).toBeCloseTo((11 + 13 + 10) / 3, 5);
+      expect(result.params).toEqual({ window: 3 });
+      expect(result.fitted).toHaveLength(sampleHistoricalDemand.length);
+    });
+
+    test('clamps window to history length and repeats the forecast over the horizon', () => {
+      const result = movingAverage([4, 6], { window: 10, horizon: 3 });
+      expect(result.params.window).toBe(2);
+      expect(result.forecasts).toEqual([5, 5, 5]);
+    });
+
+    test('returns zero forecast for invalid inputs (defensive)', () => {
+      expect(movingAverage('invalid').forecast).toBe(0);
+      expect(movingAverage([1, 2], { window: 0 }).forecast).toBe(0);
+      expect(movingAverage([], { horizon: 2 }).forecasts).toEqual([0, 0]);
+    });
+  });
+
+  describe('weightedMovingAverage', () => {
+    test('uses linear weights by default (recent days weigh more)', () => {
+      // weights 1,2,3 over [11, 13, 10] → (11 + 26 + 30) / 6
+      const result = weightedMovingAverage(sampleHistoricalDemand, { window: 3 });
+      expect(result.forecast).toBeCloseTo(67 / 6, 5);
+      expect(result.params.weights).toEqual([0.1667, 0.3333, 0.5]);
+    });
+
+    test('accepts explicit weights (normalized internally)', () => {
+      const result = weightedMovingAverage([10, 20], { weights: [1, 3] });
+      expect(result.forecast).toBe(17.5);
+      expect(result.params).toEqual({ window: 2, weights: [0.25, 0.75] });
+    });
+
+    test('uses the newest weights when history is shorter than the weight list', () => {
+      const result = weightedMovingAverage([8], { weights: [5, 0, 1] });
+      expect(result.forecast).toBe(8);
+      expect(result.params.weights).toEqual([1]);
+    });
+
+    test('falls back to plain mean when the applied weights are all zero', () => {
+      const result = weightedMovingAverage([2, 4, 6], { weights: [1, 0, 0] });
+      expect(result.fitted[1]).toBe(2);  // Only zero weights applied → plain mean of [2]
+      expect(result.forecast).toBe(2);
+    });
+
+    test('returns zero forecast for invalid data or weights (defensive)', () => {
+      expect(weightedMovingAverage(null).forecast).toBe(0);
+      expect(weightedMovingAverage([1, 2], { weights: [-1, 2] }).forecast).toBe(0);
+      expect(weightedMovingAverage([1, 2], { weights: [0, 0] }).forecast).toBe(0);
+      expect(weightedMovingAverage([1, 2], { window: -1 }).forecast).toBe(0);
+    });
+  });
+
+  describe('exponentialSmoothing (SES)', () => {
+    test('uses a fixed alpha when given', () => {
+      // level: 10 → 0.5*20 + 0.5*10 = 15
+      const result = exponentialSmoothing([10, 20], { alpha: 0.5 });
+      expect(result.method).toBe('ses');
+      expect(result.forecast).toBe(15);
+      expect(result.params).toEqual({ alpha: 0.5, level: 15, optimized: false });
+    });
+
+    test('fits alpha by grid search when omitted and exposes it', () => {
+      const result = exponentialSmoothing(sampleHistoricalDemand, { horizon: 2 });
+      expect(result.params.optimized).toBe(true);
+      expect(result.params.alpha).toBeGreaterThan(0);
+      expect(result.params.alpha).toBeLessThan(1);
+      expect(result.forecasts).toHaveLength(2);
+      expect(result.forecasts[0]).toBe(result.forecasts[1]);  // Flat forecast
+    });
+
+    test('returns zero forecast for invalid inputs (defensive)', () => {
+      expect(exponentialSmoothing([]).forecast).toBe(0);
+      expect(exponentialSmoothing('bad').params).toEqual({});
+    });
+  });
+
+  describe('holt (double exponential smoothing)', () => {
+    test('extrapolates a linear trend over the horizon', () => {
+      const result = holt(trendDemand, { horizon: 3 });
+      expect(result.method).toBe('holt');
+      expect(result.forecasts[0]).toBeCloseTo(30, 5);
+      expect(result.forecasts[2]).toBeCloseTo(34, 5);
+      expect(result.params.trend).toBeCloseTo(2, 4);
+    });
+
+    test('floors negative forecasts at zero (demand cannot be negative)', () => {
+      const result = holt([20, 15, 10, 5, 0], { alpha: 0.9, beta: 0.9, horizon: 3 });
+      expect(result.params.optimized).toBe(false);
+      expect(result.forecasts.every(f => f >= 0)).toBe(true);
+      expect(result.forecasts[2]).toBe(0);
+    });
+
+    test('handles a single point and invalid data', () => {
+      expect(holt([7], { horizon: 2 }).forecasts).toEqual([7, 7]);
+      expect(holt([]).forecast).toBe(0);
+    });
+  });
+
+  describe('holtWinters (triple exponential smoothing)', () => {
+    test('captures weekly seasonality (additive)', () => {
+      const result = holtWinters(weeklyDemand, { horizon: 7 });
+      expect(result.method).toBe('holt_winters');
+      expect(result.params.seasonLength).toBe(7);
+      expect(result.params.seasonality).toBe('additive');
+      expect(result.params.seasonals).toHaveLength(7);
+      // Next week: weekdays ~10, weekend ~30 (history starts on index 0, so days 5-6 are weekend)
+      expect(result.forecasts[0]).toBeCloseTo(10, 0);
+      expect(result.forecasts[5]).toBeCloseTo(30, 0);
+      expect(result.forecasts[6]).toBeCloseTo(30, 0);
+    });
+
+    test('supports multiplicative seasonality with fixed parameters', () => {
+      const result = holtWinters(weeklyDemand, { seasonality: 'multiplicative', alpha: 0.2, beta: 0.1, gamma: 0.3, horizon: 7 });
+      expect(result.params.seasonality).toBe('multiplicative');
+      expect(result.params.optimized).toBe(false);
+      expect(result.forecasts[5]).toBeGreaterThan(result.forecasts[0] * 2);
+    });
+
+    test('multiplicative mode tolerates all-zero seasons', () => {
+      const result = holtWinters(new Array(14).fill(0), { seasonality: 'multiplicative' });
+      expect(result.forecast).toBe(0);
+    });
+
+    test('unknown seasonality falls back to additive', () => {
+      expect(holtWinters(weeklyDemand, { seasonality: 'bogus' }).params.seasonality).toBe('additive');
+    });
+
+    test('falls back to Holt when history is shorter than two seasons', () => {
+      const result = holtWinters(sampleHistoricalDemand);
+      expect(result.method).toBe('holt_winters');
+      expect(result.params.fallback).toBe('holt');
+    });
+
+    test('returns zero forecast for invalid inputs (defensive)', () => {
+      expect(holtWinters([]).forecast).toBe(0);
+      expect(holtWinters(weeklyDemand, { seasonLength: 1 }).forecast).toBe(0);
+    });
+  });
+
+  describe('forecastDemand dispatcher', () => {
+    test('defaults to SMA (same value as calculateAverageDemand)', () => {
+      const result = forecastDemand(sampleHistoricalDemand);
+      expect(result.method).toBe(FORECAST_METHODS.SMA);
+      expect(result.forecast).toBe(calculateAverageDemand(sampleHistoricalDemand));
+      expect(result.fitted[2]).toBe(11);  // Expanding mean of [10, 12]
+    });
+
+    test('dispatches every method in FORECAST_METHODS', () => {
+      Object.values(FORECAST_METHODS).forEach(method => {
+        expect(forecastDemand(sampleHistoricalDemand, { method }).method).toBe(method);
+      });
+    });
+
+    test('unknown method falls back to SMA and records the request', () => {
+      const result = forecastDemand(sampleHistoricalDemand, { method: 'magic' });
+      expect(result.method).toBe(FORECAST_METHODS.SMA);
+      expect(result.params.requestedMethod).toBe('magic');
+      const diagnostics = [];
+      forecastDemand(sampleHistoricalDemand, { method: 'magic', diagnostics });
+      expect(diagnostics).toEqual([expect.objectContaining({ type: 'default_used', field: 'method', value: 'magic', default: 'sma' })]);
+      expect(diagnostics[0].message).toMatch(/^method must be one of sma, .*, tsb \(got "magic"\); using sma$/);
+      expect(() => forecastDemand(sampleHistoricalDemand, { method: 'magic', strict: true })).toThrow(InvalidParameterError);
+    });
+
+    test('handles invalid data and options defensively', () => {
+      expect(forecastDemand('invalid', null)).toEqual({ method: 'sma', forecast: 0, forecasts: [0], fitted: [], params: {} });
+    });
+  });
+
+  describe('integration with downstream calculations', () => {
+    test('calculateReorderPoint and calculateEOQ accept a forecast rate', () => {
+      // Rate 20/day instead of mean 11.43; safety stock unchanged (historical std dev)
+      const reorder = calculateReorderPoint(sampleHistoricalDemand, 5, 1.65, 20);
+      expect(reorder.avgDailyDemand).toBe(20);
+      expect(reorder.reorderPoint).toBeCloseTo(100 + 7.64, 2);
+      expect(calculateEOQ(sampleHistoricalDemand, 100, 10, 250, 20).annualDemand).toBe(5000);
+    });
+
+    test('calculateInventoryForecast uses the selected method and exposes its params', () => {
+      const forecast = calculateInventoryForecast(trendDemand, 50, 2, 1.65, 100, 10, { method: FORECAST_METHODS.HOLT });
+      // Mean of the next 2 days on a +2/day trend: (30 + 32) / 2 = 31
+      expect(forecast.avgDailyDemand).toBe(31);
+      expect(forecast.daysRemaining).toBe(1.61);
+      expect(forecast.forecastModel.method).toBe('holt');
+      expect(forecast.forecastModel.params.trend).toBeCloseTo(2, 4);
+      expect(forecast.reorderPoint).toBeCloseTo(62 + forecast.safetyStock, 2);
+    });
+
+    test('default method keeps the original forecast unchanged', () => {
+      const forecast = calculateInventoryForecast(sampleHistoricalDemand, 50, 5);
+      expect(forecast.avgDailyDemand).toBe(11.43);
+      expect(forecast.forecastModel).toEqual({ method: 'sma', params: { window: 7 } });
+    });
+  });
+});
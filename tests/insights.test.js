@@ -0,0 +1,136 @@
+const {
+  calculateInventoryForecast,
+  generateInsights,
+  INSIGHT_CODES,
+  DEFAULT_VARIABILITY_THRESHOLDS,
+  LOCALES
+} = require('../src/index');
+
+/**
+ * Tests for insights/ localization: coefficient-of-variation cut-offs, locale packs, template overrides and the
+ * machine-readable signals (code + params) next to each text.
+ */
+describe('Insights localization and signals', () => {
+  // Same sample data as inventory.test.js (CV = 2.07 / 11.43 = 0.18 → moderate)
+  const sampleHistoricalDemand = [10, 12, 15, 9, 11, 13, 10];
+  const sampleForecast = calculateInventoryForecast(sampleHistoricalDemand, 50, 5);
+
+  describe('variability by coefficient of variation', () => {
+    test('the same CV gives the same tier at any volume', () => {
+      const small = generateInsights({ ...sampleForecast, avgDailyDemand: 5, demandStdDev: 1 });
+      const large = generateInsights({ ...sampleForecast, avgDailyDemand: 5000, demandStdDev: 1000 });
+      expect(small.signals.variabilitySignal).toMatchObject({ code: INSIGHT_CODES.VARIABILITY_MODERATE, params: { cv: 0.2 } });
+      expect(large.variabilitySignal).toBe(small.variabilitySignal);
+      // An absolute std dev of 4 used to be "high" regardless of volume; at 5,000 units/day it is negligible
+      expect(generateInsights({ ...sampleForecast, avgDailyDemand: 5000, demandStdDev: 4 }).signals.variabilitySignal.code)
+        .toBe(INSIGHT_CODES.VARIABILITY_LOW);
+    });
+
+    test('high variability makes the demand signal erratic', () => {
+      const insights = generateInsights({ ...sampleForecast, demandStdDev: 6 });
+      expect(insights.variabilitySignal).toBe('High variability - monitor closely for stockouts.');
+      expect(insights.demandSignal).toBe('Demand erratic around 11.43 units per day.');
+      expect(insights.signals.demandSignal).toEqual({
+        code: INSIGHT_CODES.DEMAND_ERRATIC, params: { avgDailyDemand: 11.43, cv: 0.5249 }, text: insights.demandSignal
+      });
+    });
+
+    test('configurable cut-offs', () => {
+      expect(DEFAULT_VARIABILITY_THRESHOLDS).toEqual({ moderate: 0.1, high: 0.3 });
+      expect(generateInsights(sampleForecast, { variabilityThresholds: { moderate: 0.25 } }).signals.variabilitySignal.code)
+        .toBe(INSIGHT_CODES.VARIABILITY_LOW);
+      expect(generateInsights(sampleForecast, { variabilityThresholds: { high: 0.15, moderate: 'x' } }).signals.variabilitySignal)
+        .toMatchObject({ code: INSIGHT_CODES.VARIABILITY_HIGH, params: { thresholds: { moderate: 0.1, high: 0.15 } } });
+    });
+
+    test('the forecast rounds the demand in its own insights', () => {
+      expect(sampleForecast.insights.demandSignal).toBe('Demand stable around 11.43 units per day.');
+    });
+  });
+
+  test('the module still exports generateInsights itself, with the constants attached', () => {
+    const insightsModule = require('../src/insights/generateInsights');
+    expect(insightsModule(sampleForecast)).toEqual(generateInsights(sampleForecast));
+    expect(insightsModule.generateInsights).toBe(insightsModule);
+    expect(insightsModule.INSIGHT_CODES).toBe(INSIGHT_CODES);
+    expect(insightsModule.DEFAULT_VARIABILITY_THRESHOLDS).toBe(DEFAULT_VARIABILITY_THRESHOLDS);
+  });
+
+  describe('locales', () => {
+    test('English by default; Spanish pack with decimal commas', () => {
+      const spanish = generateInsights(sampleForecast, { locale: 'es' });
+      expect(spanish.summary).toBe('Alto riesgo de rotura de stock: actúe ya para evitar faltantes.');
+      expect(spanish.demandSignal).toBe('Demanda estable en torno a 11,43 unidades diarias.');
+      expect(spanish.reorderSignal).toBe('Punto de pedido en 64,78 unidades.');
+      expect(spanish.recommendation).toBe('Reponga de inmediato y revise a los proveedores.');
+      // Same codes and params in every language
+      expect(spanish.signals.reorderSignal).toEqual({ ...sampleForecast.insights.signals.reorderSignal, text: spanish.reorderSignal });
+    });
+
+    test('regional tags use their language; unknown locales fall back to English', () => {
+      expect(generateInsights(null, { locale: 'es-MX' }).summary).toBe('Datos insuficientes para generar indicaciones.');
+      expect(generateInsights(null, { locale: 'fr' }).summary).toBe('Insufficient data for insights.');
+    });
+
+    test('every pack covers every code', () => {
+      Object.keys(LOCALES).forEach(locale => {
+        Object.values(INSIGHT_CODES).forEach(code => {
+          expect([locale, code, typeof LOCALES[locale].templates[code]]).toEqual([locale, code, expect.stringMatching(/string|function/)]);
+        });
+      });
+    });
+
+    test('plurals in the data quality signal', () => {
+      const one = generateInsights({ ...sampleForecast, diagnostics: [{ field: 'zScore' }] }, { locale: 'es' });
+      expect(one.dataQualitySignal).toContain('1 problema en los datos de entrada (zScore)');
+      expect(one.signals.dataQualitySignal.params).toEqual({ count: 1, fields: 'zScore' });
+      const two = generateInsights({ ...sampleForecast, diagnostics: [{ field: 'zScore' }, { field: 'leadTime' }] });
+      expect(two.dataQualitySignal).toContain('2 input issues (zScore, leadTime)');
+    });
+  });
+
+  describe('templates', () => {
+    test('per-code overrides on top of the locale pack', () => {
+      const insights = generateInsights(sampleForecast, {
+        locale: 'es',
+        templates: {
+          [INSIGHT_CODES.REORDER_TRIGGER]: 'Pedir al llegar a {reorderPoint} uds. ({missing})',
+          [INSIGHT_CODES.COST_EOQ]: p => `EOQ=${p.eoq}`
+        }
+      });
+      expect(insights.reorderSignal).toBe('Pedir al llegar a 64,78 uds. ({missing})');
+      expect(insights.costSignal).toBe('EOQ=239,05');
+      expect(insights.demandSignal).toContain('Demanda estable');  // Pack text for the rest
+    });
+
+    test('custom packs fall back to English for missing keys', () => {
+      const pack = { decimalSeparator: ',', templates: { [INSIGHT_CODES.SUMMARY_HIGH_RISK]: 'Hohes Fehlmengenrisiko.' } };
+      const insights = generateInsights(sampleForecast, { locale: pack });
+      expect(insights.summary).toBe('Hohes Fehlmengenrisiko.');
+      expect(insights.reorderSignal).toBe('Reorder triggered at 64,78 units.');
+    });
+
+    test('forecast options.insights localizes the forecast', () => {
+      const forecast = calculateInventoryForecast(sampleHistoricalDemand, 50, 5, 1.65, 100, 10, { insights: { locale: 'es' } });
+      expect(forecast.insights).toEqual(generateInsights(sampleForecast, { locale: 'es' }));
+      expect(forecast.recommendation).toBe('Reorder immediately');  // Top-level fields stay as they are
+    });
+  });
+
+  describe('signals', () => {
+    test('each text field has a code and params', () => {
+      const { signals, ...texts } = sampleForecast.insights;
+      const fields = Object.keys(texts).filter(field => field !== 'status');
+      expect(Object.keys(signals)).toEqual(fields);
+      fields.forEach(field => expect(signals[field].text).toBe(texts[field]));
+      expect(signals.bufferSignal).toMatchObject({ code: INSIGHT_CODES.BUFFER_DAYS, params: { bufferDays: 0.7 } });
+      expect(signals.summary.code).toBe(INSIGHT_CODES.SUMMARY_HIGH_RISK);
+    });
+
+    test('unknown results carry codes too', () => {
+      const { signals } = generateInsights(undefined);
+      expect(signals.summary.code).toBe(INSIGHT_CODES.SUMMARY_UNKNOWN);
+      expect(signals.recommendation).toEqual({ code: INSIGHT_CODES.RECOMMENDATION_GATHER_DATA, params: {}, text: 'Gather more data.' });
+    });
+  });
+});
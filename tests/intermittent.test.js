@@ -0,0 +1,167 @@
+const {
+  croston,
+  tsb,
+  forecastDemand,
+  FORECAST_METHODS,
+  classifyDemandPattern,
+  DEMAND_PATTERNS,
+  calculateIntermittentSafetyStock,
+  calculateInventoryForecast
+} = require('../src/index');
+const { normalCdf } = require('../src/statistics/normal');
+const { logGamma, poissonQuantile, negativeBinomialQuantile } = require('../src/statistics/discreteDistributions');
+
+/**
+ * Tests for intermittent / lumpy demand support (intermittent/ folder, Croston-family models, statistics/).
+ */
+describe('Intermittent demand', () => {
+  const sampleHistoricalDemand = [10, 12, 15, 9, 11, 13, 10];
+  // Spare part: demand on 7 of 28 days, similar sizes → intermittent
+  const sparePartDemand = [0, 0, 3, 0, 0, 0, 2, 0, 0, 5, 0, 0, 0, 0, 1, 0, 0, 4, 0, 0, 0, 2, 0, 0, 0, 0, 6, 0];
+  // Rare, very different sizes → lumpy
+  const lumpyDemand = [0, 0, 1, 0, 0, 0, 40, 0, 0, 0, 2, 0, 0, 0, 0, 25, 0, 0];
+
+  describe('statistics helpers', () => {
+    test('normalCdf matches standard table values', () => {
+      expect(normalCdf(0)).toBeCloseTo(0.5, 6);
+      expect(normalCdf(1.65)).toBeCloseTo(0.9505, 4);
+      expect(normalCdf(-1.96)).toBeCloseTo(0.025, 4);
+      expect(normalCdf(Infinity)).toBe(1);
+      expect(normalCdf(-Infinity)).toBe(0);
+    });
+
+    test('logGamma matches log factorials (and small arguments via reflection)', () => {
+      expect(logGamma(5)).toBeCloseTo(Math.log(24), 10);
+      expect(logGamma(0.5)).toBeCloseTo(Math.log(Math.sqrt(Math.PI)), 10);
+      expect(logGamma(0.3)).toBeCloseTo(1.0957979948, 8);
+    });
+
+    test('poissonQuantile returns the smallest k reaching the probability', () => {
+      // Poisson(2): P(X<=4)=0.947, P(X<=5)=0.983
+      expect(poissonQuantile(2, 0.95)).toBe(5);
+      expect(poissonQuantile(1000, 0.95)).toBeGreaterThanOrEqual(1050);  // Stable for large means
+      expect(poissonQuantile(0, 0.95)).toBe(0);
+      expect(poissonQuantile(2, 1)).toBe(0);
+    });
+
+    test('negativeBinomialQuantile exceeds Poisson when over-dispersed', () => {
+      expect(negativeBinomialQuantile(2, 6, 0.95)).toBeGreaterThan(poissonQuantile(2, 0.95));
+      expect(negativeBinomialQuantile(2, 1, 0.95)).toBe(poissonQuantile(2, 0.95));  // Not over-dispersed
+      expect(negativeBinomialQuantile(2, 6, 0)).toBe(0);
+    });
+  });
+
+  describe('classifyDemandPattern', () => {
+    test('classifies smooth, erratic, intermittent and lumpy demand', () => {
+      expect(classifyDemandPattern(sampleHistoricalDemand).pattern).toBe(DEMAND_PATTERNS.SMOOTH);
+      expect(classifyDemandPattern([1, 20, 2, 30, 1, 25]).pattern).toBe(DEMAND_PATTERNS.ERRATIC);
+      expect(classifyDemandPattern(sparePartDemand)).toEqual({ pattern: 'intermittent', adi: 4, cv2: 0.26, nonZeroDays: 7 });
+      expect(classifyDemandPattern(lumpyDemand).pattern).toBe(DEMAND_PATTERNS.LUMPY);
+    });
+
+    test('returns null pattern when there is no demand (defensive)', () => {
+      expect(classifyDemandPattern([0, 0, 0])).toEqual({ pattern: null, adi: 0, cv2: 0, nonZeroDays: 0 });
+      expect(classifyDemandPattern('invalid').pattern).toBeNull();
+    });
+  });
+
+  describe('croston / sba / tsb', () => {
+    test('Croston forecasts size / interval; SBA applies the (1 - alpha/2) correction', () => {
+      // Demand of 4 every 2nd day → size 4, interval 2 → 2 per day
+      const history = [0, 4, 0, 4, 0, 4, 0, 4];
+      const c = croston(history);
+      expect(c.method).toBe('croston');
+      expect(c.forecast).toBeCloseTo(2, 5);
+      expect(c.params).toEqual({ alpha: 0.1, size: 4, interval: 2 });
+      expect(croston(history, { variant: 'sba' }).forecast).toBeCloseTo(2 * 0.95, 5);
+    });
+
+    test('TSB forecast decays after demand stops (obsolescence)', () => {
+      const active = tsb([0, 4, 0, 4, 0, 4]);
+      const stopped = tsb([0, 4, 0, 4, 0, 4, 0, 0, 0, 0, 0, 0]);
+      expect(stopped.forecast).toBeLessThan(active.forecast);
+      // Croston ignores zero days, so it does not decay
+      expect(croston([0, 4, 0, 4, 0, 4, 0, 0, 0, 0, 0, 0]).forecast).toBeCloseTo(croston([0, 4, 0, 4, 0, 4]).forecast, 5);
+    });
+
+    test('custom smoothing factors are used; invalid ones fall back to 0.1', () => {
+      expect(tsb(sparePartDemand, { alpha: 0.3, beta: 0.2 }).params.beta).toBe(0.2);
+      expect(croston(sparePartDemand, { alpha: 5 }).params.alpha).toBe(0.1);
+      expect(tsb(sparePartDemand, { alpha: -1, beta: 'x' }).params).toMatchObject({ alpha: 0.1, beta: 0.1 });
+    });
+
+    test('return zero forecasts when there is no demand (defensive)', () => {
+      expect(croston([0, 0], { horizon: 2 }).forecasts).toEqual([0, 0]);
+      expect(tsb('invalid').forecast).toBe(0);
+      expect(tsb([0, 0]).fitted).toEqual([0, 0]);
+      expect(croston(null, null).params).toEqual({});
+    });
+
+    test('are available through forecastDemand / FORECAST_METHODS', () => {
+      expect(forecastDemand(sparePartDemand, { method: FORECAST_METHODS.CROSTON }).method).toBe('croston');
+      expect(forecastDemand(sparePartDemand, { method: FORECAST_METHODS.SBA }).method).toBe('sba');
+      expect(forecastDemand(sparePartDemand, { method: FORECAST_METHODS.TSB, horizon: 3 }).forecasts).toHaveLength(3);
+    });
+  });
+
+  describe('calculateIntermittentSafetyStock', () => {
+    test('uses Poisson when lead-time variance does not exceed the mean', () => {
+      // Variance 0 (constant demand) → Poisson(2 * 5 = 10), 95% quantile = 15
+      const result = calculateIntermittentSafetyStock([2, 2, 2, 2], 5);
+      expect(result.distribution).toBe('poisson');
+      expect(result.leadTimeMean).toBe(10);
+      expect(result.reorderPoint).toBe(15);
+      expect(result.safetyStock).toBe(5);
+      expect(result.serviceLevel).toBeCloseTo(0.9505, 4);
+    });
+
+    test('uses negative binomial for over-dispersed (lumpy) demand', () => {
+      const result = calculateIntermittentSafetyStock(lumpyDemand, 7);
+      expect(result.distribution).toBe('negative_binomial');
+      expect(result.reorderPoint).toBeGreaterThan(result.leadTimeMean);
+    });
+
+    test('accepts a forecast rate and higher Z-scores (capped service level)', () => {
+      const low = calculateIntermittentSafetyStock(sparePartDemand, 7, 1.65, 0.5);
+      expect(low.leadTimeMean).toBe(3.5);
+      const extreme = calculateIntermittentSafetyStock(sparePartDemand, 7, 10);
+      expect(extreme.reorderPoint).toBeGreaterThan(low.reorderPoint);
+    });
+
+    test('returns zeros for invalid or no-demand inputs (defensive)', () => {
+      const empty = { distribution: null, serviceLevel: 0, leadTimeMean: 0, leadTimeVariance: 0, safetyStock: 0, reorderPoint: 0 };
+      expect(calculateIntermittentSafetyStock([], 5)).toEqual(empty);
+      expect(calculateIntermittentSafetyStock(['x', -1], 5)).toEqual(empty);
+      expect(calculateIntermittentSafetyStock(sparePartDemand, -1)).toEqual(empty);
+      expect(calculateIntermittentSafetyStock(sparePartDemand, 5, -1)).toEqual(empty);
+      expect(calculateIntermittentSafetyStock([0, 0], 5).reorderPoint).toBe(0);
+      expect(calculateIntermittentSafetyStock([3], 5).distribution).toBe('poisson');  // Single point → no variance
+    });
+  });
+
+  describe('calculateInventoryForecast with intermittent demand', () => {
+    test('intermittent items default to SBA and a discrete-distribution buffer', () => {
+      const forecast = calculateInventoryForecast(sparePartDemand, 10, 7);
+      expect(forecast.demandPattern.pattern).toBe('intermittent');
+      expect(forecast.forecastModel.method).toBe('sba');
+      expect(forecast.intermittent.distribution).toBe('negative_binomial');
+      expect(forecast.safetyStock).toBe(forecast.intermittent.safetyStock);
+      expect(forecast.reorderPoint).toBe(forecast.intermittent.reorderPoint);
+    });
+
+    test('explicit method is respected; intermittent: false opts out', () => {
+      expect(calculateInventoryForecast(sparePartDemand, 10, 7, 1.65, 100, 10, { method: 'tsb' }).forecastModel.method).toBe('tsb');
+      const optedOut = calculateInventoryForecast(sparePartDemand, 10, 7, 1.65, 100, 10, { intermittent: false });
+      expect(optedOut.forecastModel.method).toBe('sma');
+      expect(optedOut.intermittent).toBeUndefined();
+      expect(optedOut.demandPattern.pattern).toBe('intermittent');
+    });
+
+    test('smooth items are unchanged', () => {
+      const forecast = calculateInventoryForecast(sampleHistoricalDemand, 50, 5);
+      expect(forecast.demandPattern.pattern).toBe('smooth');
+      expect(forecast.intermittent).toBeUndefined();
+      expect(forecast.safetyStock).toBeCloseTo(7.64, 2);
+    });
+  });
+});
@@ -100,7 +100,13 @@ describe('Inventory Management System', () => {
 
     // Test enum usage directly (demonstrates improved structure)
     test('exports RISK_LEVELS enum for external use', () => {
-      expect(RISK_LEVELS).toEqual({ LOW: 'low', MEDIUM: 'medium', HIGH: 'high' });
+      expect(RISK_LEVELS).toEqual({
+        LOW: 'low',
+        MEDIUM: 'medium',
+        HIGH: 'high',
+        CRITICAL: 'critical',        // Probabilistic tiers
+        OUT_OF_STOCK: 'out_of_stock'
+      });
     });
   });
 
@@ -0,0 +1,194 @@
+const {
+  calculateInventoryPosition,
+  projectInboundCoverage,
+  calculatePeriodicReview,
+  calculateInventoryForecast,
+  RISK_LEVELS,
+  DIAGNOSTIC_TYPES,
+  InvalidParameterError
+} = require('../src/index');
+
+/**
+ * Tests for position/ layer: inventory position (open POs, backorders, allocations) and inbound coverage.
+ */
+describe('Inventory position', () => {
+  // Same sample data as inventory.test.js (mean 11.43, reorder point 64.78 for lead time 5)
+  const sampleHistoricalDemand = [10, 12, 15, 9, 11, 13, 10];
+
+  describe('calculateInventoryPosition', () => {
+    test('position = on hand + on order - backorders - allocated', () => {
+      const result = calculateInventoryPosition(100, {
+        openOrders: [{ quantity: 40, arrivalDay: 3 }, { quantity: 25 }],
+        backorders: 20,
+        allocated: 30
+      });
+      expect(result).toEqual({ onHand: 100, onOrder: 65, backorders: 20, allocated: 30, available: 50, position: 115 });
+    });
+
+    test('ignores invalid orders and amounts (defensive)', () => {
+      const result = calculateInventoryPosition('x', { openOrders: [{ quantity: -5 }, null, { quantity: 'a' }], backorders: -3 });
+      expect(result).toEqual({ onHand: 0, onOrder: 0, backorders: 0, allocated: 0, available: 0, position: 0 });
+      expect(calculateInventoryPosition(10, null).position).toBe(10);
+      // Backorders beyond stock leave a negative available quantity
+      expect(calculateInventoryPosition(10, { backorders: 25 }).available).toBe(-15);
+    });
+  });
+
+  describe('projectInboundCoverage', () => {
+    test('receipts extend coverage; gaps and stock before/after each receipt', () => {
+      // 10 units, 10/day: runs out after day 0; 30 land on day 3, 50 on day 5
+      const result = projectInboundCoverage(10, 10, [{ quantity: 50, arrivalDay: 5 }, { quantity: 30, arrivalDay: 3 }]);
+      expect(result.daysRemaining).toBe(1);
+      expect(result.daysRemainingWithoutReceipts).toBe(1);
+      const [first, second] = result.receipts;
+      expect(first).toMatchObject({ quantity: 30, arrivalDay: 3, stockBefore: -20, stockAfter: 10, coverageGap: 2, daysRemainingAfter: 4 });
+      expect(second).toMatchObject({ quantity: 50, arrivalDay: 5, stockBefore: -10, stockAfter: 40, coverageGap: 1, daysRemainingAfter: 9 });
+    });
+
+    test('a receipt landing before the stockout pushes daysRemaining out', () => {
+      const result = projectInboundCoverage(20, 10, [{ quantity: 100, arrivalDay: 1 }]);
+      expect(result.daysRemainingWithoutReceipts).toBe(2);
+      expect(result.daysRemaining).toBe(12);
+      expect(result.receipts[0].coverageGap).toBe(0);
+    });
+
+    test('arrival dates: business days with a calendar, overdue and unscheduled orders', () => {
+      const orders = [
+        { quantity: 10, arrivalDate: '2024-01-08' },  // Monday
+        { quantity: 5, arrivalDate: '2024-01-01' },   // Past due
+        { quantity: 7 }                               // No arrival date
+      ];
+      const calendarDays = projectInboundCoverage(0, 1, orders, { startDate: '2024-01-05' });
+      expect(calendarDays.receipts.map(r => r.arrivalDay)).toEqual([0, 3]);
+      expect(calendarDays.receipts[0]).toMatchObject({ overdue: true, arrivalDate: '2024-01-01' });
+      expect(calendarDays.unscheduled).toEqual([{ quantity: 7 }]);
+      // Friday → Monday is one business day
+      const businessDays = projectInboundCoverage(0, 1, orders, { startDate: '2024-01-05', calendar: { weekendDays: [0, 6] } });
+      expect(businessDays.receipts[1].arrivalDay).toBe(1);
+      expect(businessDays.receipts[1].overdue).toBe(false);
+    });
+
+    test('follows a demand curve and never runs out without demand', () => {
+      // Curve 5, 20, then its mean (12.5) per day
+      expect(projectInboundCoverage(30, [5, 20], [])).toMatchObject({ daysRemaining: 2.4 });
+      const idle = projectInboundCoverage(10, 0, [{ quantity: 5, arrivalDay: 2 }]);
+      expect(idle.daysRemaining).toBe(Infinity);
+      expect(idle.receipts[0].daysRemainingAfter).toBe('Infinite');
+    });
+
+    test('orders due on or after the 10-year horizon stay unscheduled', () => {
+      const result = projectInboundCoverage(20, 10, [{ quantity: 10, arrivalDay: 3e6 }, { quantity: 5, arrivalDay: 3650 }, { quantity: 8, arrivalDay: 3649 }], {
+        startDate: '2024-01-01'
+      });
+      expect(result.receipts.map(r => [r.arrivalDay, r.arrivalDate])).toEqual([[3649, '2033-12-28']]);
+      expect(result.receipts[0].daysRemainingAfter).toBe(3649);  // Already short: not covered
+      expect(result.unscheduled).toEqual([{ quantity: 10 }, { quantity: 5 }]);
+      expect(projectInboundCoverage(20, 10, [{ quantity: 10, arrivalDay: 3e9 }]).daysRemaining).toBe(2);
+    });
+
+    test('projects stock before late receipts from the curve and its mean', () => {
+      // Curve [4, 8] (mean 6): 12 by day 2, then 6 a day -> 20000 + 10 - (12 + 6 * 3000) before the day-3002 receipt
+      const result = projectInboundCoverage(20000, [4, 8], [{ quantity: 10, arrivalDay: 1 }, { quantity: 5, arrivalDay: 3002 }]);
+      expect(result.receipts.map(r => r.stockBefore)).toEqual([19996, 1998]);
+      expect(result.receipts[1].stockAfter).toBe(2003);
+    });
+
+    test('returns zero coverage for invalid inputs (defensive)', () => {
+      expect(projectInboundCoverage('x', 10, [])).toEqual({ daysRemaining: 0, daysRemainingWithoutReceipts: 0, receipts: [], unscheduled: [] });
+      expect(projectInboundCoverage(-5, 10, 'x').daysRemaining).toBe(0);
+    });
+  });
+
+  describe('calculateInventoryForecast with open orders', () => {
+    test('without position options the output is unchanged', () => {
+      const forecast = calculateInventoryForecast(sampleHistoricalDemand, 20, 5);
+      expect(forecast.inventoryPosition).toBeUndefined();
+      expect(forecast.insights.inboundSignal).toBeUndefined();
+      expect(forecast.recommendation).toBe('Reorder immediately');
+    });
+
+    test('a PO arriving tomorrow covers the position: no reorder, low risk', () => {
+      const forecast = calculateInventoryForecast(sampleHistoricalDemand, 20, 5, 1.65, 100, 10, {
+        openOrders: [{ quantity: 100, arrivalDay: 1 }]
+      });
+      expect(forecast.inventoryPosition).toMatchObject({ onHand: 20, onOrder: 100, position: 120, reorderNeeded: false });
+      expect(forecast.inventoryPosition.daysRemainingWithoutReceipts).toBe(1.75);
+      // 8.57 left after day 0, + 100 on day 1 → 1 + 108.57 / 11.43 = 10.5 days
+      expect(forecast.daysRemaining).toBe(10.5);
+      expect(forecast.riskLevel).toBe(RISK_LEVELS.LOW);
+      expect(forecast.recommendation).toBe('Monitor stock levels');
+      expect(forecast.insights.reorderSignal).toBe('Reorder triggered at 64.78 units; inventory position is 120 units (no new order needed).');
+      expect(forecast.insights.inboundSignal).toContain('Next receipt: 100 units');
+      expect(forecast.insights.inboundSignal).toContain('covering demand until day 10.5');
+    });
+
+    test('stock running out before a covering PO lands calls for expediting', () => {
+      const forecast = calculateInventoryForecast(sampleHistoricalDemand, 20, 5, 1.65, 100, 10, {
+        openOrders: [{ quantity: 100, arrivalDay: 4 }]
+      });
+      expect(forecast.inventoryPosition.receipts[0].coverageGap).toBe(2.25);
+      expect(forecast.riskLevel).toBe(RISK_LEVELS.HIGH);
+      expect(forecast.recommendation).toBe('Expedite open orders');
+      expect(forecast.insights.recommendation).toContain('Expedite open orders');
+    });
+
+    test('backorders and allocations reduce coverage and trigger reorders', () => {
+      const forecast = calculateInventoryForecast(sampleHistoricalDemand, 100, 5, 1.65, 100, 10, { backorders: 20, allocated: 30 });
+      expect(forecast.inventoryPosition).toMatchObject({ available: 50, position: 50, reorderNeeded: true });
+      // 50 / 11.43 = 4.38 days instead of 8.75 for the full shelf
+      expect(forecast.daysRemaining).toBeCloseTo(4.38, 2);
+      expect(forecast.recommendation).toBe('Reorder immediately');
+      expect(forecast.insights.reorderSignal).toContain('(order now)');
+      expect(forecast.insights.inboundSignal).toBe('No open orders scheduled.');
+    });
+
+    test('arrival days beyond the horizon are reported, or throw in strict mode', () => {
+      const openOrders = [{ quantity: 10, arrivalDay: 3e9 }, { quantity: 0, arrivalDay: 5e9 }];
+      const forecast = calculateInventoryForecast(sampleHistoricalDemand, 20, 5, 1.65, 100, 10, { openOrders });
+      expect(forecast.inventoryPosition).toMatchObject({ onOrder: 10, receipts: [], unscheduled: [{ quantity: 10 }] });
+      expect(forecast.diagnostics).toEqual([{
+        type: DIAGNOSTIC_TYPES.DEFAULT_USED, field: 'openOrders.0.arrivalDay', value: 3e9, default: null,
+        message: 'openOrders.0.arrivalDay must be < 3650 (got 3000000000); order left unscheduled'
+      }]);
+      expect(() => calculateInventoryForecast(sampleHistoricalDemand, 20, 5, 1.65, 100, 10, { openOrders, strict: true }))
+        .toThrow(InvalidParameterError);
+    });
+
+    test('arrival dates count from the day after dated history', () => {
+      const records = sampleHistoricalDemand.map((quantity, i) => ({ date: `2024-03-0${i + 1}`, quantity }));
+      const forecast = calculateInventoryForecast(records, 20, 5, 1.65, 100, 10, {
+        openOrders: [{ quantity: 100, arrivalDate: '2024-03-09' }]
+      });
+      expect(forecast.inventoryPosition.receipts[0]).toMatchObject({ arrivalDay: 1, overdue: false });
+      expect(forecast.daysRemaining).toBe(10.5);
+    });
+
+    test('periodic review orders up to S from the position', () => {
+      const forecast = calculateInventoryForecast(sampleHistoricalDemand, 50, 5, 1.65, 100, 10, {
+        policy: 'periodic',
+        reviewPeriod: 7,
+        openOrders: [{ quantity: 60, arrivalDay: 2 }],
+        allocated: 10
+      });
+      const expected = calculatePeriodicReview(sampleHistoricalDemand, 7, 5, 1.65, { inventoryPosition: 100 });
+      expect(forecast.periodicReview.inventoryPosition).toBe(100);
+      expect(forecast.periodicReview.orderQuantity).toBe(expected.orderQuantity);
+      expect(forecast.inventoryPosition.reorderNeeded).toBe(true);
+    });
+
+    test('seasonal items draw the position down along the seasonal curve', () => {
+      const records = [];
+      for (let i = 0; i < 28; i++) {
+        const date = new Date(Date.UTC(2024, 0, 1 + i));
+        records.push({ date: date.toISOString().slice(0, 10), quantity: date.getUTCDay() % 6 === 0 ? 30 : 10 });
+      }
+      const forecast = calculateInventoryForecast(records, 40, 3, 1.65, 100, 10, {
+        seasonalPeriods: ['weekly'],
+        openOrders: [{ quantity: 50, arrivalDay: 4 }]
+      });
+      // Mon-Thu 10/day uses 40; 50 land Friday: Fri 10, Sat 30, Sun 30 → runs out on Sunday (day 6.33)
+      expect(forecast.daysRemaining).toBe(6.33);
+      expect(forecast.inventoryPosition.daysRemainingWithoutReceipts).toBe(4);
+    });
+  });
+});
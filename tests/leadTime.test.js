@@ -0,0 +1,122 @@
+const {
+  normalizeLeadTime,
+  calculateSafetyStock,
+  calculateReorderPoint,
+  calculateInventoryForecast
+} = require('../src/index');
+
+/**
+ * Tests for lead-time variability: combined demand + lead-time variance in safety stock and reorder point.
+ */
+describe('Lead-time variability', () => {
+  // Same sample data as inventory.test.js (mean 11.43, sample variance 4.29)
+  const sampleHistoricalDemand = [10, 12, 15, 9, 11, 13, 10];
+
+  describe('normalizeLeadTime', () => {
+    test('accepts a fixed number, observed lead times or { mean, stdDev }', () => {
+      expect(normalizeLeadTime(5)).toEqual({ mean: 5, stdDev: 0, observations: 0, variable: false });
+      // Observed lead times: mean 9, sample std dev sqrt(((−2)² + 0² + 3² + (−1)²) / 3) = sqrt(14/3)
+      const observed = normalizeLeadTime([7, 9, 12, 8]);
+      expect(observed.mean).toBe(9);
+      expect(observed.stdDev).toBeCloseTo(Math.sqrt(14 / 3), 10);
+      expect(observed.observations).toBe(4);
+      expect(normalizeLeadTime({ history: [7, 9, 12, 8] })).toEqual(observed);
+      expect(normalizeLeadTime({ mean: 6, stdDev: 2 })).toEqual({ mean: 6, stdDev: 2, observations: 0, variable: true });
+      expect(normalizeLeadTime({ mean: 6 }).stdDev).toBe(0);
+    });
+
+    test('drops invalid observations; a single observation has no spread', () => {
+      expect(normalizeLeadTime([4, -1, 'x', null]).stdDev).toBe(0);
+      expect(normalizeLeadTime([4, -1, 'x', null]).observations).toBe(1);
+    });
+
+    test('returns null for invalid input (defensive)', () => {
+      expect(normalizeLeadTime(-1)).toBeNull();
+      expect(normalizeLeadTime([])).toBeNull();
+      expect(normalizeLeadTime({ mean: -2, stdDev: 1 })).toBeNull();
+      expect(normalizeLeadTime({ mean: 5, stdDev: 'wide' })).toBeNull();
+      expect(normalizeLeadTime('5')).toBeNull();
+      expect(normalizeLeadTime(null)).toBeNull();
+    });
+  });
+
+  describe('calculateSafetyStock with variable lead time', () => {
+    test('uses Z * sqrt(L * σd² + d² * σL²) and splits the buffer by source', () => {
+      const mean = 80 / 7;
+      const demandVariance = 5 * (30 / 7);       // L̄ * σd²
+      const leadTimeVariance = mean * mean * 1;  // d̄² * σL²
+      const total = demandVariance + leadTimeVariance;
+      const result = calculateSafetyStock(sampleHistoricalDemand, { mean: 5, stdDev: 1 });
+      expect(result.safetyStock).toBeCloseTo(1.65 * Math.sqrt(total), 2);
+      expect(result.leadTimeMean).toBe(5);
+      expect(result.leadTimeStdDev).toBe(1);
+      expect(result.breakdown.demandShare).toBeCloseTo(demandVariance / total, 4);
+      expect(result.breakdown.demandShare + result.breakdown.leadTimeShare).toBeCloseTo(1, 4);
+      expect(result.breakdown.demandSafetyStock + result.breakdown.leadTimeSafetyStock).toBeCloseTo(result.safetyStock, 1);
+      // Late deliveries dominate for this fairly stable demand
+      expect(result.breakdown.leadTimeShare).toBeGreaterThan(result.breakdown.demandShare);
+    });
+
+    test('zero lead-time spread matches the fixed lead-time formula', () => {
+      const fixed = calculateSafetyStock(sampleHistoricalDemand, 5);
+      const variable = calculateSafetyStock(sampleHistoricalDemand, { mean: 5, stdDev: 0 });
+      expect(variable.safetyStock).toBe(fixed.safetyStock);
+      expect(variable.breakdown.leadTimeShare).toBe(0);
+      // Fixed numeric lead time keeps the original output shape
+      expect(fixed).toEqual({ demandStdDev: 2.07, safetyStock: 7.64 });
+    });
+
+    test('zero total variance gives zero shares (no division by zero)', () => {
+      const result = calculateSafetyStock([0, 0, 0], [3, 3]);
+      expect(result.safetyStock).toBe(0);
+      expect(result.breakdown).toMatchObject({ demandShare: 0, leadTimeShare: 0 });
+    });
+
+    test('invalid lead-time forms return safe defaults', () => {
+      expect(calculateSafetyStock(sampleHistoricalDemand, [])).toEqual({ demandStdDev: 0, safetyStock: 0 });
+      expect(calculateSafetyStock(sampleHistoricalDemand, { mean: 'x' })).toEqual({ demandStdDev: 0, safetyStock: 0 });
+    });
+  });
+
+  describe('calculateReorderPoint with variable lead time', () => {
+    test('lead-time demand uses the mean lead time plus the combined buffer', () => {
+      const result = calculateReorderPoint(sampleHistoricalDemand, [4, 5, 6]);
+      const buffer = calculateSafetyStock(sampleHistoricalDemand, [4, 5, 6]);
+      expect(result.safetyStock).toBe(buffer.safetyStock);
+      expect(result.reorderPoint).toBeCloseTo((80 / 7) * 5 + buffer.safetyStock, 2);
+      expect(result.leadTimeStdDev).toBe(1);
+      expect(result.breakdown).toEqual(buffer.breakdown);
+      expect(calculateReorderPoint(sampleHistoricalDemand, 5).breakdown).toBeUndefined();
+      expect(calculateReorderPoint(sampleHistoricalDemand, [])).toEqual({ avgDailyDemand: 0, safetyStock: 0, reorderPoint: 0 });
+    });
+  });
+
+  describe('calculateInventoryForecast with variable lead time', () => {
+    test('observed lead times raise the buffer and expose the breakdown', () => {
+      const fixed = calculateInventoryForecast(sampleHistoricalDemand, 50, 5);
+      const variable = calculateInventoryForecast(sampleHistoricalDemand, 50, [3, 5, 7]);
+      expect(variable.safetyStock).toBeGreaterThan(fixed.safetyStock);
+      expect(variable.riskLevel).toBe(fixed.riskLevel);  // Mean lead time drives the risk check
+      expect(variable.leadTimeVariability).toMatchObject({ mean: 5, stdDev: 2, observations: 3 });
+      expect(variable.leadTimeVariability.breakdown.leadTimeSafetyStock).toBeGreaterThan(0);
+      expect(fixed.leadTimeVariability).toBeUndefined();
+    });
+
+    test('a business calendar scales the lead-time mean and spread together', () => {
+      // Mon 2024-03-04 + 7 calendar days → 5 business days; spread 1.4 → 1
+      const history = sampleHistoricalDemand.map((q, i) => ({ date: `2024-02-${20 + i}`, quantity: q }));
+      const forecast = calculateInventoryForecast(history, 50, { mean: 7, stdDev: 1.4 }, 1.65, 100, 10, {
+        calendar: { weekendDays: [0, 6] },
+        asOf: '2024-03-04'
+      });
+      expect(forecast.calendar.leadTimeBusinessDays).toBe(5);
+      expect(forecast.leadTimeVariability).toMatchObject({ mean: 5, stdDev: 1 });
+    });
+
+    test('invalid history still reports the lead-time inputs', () => {
+      const forecast = calculateInventoryForecast([], 50, { mean: 5, stdDev: 1 });
+      expect(forecast.safetyStock).toBe(0);
+      expect(forecast.leadTimeVariability.breakdown).toBeNull();
+    });
+  });
+});
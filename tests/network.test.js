@@ -0,0 +1,172 @@
+const {
+  analyzeNetwork,
+  poolSafetyStock,
+  recommendTransfers,
+  calculateInventoryForecast,
+  DEFAULT_LANE,
+  RISK_LEVELS,
+  InvalidLeadTimeError,
+  InvalidCostError,
+  InvalidStockError
+} = require('../src/index');
+
+/**
+ * Tests for network/: risk pooling, transfer recommendations and the multi-location analysis.
+ */
+describe('Multi-location inventory', () => {
+  // Same sample data as inventory.test.js
+  const sampleHistoricalDemand = [10, 12, 15, 9, 11, 13, 10];
+  const southDemand = [12, 9, 11, 14, 10, 12, 12];
+  const eastDemand = [9, 14, 10, 12, 15, 8, 11];
+  const network = [
+    { location: 'DC', historicalDemand: [], currentStock: 500, leadTime: 10 },
+    { location: 'north', historicalDemand: sampleHistoricalDemand, currentStock: 20, leadTime: 5 },
+    { location: 'south', historicalDemand: southDemand, currentStock: 400, leadTime: 5 },
+    { location: 'east', historicalDemand: eastDemand, currentStock: 5, leadTime: 5 }
+  ];
+
+  describe('poolSafetyStock', () => {
+    test('correlation decides the savings', () => {
+      // Deviations [-1, 1, -1, 1] and [-1, -1, 1, 1] are uncorrelated: sqrt(3² + 4²) = 5
+      expect(poolSafetyStock([3, 4], [[10, 12, 10, 12], [10, 10, 12, 12]])).toEqual({
+        separate: 7, pooled: 5, savings: 2, savingsShare: 0.2857, correlations: [[1, 0], [0, 1]], averageCorrelation: 0, overlapDays: 4
+      });
+      // Identical demand: nothing to gain; opposite swings: the buffers cancel
+      expect(poolSafetyStock([3, 4], [[10, 12, 10, 12], [10, 12, 10, 12]])).toMatchObject({ pooled: 7, savings: 0, averageCorrelation: 1 });
+      expect(poolSafetyStock([3, 4], [[10, 12, 10, 12], [12, 10, 12, 10]])).toMatchObject({ pooled: 1, savings: 6, averageCorrelation: -1 });
+    });
+
+    test('square root law for equal independent locations', () => {
+      const series = [[1, 2, 1, 2], [1, 1, 2, 2], [1, 2, 2, 1]];
+      expect(poolSafetyStock([6, 6, 6], series)).toMatchObject({ separate: 18, pooled: Number((6 * Math.sqrt(3)).toFixed(2)) });
+    });
+
+    test('series are aligned on their last day; flat or missing series are uncorrelated', () => {
+      const pooling = poolSafetyStock([3, 4, 2], [[99, 1, 10, 12, 10, 12], [10, 12, 10, 12], []]);
+      expect(pooling.overlapDays).toBe(4);
+      expect(pooling.correlations[0][1]).toBe(1);
+      expect(pooling.correlations[0][2]).toBe(0);
+      expect(poolSafetyStock([5, 'x', -1], [[4, 4, 4], [1, 2, 3]])).toMatchObject({ separate: 5, pooled: 5, savings: 0 });
+      expect(poolSafetyStock(null, null)).toEqual({
+        separate: 0, pooled: 0, savings: 0, savingsShare: 0, correlations: [], averageCorrelation: null, overlapDays: 0
+      });
+    });
+  });
+
+  describe('recommendTransfers', () => {
+    const store = (location, overrides) => ({
+      location, available: 0, reorderPoint: 60, maxLevel: 300, leadTime: 5, daysRemaining: 'Infinite', riskLevel: RISK_LEVELS.LOW, probability: 0, ...overrides
+    });
+
+    test('moves surplus above the policy maximum to the shortfall below the reorder point', () => {
+      const plan = recommendTransfers([
+        store('A', { available: 350 }),
+        store('B', { available: 20.5, daysRemaining: 2, riskLevel: RISK_LEVELS.HIGH, probability: 0.9 })
+      ]);
+      expect(plan.transfers).toEqual([
+        { from: 'A', to: 'B', quantity: 40, leadTime: DEFAULT_LANE.leadTime, cost: 0, costPerUnit: 0, arrivesBeforeStockout: true }
+      ]);
+      expect(plan.locations).toEqual([
+        { location: 'A', surplus: 50, shortfall: 0, transferIn: 0, transferOut: 40, availableAfter: 310, shortfallAfter: 0 },
+        { location: 'B', surplus: 0, shortfall: 40, transferIn: 40, transferOut: 0, availableAfter: 60.5, shortfallAfter: 0 }
+      ]);
+      expect(plan).toMatchObject({ unitsMoved: 40, totalCost: 0 });
+    });
+
+    test('donors by arrival, cost per unit and lead time; receivers by urgency', () => {
+      const lanes = [
+        { from: 'cheap', to: 'B', leadTime: 3, unitCost: 0.2 },
+        { from: 'fast', to: 'B', leadTime: 1, unitCost: 1, fixedCost: 10 },
+        { from: 'cheap', to: 'C', leadTime: 2, unitCost: 0.2 }
+      ];
+      const locations = [
+        store('cheap', { available: 330 }),
+        store('fast', { available: 400 }),
+        store('B', { available: 0, daysRemaining: 2, riskLevel: RISK_LEVELS.HIGH, probability: 0.6 }),
+        store('C', { available: 10, daysRemaining: 1, riskLevel: RISK_LEVELS.CRITICAL, probability: 0.8 })
+      ];
+      const plan = recommendTransfers(locations, { lanes, defaultLane: null });
+      // C first (more likely to stock out) takes the cheap surplus; B is left with the fast, dearer lane
+      expect(plan.transfers).toEqual([
+        { from: 'cheap', to: 'C', quantity: 30, leadTime: 2, cost: 6, costPerUnit: 0.2, arrivesBeforeStockout: false },
+        { from: 'fast', to: 'B', quantity: 60, leadTime: 1, cost: 70, costPerUnit: 1.17, arrivesBeforeStockout: true }
+      ]);
+      // A cost cap rules out the fast lane
+      expect(recommendTransfers(locations, { lanes, defaultLane: null, maxCostPerUnit: 1 }).transfers.map(t => t.to)).toEqual(['C']);
+    });
+
+    test('lanes no faster than the supplier, small quantities and other risk levels are skipped', () => {
+      const donor = store('A', { available: 400 });
+      const receiver = store('B', { daysRemaining: 1, riskLevel: RISK_LEVELS.HIGH, probability: 0.9, leadTime: 2 });
+      expect(recommendTransfers([donor, receiver], { defaultLane: { leadTime: 2 } }).transfers).toEqual([]);
+      expect(recommendTransfers([donor, receiver], { minQuantity: 61 }).transfers).toEqual([]);
+      const medium = { ...receiver, riskLevel: RISK_LEVELS.MEDIUM };
+      expect(recommendTransfers([donor, medium]).transfers).toEqual([]);
+      expect(recommendTransfers([donor, medium], { receiveAt: [RISK_LEVELS.MEDIUM] }).unitsMoved).toBe(60);
+    });
+
+    test('invalid lane values fall back and are reported, or throw in strict mode', () => {
+      const diagnostics = [];
+      const locations = [store('A', { available: 400 }), store('B', { daysRemaining: 1, riskLevel: RISK_LEVELS.HIGH })];
+      const lanes = [{ from: 'A', to: 'B', leadTime: -2, unitCost: 'x' }];
+      expect(recommendTransfers(locations, { lanes, diagnostics }).transfers[0]).toMatchObject({ leadTime: 1, cost: 0 });
+      expect(diagnostics.map(d => d.field)).toEqual(['lanes.0.leadTime', 'lanes.0.unitCost']);
+      expect(() => recommendTransfers(locations, { lanes, strict: true })).toThrow(InvalidLeadTimeError);
+      expect(() => recommendTransfers(locations, { defaultLane: { fixedCost: -5 }, strict: true })).toThrow(InvalidCostError);
+      expect(recommendTransfers(null)).toEqual({ transfers: [], locations: [], unitsMoved: 0, totalCost: 0 });
+    });
+  });
+
+  describe('analyzeNetwork', () => {
+    test('per-location forecasts, pooled buffer and transfers', () => {
+      const { results, pooling, transfers, summary, diagnostics } = analyzeNetwork(network, {
+        lanes: [{ from: 'DC', to: 'east', leadTime: 2, unitCost: 0.5, fixedCost: 20 }]
+      });
+      const north = calculateInventoryForecast(sampleHistoricalDemand, 20, 5);
+      expect(results[1]).toMatchObject({ ...north, location: 'north', maxLevel: 303.83, shortfall: 45, transferIn: 45, availableAfter: 65 });
+      expect(results.map(r => r.safetyStock)).toEqual([0, 7.64, 5.97, 9.46]);
+      expect(pooling).toMatchObject({ separate: 23.07, pooled: 6.88, savings: 16.19, overlapDays: 7 });
+      // The DC keeps no buffer of its own; south holds more than its policy maximum
+      expect(results.map(r => r.surplus)).toEqual([500, 0, 97, 0]);
+      // east is most urgent: south's free default lane beats the DC's paid one
+      expect(transfers).toEqual([
+        { from: 'south', to: 'east', quantity: 61, leadTime: 1, cost: 0, costPerUnit: 0, arrivesBeforeStockout: false },
+        { from: 'DC', to: 'north', quantity: 45, leadTime: 1, cost: 0, costPerUnit: 0, arrivesBeforeStockout: true }
+      ]);
+      expect(summary).toEqual({
+        count: 4, stock: 925, avgDailyDemand: 34.15, riskLevels: { low: 2, high: 2 }, atRisk: 0, unitsMoved: 106, transferCost: 0
+      });
+      expect(diagnostics).toEqual([]);
+    });
+
+    test('dated histories are correlated over the days they share', () => {
+      const toRecords = (quantities, offset) => quantities.map((quantity, i) => ({
+        date: new Date(Date.UTC(2024, 0, 1 + offset + i)).toISOString().slice(0, 10), quantity
+      }));
+      const histories = [[10, 12, 10, 12, 50], [10, 10, 12, 12]];
+      const dated = analyzeNetwork(histories.map(h => ({ historicalDemand: toRecords(h, 0), currentStock: 100, leadTime: 4 })));
+      // Shared days 2024-01-01 .. 2024-01-04: uncorrelated swings
+      expect(dated.pooling).toMatchObject({ overlapDays: 4, correlations: [[1, 0], [0, 1]] });
+      // Plain arrays are aligned on their last day instead
+      const plain = analyzeNetwork(histories.map(h => ({ historicalDemand: h, currentStock: 100, leadTime: 4 })));
+      expect(plain.pooling.correlations[0][1]).toBe(0.5965);
+    });
+
+    test('available stock and inventory position drive the transfers', () => {
+      const { results, transfers } = analyzeNetwork([
+        { location: 'A', historicalDemand: sampleHistoricalDemand, currentStock: 400, leadTime: 5, allocated: 80 },
+        { location: 'B', historicalDemand: sampleHistoricalDemand, currentStock: 5, leadTime: 5, openOrders: [{ quantity: 30, arrivalDay: 3 }] }
+      ]);
+      expect(results[0].surplus).toBe(Math.floor(320 - 303.83));
+      expect(results[1].shortfall).toBe(Math.ceil(64.78 - 35));
+      expect(transfers).toEqual([expect.objectContaining({ from: 'A', to: 'B', quantity: 16 })]);
+    });
+
+    test('strict mode names the location; invalid input gives an empty network', () => {
+      expect(() => analyzeNetwork([{ historicalDemand: [1, 2], currentStock: 'x', leadTime: 2 }], { strict: true }))
+        .toThrow(expect.objectContaining({ field: 'locations.0.currentStock' }));
+      expect(() => analyzeNetwork([{ historicalDemand: [1, 2], currentStock: 'x', leadTime: 2 }], { strict: true })).toThrow(InvalidStockError);
+      expect(analyzeNetwork('x')).toMatchObject({ results: [], transfers: [], summary: { count: 0, unitsMoved: 0 } });
+    });
+  });
+});
@@ -0,0 +1,160 @@
+const {
+  calculateOrderQuantity,
+  ORDER_QUANTITY_MODELS,
+  calculateInventoryForecast
+} = require('../src/index');
+const feasibleOrderQuantities = require('../src/orderQuantity/feasibleOrderQuantities');
+
+/**
+ * Tests for orderQuantity/ layer: EOQ extensions (price breaks, EPQ, planned backorders, MOQ and pack sizes).
+ */
+describe('Order quantity models', () => {
+  // D = 1000/year, S = 100, H = 10 → textbook EOQ sqrt(20000) = 141.42
+  const annualDemand = 1000;
+  const priceBreaks = [
+    { minQuantity: 0, unitCost: 5 },
+    { minQuantity: 1000, unitCost: 4.8 },
+    { minQuantity: 2500, unitCost: 4.75 }
+  ];
+
+  describe('feasibleOrderQuantities', () => {
+    test('brackets the optimum with whole units or pack multiples', () => {
+      expect(feasibleOrderQuantities(141.42)).toEqual([141, 142]);
+      expect(feasibleOrderQuantities(141.42, { packSize: 12 })).toEqual([132, 144]);
+      expect(feasibleOrderQuantities(144, { packSize: 12 })).toEqual([144]);
+    });
+
+    test('never goes below the MOQ rounded up to full packs', () => {
+      expect(feasibleOrderQuantities(141.42, { moq: 250, packSize: 12 })).toEqual([252]);
+      expect(feasibleOrderQuantities(0.2)).toEqual([1]);
+    });
+
+    test('returns no quantities for invalid input (defensive)', () => {
+      expect(feasibleOrderQuantities(Infinity)).toEqual([]);
+      expect(feasibleOrderQuantities('x', null)).toEqual([]);
+      expect(feasibleOrderQuantities(10, { packSize: -1, moq: 'x' })).toEqual([10]);
+    });
+  });
+
+  describe('calculateOrderQuantity', () => {
+    test('textbook EOQ (default) returns the cheaper whole-unit neighbour and its annual cost', () => {
+      const result = calculateOrderQuantity(annualDemand);
+      expect(result.model).toBe(ORDER_QUANTITY_MODELS.EOQ);
+      expect(result.unconstrainedQuantity).toBe(141.42);
+      expect(result.quantity).toBe(141);
+      // 1000/141 * 100 + 141/2 * 10
+      expect(result.annualCost).toEqual({ ordering: 709.22, holding: 705, purchase: 0, backorder: 0, total: 1414.22 });
+      expect(result.constraints).toEqual({ moq: 0, packSize: 1, adjusted: false });
+    });
+
+    test('includes purchase cost and holding rate on unit value when given', () => {
+      const result = calculateOrderQuantity(annualDemand, { unitCost: 20, holdingRate: 0.25 });
+      // H = 0.25 * 20 = 5 → EOQ = 200
+      expect(result.quantity).toBe(200);
+      expect(result.annualCost.purchase).toBe(20000);
+      expect(result.annualCost.total).toBe(21000);
+    });
+
+    test('all-units discount jumps to the break quantity when the lower price pays for the extra stock', () => {
+      const result = calculateOrderQuantity(10000, { model: 'all_units_discount', orderCost: 50, holdingRate: 0.2, priceBreaks });
+      // At 4.75: EOQ 1026 is below the break → 2500 costs 48887.5 vs 48980 at 1000 units / 4.8
+      expect(result.quantity).toBe(2500);
+      expect(result.unitCost).toBe(4.75);
+      expect(result.annualCost.total).toBe(48887.5);
+      expect(result.details.tierMinQuantity).toBe(2500);
+    });
+
+    test('incremental discount uses the per-tier optimum with the lower tiers as a fixed cost', () => {
+      const result = calculateOrderQuantity(10000, { model: 'incremental_discount', orderCost: 50, holdingRate: 0.2, priceBreaks });
+      // Top tier: K = (1000 * 5 + 1500 * 4.8) - 4.75 * 2500 = 325 → sqrt(2 * 10000 * 375 / (0.2 * 4.75)) = 2809.76
+      expect(result.unconstrainedQuantity).toBe(2809.76);
+      expect(result.quantity).toBe(2810);
+      expect(result.unitCost).toBeGreaterThan(4.75);  // Blended price over the tiers
+      expect(result.unitCost).toBeLessThan(5);
+    });
+
+    test('price breaks below the first tier and with a fixed holding cost', () => {
+      const result = calculateOrderQuantity(annualDemand, {
+        model: ORDER_QUANTITY_MODELS.ALL_UNITS_DISCOUNT,
+        holdingCost: 1,
+        priceBreaks: [{ minQuantity: 500, unitCost: 1 }, { minQuantity: 50, unitCost: 2 }, { minQuantity: 'x' }]
+      });
+      // Sorted; first tier priced from 0 (EOQ 447 at 2 → 2447/year); 500 units at 1 → 1450/year
+      expect(result.quantity).toBe(500);
+      expect(result.params.priceBreaks).toEqual([{ minQuantity: 50, unitCost: 2 }, { minQuantity: 500, unitCost: 1 }]);
+    });
+
+    test('EPQ grows the run size for a finite production rate', () => {
+      const result = calculateOrderQuantity(annualDemand, { model: ORDER_QUANTITY_MODELS.EPQ, productionRate: 5000 });
+      // sqrt(20000 / (1 - 0.2)) = 158.11; peak stock 158 * 0.8
+      expect(result.unconstrainedQuantity).toBe(158.11);
+      expect(result.quantity).toBe(158);
+      expect(result.details.maxInventory).toBe(126.4);
+      expect(result.params).toEqual({ productionRate: 5000, utilization: 0.2 });
+    });
+
+    test('planned backorders raise the order size and report the maximum backlog', () => {
+      const result = calculateOrderQuantity(annualDemand, { model: 'backorder', backorderCost: 30 });
+      // 141.42 * sqrt((10 + 30) / 30) = 163.3; b = 163 * 10 / 40
+      expect(result.unconstrainedQuantity).toBe(163.3);
+      expect(result.quantity).toBe(163);
+      expect(result.details).toEqual({ maxBackorder: 40.75, maxInventory: 122.25 });
+      expect(result.annualCost.backorder).toBeGreaterThan(0);
+      expect(result.annualCost.total).toBeLessThan(calculateOrderQuantity(annualDemand).annualCost.total);
+    });
+
+    test('MOQ and pack size give the cheapest feasible quantity', () => {
+      const result = calculateOrderQuantity(annualDemand, { moq: 250, packSize: 12 });
+      expect(result.quantity).toBe(252);
+      expect(result.constraints).toEqual({ moq: 250, packSize: 12, adjusted: true });
+      expect(result.ordersPerYear).toBe(3.97);
+      // Pack multiples around the optimum: 132 vs 144 → 144 is cheaper
+      expect(calculateOrderQuantity(annualDemand, { packSize: 12 }).quantity).toBe(144);
+    });
+
+    test('models missing their inputs fall back to EOQ', () => {
+      expect(calculateOrderQuantity(annualDemand, { model: 'epq', productionRate: 500 }).params).toEqual({ fallback: 'eoq' });
+      expect(calculateOrderQuantity(annualDemand, { model: 'backorder' }).quantity).toBe(141);
+      expect(calculateOrderQuantity(annualDemand, { model: 'all_units_discount', priceBreaks: [] }).params.fallback).toBe('eoq');
+      const unknown = calculateOrderQuantity(annualDemand, { model: 'magic' });
+      expect(unknown.model).toBe('eoq');
+      expect(unknown.params.requestedModel).toBe('magic');
+    });
+
+    test('returns zeros for invalid inputs (defensive)', () => {
+      const empty = calculateOrderQuantity(0);
+      expect(empty.quantity).toBe(0);
+      expect(empty.annualCost.total).toBe(0);
+      expect(calculateOrderQuantity('x', null).quantity).toBe(0);
+      expect(calculateOrderQuantity(annualDemand, { orderCost: -1 }).quantity).toBe(0);
+      expect(calculateOrderQuantity(annualDemand, { holdingCost: 0 }).quantity).toBe(0);
+      // Holding rate alone is enough when a unit cost is known
+      expect(calculateOrderQuantity(annualDemand, { holdingCost: 0, holdingRate: 0.5, unitCost: 20 }).quantity).toBe(141);
+      // Free tier with only a holding rate has no finite optimum
+      const free = calculateOrderQuantity(annualDemand, {
+        model: 'all_units_discount', holdingCost: 0, holdingRate: 0.2, unitCost: 1, priceBreaks: [{ minQuantity: 0, unitCost: 0 }]
+      });
+      expect(free.quantity).toBe(0);
+    });
+  });
+
+  describe('calculateInventoryForecast with orderQuantity', () => {
+    const sampleHistoricalDemand = [10, 12, 15, 9, 11, 13, 10];
+
+    test('adds the recommended feasible quantity using the forecast annual demand and cost arguments', () => {
+      const forecast = calculateInventoryForecast(sampleHistoricalDemand, 50, 5, 1.65, 100, 10, { orderQuantity: { moq: 300, packSize: 50 } });
+      expect(forecast.eoq).toBe(239.05);  // Textbook value unchanged
+      expect(forecast.orderQuantity.quantity).toBe(300);
+      expect(forecast.orderQuantity.constraints.adjusted).toBe(true);
+      expect(calculateInventoryForecast(sampleHistoricalDemand, 50, 5).orderQuantity).toBeUndefined();
+    });
+
+    test('the recommended quantity drives fill-rate calculations', () => {
+      const eoqBased = calculateInventoryForecast(sampleHistoricalDemand, 50, 5);
+      const small = calculateInventoryForecast(sampleHistoricalDemand, 50, 5, 1.65, 100, 10, { orderQuantity: { packSize: 1, orderCost: 1 } });
+      // Smaller orders → more exposures per year → lower expected fill rate for the same Z
+      expect(small.orderQuantity.quantity).toBeLessThan(eoqBased.eoq);
+      expect(small.serviceLevel.expectedFillRate).toBeLessThan(eoqBased.serviceLevel.expectedFillRate);
+    });
+  });
+});
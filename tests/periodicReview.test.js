@@ -0,0 +1,113 @@
+const {
+  calculatePeriodicReview,
+  INVENTORY_POLICIES,
+  calculateReorderPoint,
+  calculateSafetyStock,
+  calculateInventoryForecast,
+  RISK_LEVELS
+} = require('../src/index');
+
+/**
+ * Tests for policy/ layer: periodic review (R, S) order-up-to levels and the policy option on the forecast.
+ */
+describe('Periodic review policy', () => {
+  const sampleHistoricalDemand = [10, 12, 15, 9, 11, 13, 10];
+  const sparePartDemand = [0, 0, 3, 0, 0, 0, 2, 0, 0, 5, 0, 0, 0, 0, 1, 0, 0, 4, 0, 0, 0, 2, 0, 0, 0, 0, 6, 0];
+
+  describe('calculatePeriodicReview', () => {
+    test('order-up-to level covers demand and buffer over the protection interval R + L', () => {
+      // R = 7, L = 5 → protect 12 days: S = 11.43 * 12 + 1.65 * 2.07 * sqrt(12)
+      const result = calculatePeriodicReview(sampleHistoricalDemand, 7, 5, 1.65, { inventoryPosition: 60 });
+      const overProtection = calculateReorderPoint(sampleHistoricalDemand, 12);
+      expect(result.protectionInterval).toBe(12);
+      expect(result.safetyStock).toBe(calculateSafetyStock(sampleHistoricalDemand, 12).safetyStock);
+      expect(result.orderUpToLevel).toBe(overProtection.reorderPoint);
+      expect(result.orderQuantity).toBeCloseTo(overProtection.reorderPoint - 60, 2);
+      // Longer protection than continuous review → bigger buffer
+      expect(result.safetyStock).toBeGreaterThan(calculateSafetyStock(sampleHistoricalDemand, 5).safetyStock);
+    });
+
+    test('no order when the position is already above S; no quantity without a position', () => {
+      expect(calculatePeriodicReview(sampleHistoricalDemand, 7, 5, 1.65, { inventoryPosition: 500 }).orderQuantity).toBe(0);
+      const noPosition = calculatePeriodicReview(sampleHistoricalDemand, 7, 5);
+      expect(noPosition.inventoryPosition).toBeNull();
+      expect(noPosition.orderQuantity).toBeNull();
+    });
+
+    test('uses a forecast rate and variable lead times', () => {
+      const result = calculatePeriodicReview(sampleHistoricalDemand, 7, [3, 5, 7], 1.65, { avgDemand: 20 });
+      expect(result.avgDailyDemand).toBe(20);
+      expect(result.protectionInterval).toBe(12);
+      // Lead-time spread (σL = 2) adds to the buffer
+      expect(result.safetyStock).toBeGreaterThan(calculatePeriodicReview(sampleHistoricalDemand, 7, 5).safetyStock);
+    });
+
+    test('returns zeros for invalid inputs (defensive)', () => {
+      expect(calculatePeriodicReview(sampleHistoricalDemand, 0, 5).orderUpToLevel).toBe(0);
+      expect(calculatePeriodicReview(sampleHistoricalDemand, 7, -1, 1.65, { inventoryPosition: 10 })).toEqual({
+        reviewPeriod: 0,
+        protectionInterval: 0,
+        avgDailyDemand: 0,
+        safetyStock: 0,
+        orderUpToLevel: 0,
+        inventoryPosition: 10,
+        orderQuantity: 0
+      });
+      expect(calculatePeriodicReview('invalid', 7, 5, 1.65, null).orderUpToLevel).toBe(0);
+    });
+  });
+
+  describe('calculateInventoryForecast with policy option', () => {
+    test('continuous review (default) is unchanged', () => {
+      const forecast = calculateInventoryForecast(sampleHistoricalDemand, 50, 5, 1.65, 100, 10, { policy: INVENTORY_POLICIES.CONTINUOUS });
+      expect(forecast.periodicReview).toBeUndefined();
+      expect(forecast.safetyStock).toBeCloseTo(7.64, 2);
+      expect(forecast.insights.reorderSignal).toBe('Reorder triggered at 64.78 units.');
+    });
+
+    test('periodic review adds the order-up-to level and this review\'s order', () => {
+      const forecast = calculateInventoryForecast(sampleHistoricalDemand, 50, 5, 1.65, 100, 10, { policy: 'periodic', reviewPeriod: 7 });
+      const expected = calculatePeriodicReview(sampleHistoricalDemand, 7, 5, 1.65, { inventoryPosition: 50 });
+      expect(forecast.periodicReview).toEqual(expected);
+      expect(forecast.safetyStock).toBe(expected.safetyStock);
+      expect(forecast.reorderPoint).toBeCloseTo(64.78, 2);  // Continuous trigger kept for reference
+      expect(forecast.insights.reorderSignal).toContain(`Order up to ${expected.orderUpToLevel} units every 7 days`);
+      // Risk horizon is R + L = 12 days: 4.38 days of cover is high risk
+      expect(forecast.riskLevel).toBe(RISK_LEVELS.HIGH);
+    });
+
+    test('review period defaults to weekly; risk horizon grows with R', () => {
+      const forecast = calculateInventoryForecast(sampleHistoricalDemand, 100, 3, 1.65, 100, 10, { policy: 'periodic' });
+      expect(forecast.periodicReview.reviewPeriod).toBe(7);
+      // 8.75 days of cover: low risk for L = 3 alone, high for R + L = 10
+      expect(calculateInventoryForecast(sampleHistoricalDemand, 100, 3).riskLevel).toBe(RISK_LEVELS.LOW);
+      expect(forecast.riskLevel).toBe(RISK_LEVELS.HIGH);
+    });
+
+    test('service levels are measured over R + L with the expected order per review', () => {
+      const forecast = calculateInventoryForecast(sampleHistoricalDemand, 50, 5, 1.65, 100, 10, { policy: 'periodic', reviewPeriod: 7, serviceLevel: 0.98 });
+      expect(forecast.periodicReview.safetyStock).toBe(calculateSafetyStock(sampleHistoricalDemand, 12, 2.0537).safetyStock);
+      expect(forecast.serviceLevel.cycleServiceLevel).toBe(0.98);
+      expect(forecast.serviceLevel.expectedFillRate).toBeLessThan(1);
+    });
+
+    test('intermittent items keep their discrete buffer over R + L', () => {
+      const forecast = calculateInventoryForecast(sparePartDemand, 5, 7, 1.65, 100, 10, { policy: 'periodic', reviewPeriod: 14 });
+      const continuous = calculateInventoryForecast(sparePartDemand, 5, 7);
+      expect(forecast.periodicReview.orderUpToLevel).toBeGreaterThan(continuous.reorderPoint);
+      expect(forecast.periodicReview.orderQuantity).toBe(forecast.periodicReview.orderUpToLevel - 5);
+    });
+
+    test('seasonal items use the seasonal curve over R + L', () => {
+      const records = [];
+      for (let i = 0; i < 28; i++) {
+        const date = new Date(Date.UTC(2024, 0, 1 + i));
+        records.push({ date: date.toISOString().slice(0, 10), quantity: date.getUTCDay() % 6 === 0 ? 30 : 10 });
+      }
+      const forecast = calculateInventoryForecast(records, 40, 3, 1.65, 100, 10, { policy: 'periodic', reviewPeriod: 4, seasonalPeriods: ['weekly'] });
+      // Start Monday 2024-01-29: 7 days of 10, 10, 10, 10, 10, 30, 30 → S = 110 (no noise → no buffer)
+      expect(forecast.periodicReview.orderUpToLevel).toBe(110);
+      expect(forecast.periodicReview.orderQuantity).toBe(70);
+    });
+  });
+});
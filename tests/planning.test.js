@@ -0,0 +1,149 @@
+const {
+  planReplenishment,
+  scheduleOpenOrders,
+  calculateReorderPoint,
+  calculateEOQ,
+  calculateInventoryForecast
+} = require('../src/index');
+
+/**
+ * Tests for planning/ layer: day-by-day projected timeline and suggested replenishment orders.
+ */
+describe('Replenishment planning', () => {
+  // Same sample data as inventory.test.js (mean 11.43, reorder point 64.78 and EOQ 239.05 for lead time 5)
+  const sampleHistoricalDemand = [10, 12, 15, 9, 11, 13, 10];
+  const start = { startDate: '2024-03-01' };
+
+  describe('scheduleOpenOrders', () => {
+    test('places orders by arrival day or date, sorted', () => {
+      const { scheduled, unscheduled } = scheduleOpenOrders(
+        [{ quantity: 5, arrivalDate: '2024-03-04' }, { quantity: 8, arrivalDay: 1 }, { quantity: 2 }, { quantity: 0, arrivalDay: 1 }],
+        start
+      );
+      expect(scheduled.map(o => [o.quantity, o.arrivalDay, o.arrivalDate])).toEqual([[8, 1, '2024-03-02'], [5, 3, '2024-03-04']]);
+      expect(unscheduled).toEqual([{ quantity: 2 }]);
+      expect(scheduleOpenOrders('x', null)).toEqual({ scheduled: [], unscheduled: [] });
+    });
+  });
+
+  describe('planReplenishment', () => {
+    test('defaults to the library reorder point and EOQ over a 90-day horizon', () => {
+      const plan = planReplenishment(sampleHistoricalDemand, 50, 5, start);
+      expect(plan.policy).toBe('continuous');
+      expect(plan.horizon).toBe(90);
+      expect(plan.timeline).toHaveLength(90);
+      expect(plan.parameters.reorderPoint).toBe(calculateReorderPoint(sampleHistoricalDemand, 5).reorderPoint);
+      expect(plan.parameters.orderQuantity).toBe(calculateEOQ(sampleHistoricalDemand).eoq);
+      // 50 <= 64.78 → order today, lands on day 5; 5 days of 11.43 leave a 7.14 shortage on day 4
+      expect(plan.plannedOrders[0]).toEqual({ orderDay: 0, orderDate: '2024-03-01', arrivalDay: 5, arrivalDate: '2024-03-06', quantity: 239.05 });
+      expect(plan.timeline[4]).toMatchObject({ date: '2024-03-05', onHand: 0, shortage: 7.14 });
+      expect(plan.timeline[5].received).toBe(239.05);
+      expect(plan.summary.firstStockoutDay).toBe(4);
+      // Every later cycle is planned in time (reorder point covers the lead time)
+      expect(plan.summary.stockoutDays).toBe(1);
+      expect(plan.plannedOrders.length).toBeGreaterThan(3);
+      expect(plan.summary.plannedQuantity).toBeCloseTo(plan.plannedOrders.length * 239.05, 1);
+    });
+
+    test('open receipts count towards the position and delay the first order', () => {
+      const plan = planReplenishment(sampleHistoricalDemand, 50, 5, { ...start, horizon: 20, openOrders: [{ quantity: 30, arrivalDay: 2 }] });
+      expect(plan.timeline[0].inventoryPosition).toBe(68.57);
+      expect(plan.plannedOrders[0]).toMatchObject({ orderDay: 2, arrivalDay: 7 });
+      expect(plan.timeline[2]).toMatchObject({ received: 30, orderQuantity: 239.05 });
+      // Stock is drawn exactly to zero on day 6 (not a stockout)
+      expect(plan.timeline[6].onHand).toBe(0);
+      expect(plan.summary.stockoutDays).toBe(0);
+      expect(plan.summary.firstStockoutDay).toBeNull();
+      expect(plan.summary.receivedQuantity).toBe(269.05);
+    });
+
+    test('orders multiples of the order quantity when one is not enough', () => {
+      const plan = planReplenishment(sampleHistoricalDemand, 0, 5, { ...start, horizon: 5, orderQuantity: 10 });
+      expect(plan.plannedOrders[0].quantity).toBe(70);  // 7 × 10 lifts the position above 64.78
+      // Afterwards each day's demand pulls the position back under the trigger: top up by one quantity
+      expect(plan.plannedOrders[1]).toMatchObject({ orderDay: 1, quantity: 10 });
+    });
+
+    test('backorders and allocations reduce the starting stock', () => {
+      const plan = planReplenishment(sampleHistoricalDemand, 100, 5, { ...start, horizon: 3, backorders: 20, allocated: 30 });
+      expect(plan.parameters.startingStock).toBe(50);
+      expect(plan.plannedOrders[0].orderDay).toBe(0);
+    });
+
+    test('periodic review orders up to S on review days', () => {
+      const plan = planReplenishment(sampleHistoricalDemand, 50, 5, { ...start, horizon: 21, policy: 'periodic', reviewPeriod: 7 });
+      expect(plan.parameters).toMatchObject({ reorderPoint: null, orderQuantity: null, orderUpTo: 148.97, reviewPeriod: 7 });
+      expect(plan.plannedOrders.map(o => o.orderDay)).toEqual([0, 7, 14]);
+      expect(plan.plannedOrders.map(o => o.quantity)).toEqual([98.97, 80, 80]);
+    });
+
+    test('business calendar dates skip weekends', () => {
+      // 2024-03-01 is a Friday
+      const plan = planReplenishment(sampleHistoricalDemand, 50, 2, { ...start, horizon: 4, calendar: { weekendDays: [0, 6] } });
+      expect(plan.timeline.map(t => t.date)).toEqual(['2024-03-01', '2024-03-04', '2024-03-05', '2024-03-06']);
+      expect(plan.plannedOrders[0]).toMatchObject({ orderDate: '2024-03-05', arrivalDate: '2024-03-07' });
+    });
+
+    test('uses the forecast model over the horizon, or an explicit demand curve', () => {
+      const trending = [10, 12, 14, 16, 18, 20, 22];
+      const plan = planReplenishment(trending, 500, 2, { ...start, horizon: 10, method: 'holt' });
+      expect(plan.timeline[9].demand).toBeGreaterThan(plan.timeline[0].demand);
+      const curve = planReplenishment(sampleHistoricalDemand, 30, 0, { ...start, horizon: 4, dailyDemand: [10, 20], reorderPoint: 5, orderQuantity: 50 });
+      expect(curve.timeline.map(t => t.demand)).toEqual([10, 20, 15, 15]);
+      // Zero lead time: orders land the day they are placed
+      expect(curve.plannedOrders[0].arrivalDay).toBe(curve.plannedOrders[0].orderDay);
+      expect(curve.summary.stockoutDays).toBe(0);
+    });
+
+    test('returns an empty plan for invalid inputs (defensive)', () => {
+      const empty = planReplenishment('invalid', 50, 5, start);
+      expect(empty.timeline).toEqual([]);
+      expect(empty.parameters).toBeNull();
+      expect(empty.summary).toBeNull();
+      expect(planReplenishment(sampleHistoricalDemand, 50, -1).horizon).toBe(0);
+      expect(planReplenishment(sampleHistoricalDemand, 50, 5, { horizon: 0 }).timeline).toEqual([]);
+      expect(planReplenishment(sampleHistoricalDemand, 50, 5, null).horizon).toBe(90);
+    });
+  });
+
+  describe('calculateInventoryForecast with plan option', () => {
+    test('adds the plan only when requested, with the forecast parameters', () => {
+      expect(calculateInventoryForecast(sampleHistoricalDemand, 50, 5).replenishmentPlan).toBeUndefined();
+      const forecast = calculateInventoryForecast(sampleHistoricalDemand, 50, 5, 1.65, 100, 10, { plan: true, asOf: '2024-03-01' });
+      const { replenishmentPlan } = forecast;
+      expect(replenishmentPlan.horizon).toBe(90);
+      expect(replenishmentPlan.startDate).toBe('2024-03-01');
+      expect(replenishmentPlan.parameters.reorderPoint).toBe(forecast.reorderPoint);
+      expect(replenishmentPlan.parameters.orderQuantity).toBe(forecast.eoq);
+    });
+
+    test('follows the periodic policy, open orders and plan horizon', () => {
+      const forecast = calculateInventoryForecast(sampleHistoricalDemand, 50, 5, 1.65, 100, 10, {
+        plan: { horizon: 30 },
+        policy: 'periodic',
+        reviewPeriod: 7,
+        openOrders: [{ quantity: 40, arrivalDay: 3 }]
+      });
+      const { replenishmentPlan } = forecast;
+      expect(replenishmentPlan.timeline).toHaveLength(30);
+      expect(replenishmentPlan.parameters.orderUpTo).toBe(forecast.periodicReview.orderUpToLevel);
+      expect(replenishmentPlan.plannedOrders[0].quantity).toBe(forecast.periodicReview.orderQuantity);
+      expect(replenishmentPlan.timeline[3].received).toBe(40);
+    });
+
+    test('seasonal items are planned along the seasonal curve', () => {
+      const records = [];
+      for (let i = 0; i < 28; i++) {
+        const date = new Date(Date.UTC(2024, 0, 1 + i));
+        records.push({ date: date.toISOString().slice(0, 10), quantity: date.getUTCDay() % 6 === 0 ? 30 : 10 });
+      }
+      const forecast = calculateInventoryForecast(records, 100, 3, 1.65, 100, 10, { seasonalPeriods: ['weekly'], plan: { horizon: 7 } });
+      // Starts Monday 2024-01-29: five weekdays of 10, then the weekend peak
+      const demand = forecast.replenishmentPlan.timeline.map(t => t.demand);
+      expect(demand.slice(0, 5)).toEqual([10, 10, 10, 10, 10]);
+      expect(demand[5]).toBeCloseTo(30, 1);
+      expect(demand[6]).toBeCloseTo(30, 1);
+      expect(forecast.replenishmentPlan.startDate).toBe('2024-01-29');
+    });
+  });
+});
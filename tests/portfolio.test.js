@@ -0,0 +1,145 @@
+const {
+  analyzePortfolio,
+  calculateInventoryForecast,
+  classifyABC,
+  classifyXYZ,
+  ABC_CLASSES,
+  XYZ_CLASSES,
+  DEFAULT_ABC_THRESHOLDS,
+  DEFAULT_XYZ_THRESHOLDS,
+  InvalidCostError,
+  InvalidLeadTimeError,
+  DIAGNOSTIC_TYPES
+} = require('../src/index');
+
+/**
+ * Tests for portfolio/: ABC/XYZ classification, per-class service levels and portfolio totals.
+ */
+describe('Portfolio analysis', () => {
+  // Same sample data as inventory.test.js for B1; a fast mover, an intermittent item and one without a unit cost
+  const sampleHistoricalDemand = [10, 12, 15, 9, 11, 13, 10];
+  const catalog = [
+    { sku: 'A1', historicalDemand: [100, 110, 90, 105, 95, 100, 100], currentStock: 500, leadTime: 5, unitCost: 20 },
+    { sku: 'B1', historicalDemand: sampleHistoricalDemand, currentStock: 50, leadTime: 5, unitCost: 10 },
+    { sku: 'C1', historicalDemand: [0, 5, 0, 0, 8, 0, 1], currentStock: 20, leadTime: 5, unitCost: 2 },
+    { sku: 'D1', historicalDemand: [3, 3, 3, 3, 3, 3, 3], currentStock: 20, leadTime: 5, zScore: 2 }
+  ];
+
+  describe('classifyABC', () => {
+    test('cumulative value share cut-offs; the top SKU is always A', () => {
+      expect(DEFAULT_ABC_THRESHOLDS).toEqual({ a: 0.8, b: 0.95 });
+      const classes = classifyABC([10, 700, 100, 150, 40]);
+      expect(classes.map(c => c.abcClass)).toEqual(['C', 'A', 'B', 'A', 'C']);
+      expect(classes[1]).toEqual({ abcClass: ABC_CLASSES.A, valueShare: 0.7, cumulativeShare: 0.7, rank: 1 });
+      expect(classes[0]).toMatchObject({ valueShare: 0.01, cumulativeShare: 1, rank: 5 });
+      expect(classifyABC([1000, 1])[0].abcClass).toBe('A');
+    });
+
+    test('zero values are C; custom and invalid thresholds', () => {
+      expect(classifyABC([0, 0, NaN, -5]).map(c => c.abcClass)).toEqual(['C', 'C', 'C', 'C']);
+      expect(classifyABC([50, 30, 20], { a: 0.5, b: 0.9 }).map(c => c.abcClass)).toEqual(['A', 'B', 'B']);
+      // Out of range or descending cut-offs keep the defaults
+      expect(classifyABC([50, 30, 20], { a: 2 })).toEqual(classifyABC([50, 30, 20]));
+      expect(classifyABC([50, 30, 20], { a: 0.9, b: 0.5 })).toEqual(classifyABC([50, 30, 20]));
+      expect(classifyABC('x')).toEqual([]);
+    });
+  });
+
+  describe('classifyXYZ', () => {
+    test('coefficient of variation cut-offs', () => {
+      expect(DEFAULT_XYZ_THRESHOLDS).toEqual({ x: 0.5, y: 1 });
+      expect(classifyXYZ(11.43, 2.07)).toEqual({ xyzClass: XYZ_CLASSES.X, cv: 0.1811 });
+      expect(classifyXYZ(10, 8).xyzClass).toBe('Y');
+      expect(classifyXYZ(10, 15).xyzClass).toBe('Z');
+      expect(classifyXYZ(10, 8, { y: 0.7 }).xyzClass).toBe('Z');
+    });
+
+    test('no demand is Z', () => {
+      expect(classifyXYZ(0, 0)).toEqual({ xyzClass: 'Z', cv: null });
+      expect(classifyXYZ('x', 1).xyzClass).toBe('Z');
+      expect(classifyXYZ(5, NaN)).toEqual({ xyzClass: 'X', cv: 0 });
+    });
+  });
+
+  describe('analyzePortfolio', () => {
+    test('classes each SKU and keeps its forecast', () => {
+      const { results } = analyzePortfolio(catalog);
+      expect(results.map(r => [r.sku, r.class, r.rank])).toEqual([['A1', 'AX', 1], ['B1', 'BX', 2], ['C1', 'CZ', 3], ['D1', 'CX', 4]]);
+      // Annual value = avg daily demand * 250 days * unit cost (same basis as the EOQ)
+      expect(results[1]).toMatchObject({ unitCost: 10, annualDemand: 2857.5, annualValue: 28575, valueShare: 0.0539, cv: 0.1811 });
+      expect(results[1]).toMatchObject(calculateInventoryForecast(sampleHistoricalDemand, 50, 5));
+      expect(results[1].cycleStock).toBe(119.53);  // EOQ / 2
+      expect(results[1].classServiceTarget).toBeNull();
+    });
+
+    test('portfolio totals and counts', () => {
+      const { summary } = analyzePortfolio(catalog);
+      expect(summary).toMatchObject({
+        count: 4,
+        annualValue: 529680,
+        riskLevels: { medium: 2, high: 1, low: 1 },
+        abc: { A: { count: 1, annualValue: 500000, valueShare: 0.944 }, B: { count: 1 }, C: { count: 2, annualValue: 1105 } },
+        xyz: { X: { count: 3 }, Y: { count: 0, annualValue: 0, valueShare: 0 }, Z: { count: 1 } },
+        matrix: { AX: 1, BX: 1, CX: 1, CZ: 1, AY: 0 }
+      });
+      const { results } = analyzePortfolio(catalog);
+      const units = results.reduce((acc, r) => acc + r.safetyStock, 0);
+      const value = results.reduce((acc, r) => acc + r.safetyStock * r.unitCost, 0);
+      expect(summary.safetyStock).toEqual({ units: Number(units.toFixed(2)), value: Number(value.toFixed(2)) });
+      expect(summary.cycleStock.units).toBe(Number(results.reduce((acc, r) => acc + r.cycleStock, 0).toFixed(2)));
+      expect(analyzePortfolio(null).summary).toMatchObject({ count: 0, annualValue: 0, riskLevels: {} });
+    });
+
+    test('service levels per class', () => {
+      const { results } = analyzePortfolio(catalog, { serviceLevels: { A: 0.99, C: { fillRate: 0.9 }, CX: 0.8 } });
+      expect(results[0].classServiceTarget).toEqual({ serviceLevel: 0.99 });
+      expect(results[0].serviceLevel.target).toBe(0.99);
+      expect(results[0].safetyStock).toBe(calculateInventoryForecast({ ...catalog[0], serviceLevel: 0.99 }).safetyStock);
+      expect(results[1].classServiceTarget).toBeNull();  // No B target: the built-in Z of 1.65
+      expect(results[2].serviceLevel).toMatchObject({ type: 'fill_rate', target: 0.9 });
+      // D1 sets its own zScore: the CX default does not apply
+      expect(results[3].classServiceTarget).toBeNull();
+      expect(results[3].serviceLevel.zScore).toBe(2);
+    });
+
+    test('a profile service target wins over the class default', () => {
+      const profiles = { critical: { serviceLevel: 0.995 } };
+      const { results } = analyzePortfolio([{ ...catalog[0], profile: 'critical', profiles }], { serviceLevels: { A: 0.9 } });
+      expect(results[0]).toMatchObject({ classServiceTarget: null, profile: 'critical', serviceLevel: { target: 0.995 } });
+    });
+
+    test('days per year and calendars change the annual value', () => {
+      const item = { ...catalog[1], daysPerYear: 365 };
+      expect(analyzePortfolio([item]).results[0].annualDemand).toBe(4171.95);
+      const calendar = { weekendDays: [0, 6] };
+      expect(analyzePortfolio([{ ...catalog[1], calendar, asOf: '2024-01-01' }]).results[0].annualDemand).toBe(Number((11.43 * 261).toFixed(2)));
+    });
+
+    test('periodic review cycle stock is half a review period of demand', () => {
+      const { results } = analyzePortfolio([{ ...catalog[1], policy: 'periodic', reviewPeriod: 14 }]);
+      expect(results[0].cycleStock).toBe(80.01);
+    });
+
+    test('custom thresholds', () => {
+      const { results } = analyzePortfolio(catalog, { abcThresholds: { a: 0.99, b: 0.999 }, xyzThresholds: { x: 0.1, y: 2 } });
+      expect(results.map(r => r.class)).toEqual(['AX', 'AY', 'BY', 'CX']);
+    });
+
+    test('invalid unit costs are reported; strict mode throws with the item path', () => {
+      const { diagnostics, results } = analyzePortfolio(catalog);
+      expect(results[3]).toMatchObject({ unitCost: 0, annualValue: 0 });
+      expect(diagnostics).toEqual([{
+        type: DIAGNOSTIC_TYPES.DEFAULT_USED,
+        field: 'items.3.unitCost',
+        value: undefined,
+        default: 0,
+        message: 'items.3.unitCost must be a number (got undefined); annual value counted as 0'
+      }]);
+      expect(() => analyzePortfolio(catalog, { strict: true })).toThrow(InvalidCostError);
+      const bad = [catalog[0], { ...catalog[1], leadTime: -1 }];
+      expect(analyzePortfolio(bad).results[1].diagnostics).toHaveLength(1);
+      expect(() => analyzePortfolio(bad, { strict: true })).toThrow(expect.objectContaining({ field: 'items.1.leadTime' }));
+      expect(() => analyzePortfolio([bad[0], { ...bad[1], strict: true }])).toThrow(InvalidLeadTimeError);
+    });
+  });
+});
@@ -0,0 +1,126 @@
+const {
+  forecastQuantiles,
+  INTERVAL_METHODS,
+  generateInsights,
+  calculateInventoryForecast
+} = require('../src/index');
+
+/**
+ * Tests for prediction intervals: demand quantiles per day / cumulatively and the days-remaining range.
+ */
+describe('Prediction intervals', () => {
+  // Same sample data as inventory.test.js (mean 11.43; expanding-mean residual RMS 2.47)
+  const sampleHistoricalDemand = [10, 12, 15, 9, 11, 13, 10];
+
+  describe('forecastQuantiles (parametric)', () => {
+    test('P10/P50/P90 per day and cumulatively from the residuals', () => {
+      const result = forecastQuantiles(sampleHistoricalDemand, { horizon: 5 });
+      expect(result.method).toBe('sma');
+      expect(result.intervalMethod).toBe(INTERVAL_METHODS.PARAMETRIC);
+      expect(result.quantiles).toEqual([0.1, 0.5, 0.9]);
+      expect(result.residualStdDev).toBe(2.47);
+      expect(result.daily).toHaveLength(5);
+      // 11.43 ± 1.2816 * 2.47
+      expect(result.daily[0]).toEqual({ day: 1, mean: 11.43, p10: 8.26, p50: 11.43, p90: 14.6 });
+      // Cumulative spread grows with sqrt(h): 57.14 ± 1.2816 * 2.47 * sqrt(5)
+      expect(result.cumulative[4]).toEqual({ day: 5, mean: 57.14, p10: 50.06, p50: 57.14, p90: 64.23 });
+      expect(result.daysRemaining).toBeNull();  // No stock given
+    });
+
+    test('days-remaining range for the stock (high demand → early stockout)', () => {
+      const { daysRemaining } = forecastQuantiles(sampleHistoricalDemand, { horizon: 5, currentStock: 50 });
+      expect(daysRemaining).toEqual({ p10: 3.83, p50: 4.38, p90: 4.99 });
+    });
+
+    test('arbitrary quantiles get matching keys', () => {
+      const result = forecastQuantiles(sampleHistoricalDemand, { horizon: 1, quantiles: [0.975, 0.025, 0.975, 2] });
+      expect(result.quantiles).toEqual([0.025, 0.975]);
+      expect(Object.keys(result.daily[0])).toEqual(['day', 'mean', 'p2.5', 'p97.5']);
+    });
+
+    test('follows the demand model (trend) and handles edge stock levels', () => {
+      const trending = [10, 12, 14, 16, 18, 20, 22];
+      const holt = forecastQuantiles(trending, { method: 'holt', horizon: 7 });
+      expect(holt.method).toBe('holt');
+      expect(holt.daily[6].mean).toBeGreaterThan(holt.daily[0].mean);
+      expect(forecastQuantiles(sampleHistoricalDemand, { currentStock: 0 }).daysRemaining).toEqual({ p10: 0, p50: 0, p90: 0 });
+      expect(forecastQuantiles([0, 0, 0], { currentStock: 5 }).daysRemaining.p50).toBe('Infinite');
+    });
+  });
+
+  describe('forecastQuantiles (bootstrap)', () => {
+    test('is reproducible for a seed and ordered by quantile', () => {
+      const options = { horizon: 5, currentStock: 50, intervalMethod: 'bootstrap', runs: 300 };
+      const a = forecastQuantiles(sampleHistoricalDemand, options);
+      expect(a).toEqual(forecastQuantiles(sampleHistoricalDemand, options));
+      expect(forecastQuantiles(sampleHistoricalDemand, { ...options, seed: 9 }).cumulative[4].p90).not.toBe(a.cumulative[4].p90);
+      a.cumulative.forEach(row => {
+        expect(row.p10).toBeLessThanOrEqual(row.p50);
+        expect(row.p50).toBeLessThanOrEqual(row.p90);
+      });
+      expect(a.daysRemaining.p10).toBeLessThan(a.daysRemaining.p90);
+      // Close to the parametric range for well-behaved residuals
+      expect(a.daysRemaining.p50).toBeCloseTo(4.38, 0);
+    });
+
+    test('paths that never run out give \'Infinite\'; empty stock gives 0', () => {
+      expect(forecastQuantiles([0, 0, 0], { currentStock: 5, intervalMethod: 'bootstrap', runs: 20 }).daysRemaining.p90).toBe('Infinite');
+      expect(forecastQuantiles(sampleHistoricalDemand, { currentStock: 0, intervalMethod: 'bootstrap', runs: 20 }).daysRemaining.p90).toBe(0);
+    });
+  });
+
+  test('returns empty intervals for invalid inputs (defensive)', () => {
+    const empty = forecastQuantiles('invalid', null);
+    expect(empty.daily).toEqual([]);
+    expect(empty.daysRemaining).toBeNull();
+    expect(forecastQuantiles(sampleHistoricalDemand, { horizon: 'x', intervalMethod: 'magic' })).toMatchObject({
+      intervalMethod: 'parametric'
+    });
+    expect(forecastQuantiles([5], { horizon: 2 }).residualStdDev).toBe(0);
+  });
+
+  describe('calculateInventoryForecast with intervals', () => {
+    test('adds intervals over the lead time and a confidence signal', () => {
+      expect(calculateInventoryForecast(sampleHistoricalDemand, 50, 5).predictionIntervals).toBeUndefined();
+      const forecast = calculateInventoryForecast(sampleHistoricalDemand, 50, 5, 1.65, 100, 10, { intervals: true });
+      const { predictionIntervals } = forecast;
+      expect(predictionIntervals.daily).toHaveLength(5);
+      expect(predictionIntervals.daysRemaining.p50).toBe(forecast.daysRemaining);
+      expect(forecast.insights.confidenceSignal).toBe('Stock lasts 3.83-4.99 days with 80% confidence.');
+    });
+
+    test('custom quantiles, method and horizon; stock net of backorders', () => {
+      const forecast = calculateInventoryForecast(sampleHistoricalDemand, 70, 5, 1.65, 100, 10, {
+        intervals: { quantiles: [0.05, 0.95], intervalMethod: 'bootstrap', horizon: 10, runs: 200 },
+        backorders: 20
+      });
+      const { predictionIntervals } = forecast;
+      expect(predictionIntervals.intervalMethod).toBe('bootstrap');
+      expect(predictionIntervals.cumulative).toHaveLength(10);
+      expect(predictionIntervals.daysRemaining.p5).toBeLessThan(4.38);
+      expect(predictionIntervals.daysRemaining.p95).toBeGreaterThan(4.38);
+      expect(forecast.insights.confidenceSignal).toContain('with 90% confidence');
+    });
+
+    test('uses the model chosen for the forecast', () => {
+      const sparePartDemand = [0, 0, 3, 0, 0, 0, 2, 0, 0, 5, 0, 0, 0, 0, 1, 0, 0, 4, 0, 0, 0, 2, 0, 0, 0, 0, 6, 0];
+      const forecast = calculateInventoryForecast(sparePartDemand, 5, 7, 1.65, 100, 10, { intervals: true });
+      expect(forecast.predictionIntervals.method).toBe('sba');
+    });
+
+    test('confidence signal wording for open-ended and single-quantile ranges', () => {
+      const forecast = calculateInventoryForecast(sampleHistoricalDemand, 50, 5);
+      const signal = daysRemaining => generateInsights({
+        ...forecast,
+        predictionIntervals: { quantiles: Object.keys(daysRemaining).map(k => Number(k.slice(1)) / 100), daysRemaining }
+      }).confidenceSignal;
+      expect(signal({ p10: 12, p90: Infinity })).toBe('Stock lasts at least 12 days with 90% confidence.');
+      expect(signal({ p10: Infinity, p90: Infinity })).toBe('Stock is not expected to run out within a year.');
+      expect(signal({ p10: 'Infinite', p90: 'Infinite' })).toBe('Stock is not expected to run out within a year.');
+      // 'Infinite' survives JSON (Infinity would become null)
+      const forecastJson = JSON.parse(JSON.stringify(calculateInventoryForecast([0, 0, 0], 5, 3, 1.65, 100, 10, { intervals: true })));
+      expect(forecastJson.predictionIntervals.daysRemaining).toEqual({ p10: 'Infinite', p50: 'Infinite', p90: 'Infinite' });
+      expect(signal({ p50: 4.38 })).toBe('Stock lasts about 4.38 days (P50).');
+    });
+  });
+});
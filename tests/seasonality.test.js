@@ -0,0 +1,183 @@
+const {
+  parseDemandRecords,
+  estimateSeasonalIndices,
+  projectSeasonalDemand,
+  calculateSeasonalInventory,
+  calculateInventoryForecast,
+  RISK_LEVELS
+} = require('../src/index');
+
+/**
+ * Tests for dated history (timeseries/) and seasonal demand curves (seasonality/).
+ */
+describe('Seasonality', () => {
+  // Builds daily records from a start date; quantityFor(dayKey, dayOfWeek, index)
+  const buildRecords = (start, days, quantityFor) => {
+    const startMs = Date.parse(`${start}T00:00:00Z`);
+    return Array.from({ length: days }, (_, i) => {
+      const date = new Date(startMs + i * 86400000);
+      return { date: date.toISOString().slice(0, 10), quantity: quantityFor(date.toISOString().slice(0, 10), date.getUTCDay(), i) };
+    });
+  };
+  // 8 weeks starting Monday 2024-01-01: 10/day on weekdays, 30/day on weekends
+  const weekendRecords = buildRecords('2024-01-01', 56, (key, dow) => (dow === 0 || dow === 6 ? 30 : 10));
+
+  describe('parseDemandRecords', () => {
+    test('sorts records, sums same-day entries and drops invalid ones', () => {
+      const parsed = parseDemandRecords([
+        { date: '2024-01-03', quantity: 5 },
+        { date: new Date('2024-01-01T12:00:00Z'), quantity: 2 },
+        { date: '2024-01-01', quantity: 3 },
+        { date: 'not a date', quantity: 9 },
+        { date: '2024-01-02', quantity: -1 },
+        { date: null, quantity: 1 },
+        { date: true, quantity: 1 },
+        null
+      ]);
+      expect(parsed).toEqual({ dates: ['2024-01-01', '2024-01-03'], quantities: [5, 5] });
+    });
+
+    test('returns empty series for invalid input', () => {
+      expect(parseDemandRecords('invalid')).toEqual({ dates: [], quantities: [] });
+    });
+  });
+
+  describe('estimateSeasonalIndices', () => {
+    test('estimates day-of-week indices (weekend ~3x weekdays)', () => {
+      const { weekly, yearly } = estimateSeasonalIndices(weekendRecords);
+      expect(yearly).toBeNull();
+      expect(weekly).toHaveLength(7);
+      expect(weekly[6] / weekly[1]).toBeCloseTo(3, 3);  // Saturday vs Monday
+      expect(weekly.reduce((a, b) => a + b, 0) / 7).toBeCloseTo(1, 3);  // Normalized
+    });
+
+    test('estimates yearly (monthly) indices when a full year is available', () => {
+      // December demand doubles; everything else flat
+      const records = buildRecords('2023-01-01', 365, key => (key.slice(5, 7) === '12' ? 20 : 10));
+      const { weekly, yearly } = estimateSeasonalIndices(records, { periods: ['weekly', 'yearly'] });
+      expect(yearly[11] / yearly[0]).toBeCloseTo(2, 3);
+      // Weekly pattern is flat once the yearly effect is removed
+      weekly.forEach(w => expect(w).toBeCloseTo(1, 1));
+    });
+
+    test('a month without sales has a yearly index of 0 and is left out of the weekly estimate', () => {
+      // 400 days, closed all of February; Saturdays double
+      const records = buildRecords('2023-01-01', 400, (key, dow) => (key.slice(5, 7) === '02' ? 0 : (dow === 6 ? 20 : 10)));
+      const { weekly, yearly } = estimateSeasonalIndices(records, { periods: ['weekly', 'yearly'] });
+      expect(yearly[1]).toBe(0);
+      weekly.forEach(w => expect(Number.isFinite(w)).toBe(true));
+      expect(weekly[6] / weekly[1]).toBeCloseTo(2, 1);
+    });
+
+    test('returns null indices when history is too short, all zero, or invalid', () => {
+      expect(estimateSeasonalIndices(weekendRecords.slice(0, 10)).weekly).toBeNull();
+      expect(estimateSeasonalIndices(weekendRecords, { periods: 'yearly' }).yearly).toBeNull();  // < 1 year
+      expect(estimateSeasonalIndices(buildRecords('2024-01-01', 14, () => 0)).weekly).toBeNull();
+      expect(estimateSeasonalIndices('invalid', null)).toEqual({ weekly: null, yearly: null });
+    });
+
+    test('days missing from the export count as zero demand', () => {
+      // Only weekday records (no weekend rows at all) → weekend gaps filled with 0
+      const { weekly } = estimateSeasonalIndices(weekendRecords.filter(r => r.quantity === 10));
+      expect(weekly[0]).toBe(0);
+      expect(weekly[6]).toBe(0);
+      expect(weekly[1]).toBeCloseTo(1.4, 4);  // 5 selling days carry the whole week
+    });
+  });
+
+  describe('projectSeasonalDemand', () => {
+    test('projects base rate times seasonal factors day by day', () => {
+      const indices = { weekly: [2, 1, 1, 1, 1, 1, 2], yearly: null };
+      const curve = projectSeasonalDemand(10, '2024-03-01', 3, indices);  // Fri, Sat, Sun
+      expect(curve).toEqual([
+        { date: '2024-03-01', demand: 10 },
+        { date: '2024-03-02', demand: 20 },
+        { date: '2024-03-03', demand: 20 }
+      ]);
+    });
+
+    test('returns empty curve for invalid inputs', () => {
+      expect(projectSeasonalDemand(-1, '2024-03-01', 3, {})).toEqual([]);
+      expect(projectSeasonalDemand(10, 'bad', 3, {})).toEqual([]);
+      expect(projectSeasonalDemand(10, '2024-03-01', 0, {})).toEqual([]);
+    });
+  });
+
+  describe('calculateSeasonalInventory', () => {
+    test('consumes the seasonal curve: coverage is shorter going into a weekend', () => {
+      // Start Thursday 2024-02-29 with 60 units: Thu 10, Fri 10, Sat 30, Sun 10/30 → 3.33 days
+      const result = calculateSeasonalInventory(weekendRecords, 60, 3, 1.65, { asOf: '2024-02-29' });
+      expect(result.daysRemaining).toBeCloseTo(3 + 10 / 30, 3);
+      expect(result.leadTimeDemand).toBe(50);  // Thu + Fri + Sat
+      // Flat rate would say 60 / 15.71 ≈ 3.82 days
+      expect(result.startDate).toBe('2024-02-29');
+      expect(result.curve).toHaveLength(7);
+    });
+
+    test('defaults the projection start to the day after the last record', () => {
+      // Last record is Sunday 2024-02-25 → start Monday: 5 weekdays (50) then Saturday
+      const result = calculateSeasonalInventory(weekendRecords, 60, 2.5);
+      expect(result.startDate).toBe('2024-02-26');
+      expect(result.daysRemaining).toBeCloseTo(5 + 10 / 30, 3);
+      expect(result.leadTimeDemand).toBe(25);  // Two full days + half of the third
+    });
+
+    test('safety stock scales with seasonal factors over the lead time', () => {
+      // Noisy weekend data so σ > 0; Sat-start lead time (high factors) needs more buffer than Mon-start
+      const noisy = buildRecords('2024-01-01', 56, (key, dow, i) => (dow === 0 || dow === 6 ? 30 : 10) * (i % 2 === 0 ? 1.2 : 0.8));
+      const weekend = calculateSeasonalInventory(noisy, 100, 2, 1.65, { asOf: '2024-03-02' });
+      const weekday = calculateSeasonalInventory(noisy, 100, 2, 1.65, { asOf: '2024-03-04' });
+      expect(weekend.demandStdDev).toBeGreaterThan(0);
+      expect(weekend.safetyStock).toBeGreaterThan(weekday.safetyStock);
+      expect(weekend.reorderPoint).toBeCloseTo(weekend.leadTimeDemand + weekend.safetyStock, 1);
+    });
+
+    test('handles zero demand, zero stock and invalid inputs defensively', () => {
+      const zeros = buildRecords('2024-01-01', 14, () => 0);
+      expect(calculateSeasonalInventory(zeros, 10, 3).daysRemaining).toBe(Infinity);
+      expect(calculateSeasonalInventory(weekendRecords, 0, 3).daysRemaining).toBe(0);
+      expect(calculateSeasonalInventory('invalid', 10, 3).reorderPoint).toBe(0);
+      expect(calculateSeasonalInventory(weekendRecords, 10, -1).curve).toEqual([]);
+      expect(calculateSeasonalInventory(weekendRecords, 10, 3, -1, null).safetyStock).toBe(0);
+    });
+
+    test('treats coverage beyond ten years as never running out', () => {
+      const tiny = buildRecords('2024-01-01', 14, () => 0.001);
+      expect(calculateSeasonalInventory(tiny, 1e6, 3).daysRemaining).toBe(Infinity);
+    });
+
+    test('skips zero-factor days when deseasonalizing', () => {
+      // Closed on Sundays (index 0 after weekday-only sales)
+      const closedSunday = buildRecords('2024-01-01', 28, (key, dow) => (dow === 0 ? 0 : 10));
+      const result = calculateSeasonalInventory(closedSunday, 30, 3);
+      expect(result.indices.weekly[0]).toBe(0);
+      expect(result.baseRate).toBeGreaterThan(0);
+    });
+  });
+
+  describe('calculateInventoryForecast with dated history', () => {
+    test('accepts dated records (flat rate unless seasonal periods are requested)', () => {
+      const forecast = calculateInventoryForecast(weekendRecords, 60, 3);
+      expect(forecast.avgDailyDemand).toBe(15.71);
+      expect(forecast.daysRemaining).toBe(3.82);
+      expect(forecast.seasonality).toBeUndefined();
+    });
+
+    test('uses the seasonal curve for coverage, buffer and reorder point', () => {
+      const forecast = calculateInventoryForecast(weekendRecords, 60, 3, 1.65, 100, 10, { seasonalPeriods: ['weekly'], asOf: '2024-02-29' });
+      expect(forecast.daysRemaining).toBe(3.33);
+      expect(forecast.reorderPoint).toBe(50);  // No noise → no safety stock
+      expect(forecast.riskLevel).toBe(RISK_LEVELS.MEDIUM);  // 3.33 < 1.5 * 3
+      expect(forecast.seasonality.indices.weekly).toHaveLength(7);
+      expect(forecast.seasonality.curve[2]).toEqual({ date: '2024-03-02', demand: 30 });
+    });
+
+    test('a seasonal item with a dead month is still buffered and flagged', () => {
+      const records = buildRecords('2023-01-01', 400, (key, dow, i) => (key.slice(5, 7) === '02' ? 0 : (dow === 6 ? 20 : 10) + (i % 3)));
+      const forecast = calculateInventoryForecast(records, 20, 5, 1.65, 100, 10, { seasonalPeriods: ['weekly', 'yearly'], asOf: '2024-03-01' });
+      [forecast.safetyStock, forecast.reorderPoint, forecast.daysRemaining].forEach(value => expect(Number.isFinite(value)).toBe(true));
+      expect(forecast.safetyStock).toBeGreaterThan(0);
+      expect(forecast.riskLevel).not.toBe(RISK_LEVELS.LOW);
+    });
+  });
+});
@@ -0,0 +1,267 @@
+const http = require('http');
+const {
+  calculateInventoryForecast,
+  calculateEOQ,
+  calculateSafetyStock,
+  calculateReorderPoint,
+  generateInsights
+} = require('../src/index');
+const validateSchema = require('../src/server/validateSchema');
+const { handleRequest, ERROR_CODES, ROUTES } = require('../src/server/handleRequest');
+const { createServer } = require('../src/server/createServer');
+const {
+  MAX_BATCH_ITEMS, MAX_HISTORY_DAYS, MAX_AUTO_HISTORY_DAYS, MAX_SIMULATION_RUNS, MAX_PLAN_HORIZON, MAX_OPEN_ORDERS
+} = require('../src/server/schemas');
+const { version } = require('../package.json');
+
+/**
+ * Tests for server/ layer: schema validation, routes mapped to the exported functions, structured errors,
+ * and the HTTP server itself (listening on a free local port in-process).
+ */
+describe('HTTP API', () => {
+  // Same sample data as inventory.test.js
+  const sampleHistoricalDemand = [10, 12, 15, 9, 11, 13, 10];
+  const post = (url, body) => handleRequest('POST', url, typeof body === 'string' ? body : JSON.stringify(body));
+
+  describe('validateSchema', () => {
+    const schema = {
+      type: 'object',
+      required: ['a'],
+      properties: {
+        a: { type: 'integer', minimum: 1, maximum: 5 },
+        b: { type: 'array', minItems: 1, maxItems: 2, items: { type: 'number', exclusiveMinimum: 0, exclusiveMaximum: 1 } },
+        c: { type: 'string', minLength: 2, enum: ['xx', 'yy'] },
+        d: { anyOf: [{ type: 'number' }, { type: ['string', 'null'] }] },
+        e: { type: 'object', additionalProperties: { type: 'boolean' } }
+      },
+      additionalProperties: false
+    };
+
+    test('accepts valid documents', () => {
+      expect(validateSchema(schema, { a: 3, b: [0.5], c: 'xx', d: null, e: { on: true } })).toEqual([]);
+      expect(validateSchema(null, 'anything')).toEqual([]);
+    });
+
+    test('reports each problem with a JSON Pointer path', () => {
+      expect(validateSchema(schema, { a: 2.5, b: [1, 0.2, 0.3], c: 'z', d: [], e: { on: 1 }, f: 1 })).toEqual([
+        { path: '/a', message: 'must be integer' },
+        { path: '/b', message: 'must have at most 2 items' },
+        { path: '/b/0', message: 'must be < 1' },
+        { path: '/c', message: 'must be one of: xx, yy' },
+        { path: '/c', message: 'must have at least 2 characters' },
+        { path: '/d', message: 'must match one of: number, string or null' },
+        { path: '/e/on', message: 'must be boolean' },
+        { path: '/f', message: 'is not allowed' }
+      ]);
+      expect(validateSchema(schema, { a: 9, b: [] })).toEqual([
+        { path: '/a', message: 'must be <= 5' },
+        { path: '/b', message: 'must have at least 1 items' }
+      ]);
+      expect(validateSchema(schema, { a: 0, b: [0] })).toEqual([
+        { path: '/a', message: 'must be >= 1' },
+        { path: '/b/0', message: 'must be > 0' }
+      ]);
+      expect(validateSchema(schema, {})).toEqual([{ path: '/a', message: 'is required' }]);
+      expect(validateSchema(schema, [])).toEqual([{ path: '/', message: 'must be object' }]);
+    });
+
+    test('not and if / then', () => {
+      const conditional = {
+        type: 'object',
+        if: { type: 'object', required: ['kind'], properties: { kind: { enum: ['short'] } } },
+        then: { properties: { list: { maxItems: 1 } } },
+        properties: { tag: { not: { type: 'string' } } }
+      };
+      expect(validateSchema(conditional, { kind: 'short', list: [1, 2], tag: 'x' })).toEqual([
+        { path: '/list', message: 'must have at most 1 items' },
+        { path: '/tag', message: 'must not be string' }
+      ]);
+      expect(validateSchema(conditional, { kind: 'long', list: [1, 2], tag: 1 })).toEqual([]);
+    });
+  });
+
+  describe('handleRequest', () => {
+    test('health and version', () => {
+      expect(handleRequest('GET', '/health')).toMatchObject({ status: 200, body: { status: 'ok' } });
+      expect(handleRequest('GET', '/version?x=1').body).toMatchObject({ name: 'inventory-management-system', version });
+    });
+
+    test('POST /forecast maps to calculateInventoryForecast', () => {
+      const response = post('/forecast', {
+        historicalDemand: sampleHistoricalDemand, currentStock: 50, leadTime: 5, zScore: 2, options: { riskModel: 'probabilistic' }
+      });
+      expect(response.status).toBe(200);
+      expect(response.headers['Content-Type']).toContain('application/json');
+      expect(response.body).toEqual(
+        calculateInventoryForecast(sampleHistoricalDemand, 50, 5, 2, 100, 10, { riskModel: 'probabilistic' })
+      );
+    });
+
+    test('POST /forecast/batch forecasts each item and summarizes risk', () => {
+      const { status, body } = post('/forecast/batch', {
+        items: [
+          { sku: 'A-100', historicalDemand: sampleHistoricalDemand, currentStock: 50, leadTime: 5 },
+          { historicalDemand: [{ date: '2024-03-01', quantity: 4 }, { date: '2024-03-02', quantity: 6 }], currentStock: 500, leadTime: [7, 9] }
+        ]
+      });
+      expect(status).toBe(200);
+      expect(body.results.map(r => [r.sku, r.riskLevel])).toEqual([['A-100', 'high'], [2, 'low']]);
+      expect(body.results[0].reorderPoint).toBe(64.78);
+      expect(body.summary).toEqual({ count: 2, riskLevels: { high: 1, low: 1 } });
+    });
+
+    test('POST /eoq, /safety-stock, /reorder-point and /insights', () => {
+      expect(post('/eoq', { historicalDemand: sampleHistoricalDemand, orderCost: 50, daysPerYear: 365 }).body)
+        .toEqual(calculateEOQ(sampleHistoricalDemand, 50, 10, 365));
+      expect(post('/safety-stock', { historicalDemand: sampleHistoricalDemand, leadTime: { mean: 5, stdDev: 1 } }).body)
+        .toEqual(calculateSafetyStock(sampleHistoricalDemand, { mean: 5, stdDev: 1 }));
+      expect(post('/reorder-point/', { historicalDemand: sampleHistoricalDemand, leadTime: 5, zScore: 2.33 }).body)
+        .toEqual(calculateReorderPoint(sampleHistoricalDemand, 5, 2.33));
+      const forecast = calculateInventoryForecast(sampleHistoricalDemand, 50, 5);
+      expect(post('/insights', forecast).body).toEqual(generateInsights(forecast));
+    });
+
+    test('validation errors list every invalid field', () => {
+      const { status, body } = post('/forecast', { historicalDemand: [5, -1, 'x'], leadTime: 'soon', zScore: -2, extra: true });
+      expect(status).toBe(400);
+      expect(body.error.code).toBe(ERROR_CODES.VALIDATION_ERROR);
+      expect(body.error.details).toEqual([
+        { path: '/currentStock', message: 'is required' },
+        { path: '/historicalDemand/1', message: 'must match one of: number, object' },
+        { path: '/historicalDemand/2', message: 'must match one of: number, object' },
+        { path: '/leadTime', message: 'must match one of: number, array, object' },
+        { path: '/zScore', message: 'must be >= 0' },
+        { path: '/extra', message: 'is not allowed' }
+      ]);
+      const batch = post('/forecast/batch', { items: [{ historicalDemand: [1], currentStock: 1, leadTime: 1, sku: true }] });
+      expect(batch.body.error.details).toEqual([{ path: '/items/0/sku', message: 'must be string or number' }]);
+      const tooMany = post('/forecast/batch', { items: new Array(MAX_BATCH_ITEMS + 1).fill({}) });
+      expect(tooMany.body.error.details[0]).toEqual({ path: '/items', message: `must have at most ${MAX_BATCH_ITEMS} items` });
+      expect(post('/insights', { avgDailyDemand: 5, riskLevel: 'dire' }).body.error.details[0].path).toBe('/riskLevel');
+    });
+
+    test('structured errors for bad JSON, unknown routes and methods', () => {
+      expect(post('/eoq', '{"historicalDemand": [1,')).toMatchObject({ status: 400, body: { error: { code: ERROR_CODES.INVALID_JSON } } });
+      expect(post('/eoq', '').body.error).toMatchObject({ code: ERROR_CODES.VALIDATION_ERROR, details: [{ path: '/', message: 'must be object' }] });
+      expect(handleRequest('GET', '/nope')).toMatchObject({ status: 404, body: { error: { code: ERROR_CODES.NOT_FOUND } } });
+      const wrongMethod = handleRequest('GET', '/forecast');
+      expect(wrongMethod).toMatchObject({ status: 405, headers: { Allow: 'POST' }, body: { error: { code: ERROR_CODES.METHOD_NOT_ALLOWED } } });
+      expect(handleRequest(undefined, undefined).status).toBe(404);
+    });
+
+    test('bounds simulation and horizon settings per request', () => {
+      const base = { historicalDemand: sampleHistoricalDemand, currentStock: 50, leadTime: 5 };
+      const details = options => post('/forecast', { ...base, options }).body.error.details;
+      expect(details({ intervals: { runs: MAX_SIMULATION_RUNS + 1 }, plan: { horizon: MAX_PLAN_HORIZON + 1 } })).toEqual([
+        { path: '/options/intervals/runs', message: `must be <= ${MAX_SIMULATION_RUNS}` },
+        { path: '/options/plan/horizon', message: `must be <= ${MAX_PLAN_HORIZON}` }
+      ]);
+      expect(details({ profiles: { slow: { intervals: { runs: 1e7 } } } })[0].path).toBe('/options/profiles/slow/intervals/runs');
+      expect(details({ profile: { plan: { horizon: 1.5 } } })[0]).toEqual({ path: '/options/profile/plan/horizon', message: 'must be integer' });
+      expect(post('/forecast', { ...base, leadTime: 1e6 }).body.error.details[0].path).toBe('/leadTime');
+      expect(details({ openOrders: [{ quantity: 10, arrivalDay: 3e9 }] })).toEqual([
+        { path: '/options/openOrders/0/arrivalDay', message: 'must be < 3650' }
+      ]);
+      expect(details({ openOrders: new Array(MAX_OPEN_ORDERS + 1).fill({ quantity: 1, arrivalDay: 1 }) })[0])
+        .toEqual({ path: '/options/openOrders', message: `must have at most ${MAX_OPEN_ORDERS} items` });
+      expect(post('/forecast', { ...base, options: { intervals: { runs: 200 }, plan: true } }).status).toBe(200);
+    });
+
+    test('bounds history length, and more tightly for auto model selection', () => {
+      const history = days => new Array(days).fill(5);
+      const tooLong = post('/forecast', { historicalDemand: history(MAX_HISTORY_DAYS + 1), currentStock: 50, leadTime: 5 });
+      expect(tooLong.status).toBe(400);
+      expect(tooLong.body.error.details).toEqual([{ path: '/historicalDemand', message: `must have at most ${MAX_HISTORY_DAYS} items` }]);
+      expect(post('/eoq', { historicalDemand: history(MAX_HISTORY_DAYS + 1) }).status).toBe(400);
+
+      const autoError = { path: '/historicalDemand', message: `must have at most ${MAX_AUTO_HISTORY_DAYS} items` };
+      const auto = options => post('/forecast', { historicalDemand: history(MAX_AUTO_HISTORY_DAYS + 1), currentStock: 50, leadTime: 5, options });
+      [{ method: 'auto' }, { profile: { method: 'auto' } }, { profile: 'picky', profiles: { picky: { method: 'auto' } } }].forEach(options => {
+        expect(auto(options)).toMatchObject({ status: 400, body: { error: { details: [autoError] } } });
+      });
+      expect(auto({ method: 'ses' }).status).toBe(200);
+      expect(auto({ profiles: { other: { method: 'sma' } } }).status).toBe(200);
+      const batch = post('/forecast/batch', {
+        items: [{ historicalDemand: history(MAX_AUTO_HISTORY_DAYS + 1), currentStock: 50, leadTime: 5, options: { method: 'auto' } }]
+      });
+      expect(batch.body.error.details).toEqual([{ ...autoError, path: '/items/0/historicalDemand' }]);
+    });
+
+    test('unexpected errors return a bare 500 and reach onError', () => {
+      const bug = new Error('secret detail');
+      ROUTES['/boom'] = { GET: { handler: () => { throw bug; } } };
+      try {
+        const onError = jest.fn();
+        const response = handleRequest('get', '/boom/', undefined, { onError });
+        expect(response).toMatchObject({ status: 500, body: { error: { code: ERROR_CODES.INTERNAL_ERROR, message: 'Internal server error' } } });
+        expect(JSON.stringify(response.body)).not.toContain('secret detail');
+        expect(onError).toHaveBeenCalledWith(bug, { method: 'GET', path: '/boom' });
+        // A throwing logger does not change the response
+        expect(handleRequest('GET', '/boom', undefined, { onError: () => { throw new Error('logger down'); } }).status).toBe(500);
+        expect(handleRequest('GET', '/boom').status).toBe(500);
+      } finally {
+        delete ROUTES['/boom'];
+      }
+    });
+  });
+
+  describe('createServer', () => {
+    let server;
+    let port;
+
+    beforeAll(done => {
+      server = createServer({ maxBodyBytes: 2048 });
+      server.listen(0, '127.0.0.1', () => {
+        port = server.address().port;
+        done();
+      });
+    });
+
+    afterAll(done => {
+      server.close(done);
+    });
+
+    // Minimal client: resolves { status, headers, body (parsed JSON) }
+    const request = (method, path, payload) => new Promise((resolve, reject) => {
+      const req = http.request({ host: '127.0.0.1', port, method, path, headers: { 'Content-Type': 'application/json' } }, res => {
+        let text = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => { text += chunk; });
+        res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: JSON.parse(text) }));
+      });
+      req.on('error', reject);
+      req.end(payload);
+    });
+
+    test('serves JSON over HTTP', async () => {
+      const health = await request('GET', '/health');
+      expect(health.status).toBe(200);
+      expect(health.body.status).toBe('ok');
+      const forecast = await request('POST', '/forecast', JSON.stringify({ historicalDemand: sampleHistoricalDemand, currentStock: 50, leadTime: 5 }));
+      expect(forecast.headers['content-type']).toContain('application/json');
+      expect(forecast.body.reorderPoint).toBe(64.78);
+      const invalid = await request('POST', '/eoq', '{}');
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.error.details).toEqual([{ path: '/historicalDemand', message: 'is required' }]);
+    });
+
+    test('rejects bodies over the size limit', async () => {
+      const response = await request('POST', '/forecast', JSON.stringify({ historicalDemand: new Array(1000).fill(10) }));
+      expect(response.status).toBe(413);
+      expect(response.body.error.code).toBe(ERROR_CODES.PAYLOAD_TOO_LARGE);
+    });
+
+    test('logs unexpected errors to stderr by default', async () => {
+      ROUTES['/boom'] = { GET: { handler: () => { throw new Error('bug'); } } };
+      const write = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+      try {
+        const response = await request('GET', '/boom');
+        expect(response.status).toBe(500);
+        expect(write).toHaveBeenCalledWith(expect.stringContaining('inventory-server: GET /boom failed: Error: bug'));
+      } finally {
+        write.mockRestore();
+        delete ROUTES['/boom'];
+      }
+    });
+  });
+});
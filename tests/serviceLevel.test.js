@@ -0,0 +1,134 @@
+const {
+  cycleServiceLevelToZ,
+  fillRateToZ,
+  expectedFillRate,
+  zToCycleServiceLevel,
+  SERVICE_LEVEL_TYPES,
+  calculateSafetyStock,
+  calculateInventoryForecast
+} = require('../src/index');
+const { normalInverse, normalLoss, normalLossInverse } = require('../src/statistics/normal');
+
+/**
+ * Tests for service level targets (serviceLevel/ folder): cycle service level and fill rate instead of raw Z-scores.
+ */
+describe('Service level targets', () => {
+  // Same sample data as inventory.test.js (σ = 2.07 → σ_LT over 5 days ≈ 4.63; EOQ 239.05)
+  const sampleHistoricalDemand = [10, 12, 15, 9, 11, 13, 10];
+
+  describe('statistics helpers', () => {
+    test('normalInverse matches standard table values in the center and both tails', () => {
+      expect(normalInverse(0.5)).toBeCloseTo(0, 8);
+      expect(normalInverse(0.95)).toBeCloseTo(1.6449, 4);
+      expect(normalInverse(0.98)).toBeCloseTo(2.0537, 4);
+      expect(normalInverse(0.01)).toBeCloseTo(-2.3263, 4);
+      expect(normalInverse(0.999)).toBeCloseTo(3.0902, 4);
+      expect(normalInverse(0)).toBe(-Infinity);
+      expect(normalInverse(1)).toBe(Infinity);
+      expect(normalInverse(1.5)).toBeNaN();
+    });
+
+    test('normalLoss and its inverse round-trip', () => {
+      expect(normalLoss(0)).toBeCloseTo(0.3989, 4);  // φ(0)
+      expect(normalLoss(1)).toBeCloseTo(0.0833, 4);
+      expect(normalLossInverse(normalLoss(1.2))).toBeCloseTo(1.2, 6);
+      expect(normalLossInverse(10)).toBe(-5);  // Clamped range
+      expect(normalLossInverse(0)).toBe(8);
+      expect(normalLossInverse(-1)).toBeNaN();
+    });
+  });
+
+  describe('cycleServiceLevelToZ / zToCycleServiceLevel', () => {
+    test('converts service levels to Z-scores and back', () => {
+      expect(cycleServiceLevelToZ(0.98)).toBe(2.0537);
+      expect(cycleServiceLevelToZ(0.9)).toBe(1.2816);
+      expect(zToCycleServiceLevel(1.65)).toBe(0.9505);
+      expect(zToCycleServiceLevel(cycleServiceLevelToZ(0.975))).toBe(0.975);
+    });
+
+    test('floors at Z = 0, caps near 100% and rejects invalid targets', () => {
+      expect(cycleServiceLevelToZ(0.3)).toBe(0);
+      expect(cycleServiceLevelToZ(0.9999999)).toBe(cycleServiceLevelToZ(0.999999));
+      expect(cycleServiceLevelToZ(1)).toBeNull();
+      expect(cycleServiceLevelToZ(98)).toBeNull();
+      expect(cycleServiceLevelToZ('98%')).toBeNull();
+      expect(zToCycleServiceLevel(NaN)).toBeNull();
+    });
+  });
+
+  describe('fillRateToZ / expectedFillRate', () => {
+    test('solves the Z whose expected shortfall matches the target fill rate', () => {
+      // β = 0.98, Q = 100, σ_LT = 20 → G(z) = 0.02 * 100 / 20 = 0.1 → z ≈ 0.902
+      const z = fillRateToZ(0.98, 20, 100);
+      expect(z).toBeCloseTo(0.9023, 3);
+      expect(expectedFillRate(z, 20, 100)).toBeCloseTo(0.98, 4);
+      // Larger orders cover more demand from cycle stock → lower Z for the same fill rate
+      expect(fillRateToZ(0.98, 20, 500)).toBeLessThan(z);
+    });
+
+    test('handles certain demand, missing order quantities and invalid inputs', () => {
+      expect(fillRateToZ(0.99, 0, 100)).toBe(0);
+      expect(fillRateToZ(0.99, 20, 0)).toBe(8);  // Every shortfall is unmet → tightest buffer
+      expect(fillRateToZ(1, 20, 100)).toBeNull();
+      expect(fillRateToZ(0.99, -1, 100)).toBeNull();
+      expect(fillRateToZ(0.99, 20, 'x')).toBeNull();
+      expect(expectedFillRate(1.65, 0, 100)).toBe(1);
+      expect(expectedFillRate(1.65, 20, 0)).toBeNull();
+      expect(expectedFillRate('x', 20, 100)).toBeNull();
+      expect(expectedFillRate(-5, 100, 1)).toBe(0);  // Clamped
+    });
+  });
+
+  describe('calculateInventoryForecast with service level targets', () => {
+    test('raw Z-score (default) reports the implied service levels', () => {
+      const forecast = calculateInventoryForecast(sampleHistoricalDemand, 50, 5);
+      expect(forecast.serviceLevel).toEqual({
+        type: SERVICE_LEVEL_TYPES.Z_SCORE,
+        target: null,
+        zScore: 1.65,
+        cycleServiceLevel: 0.9505,
+        expectedFillRate: 0.9996
+      });
+    });
+
+    test('cycle service level replaces the Z-score', () => {
+      const forecast = calculateInventoryForecast(sampleHistoricalDemand, 50, 5, 1.65, 100, 10, { serviceLevel: 0.98 });
+      expect(forecast.serviceLevel).toMatchObject({ type: 'cycle', target: 0.98, zScore: 2.0537, cycleServiceLevel: 0.98 });
+      expect(forecast.safetyStock).toBe(calculateSafetyStock(sampleHistoricalDemand, 5, 2.0537).safetyStock);
+    });
+
+    test('fill rate solves the buffer against σ_LT and the EOQ', () => {
+      const forecast = calculateInventoryForecast(sampleHistoricalDemand, 50, 5, 1.65, 100, 10, { fillRate: 0.9999, serviceLevel: 0.5 });
+      expect(forecast.serviceLevel.type).toBe(SERVICE_LEVEL_TYPES.FILL_RATE);  // Fill rate wins over serviceLevel
+      expect(forecast.serviceLevel.target).toBe(0.9999);
+      expect(forecast.serviceLevel.expectedFillRate).toBeCloseTo(0.9999, 4);
+      expect(forecast.safetyStock).toBeGreaterThan(0);
+      // A large EOQ already meets a 99% fill rate without any safety stock
+      const loose = calculateInventoryForecast(sampleHistoricalDemand, 50, 5, 1.65, 100, 10, { fillRate: 0.99 });
+      expect(loose.safetyStock).toBe(0);
+      expect(loose.serviceLevel.expectedFillRate).toBeGreaterThan(0.99);
+    });
+
+    test('invalid targets fall back to the zScore argument', () => {
+      const forecast = calculateInventoryForecast(sampleHistoricalDemand, 50, 5, 2.33, 100, 10, { serviceLevel: 1.2, fillRate: 0 });
+      expect(forecast.serviceLevel.type).toBe('z_score');
+      expect(forecast.safetyStock).toBeCloseTo(10.79, 2);
+    });
+
+    test('achieved service reflects intermittent and seasonal buffers', () => {
+      const sparePartDemand = [0, 0, 3, 0, 0, 0, 2, 0, 0, 5, 0, 0, 0, 0, 1, 0, 0, 4, 0, 0, 0, 2, 0, 0, 0, 0, 6, 0];
+      const intermittent = calculateInventoryForecast(sparePartDemand, 10, 7, 1.65, 100, 10, { serviceLevel: 0.95 });
+      // Discrete quantile rounds the buffer up → at least the requested service
+      expect(intermittent.serviceLevel.cycleServiceLevel).toBeGreaterThanOrEqual(0.95);
+
+      const records = [];
+      for (let i = 0; i < 28; i++) {
+        const date = new Date(Date.UTC(2024, 0, 1 + i));
+        records.push({ date: date.toISOString().slice(0, 10), quantity: (date.getUTCDay() % 6 === 0 ? 30 : 10) + (i % 3) });
+      }
+      const seasonal = calculateInventoryForecast(records, 100, 3, 1.65, 100, 10, { seasonalPeriods: ['weekly'], serviceLevel: 0.95 });
+      expect(seasonal.serviceLevel.cycleServiceLevel).toBe(0.95);
+      expect(seasonal.serviceLevel.expectedFillRate).toBeGreaterThan(0.95);
+    });
+  });
+});
@@ -0,0 +1,121 @@
+const {
+  simulateInventoryPolicy,
+  SIMULATION_POLICIES,
+  createRandom,
+  calculateReorderPoint,
+  calculateEOQ
+} = require('../src/index');
+const { sampleNormal, samplePoisson } = require('../src/simulation/seededRandom');
+
+/**
+ * Tests for simulation/ layer: seedable random numbers and the Monte Carlo policy simulator.
+ * Small run counts keep the suite fast; fixed seeds keep every number reproducible.
+ */
+describe('Monte Carlo simulation', () => {
+  const sampleHistoricalDemand = [10, 12, 15, 9, 11, 13, 10];
+  const fast = { runs: 30, days: 120 };
+
+  describe('seededRandom', () => {
+    test('same seed gives the same sequence; different seeds differ', () => {
+      const a = createRandom(42);
+      const b = createRandom(42);
+      const first = [a(), a(), a()];
+      expect([b(), b(), b()]).toEqual(first);
+      expect(createRandom(7)()).not.toBe(first[0]);
+      first.forEach(u => {
+        expect(u).toBeGreaterThanOrEqual(0);
+        expect(u).toBeLessThan(1);
+      });
+      expect(createRandom('bad')()).toBe(createRandom(1)());  // Invalid seed → default
+    });
+
+    test('normal and Poisson samplers match their means', () => {
+      const random = createRandom(3);
+      const normals = Array.from({ length: 4000 }, () => sampleNormal(random, 10, 2));
+      expect(normals.reduce((a, b) => a + b, 0) / normals.length).toBeCloseTo(10, 1);
+      const small = Array.from({ length: 4000 }, () => samplePoisson(random, 2));
+      expect(small.reduce((a, b) => a + b, 0) / small.length).toBeCloseTo(2, 1);
+      expect(small.every(k => Number.isInteger(k) && k >= 0)).toBe(true);
+      expect(samplePoisson(random, 100)).toBeGreaterThan(50);  // Normal approximation
+      expect(samplePoisson(random, 0)).toBe(0);
+    });
+  });
+
+  describe('simulateInventoryPolicy', () => {
+    test('defaults to (s, Q) with the library reorder point and EOQ', () => {
+      const result = simulateInventoryPolicy(sampleHistoricalDemand, 5, fast);
+      expect(result.policy).toBe(SIMULATION_POLICIES.REORDER_POINT_QUANTITY);
+      expect(result.demandModel).toBe('bootstrap');
+      expect(result.parameters.reorderPoint).toBe(calculateReorderPoint(sampleHistoricalDemand, 5).reorderPoint);
+      expect(result.parameters.orderQuantity).toBe(calculateEOQ(sampleHistoricalDemand).eoq);
+      expect(result.runs).toBe(30);
+      const { fillRate, totalCost } = result.metrics;
+      expect(fillRate.mean).toBeGreaterThan(0.95);
+      expect(fillRate.lower).toBeLessThanOrEqual(fillRate.mean);
+      expect(fillRate.upper).toBeGreaterThanOrEqual(fillRate.mean);
+      expect(totalCost.mean).toBeGreaterThan(0);
+    });
+
+    test('is reproducible for a seed and varies with it', () => {
+      const a = simulateInventoryPolicy(sampleHistoricalDemand, 5, { ...fast, seed: 11 });
+      const b = simulateInventoryPolicy(sampleHistoricalDemand, 5, { ...fast, seed: 11 });
+      const c = simulateInventoryPolicy(sampleHistoricalDemand, 5, { ...fast, seed: 12 });
+      expect(a).toEqual(b);
+      expect(c.metrics.averageOnHand.mean).not.toBe(a.metrics.averageOnHand.mean);
+    });
+
+    test('simulates (s, S) and (R, S) policies', () => {
+      const sS = simulateInventoryPolicy(sampleHistoricalDemand, 5, { ...fast, policy: 'sS' });
+      expect(sS.parameters.orderUpTo).toBeCloseTo(sS.parameters.reorderPoint + sS.parameters.orderQuantity, 2);
+      const rS = simulateInventoryPolicy(sampleHistoricalDemand, 5, { ...fast, policy: SIMULATION_POLICIES.PERIODIC_ORDER_UP_TO });
+      // R = EOQ / avg demand ≈ 21 days; S covers R + L
+      expect(rS.parameters.reviewPeriod).toBe(21);
+      expect(rS.parameters.orderUpTo).toBe(calculateReorderPoint(sampleHistoricalDemand, 26).reorderPoint);
+      // One order per review at most
+      expect(rS.metrics.orders.upper).toBeLessThanOrEqual(Math.ceil(120 / 21));
+    });
+
+    test('a bigger buffer raises the fill rate and holding cost', () => {
+      const lean = simulateInventoryPolicy(sampleHistoricalDemand, 5, { ...fast, reorderPoint: 45 });
+      const safe = simulateInventoryPolicy(sampleHistoricalDemand, 5, { ...fast, reorderPoint: 80 });
+      expect(safe.metrics.fillRate.mean).toBeGreaterThan(lean.metrics.fillRate.mean);
+      expect(safe.metrics.stockoutDays.mean).toBeLessThan(lean.metrics.stockoutDays.mean);
+      expect(safe.metrics.averageOnHand.mean).toBeGreaterThan(lean.metrics.averageOnHand.mean);
+    });
+
+    test('supports fitted demand distributions and variable lead times', () => {
+      const normal = simulateInventoryPolicy(sampleHistoricalDemand, [3, 5, 9], { ...fast, demandModel: 'normal' });
+      expect(normal.demandModel).toBe('normal');
+      expect(normal.parameters.reorderPoint).toBe(calculateReorderPoint(sampleHistoricalDemand, [3, 5, 9]).reorderPoint);
+      const poisson = simulateInventoryPolicy(sampleHistoricalDemand, { mean: 5, stdDev: 2 }, { ...fast, demandModel: 'poisson' });
+      expect(poisson.metrics.fillRate.mean).toBeGreaterThan(0.9);
+      const observed = simulateInventoryPolicy(sampleHistoricalDemand, { history: [4, 6] }, { ...fast, demandModel: 'magic' });
+      expect(observed.demandModel).toBe('bootstrap');
+    });
+
+    test('lost sales and stockout costs', () => {
+      const options = { ...fast, reorderPoint: 20, initialStock: 0, stockoutCost: 50 };
+      const backordered = simulateInventoryPolicy(sampleHistoricalDemand, 5, options);
+      const lost = simulateInventoryPolicy(sampleHistoricalDemand, 5, { ...options, backorders: false });
+      expect(lost.metrics.stockoutDays.mean).toBeGreaterThan(0);
+      expect(lost.metrics.totalCost.mean).toBeGreaterThan(simulateInventoryPolicy(sampleHistoricalDemand, 5, { ...options, stockoutCost: 0, backorders: false }).metrics.totalCost.mean);
+      // Backlogs are cleared from later receipts, so fill rates differ between the two modes
+      expect(backordered.metrics.fillRate.mean).not.toBe(lost.metrics.fillRate.mean);
+    });
+
+    test('zero demand never stocks out; single runs have no interval width', () => {
+      const result = simulateInventoryPolicy([0, 0, 0], 5, { runs: 1, days: 30, policy: 'RS' });
+      expect(result.metrics.fillRate).toEqual({ mean: 1, lower: 1, upper: 1 });
+      expect(result.parameters.reviewPeriod).toBe(1);
+    });
+
+    test('returns empty metrics for invalid inputs (defensive)', () => {
+      const empty = simulateInventoryPolicy('invalid', 5, null);
+      expect(empty.runs).toBe(0);
+      expect(empty.metrics.fillRate.mean).toBeNull();
+      expect(simulateInventoryPolicy(sampleHistoricalDemand, -1).runs).toBe(0);
+      expect(simulateInventoryPolicy(sampleHistoricalDemand, 5, { runs: 0 }).runs).toBe(0);
+      expect(simulateInventoryPolicy(sampleHistoricalDemand, 5, { days: 'x' }).parameters).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,153 @@
+const {
+  assessStockoutRisk,
+  DEFAULT_RISK_TIERS,
+  RISK_MODELS,
+  RISK_LEVELS,
+  generateInsights,
+  calculateInventoryForecast
+} = require('../src/index');
+
+/**
+ * Tests for risk/ layer: probability of stocking out before replenishment and configurable risk tiers.
+ */
+describe('Probabilistic stockout risk', () => {
+  // Same sample data as inventory.test.js (mean 11.43, std dev 2.07 → σ over 5 days = 4.63)
+  const sampleHistoricalDemand = [10, 12, 15, 9, 11, 13, 10];
+  const mean = 80 / 7;
+  const stdDev = Math.sqrt(30 / 7);
+
+  describe('assessStockoutRisk', () => {
+    test('P(stockout) = 1 - Φ((stock - μ) / σ) over the lead time', () => {
+      // z = (60 - 57.14) / 4.63 = 0.617 → 26.9%
+      const result = assessStockoutRisk(60, mean, stdDev, 5);
+      expect(result.probability).toBeCloseTo(0.2686, 3);
+      expect(result.level).toBe(RISK_LEVELS.HIGH);
+      expect(result.leadTimeDemand).toBe(57.14);
+      expect(result.leadTimeDemandStdDev).toBe(4.63);
+      expect(result.tiers).toEqual(DEFAULT_RISK_TIERS);
+      expect(assessStockoutRisk(50, mean, stdDev, 5).level).toBe(RISK_LEVELS.CRITICAL);
+      expect(assessStockoutRisk(64, mean, stdDev, 5).level).toBe(RISK_LEVELS.MEDIUM);  // 6.9%
+      expect(assessStockoutRisk(80, mean, stdDev, 5)).toMatchObject({ probability: 0, level: RISK_LEVELS.LOW });
+    });
+
+    test('the level is the tier of the reported probability', () => {
+      // Stock equal to the lead-time demand: 1 - Φ(0) rounds to 0.5, the critical threshold
+      const atThreshold = assessStockoutRisk(50, 10, Math.sqrt(2.5), 5);
+      expect(atThreshold).toMatchObject({ probability: 0.5, level: RISK_LEVELS.CRITICAL });
+      // Just below a tier once rounded: 0.19996 reports as 0.2 and is high
+      const z = 0.8416395;  // 1 - Φ(z) ≈ 0.199996
+      expect(assessStockoutRisk(50 + z * 10, 10, 2, 5, { leadTimeDemandStdDev: 10 })).toMatchObject({ probability: 0.2, level: RISK_LEVELS.HIGH });
+      // Under the default days model riskLevel can differ from the probability tier
+      const forecast = calculateInventoryForecast([10, 12, 8, 11, 9], 50, 5);
+      expect(forecast.stockoutRisk).toMatchObject({ model: RISK_MODELS.DAYS, probability: 0.5, level: RISK_LEVELS.CRITICAL });
+      expect(forecast.riskLevel).toBe(RISK_LEVELS.MEDIUM);
+    });
+
+    test('lead-time variability widens the demand spread', () => {
+      // σ = sqrt(5 * 2² + 10² * 1²) = sqrt(120) = 10.95; z = (60 - 50) / 10.95
+      const result = assessStockoutRisk(60, 10, 2, { mean: 5, stdDev: 1 });
+      expect(result.leadTimeDemandStdDev).toBe(10.95);
+      expect(result.probability).toBeCloseTo(0.1807, 3);
+      expect(result.probability).toBeGreaterThan(assessStockoutRisk(60, 10, 2, 5).probability);
+    });
+
+    test('certain outcomes without variability; empty shelf is OUT_OF_STOCK', () => {
+      expect(assessStockoutRisk(40, 10, 0, 5).probability).toBe(1);
+      expect(assessStockoutRisk(60, 10, 0, 5).probability).toBe(0);
+      expect(assessStockoutRisk(0, 10, 2, 5)).toMatchObject({ probability: 1, level: RISK_LEVELS.OUT_OF_STOCK });
+      expect(assessStockoutRisk(-5, 0, 0, 5).level).toBe(RISK_LEVELS.OUT_OF_STOCK);
+    });
+
+    test('tiers are configurable (invalid values keep the defaults)', () => {
+      const tiers = { critical: 0.9, high: 0.5, medium: 0.2, low: 7 };
+      const result = assessStockoutRisk(60, mean, stdDev, 5, { tiers });
+      expect(result.level).toBe(RISK_LEVELS.MEDIUM);
+      expect(result.tiers).toEqual({ critical: 0.9, high: 0.5, medium: 0.2 });
+      expect(assessStockoutRisk(60, mean, stdDev, 5, { tiers: { high: 2 } }).tiers).toEqual(DEFAULT_RISK_TIERS);
+    });
+
+    test('demand moments can be supplied directly (e.g., seasonal curves)', () => {
+      // z = (60 - 62) / 10 = -0.2 → 57.9%
+      const result = assessStockoutRisk(60, mean, stdDev, 5, { leadTimeDemand: 62, leadTimeDemandStdDev: 10 });
+      expect(result.probability).toBeCloseTo(0.5793, 3);
+      expect(result.level).toBe(RISK_LEVELS.CRITICAL);
+    });
+
+    test('probabilities rank SKUs by risk', () => {
+      const skus = [{ sku: 'A', stock: 70 }, { sku: 'B', stock: 50 }, { sku: 'C', stock: 60 }];
+      const ranked = skus
+        .map(s => ({ sku: s.sku, ...assessStockoutRisk(s.stock, mean, stdDev, 5) }))
+        .sort((a, b) => b.probability - a.probability);
+      expect(ranked.map(r => r.sku)).toEqual(['B', 'C', 'A']);
+    });
+
+    test('returns no risk for invalid inputs (defensive)', () => {
+      expect(assessStockoutRisk('x', mean, stdDev, 5)).toMatchObject({ probability: 0, level: RISK_LEVELS.LOW });
+      expect(assessStockoutRisk(60, -1, stdDev, 5).probability).toBe(0);
+      expect(assessStockoutRisk(60, mean, stdDev, -2, null).level).toBe(RISK_LEVELS.LOW);
+    });
+  });
+
+  describe('calculateInventoryForecast with stockoutRisk', () => {
+    test('reports the probability but keeps day-threshold levels by default', () => {
+      const forecast = calculateInventoryForecast(sampleHistoricalDemand, 60, 5);
+      expect(forecast.stockoutRisk.model).toBe(RISK_MODELS.DAYS);
+      expect(forecast.stockoutRisk.probability).toBeCloseTo(0.2686, 3);
+      expect(forecast.riskLevel).toBe(RISK_LEVELS.MEDIUM);  // 5.25 days < 7.5
+      expect(forecast.insights.riskSignal).toBe('Stockout probability before replenishment: 26.9%.');
+    });
+
+    test('probabilistic model sets riskLevel from the tiers', () => {
+      const critical = calculateInventoryForecast(sampleHistoricalDemand, 50, 5, 1.65, 100, 10, { riskModel: 'probabilistic' });
+      expect(critical.riskLevel).toBe(RISK_LEVELS.CRITICAL);
+      expect(critical.recommendation).toBe('Reorder immediately');
+      expect(critical.insights.status).toBe('critical');
+      expect(critical.insights.summary).toContain('Stockout likely');
+      // 70 units: 0.3% → low, although only 6.1 days of cover (days model: medium)
+      const safe = calculateInventoryForecast(sampleHistoricalDemand, 70, 5, 1.65, 100, 10, { riskTiers: { medium: 0.01 } });
+      expect(safe.stockoutRisk.model).toBe(RISK_MODELS.PROBABILISTIC);
+      expect(safe.riskLevel).toBe(RISK_LEVELS.LOW);
+      expect(calculateInventoryForecast(sampleHistoricalDemand, 70, 5).riskLevel).toBe(RISK_LEVELS.MEDIUM);
+    });
+
+    test('empty shelf is out of stock', () => {
+      const forecast = calculateInventoryForecast(sampleHistoricalDemand, 0, 5, 1.65, 100, 10, { riskModel: 'probabilistic' });
+      expect(forecast.riskLevel).toBe(RISK_LEVELS.OUT_OF_STOCK);
+      expect(forecast.recommendation).toBe('Reorder immediately');
+      expect(forecast.insights.status).toBe('out_of_stock');
+      expect(forecast.insights.recommendation).toContain('expedite');
+    });
+
+    test('receipts landing within the lead time count as stock', () => {
+      const options = { riskModel: 'probabilistic' };
+      const soon = calculateInventoryForecast(sampleHistoricalDemand, 20, 5, 1.65, 100, 10, { ...options, openOrders: [{ quantity: 100, arrivalDay: 1 }] });
+      expect(soon.stockoutRisk.probability).toBe(0);
+      expect(soon.riskLevel).toBe(RISK_LEVELS.LOW);
+      const late = calculateInventoryForecast(sampleHistoricalDemand, 20, 5, 1.65, 100, 10, { ...options, openOrders: [{ quantity: 100, arrivalDay: 6 }] });
+      expect(late.stockoutRisk.probability).toBe(1);
+      expect(late.recommendation).toBe('Expedite open orders');
+    });
+
+    test('periodic review measures risk over R + L', () => {
+      const forecast = calculateInventoryForecast(sampleHistoricalDemand, 140, 5, 1.65, 100, 10, { policy: 'periodic', reviewPeriod: 7 });
+      expect(forecast.stockoutRisk.leadTimeDemand).toBeCloseTo(137.14, 2);
+      expect(forecast.stockoutRisk.probability).toBeGreaterThan(0.3);
+    });
+
+    test('seasonal items use the seasonal lead-time demand', () => {
+      const records = [];
+      for (let i = 0; i < 28; i++) {
+        const date = new Date(Date.UTC(2024, 0, 1 + i));
+        records.push({ date: date.toISOString().slice(0, 10), quantity: date.getUTCDay() % 6 === 0 ? 30 : 10 });
+      }
+      const forecast = calculateInventoryForecast(records, 25, 3, 1.65, 100, 10, { seasonalPeriods: ['weekly'] });
+      expect(forecast.stockoutRisk.leadTimeDemand).toBe(forecast.seasonality.leadTimeDemand);
+      expect(forecast.stockoutRisk.probability).toBe(1);  // 30 units due Mon-Wed, no noise
+    });
+
+    test('insights handle forecasts without a stockout probability', () => {
+      const forecast = calculateInventoryForecast(sampleHistoricalDemand, 60, 5);
+      expect(generateInsights({ ...forecast, stockoutRisk: undefined }).riskSignal).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,138 @@
+const {
+  createSkuTracker,
+  restoreSkuTracker,
+  calculateInventoryForecast,
+  calculateAverageDemand,
+  calculateSafetyStock,
+  TRACKER_METHODS,
+  TRACKER_STATE_VERSION,
+  RISK_LEVELS,
+  InvalidDemandError,
+  InvalidParameterError
+} = require('../src/index');
+
+/**
+ * Tests for streaming/: the live SKU tracker (online statistics, day closing, stock events, snapshots).
+ */
+describe('Streaming SKU tracker', () => {
+  // Same sample data as inventory.test.js
+  const sampleHistoricalDemand = [10, 12, 15, 9, 11, 13, 10];
+
+  describe('online statistics', () => {
+    test('cumulative method matches the batch utilities', () => {
+      const tracker = createSkuTracker({ leadTime: 5, method: TRACKER_METHODS.CUMULATIVE, currentStock: 50, history: sampleHistoricalDemand });
+      const batch = calculateInventoryForecast(sampleHistoricalDemand, 50, 5);
+      expect(tracker.getForecast()).toMatchObject({
+        days: 7,
+        avgDailyDemand: batch.avgDailyDemand,
+        demandStdDev: batch.demandStdDev,
+        safetyStock: batch.safetyStock,
+        reorderPoint: batch.reorderPoint,
+        daysRemaining: batch.daysRemaining,
+        riskLevel: batch.riskLevel,
+        recommendation: batch.recommendation,
+        reorderNeeded: true
+      });
+    });
+
+    test('Welford stays exact event by event', () => {
+      const demand = [0, 30, 5, 5, 18, 2, 40, 7, 0, 11, 9, 25];
+      const tracker = createSkuTracker({ leadTime: 4 });
+      demand.forEach(quantity => tracker.recordSale(quantity).closeDay());
+      const { stats } = tracker.getForecast();
+      expect(stats.mean).toBe(Number(calculateAverageDemand(demand).toFixed(2)));
+      expect(stats.stdDev).toBe(calculateSafetyStock(demand, 1, 1).demandStdDev);
+    });
+
+    test('exponential method weights recent days', () => {
+      // alpha 0.5: 10 → 10, 20 → 15, 30 → 22.5; variance 0 → 25 → 0.5 * (25 + 0.5 * 225) = 68.75
+      const tracker = createSkuTracker({ leadTime: 2, alpha: 0.5, history: [10, 20, 30] });
+      const forecast = tracker.getForecast();
+      expect(forecast).toMatchObject({ method: TRACKER_METHODS.EXPONENTIAL, avgDailyDemand: 22.5, demandStdDev: 8.29 });
+      expect(forecast.stats).toEqual({ mean: 20, stdDev: 10, ewMean: 22.5, ewStdDev: 8.29 });
+      // Safety stock = 1.65 * 8.29 * sqrt(2); reorder point adds 22.5 * 2
+      expect(forecast.safetyStock).toBe(Number((1.65 * Math.sqrt(68.75) * Math.sqrt(2)).toFixed(2)));
+      expect(forecast.reorderPoint).toBe(Number((45 + 1.65 * Math.sqrt(68.75) * Math.sqrt(2)).toFixed(2)));
+    });
+
+    test('service level, variable lead time and probabilistic risk', () => {
+      const tracker = createSkuTracker({
+        leadTime: { mean: 5, stdDev: 2 }, serviceLevel: 0.98, method: 'cumulative', riskModel: 'probabilistic', currentStock: 50, history: sampleHistoricalDemand
+      });
+      const forecast = tracker.getForecast();
+      const batch = calculateInventoryForecast(sampleHistoricalDemand, 50, { mean: 5, stdDev: 2 }, 1.65, 100, 10, { serviceLevel: 0.98, riskModel: 'probabilistic' });
+      expect(forecast.safetyStock).toBeCloseTo(batch.safetyStock, 1);
+      expect(forecast.riskLevel).toBe(batch.riskLevel);
+      expect(forecast.stockoutRisk.probability).toBeCloseTo(batch.stockoutRisk.probability, 3);
+    });
+  });
+
+  describe('events', () => {
+    test('sales are summed per day; gaps close as zero-demand days', () => {
+      const tracker = createSkuTracker({ leadTime: 5, currentStock: 100, method: 'cumulative' });
+      tracker
+        .recordSale(4, '2024-01-01T09:00:00Z')
+        .recordSale(6, '2024-01-01T15:00:00Z')
+        .recordSale(12, '2024-01-04');
+      expect(tracker.getForecast()).toMatchObject({
+        asOf: '2024-01-03', days: 3, openDay: '2024-01-04', openDemand: 12, avgDailyDemand: 3.33, currentStock: 78
+      });
+      // The open day only counts once it is closed
+      tracker.advanceTo('2024-01-05');
+      expect(tracker.getForecast()).toMatchObject({ asOf: '2024-01-04', days: 4, avgDailyDemand: 5.5 });
+      // Late events land on the open day
+      tracker.recordSale(2, '2024-01-02');
+      expect(tracker.getForecast()).toMatchObject({ openDay: '2024-01-05', openDemand: 2, days: 4 });
+    });
+
+    test('dated history seeds the calendar', () => {
+      const history = [{ date: '2024-03-01', quantity: 8 }, { date: '2024-03-03', quantity: 4 }];
+      const tracker = createSkuTracker({ leadTime: 3, method: 'cumulative', history });
+      expect(tracker.getForecast()).toMatchObject({ asOf: '2024-03-03', openDay: '2024-03-04', days: 3, avgDailyDemand: 4 });
+      tracker.recordSale(10, '2024-03-05');
+      expect(tracker.getForecast()).toMatchObject({ asOf: '2024-03-04', days: 4, avgDailyDemand: 3 });
+    });
+
+    test('receipts and stock counts move the stock; sales do not go below zero', () => {
+      const tracker = createSkuTracker({ leadTime: 5, currentStock: 10, history: sampleHistoricalDemand });
+      tracker.recordSale(15);
+      expect(tracker.getForecast()).toMatchObject({ currentStock: 0, daysRemaining: 0, riskLevel: RISK_LEVELS.HIGH });
+      tracker.recordReceipt(200);
+      expect(tracker.getForecast()).toMatchObject({ currentStock: 200, riskLevel: RISK_LEVELS.LOW, reorderNeeded: false });
+      tracker.recordStockCount(42);
+      expect(tracker.getForecast().currentStock).toBe(42);
+    });
+
+    test('invalid events are ignored, or throw in strict mode', () => {
+      const tracker = createSkuTracker({ leadTime: 5, currentStock: 20 });
+      tracker.recordSale(-3).recordSale('4').recordSale(NaN).recordSale(5, 'not a date').recordReceipt(Infinity).recordStockCount(null);
+      expect(tracker.getForecast()).toMatchObject({ currentStock: 20, openDemand: 0, days: 0, avgDailyDemand: 0, riskLevel: RISK_LEVELS.LOW });
+      const strict = createSkuTracker({ leadTime: 5, strict: true });
+      expect(() => strict.recordSale(-3)).toThrow(InvalidDemandError);
+      expect(() => strict.recordSale(3, 'not a date')).toThrow(InvalidParameterError);
+    });
+  });
+
+  describe('snapshots', () => {
+    test('JSON round trip continues exactly', () => {
+      const tracker = createSkuTracker({ sku: 'WIDGET-1', leadTime: [4, 6, 5], alpha: 0.3, currentStock: 80 });
+      tracker.recordSale(7, '2024-01-01').recordSale(9, '2024-01-02').recordSale(3, '2024-01-02').recordSale(11, '2024-01-04');
+      const json = JSON.stringify(tracker);
+      const snapshot = JSON.parse(json);
+      expect(snapshot).toMatchObject({ version: TRACKER_STATE_VERSION, settings: { sku: 'WIDGET-1', leadTime: [4, 6, 5], alpha: 0.3 } });
+      const restored = restoreSkuTracker(json);
+      expect(restored.getForecast()).toEqual(tracker.getForecast());
+      [tracker, restored].forEach(t => t.recordSale(5, '2024-01-06').advanceTo('2024-01-08'));
+      expect(restoreSkuTracker(snapshot).toJSON()).toEqual(snapshot);
+      expect(restored.toJSON()).toEqual(tracker.toJSON());
+    });
+
+    test('unreadable or foreign snapshots restore what they can', () => {
+      expect(restoreSkuTracker('{').getForecast()).toMatchObject({ days: 0, avgDailyDemand: 0, sku: null });
+      const old = restoreSkuTracker({ version: 0, settings: { sku: 'X', leadTime: 3 }, state: { days: 9, mean: 4 } });
+      expect(old.getForecast()).toMatchObject({ sku: 'X', days: 0 });
+      const damaged = restoreSkuTracker({ version: TRACKER_STATE_VERSION, settings: {}, state: { days: 2, mean: 5, m2: -1, openDay: 'soon', stock: 'lots' } });
+      expect(damaged.toJSON().state).toMatchObject({ days: 2, mean: 5, m2: 0, openDay: null, stock: 0 });
+    });
+  });
+});
@@ -0,0 +1,143 @@
+const {
+  fillDailyGaps,
+  toDailySeries,
+  resampleDemand,
+  isBusinessDay,
+  countBusinessDays,
+  businessDaysPerYear,
+  addBusinessDays,
+  calculateEOQ,
+  calculateInventoryForecast
+} = require('../src/index');
+const { normalizeCalendar } = require('../src/calendar/businessCalendar');
+
+/**
+ * Tests for dated time-series input (timeseries/) and business calendars (calendar/).
+ */
+describe('Time series and business calendar', () => {
+  // Order export with gaps: Mon 4th, Wed 6th, Mon 11th March 2024
+  const exportRecords = [
+    { date: '2024-03-11', quantity: 3 },
+    { date: '2024-03-04', quantity: 5 },
+    { date: '2024-03-06', quantity: 7 }
+  ];
+  const calendar = { weekendDays: [0, 6], holidays: ['2024-03-13'] };
+
+  describe('fillDailyGaps / toDailySeries', () => {
+    test('sorts records and fills missing days with zero', () => {
+      expect(toDailySeries(exportRecords)).toEqual({
+        dates: ['2024-03-04', '2024-03-05', '2024-03-06', '2024-03-07', '2024-03-08', '2024-03-09', '2024-03-10', '2024-03-11'],
+        quantities: [5, 0, 7, 0, 0, 0, 0, 3]
+      });
+    });
+
+    test('keeps only business days when a calendar is given', () => {
+      const series = toDailySeries(exportRecords, { calendar });
+      expect(series.dates).toEqual(['2024-03-04', '2024-03-05', '2024-03-06', '2024-03-07', '2024-03-08', '2024-03-11']);
+      expect(series.quantities).toEqual([5, 0, 7, 0, 0, 3]);
+    });
+
+    test('extends the range to explicit start/end dates', () => {
+      const series = fillDailyGaps({ dates: ['2024-03-04'], quantities: [5] }, { start: '2024-03-02', end: '2024-03-05' });
+      expect(series.quantities).toEqual([0, 0, 5, 0]);
+    });
+
+    test('returns empty series for invalid input (defensive)', () => {
+      expect(fillDailyGaps(null)).toEqual({ dates: [], quantities: [] });
+      expect(fillDailyGaps({ dates: ['2024-03-04'], quantities: [1] }, null).quantities).toEqual([1]);
+      expect(toDailySeries('invalid')).toEqual({ dates: [], quantities: [] });
+    });
+  });
+
+  describe('resampleDemand', () => {
+    test('sums gap-filled days into Monday-start weeks', () => {
+      expect(resampleDemand(exportRecords)).toEqual([
+        { start: '2024-03-04', quantity: 12, days: 7 },
+        { start: '2024-03-11', quantity: 3, days: 1 }
+      ]);
+    });
+
+    test('supports custom week start, monthly buckets and calendars', () => {
+      // Sunday-start weeks: 3rd-9th and 10th-16th
+      expect(resampleDemand(exportRecords, { weekStart: 0 }).map(b => b.start)).toEqual(['2024-03-03', '2024-03-10']);
+      const monthly = resampleDemand([...exportRecords, { date: '2024-04-02', quantity: 4 }], { frequency: 'monthly' });
+      expect(monthly.map(b => [b.start, b.quantity])).toEqual([['2024-03-01', 15], ['2024-04-01', 4]]);
+      // Business days only: the first week has 5 selling days
+      expect(resampleDemand(exportRecords, { calendar })[0].days).toBe(5);
+    });
+
+    test('falls back to weekly/Monday for invalid options and handles bad input', () => {
+      expect(resampleDemand(exportRecords, { frequency: 'hourly', weekStart: 9 })[0].start).toBe('2024-03-04');
+      expect(resampleDemand('invalid', null)).toEqual([]);
+    });
+  });
+
+  describe('business calendar', () => {
+    test('identifies weekends and holidays', () => {
+      expect(isBusinessDay('2024-03-12', calendar)).toBe(true);
+      expect(isBusinessDay('2024-03-13', calendar)).toBe(false);  // Holiday
+      expect(isBusinessDay('2024-03-16', calendar)).toBe(false);  // Saturday
+      expect(isBusinessDay('not a date', calendar)).toBe(false);
+      // Custom weekend (Friday/Saturday)
+      expect(isBusinessDay('2024-03-15', { weekendDays: [5, 6] })).toBe(false);
+      expect(isBusinessDay('2024-03-17', { weekendDays: [5, 6] })).toBe(true);
+    });
+
+    test('counts and adds business days', () => {
+      expect(countBusinessDays('2024-03-11', 7, calendar)).toBe(4);  // Mon-Sun minus Wed holiday
+      expect(countBusinessDays('bad', 7)).toBe(0);
+      expect(addBusinessDays('2024-03-12', 1, calendar)).toBe('2024-03-14');  // Skips holiday
+      expect(addBusinessDays('2024-03-15', 1)).toBe('2024-03-18');  // Skips weekend
+      expect(addBusinessDays('2024-03-15', 1, { weekendDays: [0, 1, 2, 3, 4, 5, 6] })).toBeNull();
+      expect(addBusinessDays('2024-03-15', -1)).toBeNull();
+    });
+
+    test('business days per year replace the hardcoded 250', () => {
+      expect(businessDaysPerYear({}, '2024-01-01')).toBe(261);
+      expect(businessDaysPerYear({ weekendDays: [], holidays: [] }, '2024-01-01')).toBe(365);
+      expect(businessDaysPerYear(undefined)).toBeGreaterThan(250);  // Defaults to today
+      expect(calculateEOQ([10], 100, 10, businessDaysPerYear({}, '2024-01-01')).annualDemand).toBe(2610);
+    });
+
+    test('normalizes invalid calendar parts to defaults', () => {
+      const normalized = normalizeCalendar({ weekendDays: [0, 9, 'x'], holidays: ['2024-12-25', 'bad'] });
+      expect(normalized.weekendDays).toEqual([0]);
+      expect(Array.from(normalized.holidays)).toEqual(['2024-12-25']);
+      expect(normalizeCalendar(null).weekendDays).toEqual([0, 6]);
+    });
+  });
+
+  describe('calculateInventoryForecast with a business calendar', () => {
+    const steadyRecords = [];
+    for (let day = 1; day <= 14; day++) {
+      steadyRecords.push({ date: `2024-01-${String(day).padStart(2, '0')}`, quantity: 10 });
+    }
+
+    test('annualizes over business days and converts the lead time', () => {
+      const forecast = calculateInventoryForecast(steadyRecords, 100, 7, 1.65, 100, 10, { calendar: { holidays: ['2024-01-17'] } });
+      // Starts Mon 15 Jan; 7 calendar days hold 4 business days (holiday on the 17th)
+      expect(forecast.calendar).toEqual({ startDate: '2024-01-15', businessDaysPerYear: 260, leadTimeBusinessDays: 4 });
+      expect(forecast.avgDailyDemand).toBe(10);
+      expect(forecast.reorderPoint).toBe(40);
+      expect(forecast.eoq).toBeCloseTo(Math.sqrt(2 * 2600 * 100 / 10), 2);
+    });
+
+    test('keeps the lead time when quoted in business days; uses asOf for the window', () => {
+      const forecast = calculateInventoryForecast([10, 10], 100, 7, 1.65, 100, 10,
+        { calendar: {}, leadTimeUnit: 'business', asOf: '2024-01-01' });
+      expect(forecast.calendar).toEqual({ startDate: '2024-01-01', businessDaysPerYear: 261, leadTimeBusinessDays: 7 });
+      expect(forecast.reorderPoint).toBe(70);
+    });
+
+    test('defaults the window to today for undated history', () => {
+      const forecast = calculateInventoryForecast([10, 10], 100, 7, 1.65, 100, 10, { calendar: {} });
+      expect(forecast.calendar.startDate).toBe(new Date().toISOString().slice(0, 10));
+    });
+
+    test('dated history without a calendar fills gaps with zero', () => {
+      const forecast = calculateInventoryForecast(exportRecords, 100, 2, 1.65, 100, 10, { intermittent: false });
+      expect(forecast.avgDailyDemand).toBe(1.88);  // 15 units over 8 days
+      expect(forecast.calendar).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,179 @@
+const {
+  calculateInventoryForecast,
+  generateInsights,
+  detectTrend,
+  detectChangepoints,
+  TREND_DIRECTIONS,
+  INSIGHT_CODES,
+  createRandom
+} = require('../src/index');
+
+/**
+ * Tests for trend/: Mann-Kendall trend, Pettitt changepoints, forecasting after the last break and the insights.
+ */
+describe('Trend and changepoint detection', () => {
+  // Same sample data as inventory.test.js (no trend)
+  const sampleHistoricalDemand = [10, 12, 15, 9, 11, 13, 10];
+  // 16 days around 10 units, then 14 days around 20 (e.g., a new customer)
+  const stepDemand = [9, 11, 10, 12, 8, 10, 11, 9, 10, 12, 10, 9, 11, 10, 9, 10, 20, 22, 19, 21, 18, 20, 23, 19, 20, 21, 22, 18, 20, 21];
+  const toRecords = quantities => quantities.map((quantity, i) => ({
+    date: new Date(Date.UTC(2024, 0, 1 + i)).toISOString().slice(0, 10), quantity
+  }));
+
+  describe('detectTrend', () => {
+    test('no trend in the sample data', () => {
+      expect(detectTrend(sampleHistoricalDemand)).toEqual({
+        direction: TREND_DIRECTIONS.NONE, significant: false, s: 0, z: 0, pValue: 1, tau: 0, slope: 0, start: 11, end: 11, days: 7
+      });
+    });
+
+    test('Mann-Kendall statistic and Sen slope on a noisy ramp', () => {
+      const ramp = [10, 12, 11, 13, 15, 14, 16, 18, 17, 19];
+      const trend = detectTrend(ramp);
+      // 45 pairs, 42 up and 3 down → S = 39; Var(S) = 10 * 9 * 25 / 18 = 125
+      expect(trend).toMatchObject({ direction: TREND_DIRECTIONS.INCREASING, significant: true, s: 39, tau: 0.8667, slope: 1 });
+      expect(trend.z).toBeCloseTo(38 / Math.sqrt(125), 4);
+      expect(trend.pValue).toBeLessThan(0.01);
+      expect(trend).toMatchObject({ start: 10, end: 19, days: 10 });
+      expect(detectTrend([...ramp].reverse())).toMatchObject({ direction: TREND_DIRECTIONS.DECREASING, s: -39, slope: -1 });
+    });
+
+    test('ties, alpha and invalid input', () => {
+      expect(detectTrend([5, 5, 5, 5, 5])).toMatchObject({ direction: 'none', s: 0, pValue: 1, slope: 0 });
+      // A weak trend is only significant at a looser level
+      const weak = [10, 12, 9, 13, 11, 12, 14, 10, 13, 14];
+      expect(detectTrend(weak).significant).toBe(false);
+      expect(detectTrend(weak, { alpha: 0.2 }).direction).toBe(TREND_DIRECTIONS.INCREASING);
+      expect(detectTrend([1, 'x', NaN, 2])).toMatchObject({ direction: 'none', days: 2 });
+      expect(detectTrend(null).days).toBe(0);
+    });
+
+    test('tests the most recent window of days; long windows sample the pairwise slopes', () => {
+      // A year of flat demand, then a 30-day ramp: the default 180-day window still sees the ramp
+      const long = [...Array(335).fill(10), ...Array.from({ length: 30 }, (_, i) => 10 + i)];
+      expect(detectTrend(long)).toMatchObject({ direction: TREND_DIRECTIONS.INCREASING, days: 180 });
+      expect(detectTrend(long, { window: 30 })).toMatchObject({ slope: 1, start: 10, end: 39, days: 30 });
+      expect(detectTrend(long, { window: 'x' }).days).toBe(180);
+      // Whole history: 66,430 pairs, slope from an evenly spaced sample of them
+      const ramp = Array.from({ length: 365 }, (_, i) => 5 + 0.1 * i + (i % 3));
+      const all = detectTrend(ramp, { window: Infinity });
+      expect(all.days).toBe(365);
+      expect(all.slope).toBeCloseTo(0.1, 2);
+    });
+
+    test('false positives stay near alpha on trendless noise', () => {
+      const random = createRandom(42);
+      let hits = 0;
+      for (let k = 0; k < 100; k++) {
+        const noise = Array.from({ length: 60 }, () => 10 + Math.round((random() - 0.5) * 6));
+        if (detectTrend(noise).significant) hits++;
+      }
+      expect(hits).toBeLessThanOrEqual(12);
+    });
+  });
+
+  describe('detectChangepoints', () => {
+    test('finds a level shift with the means on either side', () => {
+      expect(detectChangepoints(stepDemand)).toEqual([
+        { index: 16, daysSince: 14, before: 10.06, after: 20.29, change: 1.016, pValue: 0 }
+      ]);
+      const dates = toRecords(stepDemand).map(r => r.date);
+      expect(detectChangepoints(stepDemand, { dates })[0].date).toBe('2024-01-17');
+    });
+
+    test('several shifts by binary segmentation', () => {
+      const twoSteps = [...Array(15).fill(10), ...Array(15).fill(30), ...Array(15).fill(15)];
+      const breaks = detectChangepoints(twoSteps);
+      expect(breaks.map(b => [b.index, b.before, b.after])).toEqual([[15, 10, 30], [30, 30, 15]]);
+      expect(breaks[1].change).toBe(-0.5);
+    });
+
+    test('minimum segment length, flat and short histories', () => {
+      // A 5-day spell cannot be a regime with the default minSegment of 7
+      const spell = [...Array(20).fill(10), ...Array(5).fill(40)];
+      expect(detectChangepoints(spell)).toEqual([]);
+      expect(detectChangepoints(spell, { minSegment: 5 }).map(b => b.index)).toEqual([20]);
+      expect(detectChangepoints(Array(30).fill(10))).toEqual([]);
+      expect(detectChangepoints(sampleHistoricalDemand)).toEqual([]);
+      expect(detectChangepoints('x')).toEqual([]);
+    });
+
+    test('searches the most recent window; indexes count from the start of the history', () => {
+      const long = [...Array(200).fill(10), ...stepDemand];
+      const dates = toRecords(long).map(r => r.date);
+      expect(detectChangepoints(long, { dates })).toEqual([
+        { index: 216, date: '2024-08-04', daysSince: 14, before: 10.01, after: 20.29, change: 1.0274, pValue: 0.008 }
+      ]);
+      expect(detectChangepoints(long, { window: 13 })).toEqual([]);  // Shorter than two minimum segments
+    });
+
+    test('single spikes are not shifts', () => {
+      const spiky = [10, 11, 9, 10, 80, 10, 11, 9, 10, 10, 11, 90, 9, 10, 11, 10, 9, 10, 11, 10];
+      expect(detectChangepoints(spiky)).toEqual([]);
+    });
+  });
+
+  describe('calculateInventoryForecast', () => {
+    test('reports the trend and changepoints', () => {
+      const forecast = calculateInventoryForecast(toRecords(stepDemand), 60, 5);
+      expect(forecast.trend).toMatchObject({
+        direction: TREND_DIRECTIONS.INCREASING, significant: true, start: 8.18, end: 21.82, days: 30, forecastFrom: null
+      });
+      expect(forecast.trend.changepoints).toEqual([expect.objectContaining({ index: 16, date: '2024-01-17', before: 10.06, after: 20.29 })]);
+      expect(forecast.avgDailyDemand).toBe(14.83);  // Whole history by default
+      expect(calculateInventoryForecast(sampleHistoricalDemand, 50, 5).trend).toMatchObject({ direction: 'none', changepoints: [] });
+    });
+
+    test('afterLastBreak forecasts from the current regime only', () => {
+      const forecast = calculateInventoryForecast(toRecords(stepDemand), 60, 5, 1.65, 100, 10, { afterLastBreak: true });
+      expect(forecast.trend.forecastFrom).toEqual({ index: 16, date: '2024-01-17', days: 14 });
+      expect(forecast.avgDailyDemand).toBe(20.29);
+      // Same as forecasting the last 14 days directly (apart from the trend report)
+      const recent = calculateInventoryForecast(stepDemand.slice(16), 60, 5);
+      ['demandStdDev', 'safetyStock', 'reorderPoint', 'eoq', 'daysRemaining', 'riskLevel'].forEach(field => {
+        expect(forecast[field]).toBe(recent[field]);
+      });
+      // Seasonal curves are estimated from the same days
+      const seasonal = calculateInventoryForecast(toRecords(stepDemand), 60, 5, 1.65, 100, 10, { afterLastBreak: true, seasonalPeriods: ['weekly'] });
+      expect(seasonal.seasonality.baseRate).toBe(20.29);
+      // No break: the whole history is used
+      expect(calculateInventoryForecast(sampleHistoricalDemand, 50, 5, 1.65, 100, 10, { afterLastBreak: true }))
+        .toMatchObject({ avgDailyDemand: 11.43, trend: { forecastFrom: null } });
+    });
+
+    test('options.trend tunes or skips detection', () => {
+      expect(calculateInventoryForecast(stepDemand, 60, 5, 1.65, 100, 10, { trend: false })).not.toHaveProperty('trend');
+      const strict = calculateInventoryForecast(stepDemand, 60, 5, 1.65, 100, 10, { trend: { minSegment: 20 } });
+      expect(strict.trend.changepoints).toEqual([]);
+      expect(strict.trend.significant).toBe(true);
+    });
+  });
+
+  describe('insights', () => {
+    test('rising demand and the shift date', () => {
+      const { insights } = calculateInventoryForecast(toRecords(stepDemand), 60, 5);
+      expect(insights.demandSignal).toBe('Demand rising from about 8.18 to 21.82 units per day over the last 30 days.');
+      expect(insights.shiftSignal).toBe('Demand shifted up from about 10.06 to 20.29 units per day on 2024-01-17.');
+      expect(insights.signals.demandSignal.code).toBe(INSIGHT_CODES.DEMAND_RISING);
+      expect(insights.signals.shiftSignal).toMatchObject({
+        code: INSIGHT_CODES.SHIFT_UP, params: { before: 10.06, after: 20.29, date: '2024-01-17', daysSince: 14, forecastFromBreak: false }
+      });
+    });
+
+    test('falling demand, undated shifts and the afterLastBreak note', () => {
+      const falling = [...stepDemand].reverse();
+      const forecast = calculateInventoryForecast(falling, 60, 5, 1.65, 100, 10, { afterLastBreak: true });
+      expect(forecast.insights.demandSignal).toContain('Demand falling from about 21.82 to 8.18');
+      expect(forecast.insights.shiftSignal)
+        .toBe('Demand shifted down from about 20.29 to 10.06 units per day 16 days ago (forecast uses the data since then).');
+      expect(generateInsights(forecast, { locale: 'es' }).shiftSignal)
+        .toBe('La demanda bajó de unas 20,29 a 10,06 unidades diarias hace 16 días (la previsión usa los datos desde entonces).');
+    });
+
+    test('no trend keeps the stable / erratic signal and no shift signal', () => {
+      const { insights } = calculateInventoryForecast(sampleHistoricalDemand, 50, 5);
+      expect(insights.demandSignal).toBe('Demand stable around 11.43 units per day.');
+      expect(insights).not.toHaveProperty('shiftSignal');
+    });
+  });
+});
@@ -0,0 +1,217 @@
+const {
+  calculateAverageDemand,
+  calculateDaysRemaining,
+  detectStockoutRisk,
+  calculateSafetyStock,
+  calculateReorderPoint,
+  calculateEOQ,
+  calculateInventoryForecast,
+  generateInsights,
+  InventoryInputError,
+  InvalidDemandError,
+  InvalidStockError,
+  InvalidLeadTimeError,
+  InvalidCostError,
+  InvalidParameterError,
+  INPUT_ERROR_CODES,
+  DIAGNOSTIC_TYPES,
+  RISK_LEVELS
+} = require('../src/index');
+const { handleRequest, ERROR_CODES } = require('../src/server/handleRequest');
+
+/**
+ * Tests for validation/: strict mode (typed errors) and lenient-mode diagnostics, in the utilities,
+ * calculateInventoryForecast, insights and the HTTP API.
+ */
+describe('Input validation', () => {
+  // Same sample data as inventory.test.js
+  const sampleHistoricalDemand = [10, 12, 15, 9, 11, 13, 10];
+  const strict = { strict: true };
+
+  // Runs fn and returns what it threw (fails the test when nothing was thrown)
+  const thrown = fn => {
+    try {
+      fn();
+    } catch (err) {
+      return err;
+    }
+    throw new Error('expected an error');
+  };
+
+  describe('strict mode in the utilities', () => {
+    test('throws typed errors with code, field, value and index', () => {
+      const err = thrown(() => calculateAverageDemand([5, 'x', 7], strict));
+      expect(err).toBeInstanceOf(InvalidDemandError);
+      expect(err).toBeInstanceOf(InventoryInputError);
+      expect(err).toBeInstanceOf(Error);
+      expect(err).toMatchObject({ name: 'InvalidDemandError', code: INPUT_ERROR_CODES.INVALID_DEMAND, field: 'historicalDemand', index: 1, value: 'x' });
+      expect(err.message).toBe('historicalDemand[1] is not a number ("x")');
+      expect(thrown(() => calculateAverageDemand('invalid', strict)).code).toBe(INPUT_ERROR_CODES.INVALID_DEMAND);
+      expect(thrown(() => calculateAverageDemand([], strict)).message).toBe('historicalDemand is empty');
+    });
+
+    test('each kind of input has its own error class', () => {
+      expect(thrown(() => calculateDaysRemaining('50', 10, strict))).toBeInstanceOf(InvalidStockError);
+      expect(thrown(() => detectStockoutRisk(NaN, 5, strict))).toBeInstanceOf(InvalidStockError);
+      expect(thrown(() => detectStockoutRisk(10, -1, strict))).toBeInstanceOf(InvalidLeadTimeError);
+      expect(thrown(() => calculateSafetyStock(sampleHistoricalDemand, [3, -1], 1.65, undefined, strict)))
+        .toMatchObject({ code: INPUT_ERROR_CODES.INVALID_LEAD_TIME, field: 'leadTime', index: 1 });
+      expect(thrown(() => calculateSafetyStock(sampleHistoricalDemand, { mean: 'x' }, 1.65, undefined, strict)))
+        .toMatchObject({ code: INPUT_ERROR_CODES.INVALID_LEAD_TIME, field: 'leadTime.mean' });
+      expect(thrown(() => calculateReorderPoint(sampleHistoricalDemand, 5, -1, undefined, strict))).toBeInstanceOf(InvalidParameterError);
+      expect(thrown(() => calculateEOQ(sampleHistoricalDemand, 0, 10, 365, undefined, strict)))
+        .toMatchObject({ code: INPUT_ERROR_CODES.INVALID_COST, field: 'orderCost' });
+      expect(thrown(() => calculateEOQ(sampleHistoricalDemand, 50, 10, NaN, undefined, strict))).toBeInstanceOf(InvalidCostError);
+    });
+
+    test('valid inputs give the same results as lenient mode', () => {
+      expect(calculateAverageDemand(sampleHistoricalDemand, strict)).toBe(calculateAverageDemand(sampleHistoricalDemand));
+      expect(calculateDaysRemaining(Infinity, 10, strict)).toBe(Infinity);
+      expect(detectStockoutRisk(4, 5, strict)).toBe(RISK_LEVELS.HIGH);
+      expect(calculateReorderPoint(sampleHistoricalDemand, [4, 5, 6], 1.65, undefined, strict))
+        .toEqual(calculateReorderPoint(sampleHistoricalDemand, [4, 5, 6], 1.65));
+      expect(calculateEOQ(sampleHistoricalDemand, 50, 10, 365, undefined, strict)).toEqual(calculateEOQ(sampleHistoricalDemand, 50, 10, 365));
+    });
+  });
+
+  describe('diagnostics in lenient mode', () => {
+    test('records dropped values without changing the result', () => {
+      const diagnostics = [];
+      expect(calculateAverageDemand([10, NaN, -4, 'x', 20], { diagnostics })).toBe(calculateAverageDemand([10, 20]));
+      expect(diagnostics.map(d => [d.type, d.index])).toEqual([
+        [DIAGNOSTIC_TYPES.NAN_VALUE, 1],
+        [DIAGNOSTIC_TYPES.DROPPED_VALUE, 2],
+        [DIAGNOSTIC_TYPES.DROPPED_VALUE, 3]
+      ]);
+      expect(diagnostics[1].message).toBe('historicalDemand[2] is negative (-4); value dropped');
+    });
+
+    test('records the defaults used for invalid arguments', () => {
+      const diagnostics = [];
+      expect(detectStockoutRisk(NaN, 5, { diagnostics })).toBe(RISK_LEVELS.LOW);
+      expect(calculateDaysRemaining(NaN, 10, { diagnostics })).toBe(0);
+      expect(calculateSafetyStock(sampleHistoricalDemand, 5, 'high', undefined, { diagnostics }).safetyStock).toBe(0);
+      expect(diagnostics.map(d => [d.type, d.field])).toEqual([
+        [DIAGNOSTIC_TYPES.NAN_VALUE, 'daysRemaining'],
+        [DIAGNOSTIC_TYPES.NAN_VALUE, 'currentStock'],
+        [DIAGNOSTIC_TYPES.DEFAULT_USED, 'zScore']
+      ]);
+      expect(diagnostics[2]).toMatchObject({ value: 'high', default: 0 });
+    });
+
+    test('no options → no checks and unchanged defaults', () => {
+      expect(calculateAverageDemand('invalid')).toBe(0);
+      expect(calculateEOQ(sampleHistoricalDemand, -1, 10).eoq).toBe(0);
+    });
+  });
+
+  describe('calculateInventoryForecast', () => {
+    test('lists every problem with the lenient outcome', () => {
+      const forecast = calculateInventoryForecast([10, NaN, 12, -1], NaN, 'soon', -2, 0, 10);
+      expect(forecast.diagnostics.map(d => [d.type, d.field])).toEqual([
+        [DIAGNOSTIC_TYPES.NAN_VALUE, 'historicalDemand'],
+        [DIAGNOSTIC_TYPES.DROPPED_VALUE, 'historicalDemand'],
+        [DIAGNOSTIC_TYPES.NAN_VALUE, 'currentStock'],
+        [DIAGNOSTIC_TYPES.DEFAULT_USED, 'leadTime'],
+        [DIAGNOSTIC_TYPES.DEFAULT_USED, 'zScore'],
+        [DIAGNOSTIC_TYPES.DEFAULT_USED, 'orderCost']
+      ]);
+      expect(forecast.diagnostics[2].message).toBe('currentStock is NaN (got NaN); treated as 0 days of cover');
+      // NaN stock now means 0 days of cover rather than NaN
+      expect(forecast.daysRemaining).toBe(0);
+      expect(forecast.avgDailyDemand).toBe(11);
+      expect(forecast.eoq).toBe(0);
+    });
+
+    test('clean inputs give an empty list and no data-quality insight', () => {
+      const forecast = calculateInventoryForecast(sampleHistoricalDemand, 50, 5);
+      expect(forecast.diagnostics).toEqual([]);
+      expect(forecast.insights.dataQualitySignal).toBeUndefined();
+      // zScore is only checked when no service target replaces it
+      expect(calculateInventoryForecast(sampleHistoricalDemand, 50, 5, 'x', 100, 10, { serviceLevel: 0.95 }).diagnostics).toEqual([]);
+    });
+
+    test('service targets outside (0, 1) are reported with the target applied instead', () => {
+      const percent = calculateInventoryForecast(sampleHistoricalDemand, 50, 5, 1.65, 100, 10, { serviceLevel: 98 });
+      expect(percent.serviceLevel).toMatchObject({ type: 'z_score', zScore: 1.65 });
+      expect(percent.diagnostics).toEqual([{
+        type: DIAGNOSTIC_TYPES.DEFAULT_USED, field: 'serviceLevel', value: 98, default: 1.65,
+        message: 'serviceLevel must be < 1 (got 98); zScore applied instead'
+      }]);
+      const both = calculateInventoryForecast(sampleHistoricalDemand, 50, 5, 1.65, 100, 10, { fillRate: 1.5, serviceLevel: 0.98 });
+      expect(both.serviceLevel).toMatchObject({ type: 'cycle', target: 0.98 });
+      expect(both.diagnostics.map(d => [d.field, d.default])).toEqual([['fillRate', 0.98]]);
+      const nan = calculateInventoryForecast(sampleHistoricalDemand, 50, 5, 1.65, 100, 10, { fillRate: NaN });
+      expect(nan.diagnostics.map(d => [d.type, d.field])).toEqual([[DIAGNOSTIC_TYPES.NAN_VALUE, 'fillRate']]);
+      const err = thrown(() => calculateInventoryForecast(sampleHistoricalDemand, 50, 5, 1.65, 100, 10, { ...strict, serviceLevel: 0 }));
+      expect(err).toBeInstanceOf(InvalidParameterError);
+      expect(err).toMatchObject({ field: 'serviceLevel', value: 0 });
+    });
+
+    test('an unknown forecast method is reported with the SMA fallback', () => {
+      const forecast = calculateInventoryForecast(sampleHistoricalDemand, 50, 5, 1.65, 100, 10, { method: 'magic' });
+      expect(forecast.forecastModel.method).toBe('sma');
+      expect(forecast.diagnostics.map(d => [d.type, d.field, d.value, d.default])).toEqual([[DIAGNOSTIC_TYPES.DEFAULT_USED, 'method', 'magic', 'sma']]);
+      const err = thrown(() => calculateInventoryForecast(sampleHistoricalDemand, 50, 5, 1.65, 100, 10, { ...strict, method: 'magic' }));
+      expect(err).toBeInstanceOf(InvalidParameterError);
+      expect(err.field).toBe('method');
+    });
+
+    test('dated records with a bad date are reported', () => {
+      const history = [{ date: '2024-03-01', quantity: 4 }, { date: 'yesterday', quantity: 6 }, { date: '2024-03-03', quantity: 5 }];
+      const { diagnostics } = calculateInventoryForecast(history, 50, 5);
+      expect(diagnostics).toHaveLength(1);
+      expect(diagnostics[0]).toMatchObject({ type: DIAGNOSTIC_TYPES.DROPPED_VALUE, field: 'historicalDemand', index: 1 });
+      expect(diagnostics[0].message).toContain('has an invalid date ("yesterday")');
+    });
+
+    test('strict option throws on the first problem', () => {
+      const err = thrown(() => calculateInventoryForecast(sampleHistoricalDemand, '50', 5, 1.65, 100, 10, strict));
+      expect(err).toBeInstanceOf(InvalidStockError);
+      expect(err).toMatchObject({ field: 'currentStock', value: '50' });
+      expect(thrown(() => calculateInventoryForecast(sampleHistoricalDemand, 50, 5, 1.65, 100, -10, strict)).field).toBe('holdingCost');
+      expect(calculateInventoryForecast(sampleHistoricalDemand, 50, 5, 1.65, 100, 10, strict).reorderPoint)
+        .toBe(calculateInventoryForecast(sampleHistoricalDemand, 50, 5).reorderPoint);
+    });
+
+    test('insights summarize the problems in dataQualitySignal', () => {
+      const forecast = calculateInventoryForecast([10, 'x', 12], 50, 'soon');
+      expect(forecast.insights.dataQualitySignal)
+        .toBe('2 input issues (historicalDemand, leadTime): values were dropped or defaults used - check the data feed.');
+      expect(generateInsights({ diagnostics: forecast.diagnostics }).dataQualitySignal).toBe(forecast.insights.dataQualitySignal);
+    });
+  });
+
+  describe('HTTP API', () => {
+    const post = (url, body) => handleRequest('POST', url, JSON.stringify(body));
+    // Passes the request schema (dates are only checked to be strings) but not the library's checks
+    const badDate = [{ date: '2024-03-01', quantity: 4 }, { date: 'yesterday', quantity: 6 }];
+
+    test('strict-mode errors are validation errors pointing at the field', () => {
+      const { status, body } = post('/forecast', { historicalDemand: badDate, currentStock: 50, leadTime: 5, options: { strict: true } });
+      expect(status).toBe(400);
+      expect(body.error.code).toBe(ERROR_CODES.VALIDATION_ERROR);
+      expect(body.error.details).toEqual([{
+        path: '/historicalDemand/1',
+        message: 'historicalDemand[1] has an invalid date ("yesterday") ({"date":"yesterday","quantity":6})',
+        code: INPUT_ERROR_CODES.INVALID_DEMAND
+      }]);
+    });
+
+    test('batch errors include the item index', () => {
+      const { body } = post('/forecast/batch', {
+        items: [
+          { historicalDemand: sampleHistoricalDemand, currentStock: 50, leadTime: 5, options: { strict: true } },
+          { historicalDemand: badDate, currentStock: 50, leadTime: 5, options: { strict: true } }
+        ]
+      });
+      expect(body.error.details[0]).toMatchObject({ path: '/items/1/historicalDemand/1', code: INPUT_ERROR_CODES.INVALID_DEMAND });
+    });
+
+    test('lenient requests return the diagnostics', () => {
+      const { status, body } = post('/forecast', { historicalDemand: badDate, currentStock: 50, leadTime: 5 });
+      expect(status).toBe(200);
+      expect(body.diagnostics).toEqual([expect.objectContaining({ field: 'historicalDemand', index: 1 })]);
+    });
+  });
+});